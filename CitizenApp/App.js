@@ -2,6 +2,11 @@
 const AppState = {
   currentUser: null,
   incidents: [],
+  outbox: [], // reports waiting to be sent, shaped like incidents (see outbox.js)
+  filters: null, // feed filters, read from the URL on load (see filters.js)
+  // Loading state of the paged incident list (see IncidentService)
+  pagination: { loading: true, hasMore: true, failed: false },
+  locale: null, // interface language, set by I18n.setLocale (see i18n.js)
   subscribers: [],
 
   setState(newState) {
@@ -21,6 +26,17 @@ const AppState = {
   }
 };
 
+// Incident types, as offered by the report form (see incident-schema.js)
+const INCIDENT_TYPES = Object.keys(INCIDENT_SCHEMA.types);
+
+// Incident lifecycle, in order
+const INCIDENT_STATUSES = ['active', 'responding', 'resolved'];
+
+// Report severities, least serious first (see incident-schema.js)
+const INCIDENT_SEVERITIES = INCIDENT_SCHEMA.fields
+  .find(field => field.name === 'severity')
+  .options.map(option => option.value);
+
 // API endpoints configuration
 const API_CONFIG = {
   BASE_URL: 'https://api.citizenwatch.com/v1', // Replace with your actual API endpoint
@@ -34,33 +50,190 @@ const API_CONFIG = {
   }
 };
 
-// Enhanced authentication functions with proper session management
+// Incident data backend (see incident-repository.js):
+// 'firestore', 'rest', 'local' (localStorage demo) or 'memory'
+const DATA_CONFIG = {
+  PROVIDER: 'firestore',
+  LOCAL_STORAGE_KEY: 'citizenwatch.incidents',
+  POLL_INTERVAL: 30000 // REST backend refresh, in ms
+};
+
+// Map view configuration (see map-view.js)
+const MAP_CONFIG = {
+  // Any {z}/{x}/{y} tile source, e.g. 'http://localhost:8081/tiles/{z}/{x}/{y}.png'
+  TILE_URL: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+  TILE_ATTRIBUTION: '&copy; OpenStreetMap contributors',
+  MAX_ZOOM: 19,
+  DEFAULT_CENTER: [6.5244, 3.3792], // Lagos
+  DEFAULT_ZOOM: 12,
+  RADIUS_OPTIONS_KM: [1, 2, 5, 10, 25],
+  DEFAULT_RADIUS_KM: 5
+};
+
+// Geocoding backend (see geocoder.js): 'nominatim' or 'mock'
+const GEOCODER_CONFIG = {
+  PROVIDER: 'nominatim',
+  // Public Nominatim, or a self-hosted instance such as 'http://localhost:8088'
+  NOMINATIM_URL: 'https://nominatim.openstreetmap.org'
+};
+
+// Offline report outbox (see outbox.js)
+const OUTBOX_CONFIG = {
+  DB_NAME: 'citizenwatch',
+  STORE_NAME: 'outbox',
+  MAX_ATTEMPTS: 8, // then the report is marked failed until retried by hand
+  BASE_DELAY: 2000, // first retry delay in ms, doubled on every attempt
+  MAX_DELAY: 5 * 60 * 1000,
+  SEND_TIMEOUT: 30000 // a send that hangs this long counts as a network error
+};
+
+// Authentication backend (see auth-providers.js): 'rest' or 'firebase'.
+// The 'firestore' data provider needs 'firebase': firestore.rules checks
+// reporters, commenters and confirmations against the Firebase Auth uid.
+const AUTH_CONFIG = {
+  PROVIDER: 'firebase',
+  MIN_PASSWORD_LENGTH: 8,
+  // When false, signed-out users must log in before reporting;
+  // when true they can send pseudonymous or anonymous reports. Keep in step
+  // with anonymousReportsAllowed() in firestore.rules and the
+  // ALLOW_ANONYMOUS_REPORTS param of the functions.
+  ALLOW_ANONYMOUS_REPORTS: false
+};
+
+// Pseudonymous and anonymous reports (see anonymous-reports.js). The grid and
+// proof difficulty are checked again in firestore.rules, and the difficulty
+// and rate limit in functions/anonymous-claims.js; keep them in step.
+const ANONYMOUS_CONFIG = {
+  GRID_DEGREES: 0.01, // locations are snapped to this grid, about 1 km
+  AREA_ZOOM: 14, // Nominatim detail for the area name shown instead of the address
+  MAX_REPORTS: 3, // per device in each RATE_WINDOW
+  RATE_WINDOW: 60 * 60 * 1000,
+  PROOF_DIFFICULTY: 5, // leading zero hex digits of SHA-256("<id>:<nonce>")
+  CLAIM_URL: '/api/anonymous-claims', // claimAnonymousReport in functions/index.js
+  PSEUDONYM_KEY: 'citizenwatch.pseudonym',
+  HISTORY_KEY: 'citizenwatch.anonymous-reports'
+};
+
+// One-tap SOS reports (see sos.js)
+const SOS_CONFIG = {
+  TYPE: 'emergency',
+  SEVERITY: 'critical',
+  // Reports this serious stand out in the feed. Responders are called out
+  // from WEBHOOK_MIN_SEVERITY up (see functions/index.js); keep them in step.
+  URGENT_SEVERITIES: ['high', 'critical']
+};
+
+// Nearby-incident alerts and the notification centre (see notifications.js)
+const ALERT_CONFIG = {
+  // Web Push VAPID public key; must match VAPID_PUBLIC_KEY in functions/.
+  // Leave empty to offer in-app alerts only.
+  VAPID_PUBLIC_KEY: '',
+  SUBSCRIPTIONS_COLLECTION: 'pushSubscriptions',
+  SUBSCRIPTION_KEY: 'citizenwatch.push-subscription', // this browser's { id, userId }
+  STORAGE_KEY: 'citizenwatch.notifications',
+  PREFERENCES_KEY: 'citizenwatch.alert-preferences',
+  MAX_NOTIFICATIONS: 50
+};
+
+// Incident feed paging and virtual scrolling (see virtual-feed.js)
+const FEED_CONFIG = {
+  PAGE_SIZE: 20,
+  ESTIMATED_CARD_HEIGHT: 320, // px, for cards that have not been rendered yet
+  OVERSCAN: 800, // px above and below the viewport kept rendered
+  LOAD_MORE_MARGIN: 1200 // px from the end of the feed at which the next page loads
+};
+
+// Photo processing before upload (see image-pipeline.js)
+const IMAGE_CONFIG = {
+  MAX_DIMENSION: 1600, // px, longest side of uploaded photos
+  QUALITY: 0.82,
+  TYPE: 'image/jpeg',
+  THUMBNAIL_DIMENSION: 480, // px, feed thumbnails
+  THUMBNAIL_QUALITY: 0.7,
+  EDITOR_DIMENSION: 1000, // px, photo size in the blur tool
+  REDACTION_BLOCKS: 8, // blurred areas become this many blocks across
+  // Keep the photos' EXIF capture time as incident.capturedAt; the rest of
+  // the EXIF data (location, device) is always removed
+  KEEP_CAPTURE_TIME: true
+};
+
+// Video and audio evidence (see media-attachments.js)
+const MEDIA_CONFIG = {
+  VIDEO: { MAX_BYTES: 100 * 1024 * 1024, MAX_SECONDS: 120 },
+  AUDIO: { MAX_BYTES: 20 * 1024 * 1024, MAX_SECONDS: 300 },
+  POSTER_TIME: 1 // s into a video the feed poster frame is taken from
+};
+
+// CSV and GeoJSON downloads (see open-data.js); the public feeds in
+// functions/open-data.js redact the same way
+const OPEN_DATA_CONFIG = {
+  GRID_DEGREES: 0.01 // coordinates are snapped to this grid, about 1 km
+};
+
+// Statistics dashboard (see stats.js)
+const STATS_CONFIG = {
+  GRID_DEGREES: 0.01, // heatmap and hotspot cells, about 1 km across
+  DEFAULT_RANGE_DAYS: 30,
+  HOTSPOT_WINDOW: 7 * 24 * 60 * 60 * 1000, // ms of recent incidents...
+  BASELINE_WINDOW: 28 * 24 * 60 * 60 * 1000, // ...compared with the rate over the ms before them
+  HOTSPOT_FACTOR: 3, // times the baseline rate
+  HOTSPOT_MIN_INCIDENTS: 3 // in HOTSPOT_WINDOW
+};
+
+// Duplicate report detection (see duplicates.js)
+const DUPLICATE_CONFIG = {
+  TIME_WINDOW: 2 * 60 * 60 * 1000, // ms between reports of the same incident
+  MAX_DISTANCE_KM: 1, // anonymous locations are only accurate to about this
+  MIN_SCORE: 0.5, // 0-1, from closeness in place and time and text similarity
+  MAX_SUGGESTIONS: 3
+};
+
+// Incident detail view (see incident-detail.js)
+const DETAIL_CONFIG = {
+  MAP_ZOOM: 16,
+  COMMENT_MAX_LENGTH: 1000
+};
+
+// Toast notifications (see toast.js)
+const TOAST_CONFIG = {
+  MAX_VISIBLE: 4, // older toasts are dismissed to make room
+  DURATIONS: { success: 4000, info: 5000, warning: 7000, error: 8000 } // ms, 0 = until closed
+};
+
+// Interface languages (see i18n.js and locales/), by their own names. The
+// default is also where messages missing from a catalogue come from.
+const I18N_CONFIG = {
+  LOCALES: { en: 'English', fr: 'Français', yo: 'Yorùbá' },
+  DEFAULT_LOCALE: 'en',
+  // Languages laid out right to left. None of LOCALES is yet; the page's
+  // dir and the stylesheet's logical properties are ready for the first.
+  RTL_LOCALES: [],
+  STORAGE_KEY: 'citizenwatch.locale',
+  RELATIVE_TIME_REFRESH: 60 * 1000 // ms between updates of "5 minutes ago"
+};
+
+// Enhanced authentication functions with proper session management.
+// The actual backend is the provider selected in AUTH_CONFIG.
 class AuthService {
-  static async login(email, password) {
-    try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.LOGIN}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': this.getCSRFToken() // Security measure
-        },
-        credentials: 'include', // Important for cookie handling
-        body: JSON.stringify({ email, password })
-      });
+  static provider = null;
 
-      if (!response.ok) {
-        throw new Error(await response.text());
-      }
+  static getProvider() {
+    if (!this.provider) {
+      this.provider = createAuthProvider(AUTH_CONFIG.PROVIDER);
+    }
+    return this.provider;
+  }
 
-      const data = await response.json();
-      
-      // Store tokens securely
-      this.setSession(data);
-      
-      // Update application state
-      AppState.setState({ currentUser: data.user });
-      
-      return data.user;
+  // Swap the backend at runtime (demos, tests)
+  static useProvider(provider) {
+    this.provider = provider;
+  }
+
+  static async login(email, password) {
+    try {
+      const user = await this.getProvider().login(email, password);
+      AppState.setState({ currentUser: user });
+      return user;
     } catch (error) {
       ErrorHandler.handle(error);
       throw error;
@@ -69,25 +242,9 @@ class AuthService {
 
   static async register(email, password, name) {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.REGISTER}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-CSRF-Token': this.getCSRFToken()
-        },
-        credentials: 'include',
-        body: JSON.stringify({ email, password, name })
-      });
-
-      if (!response.ok) {
-        throw new Error(await response.text());
-      }
-
-      const data = await response.json();
-      this.setSession(data);
-      AppState.setState({ currentUser: data.user });
-      
-      return data.user;
+      const user = await this.getProvider().register(email, password, name);
+      AppState.setState({ currentUser: user });
+      return user;
     } catch (error) {
       ErrorHandler.handle(error);
       throw error;
@@ -96,72 +253,105 @@ class AuthService {
 
   static async logout() {
     try {
-      await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.LOGOUT}`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${this.getAccessToken()}`,
-          'X-CSRF-Token': this.getCSRFToken()
-        },
-        credentials: 'include'
-      });
-
-      this.clearSession();
-      AppState.setState({ currentUser: null });
-      updateAuthUI();
+      await this.getProvider().logout();
     } catch (error) {
       ErrorHandler.handle(error);
       throw error;
+    } finally {
+      AppState.setState({ currentUser: null });
     }
   }
 
-  // Session management
-  static setSession(authData) {
-    localStorage.setItem('accessToken', authData.accessToken);
-    // Store refresh token in HTTP-only cookie (handled by server)
-  }
-
-  static clearSession() {
-    localStorage.removeItem('accessToken');
-    // Clear cookies
-    document.cookie.split(";").forEach(cookie => {
-      document.cookie = cookie
-        .replace(/^ +/, "")
-        .replace(/=.*/, `=;expires=${new Date().toUTCString()};path=/`);
-    });
+  // Pick up an existing session on page load
+  static async restoreSession() {
+    try {
+      const user = await this.getProvider().restoreSession();
+      AppState.setState({ currentUser: user });
+      return user;
+    } catch (error) {
+      console.error('Session restore failed:', error);
+      AppState.setState({ currentUser: null });
+      return null;
+    }
   }
 
   static getAccessToken() {
-    return localStorage.getItem('accessToken');
-  }
-
-  static getCSRFToken() {
-    return document.querySelector('meta[name="csrf-token"]')?.content;
+    return this.getProvider().getAccessToken();
   }
 
   // Token refresh mechanism
   static async refreshToken() {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.REFRESH_TOKEN}`, {
-        method: 'POST',
-        credentials: 'include',
+      return await this.getProvider().refreshToken();
+    } catch (error) {
+      AppState.setState({ currentUser: null });
+      throw error;
+    }
+  }
+
+  // fetch() with the access token attached. A 401 triggers one token
+  // refresh and retry; if the refresh fails the 401 response is returned.
+  static async fetch(url, options = {}) {
+    const send = async () => {
+      const token = await this.getAccessToken();
+      return fetch(url, {
+        ...options,
         headers: {
-          'X-CSRF-Token': this.getCSRFToken()
+          ...options.headers,
+          ...(token && { 'Authorization': `Bearer ${token}` })
         }
       });
+    };
 
-      if (!response.ok) {
-        throw new Error('Token refresh failed');
-      }
+    const response = await send();
+    if (response.status !== 401) return response;
 
-      const data = await response.json();
-      this.setSession(data);
-      return data.accessToken;
-    } catch (error) {
-      this.clearSession();
-      AppState.setState({ currentUser: null });
-      throw error;
+    try {
+      await this.refreshToken();
+    } catch {
+      return response;
     }
+    return send();
+  }
+}
+
+// Errors recognised by ErrorHandler.getErrorType
+class AuthenticationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthenticationError';
+  }
+}
+
+class ValidationError extends Error {
+  // `errors` maps field names to messages
+  constructor(message, errors = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Turn a failed fetch() response into the matching error type
+async function errorFromResponse(response) {
+  let body = {};
+  try {
+    body = await response.json();
+  } catch {
+    // Not a JSON error body
+  }
+
+  const message = body.message || `Request failed (${response.status})`;
+  if (response.status === 401 || response.status === 403) {
+    return new AuthenticationError(message);
+  }
+  if (response.status === 400 || response.status === 422) {
+    return new ValidationError(message, body.errors);
   }
+
+  const error = new Error(message);
+  error.status = response.status;
+  return error;
 }
 
 // Enhanced error handling
@@ -174,7 +364,8 @@ class ErrorHandler {
     UNKNOWN: 'unknown_error'
   };
 
-  static handle(error) {
+  // `retry`, when given, is offered as a "Retry" button on the error toast
+  static handle(error, { retry } = {}) {
     console.error('Error:', error);
 
     // Determine error type
@@ -199,7 +390,7 @@ class ErrorHandler {
     }
 
     // Show user-friendly error message
-    this.showErrorMessage(error);
+    this.showErrorMessage(error, retry);
   }
 
   static getErrorType(error) {
@@ -211,17 +402,15 @@ class ErrorHandler {
   }
 
   static handleAuthError(error) {
-    if (error.message.includes('token expired')) {
-      AuthService.refreshToken().catch(() => {
-        AuthService.clearSession();
-        window.location.href = '/login';
-      });
+    // AuthService.fetch has already tried a token refresh, so ask the user to sign in
+    if (!AppState.currentUser) {
+      openAuthDialog('login');
     }
   }
 
   static handleNetworkError(error) {
-    // Implement offline support or retry mechanism
-    console.log('Network error:', error);
+    // Queued reports are retried with backoff; try again as soon as we can
+    ReportOutbox.scheduleFlush();
   }
 
   static handleValidationError(error) {
@@ -241,66 +430,224 @@ class ErrorHandler {
     console.error('Unknown error:', error);
   }
 
-  static showErrorMessage(error) {
-    // Show toast notification or error message
-    const message = this.getUserFriendlyMessage(error);
-    // Implement your UI notification system here
-    console.log('Error message:', message);
+  static showErrorMessage(error, retry) {
+    const errorType = this.getErrorType(error);
+    // Connection and sign-in problems are usually temporary, so only warn
+    const type = errorType === this.ERROR_TYPES.NETWORK || errorType === this.ERROR_TYPES.AUTH
+      ? 'warning'
+      : 'error';
+
+    Toast.show({
+      type,
+      message: this.getUserFriendlyMessage(error),
+      actions: retry ? [{ label: t('actions.retry'), onClick: retry }] : []
+    });
   }
 
   static getUserFriendlyMessage(error) {
     // Map error types to user-friendly messages
     const messages = {
-      [this.ERROR_TYPES.AUTH]: 'Please log in again to continue.',
-      [this.ERROR_TYPES.NETWORK]: 'Please check your internet connection.',
-      [this.ERROR_TYPES.VALIDATION]: 'Please check the form for errors.',
-      [this.ERROR_TYPES.SERVER]: 'Something went wrong. Please try again later.',
-      [this.ERROR_TYPES.UNKNOWN]: 'An unexpected error occurred.'
+      [this.ERROR_TYPES.AUTH]: 'errors.auth',
+      [this.ERROR_TYPES.NETWORK]: 'errors.network',
+      [this.ERROR_TYPES.VALIDATION]: 'errors.validation',
+      [this.ERROR_TYPES.SERVER]: 'errors.server',
+      [this.ERROR_TYPES.UNKNOWN]: 'errors.unknown'
     };
 
-    return messages[this.getErrorType(error)] || error.message;
+    const key = messages[this.getErrorType(error)];
+    return key ? t(key) : error.message;
   }
 }
 
-// API integration for data persistence
+// Incident data access through the repository selected in DATA_CONFIG.
+// AppState.incidents is the live first page (kept current by the repository)
+// followed by older pages fetched on demand with loadMore().
 class IncidentService {
-  static async getIncidents() {
-    try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.INCIDENTS}`, {
-        headers: {
-          'Authorization': `Bearer ${AuthService.getAccessToken()}`
+  static repository = null;
+  static unsubscribe = null;
+  static head = []; // newest FEED_CONFIG.PAGE_SIZE incidents, live
+  static older = []; // pages loaded by loadMore(); not live
+  static hasMore = true;
+  static loadingMore = null;
+
+  static getRepository() {
+    if (!this.repository) {
+      this.repository = createIncidentRepository(DATA_CONFIG.PROVIDER);
+    }
+    return this.repository;
+  }
+
+  // Swap the backend at runtime (demos, tests)
+  static useRepository(repository) {
+    this.stopWatching();
+    this.repository = repository;
+  }
+
+  // Keep AppState.incidents in sync with the repository
+  static watchIncidents() {
+    this.stopWatching();
+    this.head = [];
+    this.older = [];
+    this.hasMore = true;
+    AppState.setState({ incidents: [], pagination: { loading: true, hasMore: true, failed: false } });
+
+    let firstPage = true;
+    this.unsubscribe = this.getRepository().subscribe(
+      (incidents) => {
+        if (firstPage) {
+          firstPage = false;
+          this.hasMore = incidents.length >= FEED_CONFIG.PAGE_SIZE;
         }
+        this.updateHead(incidents);
+      },
+      (error) => ErrorHandler.handle(error),
+      { limit: FEED_CONFIG.PAGE_SIZE }
+    );
+    return this.unsubscribe;
+  }
+
+  static stopWatching() {
+    this.unsubscribe?.();
+    this.unsubscribe = null;
+  }
+
+  static updateHead(head) {
+    const headIds = new Set(head.map(incident => incident.id));
+    const last = head[head.length - 1];
+
+    // Incidents pushed out of the live page by newer ones stay loaded
+    if (head.length >= FEED_CONFIG.PAGE_SIZE) {
+      const pushedOut = this.head.filter(incident =>
+        !headIds.has(incident.id) && compareNewestFirst(incident, last) > 0
+      );
+      this.older = [...pushedOut, ...this.older];
+    }
+
+    this.head = head;
+    this.older = this.older.filter(incident => !headIds.has(incident.id));
+    this.publish({ loading: false });
+  }
+
+  static publish(pagination = {}) {
+    AppState.setState({
+      incidents: [...this.head, ...this.older],
+      pagination: { ...AppState.pagination, hasMore: this.hasMore, ...pagination }
+    });
+  }
+
+  // Fetch the next page after the oldest loaded incident
+  static loadMore() {
+    const loaded = AppState.incidents;
+    if (this.loadingMore || !this.hasMore || loaded.length === 0) {
+      return this.loadingMore;
+    }
+
+    const after = loaded[loaded.length - 1];
+    AppState.setState({ pagination: { ...AppState.pagination, loading: true, failed: false } });
+
+    this.loadingMore = this.getRepository().listPage(after, FEED_CONFIG.PAGE_SIZE)
+      .then((page) => {
+        const known = new Set(AppState.incidents.map(incident => incident.id));
+        this.older = [...this.older, ...page.filter(incident => !known.has(incident.id))];
+        this.hasMore = page.length >= FEED_CONFIG.PAGE_SIZE;
+        this.publish({ loading: false });
+      })
+      .catch((error) => {
+        ErrorHandler.handle(error);
+        AppState.setState({ pagination: { ...AppState.pagination, loading: false, failed: true } });
+      })
+      .finally(() => {
+        this.loadingMore = null;
       });
 
-      if (!response.ok) throw new Error('Failed to fetch incidents');
+    return this.loadingMore;
+  }
 
-      const incidents = await response.json();
-      AppState.setState({ incidents });
-      return incidents;
+  static async createIncident(incidentData, attachments = [], options = {}) {
+    try {
+      return await this.getRepository().create(incidentData, attachments, options);
     } catch (error) {
       ErrorHandler.handle(error);
       throw error;
     }
   }
 
-  static async createIncident(incidentData) {
+  static async updateIncident(id, changes) {
     try {
-      const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.ENDPOINTS.INCIDENTS}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${AuthService.getAccessToken()}`
-        },
-        body: JSON.stringify(incidentData)
-      });
+      await this.getRepository().update(id, changes);
 
-      if (!response.ok) throw new Error('Failed to create incident');
+      // Older pages are not live, so apply the change to our copy
+      if (this.older.some(incident => incident.id === id)) {
+        this.older = this.older.map(incident => incident.id === id ? { ...incident, ...changes } : incident);
+        this.publish();
+      }
+    } catch (error) {
+      ErrorHandler.handle(error);
+      throw error;
+    }
+  }
 
-      const newIncident = await response.json();
-      AppState.setState({ 
-        incidents: [newIncident, ...AppState.incidents] 
+  // Every incident, not just the loaded pages
+  static async listIncidents() {
+    try {
+      return await this.getRepository().list();
+    } catch (error) {
+      ErrorHandler.handle(error);
+      throw error;
+    }
+  }
+
+  // The loaded copy if there is one, otherwise fetched; null if it is gone
+  static async getIncident(id) {
+    const loaded = AppState.incidents.find(incident => incident.id === id);
+    if (loaded) return loaded;
+
+    try {
+      return await this.getRepository().get(id);
+    } catch (error) {
+      ErrorHandler.handle(error);
+      throw error;
+    }
+  }
+
+  // "I see this too" from the signed-in user. With the 'firestore' provider
+  // the rules want their Firebase uid, which currentUser.id is under
+  // AUTH_CONFIG.PROVIDER 'firebase', the only sign-in that provider takes.
+  static async confirmIncident(id) {
+    const userId = AppState.currentUser.id;
+    try {
+      await this.getRepository().confirm(id, userId);
+
+      const incident = this.older.find(incident => incident.id === id);
+      if (incident && !(incident.confirmedBy || []).includes(userId)) {
+        this.older = this.older.map(older => older === incident
+          ? { ...incident, confirmations: (incident.confirmations || 0) + 1, confirmedBy: [...(incident.confirmedBy || []), userId] }
+          : older);
+        this.publish();
+      }
+    } catch (error) {
+      ErrorHandler.handle(error);
+      throw error;
+    }
+  }
+
+  // Live comments on an incident; returns an unsubscribe function
+  static watchComments(incidentId, onChange) {
+    return this.getRepository().subscribeComments(incidentId, onChange, (error) => {
+      ErrorHandler.handle(error);
+    });
+  }
+
+  // Posted as the signed-in user, whose id the rules check the same way
+  static async addComment(incidentId, { text, parentId = null }) {
+    const { currentUser } = AppState;
+    try {
+      return await this.getRepository().addComment(incidentId, {
+        parentId,
+        text,
+        author: { id: currentUser.id, name: currentUser.name },
+        createdAt: new Date().toISOString()
       });
-      return newIncident;
     } catch (error) {
       ErrorHandler.handle(error);
       throw error;
@@ -308,70 +655,54 @@ class IncidentService {
   }
 }
 
-// User authentication state
-let currentUser = null;
-
 // Authentication functions
 function login(email, password) {
-  // TODO: Implement actual authentication
-  return new Promise((resolve, reject) => {
-    if (email && password) {
-      currentUser = {
-        id: 1,
-        email: email,
-        name: "Test User",
-        role: "citizen"
-      };
-      resolve(currentUser);
-    } else {
-      reject(new Error("Invalid credentials"));
-    }
-  });
+  return AuthService.login(email, password);
 }
 
 function logout() {
-  currentUser = null;
-  // Update UI to reflect logged out state
-  updateAuthUI();
+  return AuthService.logout();
 }
 
 function register(email, password, name) {
-  // TODO: Implement actual registration
-  return new Promise((resolve, reject) => {
-    if (email && password && name) {
-      currentUser = {
-        id: 1,
-        email: email,
-        name: name,
-        role: "citizen"
-      };
-      resolve(currentUser);
-    } else {
-      reject(new Error("Invalid registration data"));
-    }
-  });
+  return AuthService.register(email, password, name);
 }
 
 // UI update functions
+// Last user and language rendered in the header, to skip no-op updates
+let renderedAuthUser;
+let renderedAuthLocale;
+
 function updateAuthUI() {
-  const authButtons = document.querySelector('.btn-auth')?.parentElement;
-  if (authButtons) {
+  const { currentUser, locale } = AppState;
+  const authButtons = document.getElementById('auth-buttons');
+  if (authButtons && (currentUser !== renderedAuthUser || locale !== renderedAuthLocale)) {
+    renderedAuthUser = currentUser;
+    renderedAuthLocale = locale;
     if (currentUser) {
-      authButtons.innerHTML = `
-        <div class="flex items-center gap-4">
-          <span class="text-sm">Welcome, ${currentUser.name}</span>
-          <button class="btn btn-outline" onclick="logout()">Logout</button>
+      // The account menu is opened and closed in navigation.js
+      authButtons.innerHTML = html`
+        <div id="user-profile-dropdown" class="profile-dropdown flex items-center gap-4">
+          <span class="text-sm">${t('auth.welcome', { name: currentUser.name })}</span>
+          <button type="button" id="profile-button" class="btn btn-outline" aria-haspopup="menu" aria-expanded="false" aria-controls="profile-menu">
+            ${t('profile.account')}
+            <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="6 9 12 15 18 9"></polyline></svg>
+          </button>
+          <div id="profile-menu" class="profile-menu card" role="menu" aria-labelledby="profile-button" hidden>
+            <button type="button" class="profile-menu-item" role="menuitem" tabindex="-1" data-alert-settings>${t('alerts.title')}</button>
+            <button type="button" class="profile-menu-item" role="menuitem" tabindex="-1" id="logout-btn">${t('auth.logout')}</button>
+          </div>
         </div>
       `;
     } else {
-      authButtons.innerHTML = `
+      authButtons.innerHTML = html`
         <button class="btn btn-auth login-btn" id="login-btn">
           <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="mr-2">
             <path d="M15 3h4a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-4"/>
             <polyline points="10 17 15 12 10 7"/>
             <line x1="15" y1="12" x2="3" y2="12"/>
           </svg>
-          Login
+          ${t('auth.login')}
         </button>
         <button class="btn btn-auth register-btn" id="register-btn">
           <svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="mr-2">
@@ -380,7 +711,7 @@ function updateAuthUI() {
             <line x1="19" y1="8" x2="19" y2="14"/>
             <line x1="16" y1="11" x2="22" y2="11"/>
           </svg>
-          Register
+          ${t('auth.register')}
         </button>
       `;
     }
@@ -414,27 +745,31 @@ function getCurrentLocation() {
   });
 }
 
-// Form validation
-function validateForm(formData) {
-  const errors = {};
-  
-  if (!formData.type) errors.type = 'Incident type is required';
-  if (!formData.title) errors.title = 'Title is required';
-  if (!formData.description) errors.description = 'Description is required';
-  if (!formData.location) errors.location = 'Location is required';
-  
-  return {
-    isValid: Object.keys(errors).length === 0,
-    errors
-  };
+// Great-circle distance between two coordinates, in kilometres
+function distanceInKm(lat1, lon1, lat2, lon2) {
+  const EARTH_RADIUS_KM = 6371;
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
 }
 
-// Error handling
+// Error handling. A field's message goes in the .error-message of its
+// .input-group, wherever that sits in the group; an empty message clears it.
 function showError(elementId, message) {
-  const errorElement = document.querySelector(`#${elementId} + .error-message`);
-  if (errorElement) {
-    errorElement.textContent = message;
-    errorElement.style.display = 'block';
+  const field = document.getElementById(elementId);
+  const errorElement = field?.closest('.input-group')?.querySelector('.error-message');
+  if (!errorElement) return;
+
+  errorElement.textContent = message;
+  errorElement.style.display = message ? 'block' : 'none';
+  field.classList.toggle('invalid', Boolean(message));
+  if (message) {
+    field.setAttribute('aria-invalid', 'true');
+  } else {
+    field.removeAttribute('aria-invalid');
   }
 }
 
@@ -443,63 +778,37 @@ function clearErrors() {
     element.textContent = '';
     element.style.display = 'none';
   });
+  document.querySelectorAll('[aria-invalid]').forEach(field => {
+    field.classList.remove('invalid');
+    field.removeAttribute('aria-invalid');
+  });
 }
 
 // Event listeners
 document.addEventListener('DOMContentLoaded', () => {
   // Initialize auth UI
   updateAuthUI();
+  AuthService.restoreSession();
 
-  // Get location button handler
-  const getLocationBtn = document.getElementById('get-location');
-  if (getLocationBtn) {
-    getLocationBtn.addEventListener('click', async () => {
-      try {
-        const location = await getCurrentLocation();
-        document.getElementById('latitude').value = location.latitude;
-        document.getElementById('longitude').value = location.longitude;
-        document.getElementById('incident-location').value = 'Location detected';
-      } catch (error) {
-        showError('incident-location', error.message);
-      }
+  // Cache the app shell for offline use
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
     });
   }
 
-  // Form validation
-  const reportForm = document.getElementById('report-form');
-  if (reportForm) {
-    reportForm.addEventListener('input', (e) => {
-      const input = e.target;
-      const errorElement = input.nextElementSibling;
-      if (input.validity.valid) {
-        input.classList.remove('invalid');
-        if (errorElement?.classList.contains('error-message')) {
-          errorElement.textContent = '';
-          errorElement.style.display = 'none';
-        }
-      }
-    });
-  }
+  // The report form is built and validated in report-form.js
 
-  // Mobile menu button handler
-  const menuButton = document.querySelector('button[aria-label="Menu"]');
-  if (menuButton) {
-    menuButton.addEventListener('click', () => {
-      // TODO: Implement mobile menu toggle
-      console.log('Menu clicked');
-    });
-  }
+  // The header bell opens the notification centre, see notifications.js
 
   // Subscribe to state changes
-  AppState.subscribe((state) => {
+  // The incident feed subscribes separately in citizen.js
+  AppState.subscribe(() => {
     updateAuthUI();
-    if (state.incidents.length > 0) {
-      renderIncidents(state.incidents);
-    }
   });
 
   // Initialize data
-  IncidentService.getIncidents().catch(ErrorHandler.handle);
+  IncidentService.watchIncidents();
 });
 
 // Export functions for use in other files
@@ -508,4 +817,4 @@ window.app = {
   incidents: IncidentService,
   state: AppState,
   errors: ErrorHandler
-};
+};
\ No newline at end of file
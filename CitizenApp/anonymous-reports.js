@@ -0,0 +1,160 @@
+// Pseudonymous and anonymous reporting. Such reports carry no account id
+// (a pseudonymous one only carries this device's pseudonym), and their
+// location is snapped to the ANONYMOUS_CONFIG.GRID_DEGREES grid with an area
+// name in place of the address. To keep them from becoming a spam channel:
+//   - each device may send ANONYMOUS_CONFIG.MAX_REPORTS per RATE_WINDOW,
+//     and the backend holds each sender to the same when it claims the
+//     report's id (claimAnonymousReport in functions/index.js),
+//   - each report carries a proof of work for its id, which the backend and
+//     firestore.rules check, so sending in bulk costs real CPU time,
+//   - moderators see them flagged, and functions/index.js flags bursts of
+//     anonymous reports from one grid cell.
+//
+// Reporter identity: 'named' | 'pseudonym' | 'anonymous'
+
+// Snap a coordinate to the grid, without floating point noise
+function coarsenCoordinate(value, grid = ANONYMOUS_CONFIG.GRID_DEGREES) {
+  return Number((Math.round(value / grid) * grid).toFixed(6));
+}
+
+// Find a nonce for which SHA-256("<id>:<nonce>") starts with `difficulty`
+// zeros in hex, in a worker (proof-of-work.js). That is about 16^difficulty
+// hashes, a few seconds on a phone at the default difficulty.
+function solveProofOfWork(id, difficulty = ANONYMOUS_CONFIG.PROOF_DIFFICULTY) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker('/proof-of-work.js');
+    worker.onmessage = (event) => {
+      worker.terminate();
+      resolve(event.data.nonce);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Proof of work failed'));
+    };
+    worker.postMessage({ id, difficulty });
+  });
+}
+
+const AnonymousReports = {
+  // A random name for this device, kept so its reports can be told apart
+  // from each other's without naming anyone
+  pseudonym() {
+    let name = localStorage.getItem(ANONYMOUS_CONFIG.PSEUDONYM_KEY);
+    if (!name) {
+      const digits = crypto.getRandomValues(new Uint16Array(1))[0] % 10000;
+      name = `Witness ${String(digits).padStart(4, '0')}`;
+      localStorage.setItem(ANONYMOUS_CONFIG.PSEUDONYM_KEY, name);
+    }
+    return name;
+  },
+
+  // Send times of this device's recent anonymous reports
+  recentReports(now = Date.now()) {
+    const sent = JSON.parse(localStorage.getItem(ANONYMOUS_CONFIG.HISTORY_KEY) || '[]');
+    return sent.filter(at => now - at < ANONYMOUS_CONFIG.RATE_WINDOW);
+  },
+
+  record(now = Date.now()) {
+    localStorage.setItem(ANONYMOUS_CONFIG.HISTORY_KEY, JSON.stringify([...this.recentReports(now), now]));
+  },
+
+  checkRateLimit(now = Date.now()) {
+    const recent = this.recentReports(now);
+    if (recent.length < ANONYMOUS_CONFIG.MAX_REPORTS) return;
+
+    const minutes = Math.ceil((recent[0] + ANONYMOUS_CONFIG.RATE_WINDOW - now) / 60000);
+    const message = t('report.identity.rateLimited', { max: ANONYMOUS_CONFIG.MAX_REPORTS, count: minutes });
+    throw new ValidationError(message, { 'report-identity': message });
+  },
+
+  // Area name for a snapped point, falling back to the rounded coordinates
+  async areaName(latitude, longitude) {
+    try {
+      return await LocationPicker.getGeocoder().reverse(latitude, longitude, { zoom: ANONYMOUS_CONFIG.AREA_ZOOM });
+    } catch (error) {
+      console.error('Area lookup failed:', error);
+      return t('report.identity.near', { latitude: latitude.toFixed(2), longitude: longitude.toFixed(2) });
+    }
+  },
+
+  // The report as it is sent under `identity`: identifying fields removed,
+  // location coarsened and a proof of work attached. Resolves with the
+  // report, which has its id already so the proof can cover it.
+  async prepare(formData, identity) {
+    try {
+      this.checkRateLimit();
+      if (formData.latitude === null || formData.longitude === null) {
+        const message = t('report.identity.locationRequired');
+        throw new ValidationError(message, { 'incident-location': message });
+      }
+
+      const latitude = coarsenCoordinate(formData.latitude);
+      const longitude = coarsenCoordinate(formData.longitude);
+      const id = generateReportId();
+
+      setIdentityStatus(t('report.identity.preparing'));
+      const [location, nonce] = await Promise.all([
+        this.areaName(latitude, longitude),
+        solveProofOfWork(id)
+      ]);
+      this.record();
+
+      return {
+        ...formData,
+        id,
+        latitude,
+        longitude,
+        location,
+        reporter: identity === 'pseudonym' ? { name: this.pseudonym() } : null,
+        anonymous: true,
+        proof: { nonce }
+      };
+    } catch (error) {
+      ErrorHandler.handle(error);
+      throw error;
+    } finally {
+      setIdentityStatus('');
+    }
+  }
+};
+
+// How a report's reporter is shown
+function reporterLabel(incident) {
+  if (!incident.reporter) return t('report.identity.anonymousReporter');
+  return incident.anonymous ? t('report.identity.pseudonymReporter', { name: incident.reporter.name }) : incident.reporter.name;
+}
+
+function selectedIdentity() {
+  return document.querySelector('input[name="report-identity"]:checked')?.value || 'named';
+}
+
+// Reporting under your own name needs an account. Where signed-out users may
+// report (AUTH_CONFIG.ALLOW_ANONYMOUS_REPORTS), they can only do so anonymously.
+function updateIdentityOptions(user) {
+  const named = document.querySelector('input[name="report-identity"][value="named"]');
+  named.disabled = !user && AUTH_CONFIG.ALLOW_ANONYMOUS_REPORTS;
+  document.getElementById('report-identity-name').textContent = user
+    ? t('report.identity.namedAs', { name: user.name })
+    : t('report.identity.namedSignedOut');
+  if (named.disabled && named.checked) {
+    document.querySelector('input[name="report-identity"][value="anonymous"]').checked = true;
+  }
+}
+
+function setIdentityStatus(message) {
+  document.getElementById('report-identity-status').textContent = message;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('report-form');
+  if (!form || !document.getElementById('report-identity')) return;
+
+  document.getElementById('report-pseudonym').textContent = AnonymousReports.pseudonym();
+  updateIdentityOptions(AppState.currentUser);
+  AppState.subscribe((state) => updateIdentityOptions(state.currentUser));
+
+  // The form's reset puts "Your name" back, which may not be allowed
+  form.addEventListener('reset', () => {
+    setTimeout(() => updateIdentityOptions(AppState.currentUser));
+  });
+});
\ No newline at end of file
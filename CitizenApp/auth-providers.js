@@ -0,0 +1,210 @@
+// Authentication providers used by AuthService.
+//
+// Every provider implements:
+//   login(email, password)           -> Promise<user>
+//   register(email, password, name)  -> Promise<user>
+//   logout()                         -> Promise<void>
+//   restoreSession()                 -> Promise<user | null>
+//   refreshToken()                   -> Promise<string>, the new access token
+//   getAccessToken()                 -> string | Promise<string> | null
+//
+// Users are plain objects: { id, email, name, role }.
+
+function getCSRFToken() {
+  return document.querySelector('meta[name="csrf-token"]')?.content;
+}
+
+// Our REST API: access token in localStorage, refresh token in an HTTP-only cookie
+class RestAuthProvider {
+  constructor(baseUrl = API_CONFIG.BASE_URL) {
+    this.baseUrl = baseUrl;
+  }
+
+  async post(endpoint, body, headers = {}) {
+    const response = await fetch(`${this.baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-CSRF-Token': getCSRFToken(), // Security measure
+        ...headers
+      },
+      credentials: 'include', // Important for cookie handling
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      throw await errorFromResponse(response);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  async login(email, password) {
+    const data = await this.post(API_CONFIG.ENDPOINTS.LOGIN, { email, password });
+    this.setSession(data);
+    return data.user;
+  }
+
+  async register(email, password, name) {
+    const data = await this.post(API_CONFIG.ENDPOINTS.REGISTER, { email, password, name });
+    this.setSession(data);
+    return data.user;
+  }
+
+  async logout() {
+    try {
+      await this.post(API_CONFIG.ENDPOINTS.LOGOUT, null, {
+        'Authorization': `Bearer ${this.getAccessToken()}`
+      });
+    } finally {
+      this.clearSession();
+    }
+  }
+
+  async restoreSession() {
+    if (!this.getAccessToken()) return null;
+
+    const response = await AuthService.fetch(`${this.baseUrl}${API_CONFIG.ENDPOINTS.USER_PROFILE}`);
+    if (!response.ok) {
+      this.clearSession();
+      return null;
+    }
+    return response.json();
+  }
+
+  async refreshToken() {
+    try {
+      const data = await this.post(API_CONFIG.ENDPOINTS.REFRESH_TOKEN);
+      this.setSession(data);
+      return data.accessToken;
+    } catch (error) {
+      this.clearSession();
+      throw error;
+    }
+  }
+
+  // Session management
+  setSession(authData) {
+    localStorage.setItem('accessToken', authData.accessToken);
+    // Store refresh token in HTTP-only cookie (handled by server)
+  }
+
+  clearSession() {
+    localStorage.removeItem('accessToken');
+    // Clear cookies
+    document.cookie.split(";").forEach(cookie => {
+      document.cookie = cookie
+        .replace(/^ +/, "")
+        .replace(/=.*/, `=;expires=${new Date().toUTCString()};path=/`);
+    });
+  }
+
+  getAccessToken() {
+    return localStorage.getItem('accessToken');
+  }
+}
+
+// Firebase Auth error codes that mean the credentials were rejected
+const FIREBASE_CREDENTIAL_ERRORS = [
+  'auth/invalid-credential',
+  'auth/invalid-login-credentials',
+  'auth/user-not-found',
+  'auth/wrong-password',
+  'auth/user-disabled'
+];
+
+// Firebase Auth error codes caused by a bad form field: [field, message key]
+const FIREBASE_FIELD_ERRORS = {
+  'auth/invalid-email': ['email', 'auth.errors.emailInvalid'],
+  'auth/email-already-in-use': ['email', 'auth.errors.emailInUse'],
+  'auth/weak-password': ['password', 'auth.errors.weakPassword']
+};
+
+function fromFirebaseAuthError(error) {
+  if (FIREBASE_CREDENTIAL_ERRORS.includes(error.code)) {
+    return new AuthenticationError(t('auth.errors.credentials'));
+  }
+  if (FIREBASE_FIELD_ERRORS[error.code]) {
+    const [field, key] = FIREBASE_FIELD_ERRORS[error.code];
+    const message = t(key);
+    return new ValidationError(message, { [field]: message });
+  }
+  return error;
+}
+
+// Firebase Auth (email/password). Uses the auth emulator when running locally,
+// see firebase-config.js. Roles come from the `role` custom claim.
+class FirebaseAuthProvider {
+  constructor(firebaseAuth = auth) {
+    this.auth = firebaseAuth;
+  }
+
+  async toUser(firebaseUser) {
+    if (!firebaseUser) return null;
+
+    const { claims } = await firebaseUser.getIdTokenResult();
+    return {
+      id: firebaseUser.uid,
+      email: firebaseUser.email,
+      name: firebaseUser.displayName || firebaseUser.email,
+      role: claims.role || 'citizen'
+    };
+  }
+
+  async login(email, password) {
+    try {
+      const { user } = await this.auth.signInWithEmailAndPassword(email, password);
+      return this.toUser(user);
+    } catch (error) {
+      throw fromFirebaseAuthError(error);
+    }
+  }
+
+  async register(email, password, name) {
+    try {
+      const { user } = await this.auth.createUserWithEmailAndPassword(email, password);
+      await user.updateProfile({ displayName: name });
+      return this.toUser(user);
+    } catch (error) {
+      throw fromFirebaseAuthError(error);
+    }
+  }
+
+  logout() {
+    return this.auth.signOut();
+  }
+
+  // Firebase restores the session itself; wait for its first auth state
+  restoreSession() {
+    return new Promise((resolve, reject) => {
+      const unsubscribe = this.auth.onAuthStateChanged((firebaseUser) => {
+        unsubscribe();
+        this.toUser(firebaseUser).then(resolve, reject);
+      }, reject);
+    });
+  }
+
+  async refreshToken() {
+    const firebaseUser = this.auth.currentUser;
+    if (!firebaseUser) {
+      throw new AuthenticationError(t('auth.errors.signedOut'));
+    }
+    return firebaseUser.getIdToken(true);
+  }
+
+  getAccessToken() {
+    return this.auth.currentUser?.getIdToken() ?? null;
+  }
+}
+
+// Build the provider named by AUTH_CONFIG.PROVIDER
+function createAuthProvider(provider = AUTH_CONFIG.PROVIDER) {
+  switch (provider) {
+    case 'rest':
+      return new RestAuthProvider();
+    case 'firebase':
+      return new FirebaseAuthProvider();
+    default:
+      throw new Error(`Unknown auth provider: ${provider}`);
+  }
+}
\ No newline at end of file
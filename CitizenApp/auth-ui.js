@@ -0,0 +1,163 @@
+// Login / register dialog wired to AuthService
+const AuthDialog = {
+  mode: 'login',
+
+  get dialog() {
+    return document.getElementById('auth-dialog');
+  },
+
+  open(mode = 'login', message = '') {
+    const form = document.getElementById('auth-form');
+    form.reset();
+    clearErrors();
+    this.setMode(mode);
+
+    const messageElement = document.getElementById('auth-dialog-message');
+    messageElement.textContent = message;
+    messageElement.hidden = !message;
+
+    if (!this.dialog.open) {
+      this.dialog.showModal();
+    }
+    form.querySelector(mode === 'register' ? '#auth-name' : '#auth-email').focus();
+  },
+
+  close() {
+    this.dialog.close();
+  },
+
+  setMode(mode) {
+    this.mode = mode;
+    const isRegister = mode === 'register';
+
+    this.dialog.querySelectorAll('[data-auth-mode="register"]').forEach(group => {
+      group.hidden = !isRegister;
+    });
+    setMessage(document.getElementById('auth-dialog-title'), isRegister ? 'auth.createAccount' : 'auth.login');
+    setMessage(document.getElementById('auth-submit'), isRegister ? 'auth.register' : 'auth.login');
+    setMessage(document.getElementById('auth-switch-text'), isRegister ? 'auth.haveAccount' : 'auth.noAccount');
+    setMessage(document.getElementById('auth-switch'), isRegister ? 'auth.login' : 'auth.register');
+    document.getElementById('auth-password').autocomplete = isRegister ? 'new-password' : 'current-password';
+  },
+
+  values() {
+    return {
+      name: document.getElementById('auth-name').value.trim(),
+      email: document.getElementById('auth-email').value.trim(),
+      password: document.getElementById('auth-password').value,
+      confirmPassword: document.getElementById('auth-confirm-password').value
+    };
+  },
+
+  async submit() {
+    clearErrors();
+
+    const values = this.values();
+    const { isValid, errors } = validateAuthForm(this.mode, values);
+    if (!isValid) {
+      showAuthErrors(errors);
+      return;
+    }
+
+    const submitButton = document.getElementById('auth-submit');
+    submitButton.disabled = true;
+    try {
+      if (this.mode === 'register') {
+        await AuthService.register(values.email, values.password, values.name);
+      } else {
+        await AuthService.login(values.email, values.password);
+      }
+      this.close();
+    } catch (error) {
+      // Field errors from the backend use plain names ("email"), map them to our inputs
+      const fieldErrors = Object.fromEntries(
+        Object.entries(error.errors || {}).map(([field, message]) => [`auth-${field}`, message])
+      );
+      showAuthErrors({ ...fieldErrors, 'auth-form': error.message });
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+};
+
+// Validate the auth form; errors are keyed by input id
+function validateAuthForm(mode, { name, email, password, confirmPassword }) {
+  const errors = {};
+
+  if (mode === 'register' && !name) {
+    errors['auth-name'] = t('auth.errors.nameRequired');
+  }
+
+  if (!email) {
+    errors['auth-email'] = t('auth.errors.emailRequired');
+  } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    errors['auth-email'] = t('auth.errors.emailInvalid');
+  }
+
+  if (!password) {
+    errors['auth-password'] = t('auth.errors.passwordRequired');
+  } else if (mode === 'register' && password.length < AUTH_CONFIG.MIN_PASSWORD_LENGTH) {
+    errors['auth-password'] = t('auth.errors.passwordLength', { count: AUTH_CONFIG.MIN_PASSWORD_LENGTH });
+  }
+
+  if (mode === 'register' && password !== confirmPassword) {
+    errors['auth-confirm-password'] = t('auth.errors.passwordMismatch');
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+function showAuthErrors(errors) {
+  Object.entries(errors).forEach(([field, message]) => {
+    if (field === 'auth-form') {
+      const formError = document.getElementById('auth-form-error');
+      formError.textContent = message;
+      formError.style.display = 'block';
+    } else {
+      showError(field, message);
+      document.getElementById(field)?.setAttribute('aria-invalid', 'true');
+    }
+  });
+}
+
+// Also used by ErrorHandler and the report form to ask the user to sign in.
+// Leaves an already open dialog (and what the user typed) alone.
+function openAuthDialog(mode = 'login', message = '') {
+  if (!AuthDialog.dialog.open) {
+    AuthDialog.open(mode, message);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  // The header buttons are re-rendered by updateAuthUI, so delegate
+  document.getElementById('auth-buttons')?.addEventListener('click', (e) => {
+    if (e.target.closest('#login-btn')) openAuthDialog('login');
+    if (e.target.closest('#register-btn')) openAuthDialog('register');
+    if (e.target.closest('#logout-btn')) {
+      logout().catch(() => {
+        // Already reported by AuthService
+      });
+    }
+  });
+
+  const form = document.getElementById('auth-form');
+  form?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    AuthDialog.submit();
+  });
+
+  form?.addEventListener('input', (e) => {
+    e.target.removeAttribute('aria-invalid');
+  });
+
+  document.getElementById('auth-switch')?.addEventListener('click', () => {
+    AuthDialog.open(AuthDialog.mode === 'login' ? 'register' : 'login');
+  });
+
+  document.querySelector('#auth-dialog .auth-close')?.addEventListener('click', () => {
+    AuthDialog.close();
+  });
+});
\ No newline at end of file
@@ -1,138 +1,273 @@
-// Sample incident data
-const incidents = [
-  {
-    id: 1,
-    type: "accident",
-    title: "Traffic Accident on Main Street",
-    description: "Two-vehicle collision, emergency services on scene",
-    location: "Main Street & 5th Avenue",
-    timestamp: "2024-02-20T10:30:00",
-    status: "active",
-  },
-  {
-    id: 2,
-    type: "fight",
-    title: "Disturbance at Central Park",
-    description: "Group altercation reported near fountain",
-    location: "Central Park",
-    timestamp: "2024-02-20T09:15:00",
-    status: "resolved",
-  },
-];
-
-// Render incidents in the feed
-function renderIncidents(incidents) {
-  const feed = document.getElementById('incident-feed');
-  feed.innerHTML = incidents.map(incident => `
-    <div class="card p-4 hover:shadow-lg transition-shadow animate-fade-in">
-      ${incident.images && incident.images.length > 0 ? `
+// Feed cards keyed by incident id, so live updates can patch the DOM in place
+const renderedCards = new Map();
+
+// Incidents the public feed should show: not merged into another report,
+// not flagged as false by moderators, and not waiting for moderators to merge
+// it into the incident its reporter said it duplicates (see duplicates.js).
+// The reporter's own copy shows while it is in the outbox.
+function isPublicIncident(incident) {
+  return !incident.mergedInto && incident.verification !== 'false_report' &&
+    !(incident.duplicateOf && !incident.verification && !incident.outboxStatus);
+}
+
+// Reports still waiting in the outbox, followed by the incidents.
+// Once the backend has a report it appears under the same id.
+function withQueuedReports(state) {
+  const knownIds = new Set(state.incidents.map(incident => incident.id));
+  return [
+    ...state.outbox.filter(report => !knownIds.has(report.id)),
+    ...state.incidents
+  ];
+}
+
+// Apply the feed filters and sort order (see filters.js) to a list of incidents
+function filterIncidents(incidents) {
+  return applyFilters(incidents.filter(isPublicIncident), AppState.filters, FeedFilters.origin);
+}
+
+// Read a coordinate from one of the hidden location inputs
+function readCoordinate(elementId) {
+  const value = parseFloat(document.getElementById(elementId).value);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Build the card element for a single incident
+function createIncidentCard(incident) {
+  return htmlElement(html`
+    <div class="card p-4 hover:shadow-lg transition-shadow animate-fade-in ${SOS_CONFIG.URGENT_SEVERITIES.includes(incident.severity) ? 'urgent' : ''}" data-incident-id="${incident.id}">
+      ${incident.images && incident.images.length > 0 ? html`
         <div class="image-grid mb-4">
-          ${incident.images.map(img => `
-            <img src="${img}" alt="Incident image" class="incident-image rounded-lg object-cover">
-          `).join('')}
+          ${incident.images.map((img, index) => html`
+            <img src="${safeUrl(incident.thumbnails?.[index] || img)}" alt="${t('card.image')}" class="incident-image rounded-lg object-cover" loading="lazy">
+          `)}
         </div>
       ` : ''}
-      <div class="inline-block px-2 py-1 rounded-full text-xs font-medium mb-2 
-        ${incident.type === 'accident' ? 'bg-incident-accident/10 text-incident-accident' : 'bg-incident-fight/10 text-incident-fight'}">
-        ${incident.type.charAt(0).toUpperCase() + incident.type.slice(1)}
-      </div>
+      ${incident.media && incident.media.length > 0 ? html`
+        <div class="media-list mb-4">
+          ${incident.media.map(media => media.type === 'video' ? html`
+            <div class="media-poster">
+              ${media.poster ? html`<img src="${safeUrl(media.poster)}" alt="${t('card.videoStill')}" class="incident-image rounded-lg object-cover" loading="lazy">` : ''}
+              <span class="media-badge">${t('media.video')}${media.duration ? ` · ${formatDuration(media.duration)}` : ''}</span>
+            </div>
+          ` : html`
+            <span class="media-badge">${t('media.audio')}${media.duration ? ` · ${formatDuration(media.duration)}` : ''}</span>
+          `)}
+        </div>
+      ` : ''}
+      <div class="flex flex-wrap items-center gap-2 mb-2">${typeBadgeHtml(incident.type)}${severityBadgeHtml(incident.severity)}</div>
+      <span class="status ${incident.status} mb-2">${t(`status.${incident.status}`)}</span>
+      ${incident.outboxStatus ? html`
+        <span class="outbox-badge ${incident.outboxStatus} mb-2" title="${incident.outboxError || ''}">
+          ${t(`outbox.${incident.outboxStatus}`)}
+        </span>
+      ` : ''}
+      ${incident.verification === 'verified' ? html`
+        <span class="verified-badge mb-2" title="${t('card.verifiedTitle')}">
+          <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>
+          ${t('card.verified')}
+        </span>
+      ` : ''}
       <h3 class="text-lg font-semibold mb-2">${incident.title}</h3>
       <p class="text-sm text-muted-foreground mb-4">${incident.description}</p>
       <div class="flex items-center text-sm text-muted-foreground">
         <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="mr-1"><path d="M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z"></path><circle cx="12" cy="10" r="3"></circle></svg>
         ${incident.location}
       </div>
+      <div class="text-sm text-muted-foreground card-time">${relativeTimeHtml(incident.timestamp)}</div>
+      ${incident.outboxStatus ? '' : html`
+        <div class="card-footer flex items-center justify-between gap-2 text-sm">
+          <span class="text-muted-foreground">
+            ${incident.confirmations ? t('card.confirmations', { count: incident.confirmations }) : ''}
+          </span>
+          <a href="${incidentRoute(incident.id)}" class="btn btn-ghost">${t('card.viewDetails')}</a>
+        </div>
+      `}
+      ${incident.officialNotes && incident.officialNotes.length > 0 ? html`
+        <div class="official-notes">
+          <h4 class="text-sm font-semibold">${t('card.officialUpdates')}</h4>
+          ${incident.officialNotes.map(note => html`
+            <p class="text-sm"><strong>${note.by.name}:</strong> ${note.text}</p>
+          `)}
+        </div>
+      ` : ''}
+      ${incident.uploads && incident.uploads.length > 0 ? html`
+        <ul class="upload-list">
+          ${incident.uploads.map((upload, index) => html`
+            <li class="upload-item" data-upload-index="${index}">
+              <span class="text-sm upload-name">${upload.name}</span>
+              <progress max="1" value="${uploadFraction(upload)}" aria-label="${t('upload.progress', { name: upload.name })}"></progress>
+              <span class="text-sm upload-state">${describeUpload(upload)}</span>
+              <button type="button" class="btn btn-ghost" data-outbox-action="cancel-upload" aria-label="${t('upload.cancel', { name: upload.name })}"
+                ${upload.canceled || upload.loaded >= upload.total ? 'disabled' : ''}>${t('actions.cancel')}</button>
+            </li>
+          `)}
+        </ul>
+      ` : ''}
+      ${incident.outboxStatus === 'failed' ? html`
+        <div class="outbox-actions flex items-center gap-2">
+          <button type="button" class="btn btn-primary" data-outbox-action="retry">${t('actions.retry')}</button>
+          <button type="button" class="btn btn-ghost" data-outbox-action="discard">${t('actions.discard')}</button>
+        </div>
+      ` : ''}
     </div>
-  `).join('');
+  `);
 }
 
-// Handle form submission
-document.getElementById('report-form')?.addEventListener('submit', async (e) => {
-  e.preventDefault();
-  
-  // Convert uploaded files to base64 strings
-  const imageFiles = document.getElementById('incident-images').files;
-  const imagePromises = Array.from(imageFiles).map(file => {
-    return new Promise((resolve) => {
-      const reader = new FileReader();
-      reader.onloadend = () => resolve(reader.result);
-      reader.readAsDataURL(file);
-    });
+// Patch `container` so it shows one element per incident, in order.
+// `cache` maps incident ids to { incident, element }; only added, changed
+// or removed incidents touch the DOM.
+function patchIncidentList(container, cache, incidents, createElement) {
+  const visibleIds = new Set(incidents.map(incident => incident.id));
+
+  cache.forEach((entry, id) => {
+    if (!visibleIds.has(id)) {
+      entry.element.remove();
+      cache.delete(id);
+    }
   });
-  
-  const images = await Promise.all(imagePromises);
-  
-  const formData = {
-    type: document.getElementById('incident-type').value,
-    title: document.getElementById('incident-title').value,
-    description: document.getElementById('incident-description').value,
-    location: document.getElementById('incident-location').value,
-    timestamp: new Date().toISOString(),
-    status: 'active',
-    id: incidents.length + 1,
-    images: images, // Add images array to the incident data
-  };
-
-  // Add new incident to the array
-  incidents.unshift(formData);
-  
-  // Re-render incidents
-  renderIncidents(incidents);
-  
-  // Reset form
-  e.target.reset();
-  
-  // Show success message (you can enhance this with a proper toast notification)
-  alert('Incident reported successfully!');
-});
 
-// Initialize the app
-document.addEventListener('DOMContentLoaded', () => {
-  renderIncidents(incidents);
-
-  // Add event listeners for filter buttons
-  document.querySelectorAll('.btn-outline').forEach(button => {
-    button.addEventListener('click', () => {
-      // Remove active state from all buttons
-      document.querySelectorAll('.btn-outline').forEach(btn => {
-        btn.classList.remove('bg-primary', 'text-primary-foreground');
-      });
-      
-      // Add active state to clicked button
-      button.classList.add('bg-primary', 'text-primary-foreground');
-
-      // Filter incidents (to be implemented)
-      const filterType = button.textContent?.toLowerCase();
-      const filteredIncidents = filterType === 'all incidents' 
-        ? incidents 
-        : incidents.filter(incident => incident.type === filterType?.slice(0, -1));
-      
-      renderIncidents(filteredIncidents);
-    });
+  let cursor = container.firstElementChild;
+  incidents.forEach(incident => {
+    let entry = cache.get(incident.id);
+
+    // Repositories replace changed incidents, so a new reference means new data
+    if (entry && entry.incident !== incident) {
+      if (entry.element === cursor) cursor = cursor.nextElementSibling;
+      entry.element.remove();
+      entry = null;
+    }
+
+    if (!entry) {
+      entry = { incident, element: createElement(incident) };
+      cache.set(incident.id, entry);
+    }
+
+    if (entry.element === cursor) {
+      cursor = cursor.nextElementSibling;
+    } else {
+      container.insertBefore(entry.element, cursor);
+    }
   });
+}
 
-  // Profile Dropdown Toggle
-  const profileDropdown = document.getElementById('user-profile-dropdown');
-  const profileMenu = document.getElementById('profile-menu');
-  const profileButton = profileDropdown.querySelector('button');
+// Only the cards near the viewport are rendered, see virtual-feed.js
+function renderIncidents(incidents) {
+  VirtualFeed.setItems(incidents);
+}
 
-  profileButton.addEventListener('click', () => {
-    const isExpanded = profileButton.getAttribute('aria-expanded') === 'true';
-    profileButton.setAttribute('aria-expanded', !isExpanded);
-    profileMenu.classList.toggle('hidden');
+// Switch between the feed, map, moderation and statistics tabs. Only the
+// selected tab is in the tab order.
+function showIncidentView(view) {
+  document.querySelectorAll('.view-tab').forEach(tab => {
+    const selected = tab.dataset.view === view;
+    tab.classList.toggle('active', selected);
+    tab.setAttribute('aria-selected', selected);
+    tab.tabIndex = selected ? 0 : -1;
+    document.getElementById(tab.getAttribute('aria-controls')).hidden = !selected;
   });
 
-  // Close dropdown when clicking outside
-  document.addEventListener('click', (e) => {
-    if (!profileDropdown.contains(e.target)) {
-      profileMenu.classList.add('hidden');
-      profileButton.setAttribute('aria-expanded', 'false');
+  if (view === 'feed') {
+    VirtualFeed.schedule(); // the feed does not render while hidden
+  } else if (view === 'map') {
+    IncidentMap.show();
+  } else if (view === 'moderation') {
+    ModerationConsole.render();
+  } else if (view === 'stats') {
+    StatsDashboard.show();
+  }
+}
+
+// Handle form submission
+document.getElementById('report-form')?.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const form = e.target;
+  const { currentUser } = AppState;
+
+  // Checked against INCIDENT_SCHEMA; problems are shown on the form
+  const report = ReportForm.validate();
+  if (!report) return;
+
+  // Pseudonymous and anonymous reports are prepared in anonymous-reports.js
+  const identity = selectedIdentity();
+  if (!currentUser && (identity === 'named' || !AUTH_CONFIG.ALLOW_ANONYMOUS_REPORTS)) {
+    openAuthDialog('login', t('report.loginRequired'));
+    return;
+  }
+
+  const submitButton = form.querySelector('[type="submit"]');
+  submitButton.disabled = true;
+
+  try {
+    const { attachments, capturedAt } = await ReportPhotos.process();
+    const clips = await ReportMedia.attachments();
+
+    const formData = {
+      ...report,
+      latitude: readCoordinate('latitude'),
+      longitude: readCoordinate('longitude'),
+      timestamp: new Date().toISOString(),
+      status: 'active',
+      reporter: currentUser
+        ? { id: currentUser.id, name: currentUser.name }
+        : null,
+      anonymous: false,
+      ...(capturedAt && { capturedAt }),
+    };
+
+    // Recent reports that look like the same incident: ask before adding another
+    const duplicates = findDuplicates(formData, AppState.incidents.filter(isPublicIncident));
+    if (duplicates.length > 0) {
+      const answer = await DuplicatePrompt.ask(duplicates);
+      if (!answer) return;
+      if (answer !== 'new') formData.duplicateOf = answer;
     }
+
+    const incidentData = identity === 'named'
+      ? formData
+      : await AnonymousReports.prepare(formData, identity);
+
+    // Saved to the outbox first, so nothing is lost if we are offline
+    const result = await ReportOutbox.submit(incidentData, [...attachments, ...clips]);
+
+    // Reset form (and the chosen files, see image-pipeline.js and media-attachments.js)
+    form.reset();
+
+    if (formData.duplicateOf && result !== 'failed') {
+      // Moderators merge it in; meanwhile show the incident it belongs to
+      Toast.success(t('report.added'));
+      IncidentDetail.open(formData.duplicateOf);
+    } else if (result === 'sent') {
+      Toast.success(t('report.sent'));
+    } else if (result === 'queued') {
+      Toast.info(t('report.queued'));
+    }
+    // 'failed' reports get an error toast with a Retry button from the outbox
+  } catch {
+    // Already reported by ErrorHandler; keep the form filled in
+  } finally {
+    submitButton.disabled = false;
+  }
+});
+
+// Initialize the app
+document.addEventListener('DOMContentLoaded', () => {
+  // Re-render the feed whenever the incident list changes, and every card
+  // when the language does
+  let renderedLocale = AppState.locale;
+  AppState.subscribe((state) => {
+    if (state.locale !== renderedLocale) {
+      renderedLocale = state.locale;
+      renderedCards.forEach(entry => entry.element.remove());
+      renderedCards.clear();
+    }
+    renderIncidents(filterIncidents(withQueuedReports(state)));
   });
 
-  // Logout button handler
-  document.getElementById('logout-button')?.addEventListener('click', () => {
-    // Add your logout logic here
-    console.log('Logging out...');
+  document.querySelectorAll('.view-tab').forEach(tab => {
+    tab.addEventListener('click', () => showIncidentView(tab.dataset.view));
   });
+
+  // The filter bar is wired up in filters.js; the account menu, the menu
+  // drawer and keyboard use of the tabs in navigation.js
 });
\ No newline at end of file
@@ -0,0 +1,133 @@
+// Spotting several reports of the same incident. A report is a likely
+// duplicate of an incident of the same type reported within
+// DUPLICATE_CONFIG.TIME_WINDOW of it and MAX_DISTANCE_KM of it, scored on how
+// close they are in place and time and how alike their text is. Reporters are
+// asked "Is this the same as...?" before sending (see citizen.js), and
+// moderators get merge suggestions (see moderation.js). Only the incidents
+// loaded in the app are compared, which covers the recent ones.
+
+// Words too common in reports to say anything
+const DUPLICATE_STOP_WORDS = new Set([
+  'the', 'and', 'was', 'were', 'are', 'with', 'near', 'for', 'from', 'this',
+  'that', 'there', 'have', 'has', 'just', 'into', 'onto', 'some', 'two', 'one'
+]);
+
+function textTokens(text) {
+  return new Set(normalizeSearchText(text)
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length >= 3 && !DUPLICATE_STOP_WORDS.has(word)));
+}
+
+// How alike two texts are, from 0 to 1 (Dice coefficient of their words)
+function textSimilarity(a, b) {
+  const first = textTokens(a);
+  const second = textTokens(b);
+  if (first.size === 0 || second.size === 0) return 0;
+
+  const shared = [...first].filter(word => second.has(word)).length;
+  return 2 * shared / (first.size + second.size);
+}
+
+// { incident, score, distanceKm, minutesApart } when `incident` is likely the
+// same as `report`, null otherwise. distanceKm is null when either has no
+// coordinates; the text then has to make up for it.
+function duplicateMatch(report, incident) {
+  if (incident.id === report.id || incident.type !== report.type) return null;
+
+  const apart = Math.abs(Date.parse(report.timestamp) - Date.parse(incident.timestamp));
+  if (!(apart <= DUPLICATE_CONFIG.TIME_WINDOW)) return null;
+
+  let distanceKm = null;
+  let closeness = 0;
+  const located = [report, incident].every(item =>
+    typeof item.latitude === 'number' && typeof item.longitude === 'number'
+  );
+  if (located) {
+    distanceKm = distanceInKm(report.latitude, report.longitude, incident.latitude, incident.longitude);
+    if (distanceKm > DUPLICATE_CONFIG.MAX_DISTANCE_KM) return null;
+    closeness = 1 - distanceKm / DUPLICATE_CONFIG.MAX_DISTANCE_KM;
+  }
+
+  const similarity = textSimilarity(
+    `${report.title} ${report.description}`,
+    `${incident.title} ${incident.description}`
+  );
+  const score = 0.4 * closeness + 0.2 * (1 - apart / DUPLICATE_CONFIG.TIME_WINDOW) + 0.4 * similarity;
+  if (score < DUPLICATE_CONFIG.MIN_SCORE) return null;
+
+  return { incident, score, distanceKm, minutesApart: Math.round(apart / 60000) };
+}
+
+// Likely duplicates of `report` among `incidents`, best match first
+function findDuplicates(report, incidents) {
+  return incidents
+    .map(incident => duplicateMatch(report, incident))
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, DUPLICATE_CONFIG.MAX_SUGGESTIONS);
+}
+
+// "0.3 km away · 12 min apart", for suggestions
+function describeDuplicateMatch(match) {
+  return [
+    ...(match.distanceKm !== null ? [t('duplicates.distance', { km: Math.round(match.distanceKm * 10) / 10 })] : []),
+    t('duplicates.apart', { minutes: match.minutesApart })
+  ].join(' · ');
+}
+
+// "Is this the same as...?" before a report is sent
+const DuplicatePrompt = {
+  resolve: null,
+
+  get dialog() {
+    return document.getElementById('duplicate-dialog');
+  },
+
+  // Resolves with the id of the incident the reporter picked, 'new' if they
+  // say theirs is a different incident, or null if they went back to the form
+  ask(matches) {
+    this.finish(null);
+    document.getElementById('duplicate-list').replaceChildren(...matches.map(createDuplicateOption));
+    this.dialog.showModal();
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  },
+
+  finish(answer) {
+    const resolve = this.resolve;
+    this.resolve = null;
+    if (this.dialog.open) this.dialog.close();
+    resolve?.(answer);
+  }
+};
+
+function createDuplicateOption({ incident, ...match }) {
+  const element = htmlElement(html`
+    <li class="duplicate-option">
+      <div>
+        <p class="font-semibold duplicate-title"></p>
+        <p class="text-sm text-muted-foreground duplicate-meta"></p>
+      </div>
+      <button type="button" class="btn btn-outline" data-duplicate-id="${incident.id}">${t('duplicates.pick')}</button>
+    </li>
+  `);
+  element.querySelector('.duplicate-title').textContent = incident.title;
+  element.querySelector('.duplicate-meta').textContent =
+    `${incident.location} · ${describeDuplicateMatch(match)}`;
+  return element;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const dialog = document.getElementById('duplicate-dialog');
+  if (!dialog) return;
+
+  document.getElementById('duplicate-list').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-duplicate-id]');
+    if (button) DuplicatePrompt.finish(button.dataset.duplicateId);
+  });
+  document.getElementById('duplicate-new').addEventListener('click', () => DuplicatePrompt.finish('new'));
+  document.getElementById('duplicate-cancel').addEventListener('click', () => DuplicatePrompt.finish(null));
+  // Escape
+  dialog.addEventListener('close', () => DuplicatePrompt.finish(null));
+});
\ No newline at end of file
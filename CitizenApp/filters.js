@@ -0,0 +1,248 @@
+// Feed filters: incident types, status, date range, distance from the viewer
+// and text search, plus the sort order. The active filters live in
+// AppState.filters and are mirrored in the query string, so a filtered view
+// can be shared and survives reloads:
+//   ?type=accident,riot&status=active&from=2024-05-01&to=2024-05-31&within=5&q=bridge&sort=nearest
+
+const SORT_OPTIONS = ['newest', 'nearest', 'confirmed'];
+
+const DEFAULT_FILTERS = {
+  types: [], // none selected means every type
+  status: '',
+  from: '', // YYYY-MM-DD, inclusive
+  to: '',
+  withinKm: null,
+  query: '',
+  sort: 'newest'
+};
+
+function isDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+}
+
+function parseFilters(search) {
+  const params = new URLSearchParams(search);
+  const withinKm = Number(params.get('within'));
+
+  return {
+    types: (params.get('type') || '').split(',').filter(type => INCIDENT_TYPES.includes(type)),
+    status: INCIDENT_STATUSES.includes(params.get('status')) ? params.get('status') : '',
+    from: isDateString(params.get('from')) ? params.get('from') : '',
+    to: isDateString(params.get('to')) ? params.get('to') : '',
+    withinKm: withinKm > 0 ? withinKm : null,
+    query: params.get('q') || '',
+    sort: SORT_OPTIONS.includes(params.get('sort')) ? params.get('sort') : DEFAULT_FILTERS.sort
+  };
+}
+
+// Query string for `filters`, leaving out anything at its default
+function serializeFilters(filters) {
+  const params = new URLSearchParams();
+  if (filters.types.length > 0) params.set('type', filters.types.join(','));
+  if (filters.status) params.set('status', filters.status);
+  if (filters.from) params.set('from', filters.from);
+  if (filters.to) params.set('to', filters.to);
+  if (filters.withinKm) params.set('within', filters.withinKm);
+  if (filters.query.trim()) params.set('q', filters.query.trim());
+  if (filters.sort !== DEFAULT_FILTERS.sort) params.set('sort', filters.sort);
+
+  const query = params.toString().replace(/%2C/g, ','); // commas read better in shared links
+  return query ? `?${query}` : '';
+}
+
+// Case- and accent-insensitive text for search
+function normalizeSearchText(text) {
+  return String(text || '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+}
+
+// Filter and sort incidents. `origin` ({ latitude, longitude } or null) is
+// needed for the distance filter and nearest-first sorting.
+function applyFilters(incidents, filters, origin) {
+  const terms = normalizeSearchText(filters.query).split(/\s+/).filter(Boolean);
+  // Date inputs are in the viewer's time zone
+  const from = filters.from ? new Date(`${filters.from}T00:00:00`).getTime() : -Infinity;
+  const to = filters.to ? new Date(`${filters.to}T23:59:59.999`).getTime() : Infinity;
+
+  const distances = new Map();
+  const distanceTo = (incident) => {
+    if (!distances.has(incident)) {
+      const hasPosition = Number.isFinite(incident.latitude) && Number.isFinite(incident.longitude);
+      distances.set(incident, origin && hasPosition
+        ? distanceInKm(origin.latitude, origin.longitude, incident.latitude, incident.longitude)
+        : Infinity);
+    }
+    return distances.get(incident);
+  };
+
+  const matches = incidents.filter(incident => {
+    if (filters.types.length > 0 && !filters.types.includes(incident.type)) return false;
+    if (filters.status && incident.status !== filters.status) return false;
+
+    const reportedAt = Date.parse(incident.timestamp);
+    if (reportedAt < from || reportedAt > to) return false;
+
+    if (filters.withinKm && origin && !(distanceTo(incident) <= filters.withinKm)) return false;
+
+    if (terms.length > 0) {
+      const text = normalizeSearchText(`${incident.title} ${incident.description}`);
+      if (!terms.every(term => text.includes(term))) return false;
+    }
+    return true;
+  });
+
+  const newestFirst = (a, b) => String(b.timestamp).localeCompare(String(a.timestamp));
+  switch (filters.sort) {
+    case 'nearest':
+      return matches.sort((a, b) => distanceTo(a) - distanceTo(b) || newestFirst(a, b));
+    case 'confirmed':
+      return matches.sort((a, b) => (b.confirmations || 0) - (a.confirmations || 0) || newestFirst(a, b));
+    default:
+      return matches.sort(newestFirst);
+  }
+}
+
+// The filter bar above the feed
+const FeedFilters = {
+  origin: null, // viewer position, looked up when a filter needs it
+  locating: false,
+  searchTimer: null,
+
+  needsOrigin(filters) {
+    return Boolean(filters.withinKm) || filters.sort === 'nearest';
+  },
+
+  // Apply filter changes and record them in the URL
+  set(changes) {
+    const filters = { ...AppState.filters, ...changes };
+    const url = `${window.location.pathname}${serializeFilters(filters)}${window.location.hash}`;
+    history.replaceState(history.state, '', url);
+
+    AppState.setState({ filters });
+    this.fillForm(filters);
+    if (this.needsOrigin(filters)) {
+      this.locate();
+    }
+  },
+
+  toggleType(type) {
+    const { types } = AppState.filters;
+    let next = types.includes(type) ? types.filter(t => t !== type) : [...types, type];
+    if (next.length === INCIDENT_TYPES.length) next = []; // every type is the same as "All"
+    this.set({ types: next });
+  },
+
+  async locate() {
+    if (this.origin || this.locating) return;
+
+    this.locating = true;
+    setFilterStatus(t('filters.locating'));
+    try {
+      this.origin = await getCurrentLocation();
+      setFilterStatus('');
+      AppState.notifySubscribers(); // re-filter with the distances known
+    } catch (error) {
+      setFilterStatus(t('filters.locationDenied'));
+    } finally {
+      this.locating = false;
+    }
+  },
+
+  // Show `filters` in the filter bar controls
+  fillForm(filters) {
+    document.querySelectorAll('#feed-filters .filter-type').forEach(button => {
+      const pressed = button.dataset.type === 'all'
+        ? filters.types.length === 0
+        : filters.types.includes(button.dataset.type);
+      button.setAttribute('aria-pressed', pressed);
+    });
+
+    const search = document.getElementById('filter-query');
+    if (search.value !== filters.query) search.value = filters.query;
+    document.getElementById('filter-status').value = filters.status;
+    document.getElementById('filter-from').value = filters.from;
+    document.getElementById('filter-to').value = filters.to;
+    document.getElementById('filter-distance').value = filters.withinKm || '';
+    document.getElementById('filter-sort').value = filters.sort;
+  }
+};
+
+function setFilterStatus(message) {
+  document.getElementById('filter-message').textContent = message;
+}
+
+// Filters from the URL apply from the first render
+AppState.filters = parseFilters(window.location.search);
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('feed-filters');
+  if (!form) return;
+
+  // A tab per incident type, after "All Incidents"
+  form.querySelector('.filter-type[data-type="all"]').parentElement.append(
+    ...INCIDENT_TYPES.map(type => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = `btn btn-outline rounded-full filter-type type-chip incident-type-${type}`;
+      button.dataset.type = type;
+      button.setAttribute('aria-pressed', 'false');
+      button.innerHTML = typeIconHtml(type);
+      button.append(createTranslated('span', `${incidentTypeKey(type)}.plural`));
+      return button;
+    })
+  );
+
+  const distanceSelect = document.getElementById('filter-distance');
+  MAP_CONFIG.RADIUS_OPTIONS_KM.forEach(km => {
+    const option = new Option('', km);
+    setMessage(option, 'filters.withinKm', { km });
+    distanceSelect.add(option);
+  });
+
+  FeedFilters.fillForm(AppState.filters);
+  if (FeedFilters.needsOrigin(AppState.filters)) {
+    FeedFilters.locate();
+  }
+
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  form.addEventListener('click', (e) => {
+    const button = e.target.closest('.filter-type');
+    if (!button) return;
+
+    if (button.dataset.type === 'all') {
+      FeedFilters.set({ types: [] });
+    } else {
+      FeedFilters.toggleType(button.dataset.type);
+    }
+  });
+
+  document.getElementById('filter-query').addEventListener('input', (e) => {
+    clearTimeout(FeedFilters.searchTimer);
+    FeedFilters.searchTimer = setTimeout(() => FeedFilters.set({ query: e.target.value }), 250);
+  });
+
+  document.getElementById('filter-status').addEventListener('change', (e) => {
+    FeedFilters.set({ status: e.target.value });
+  });
+
+  document.getElementById('filter-from').addEventListener('change', (e) => {
+    FeedFilters.set({ from: e.target.value });
+  });
+
+  document.getElementById('filter-to').addEventListener('change', (e) => {
+    FeedFilters.set({ to: e.target.value });
+  });
+
+  distanceSelect.addEventListener('change', (e) => {
+    FeedFilters.set({ withinKm: Number(e.target.value) || null });
+  });
+
+  document.getElementById('filter-sort').addEventListener('change', (e) => {
+    FeedFilters.set({ sort: e.target.value });
+  });
+
+  document.getElementById('filter-clear').addEventListener('click', () => {
+    clearTimeout(FeedFilters.searchTimer);
+    FeedFilters.set({ ...DEFAULT_FILTERS });
+  });
+});
\ No newline at end of file
@@ -9,6 +9,15 @@ const firebaseConfig = {
   appId: "your-app-id"
 };
 
+// Local emulator suite (see "emulators" in firebase.json)
+const EMULATOR_CONFIG = {
+  ENABLED: ['localhost', '127.0.0.1'].includes(window.location.hostname),
+  HOST: window.location.hostname,
+  AUTH_PORT: 9099,
+  FIRESTORE_PORT: 8080,
+  STORAGE_PORT: 9199
+};
+
 // Initialize Firebase
 firebase.initializeApp(firebaseConfig);
 
@@ -16,4 +25,14 @@ firebase.initializeApp(firebaseConfig);
 const db = firebase.firestore();
 
 // Initialize Storage
-const storage = firebase.storage(); 
\ No newline at end of file
+const storage = firebase.storage();
+
+// Initialize Auth (used when AUTH_CONFIG.PROVIDER is 'firebase')
+const auth = firebase.auth();
+
+// Route traffic to the emulators when running locally
+if (EMULATOR_CONFIG.ENABLED) {
+  auth.useEmulator(`http://${EMULATOR_CONFIG.HOST}:${EMULATOR_CONFIG.AUTH_PORT}`);
+  db.useEmulator(EMULATOR_CONFIG.HOST, EMULATOR_CONFIG.FIRESTORE_PORT);
+  storage.useEmulator(EMULATOR_CONFIG.HOST, EMULATOR_CONFIG.STORAGE_PORT);
+}
\ No newline at end of file
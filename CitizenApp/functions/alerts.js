@@ -0,0 +1,100 @@
+// Which push subscriptions should hear about a new incident, and what they get.
+// Kept free of Firebase so the push stand-in and tests can use it directly.
+//
+// Subscription documents (written by notifications.js):
+//   { subscription: { endpoint, keys: { p256dh, auth } },
+//     latitude, longitude, radiusKm, types: [...], userId, updatedAt }
+
+// The browsers' push services; alerts go nowhere else. Keep in step with
+// isPushEndpoint in firestore.rules.
+const PUSH_HOSTS = ['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com'];
+const PUSH_HOST_SUFFIXES = ['.notify.windows.com'];
+const LOCAL_HOSTS = ['127.0.0.1', 'localhost'];
+
+// With `allowLocal` (under the emulators) plain http to this machine is
+// taken too, for the push stand-in (push-standin.js)
+function isPushEndpoint(endpoint, { allowLocal = false } = {}) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+  if (allowLocal && url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname)) return true;
+  return url.protocol === 'https:' && url.port === ''
+    && (PUSH_HOSTS.includes(url.hostname) || PUSH_HOST_SUFFIXES.some(suffix => url.hostname.endsWith(suffix)));
+}
+
+function distanceInKm(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function matchesSubscription(incident, subscriber) {
+  if (!subscriber.types?.includes(incident.type)) return false;
+  // Don't alert people about their own reports
+  if (subscriber.userId && incident.reporter?.id === subscriber.userId) return false;
+  if (typeof incident.latitude !== 'number' || typeof incident.longitude !== 'number') return false;
+
+  return distanceInKm(
+    subscriber.latitude, subscriber.longitude,
+    incident.latitude, incident.longitude
+  ) <= subscriber.radiusKm;
+}
+
+// The push message, read by the `push` handler in sw.js. Its title is named
+// by a message key of the app's locales/ and put into words there, in the
+// subscriber's `locale`; the body is what the reporter wrote.
+function buildPayload(incident, locale = null) {
+  return {
+    incidentId: incident.id,
+    locale,
+    message: 'notifications.nearby',
+    params: { type: incident.type },
+    body: `${incident.title} - ${incident.location}`
+  };
+}
+
+// Send `incident` to every matching subscriber. `send(subscription, payload)`
+// does the actual delivery and rejects with `statusCode` on failure.
+// Resolves with the ids of subscriptions the push service says are gone,
+// and of any whose endpoint is not a push service's (see isPushEndpoint,
+// which gets `options`).
+async function sendIncidentAlerts(incident, subscribers, send, options = {}) {
+  const expired = [];
+
+  await Promise.all(subscribers
+    .filter(({ data }) => matchesSubscription(incident, data))
+    .map(async ({ id, data }) => {
+      if (!isPushEndpoint(data.subscription?.endpoint, options)) {
+        console.error(`Subscription ${id} is not at a push service; removing it`);
+        expired.push(id);
+        return;
+      }
+      try {
+        await send(data.subscription, JSON.stringify(buildPayload(incident, data.locale ?? null)));
+      } catch (error) {
+        if (error.statusCode === 404 || error.statusCode === 410) {
+          expired.push(id);
+        } else {
+          console.error(`Push to subscription ${id} failed:`, error);
+        }
+      }
+    }));
+
+  return expired;
+}
+
+module.exports = {
+  distanceInKm,
+  matchesSubscription,
+  buildPayload,
+  isPushEndpoint,
+  sendIncidentAlerts
+};
\ No newline at end of file
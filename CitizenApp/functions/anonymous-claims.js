@@ -0,0 +1,56 @@
+// Anonymous reports, on the backend's side (see anonymous-reports.js in the
+// app). Before an anonymous report or its files can be stored, the app asks
+// claimAnonymousReport (index.js) to claim the report's id. The claim is only
+// made when the proof of work for the id holds and the sender is within
+// MAX_REPORTS per RATE_WINDOW, so the limit the app keeps per device holds
+// for anyone calling the backend directly too. Senders are known by a hash
+// of their address, never the address itself.
+//
+// Keep in step with ANONYMOUS_CONFIG in App.js and hasProofOfWork in
+// firestore.rules. Kept free of Firebase like alerts.js, so tests can use it
+// directly.
+const crypto = require('crypto');
+
+const PROOF_DIFFICULTY = 5;
+const MAX_REPORTS = 3;
+const RATE_WINDOW = 60 * 60 * 1000; // ms
+
+// Report ids as generateReportId in outbox.js makes them
+const REPORT_ID = /^[A-Za-z0-9-]{1,64}$/;
+
+// Whether SHA-256("<id>:<nonce>") starts with `difficulty` zeros in hex
+function hasProofOfWork(id, nonce, difficulty = PROOF_DIFFICULTY) {
+  const hash = crypto.createHash('sha256').update(`${id}:${nonce}`).digest('hex');
+  return hash.startsWith('0'.repeat(difficulty));
+}
+
+// What is wrong with a claim request's body, or null if nothing is
+function claimRequestError(body) {
+  if (!body || typeof body.id !== 'string' || !REPORT_ID.test(body.id)) return 'Invalid report id';
+  if (typeof body.nonce !== 'string' || body.nonce.length > 32) return 'Invalid proof of work';
+  if (!hasProofOfWork(body.id, body.nonce)) return 'Invalid proof of work';
+  return null;
+}
+
+function senderId(address) {
+  return crypto.createHash('sha256').update(`anonymous-sender:${address}`).digest('hex');
+}
+
+// Given the times (ms) the sender's earlier reports were claimed, the ones
+// still inside the window and, when the sender is at the limit, how many ms
+// until they may send again (0 when they may now)
+function rateLimit(sent, now = Date.now()) {
+  const recent = sent.filter(at => now - at < RATE_WINDOW);
+  const retryAfter = recent.length < MAX_REPORTS ? 0 : recent[0] + RATE_WINDOW - now;
+  return { recent, retryAfter };
+}
+
+module.exports = {
+  PROOF_DIFFICULTY,
+  MAX_REPORTS,
+  RATE_WINDOW,
+  hasProofOfWork,
+  claimRequestError,
+  senderId,
+  rateLimit
+};
\ No newline at end of file
@@ -0,0 +1,252 @@
+// Push-sending service: alerts subscribers when an incident near them is reported.
+//
+// VAPID keys come from params: VAPID_PUBLIC_KEY (also set in ALERT_CONFIG in
+// App.js) and the VAPID_PRIVATE_KEY secret. Generate a pair with
+// `npx web-push generate-vapid-keys`; for the emulators put them in
+// functions/.env.local and functions/.secret.local.
+//
+// Responder webhooks (see webhooks.js) go to the comma-separated URLs in
+// RESPONDER_WEBHOOKS, signed with the WEBHOOK_SECRET secret. Locally, point
+// them at the mock receiver: `npm run webhook:receiver` prints what to set.
+//
+// Anonymous reports are only taken while ALLOW_ANONYMOUS_REPORTS is true;
+// keep it in step with AUTH_CONFIG in App.js and firestore.rules.
+const { onDocumentCreated } = require('firebase-functions/v2/firestore');
+const { onRequest } = require('firebase-functions/v2/https');
+const { onInit } = require('firebase-functions/v2/core');
+const { defineBoolean, defineString, defineSecret, select } = require('firebase-functions/params');
+const admin = require('firebase-admin');
+const webpush = require('web-push');
+const { sendIncidentAlerts } = require('./alerts');
+const { toGeoJSON, toAtom } = require('./open-data');
+const { SEVERITIES, DEFAULT_MIN_SEVERITY, minimumSeverity, dispatchIncident } = require('./webhooks');
+const { claimRequestError, senderId, rateLimit } = require('./anonymous-claims');
+
+admin.initializeApp();
+
+const VAPID_PUBLIC_KEY = defineString('VAPID_PUBLIC_KEY');
+const VAPID_PRIVATE_KEY = defineSecret('VAPID_PRIVATE_KEY');
+const VAPID_SUBJECT = defineString('VAPID_SUBJECT', { default: 'mailto:alerts@citizenwatch.com' });
+// Responder systems to call out, and from which severity up. Keep the
+// severity in step with SOS_CONFIG.URGENT_SEVERITIES in App.js.
+const RESPONDER_WEBHOOKS = defineString('RESPONDER_WEBHOOKS', { default: '' });
+const WEBHOOK_MIN_SEVERITY = defineString('WEBHOOK_MIN_SEVERITY', {
+  default: DEFAULT_MIN_SEVERITY,
+  input: select(SEVERITIES)
+});
+const WEBHOOK_SECRET = defineSecret('WEBHOOK_SECRET');
+const ALLOW_ANONYMOUS_REPORTS = defineBoolean('ALLOW_ANONYMOUS_REPORTS', { default: false });
+// Where the app is hosted, for links in the open-data feeds and call-outs
+const APP_URL = defineString('APP_URL', { default: 'https://your-app.web.app' });
+
+const SUBSCRIPTIONS_COLLECTION = 'pushSubscriptions';
+const PUSH_TTL = 60 * 60; // seconds; an alert older than an hour is not worth delivering
+
+// Claims on report ids (see uploadClaims in firestore.rules), and the recent
+// report times of anonymous senders
+const UPLOAD_CLAIMS_COLLECTION = 'uploadClaims';
+const ANONYMOUS_SENDERS_COLLECTION = 'anonymousSenders';
+
+// More anonymous reports than this from one grid cell within the window get
+// flagged for moderators (see anonymous-reports.js in the app)
+const ANONYMOUS_BURST_LIMIT = 5;
+const ANONYMOUS_BURST_WINDOW = 60 * 60 * 1000; // ms
+
+// Call-outs are retried for a minute or so, then left failed in the log
+const WEBHOOK_DELIVERIES_COLLECTION = 'webhookDeliveries';
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_BASE_DELAY = 2000; // ms before the first retry, doubled after each
+const WEBHOOK_TIMEOUT = 10000; // ms to wait for a receiver to answer
+
+// Open-data feeds: the newest verified incidents, cached by the CDN for a while
+const OPEN_DATA_LIMIT = 500;
+const OPEN_DATA_MAX_AGE = 5 * 60; // seconds
+
+// web-push only speaks https, so build the request with it and send it with
+// fetch. That also lets the local push stand-in (plain http) receive it.
+async function sendPush(subscription, payload) {
+  const request = webpush.generateRequestDetails(subscription, payload, {
+    TTL: PUSH_TTL,
+    vapidDetails: {
+      subject: VAPID_SUBJECT.value(),
+      publicKey: VAPID_PUBLIC_KEY.value(),
+      privateKey: VAPID_PRIVATE_KEY.value()
+    }
+  });
+
+  const response = await fetch(request.endpoint, {
+    method: request.method,
+    headers: request.headers,
+    body: request.body
+  });
+  if (!response.ok) {
+    const error = new Error(`Push service responded ${response.status}`);
+    error.statusCode = response.status;
+    throw error;
+  }
+}
+
+exports.sendIncidentAlerts = onDocumentCreated({
+  document: 'incidents/{incidentId}',
+  secrets: [VAPID_PRIVATE_KEY]
+}, async (event) => {
+  const incident = { id: event.params.incidentId, ...event.data.data() };
+
+  // Radius matching happens in alerts.js; Firestore can only narrow by type
+  const snapshot = await admin.firestore()
+    .collection(SUBSCRIPTIONS_COLLECTION)
+    .where('types', 'array-contains', incident.type)
+    .get();
+
+  const subscribers = snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+  // The emulators let the push stand-in's local endpoint through
+  const expired = await sendIncidentAlerts(incident, subscribers, sendPush, {
+    allowLocal: process.env.FUNCTIONS_EMULATOR === 'true'
+  });
+
+  await Promise.all(expired.map(id =>
+    admin.firestore().collection(SUBSCRIPTIONS_COLLECTION).doc(id).delete()
+  ));
+});
+
+// Checked once the params can be read; see minimumSeverity
+let webhookMinSeverity = DEFAULT_MIN_SEVERITY;
+onInit(() => {
+  webhookMinSeverity = minimumSeverity(WEBHOOK_MIN_SEVERITY.value());
+});
+
+// The responder call-out log (see dispatchIncident in webhooks.js)
+const webhookDeliveries = {
+  doc: id => admin.firestore().collection(WEBHOOK_DELIVERIES_COLLECTION).doc(id),
+
+  async get(id) {
+    const doc = await this.doc(id).get();
+    return doc.exists ? doc.data() : null;
+  },
+
+  set(id, log) {
+    return this.doc(id).set({ ...log, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+};
+
+// Serious reports call out responders. Only on creation: firestore.rules
+// keeps reporters from changing the severity afterwards.
+exports.dispatchResponders = onDocumentCreated({
+  document: 'incidents/{incidentId}',
+  secrets: [WEBHOOK_SECRET],
+  timeoutSeconds: 180
+}, async (event) => {
+  await dispatchIncident({ id: event.params.incidentId, ...event.data.data() }, {
+    urls: RESPONDER_WEBHOOKS.value().split(',').map(url => url.trim()).filter(Boolean),
+    minimum: webhookMinSeverity,
+    appUrl: APP_URL.value(),
+    store: webhookDeliveries,
+    secret: WEBHOOK_SECRET.value(),
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    baseDelay: WEBHOOK_BASE_DELAY,
+    timeout: WEBHOOK_TIMEOUT
+  });
+});
+
+// Claim an anonymous report's id for its sender, so the report and its files
+// can be stored (see anonymous-claims.js). Served by hosting at
+// /api/anonymous-claims: POST { id, nonce } answers 204 once claimed, and
+// again for the same report, so the app can retry; 400 for a bad id or
+// proof, 403 while anonymous reports are off, 409 for an id already taken
+// and 429 with Retry-After (seconds) when the sender is at their limit.
+exports.claimAnonymousReport = onRequest(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).end();
+    return;
+  }
+  if (!ALLOW_ANONYMOUS_REPORTS.value()) {
+    res.status(403).json({ message: 'Anonymous reports are not accepted' });
+    return;
+  }
+  const problem = claimRequestError(req.body);
+  if (problem) {
+    res.status(400).json({ message: problem });
+    return;
+  }
+
+  const { id, nonce } = req.body;
+  const firestore = admin.firestore();
+  const claimRef = firestore.collection(UPLOAD_CLAIMS_COLLECTION).doc(id);
+  const incidentRef = firestore.collection('incidents').doc(id);
+  const senderRef = firestore.collection(ANONYMOUS_SENDERS_COLLECTION).doc(senderId(req.ip));
+
+  const retryAfter = await firestore.runTransaction(async (transaction) => {
+    const [claim, incident, sender] = await Promise.all([
+      transaction.get(claimRef),
+      transaction.get(incidentRef),
+      transaction.get(senderRef)
+    ]);
+    if (claim.exists) return claim.data().proof?.nonce === nonce ? 0 : null;
+    if (incident.exists) return null;
+
+    const now = Date.now();
+    const limit = rateLimit(sender.exists ? sender.data().sent : [], now);
+    if (limit.retryAfter > 0) return limit.retryAfter;
+
+    transaction.set(claimRef, { proof: { nonce }, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    transaction.set(senderRef, { sent: [...limit.recent, now] });
+    return 0;
+  });
+
+  if (retryAfter === null) {
+    res.status(409).json({ message: 'Report id already taken' });
+  } else if (retryAfter > 0) {
+    res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+    res.status(429).json({ message: 'Too many anonymous reports, try again later' });
+  } else {
+    res.status(204).end();
+  }
+});
+
+// Anonymous reports have their location snapped to a grid, so reports from
+// the same cell share coordinates exactly
+exports.flagAnonymousBursts = onDocumentCreated('incidents/{incidentId}', async (event) => {
+  const incident = event.data.data();
+  if (!incident.anonymous || typeof incident.latitude !== 'number') return;
+
+  const since = new Date(Date.now() - ANONYMOUS_BURST_WINDOW).toISOString();
+  const snapshot = await admin.firestore()
+    .collection('incidents')
+    .where('anonymous', '==', true)
+    .where('latitude', '==', incident.latitude)
+    .where('longitude', '==', incident.longitude)
+    .where('timestamp', '>=', since)
+    .get();
+  if (snapshot.size <= ANONYMOUS_BURST_LIMIT) return;
+
+  await Promise.all(snapshot.docs.map(doc =>
+    doc.ref.update({ flags: admin.firestore.FieldValue.arrayUnion('burst') })
+  ));
+});
+
+// Open-data feeds of verified incidents (see open-data.js), served by hosting
+// at /open-data/incidents.geojson and /open-data/incidents.atom
+async function verifiedIncidents() {
+  const snapshot = await admin.firestore()
+    .collection('incidents')
+    .where('verification', '==', 'verified')
+    .orderBy('timestamp', 'desc')
+    .limit(OPEN_DATA_LIMIT)
+    .get();
+  return snapshot.docs
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .filter(incident => !incident.mergedInto);
+}
+
+exports.openDataGeoJson = onRequest(async (req, res) => {
+  const incidents = await verifiedIncidents();
+  res.set('Cache-Control', `public, max-age=${OPEN_DATA_MAX_AGE}`);
+  res.set('Access-Control-Allow-Origin', '*');
+  res.type('application/geo+json').send(JSON.stringify(toGeoJSON(incidents, APP_URL.value())));
+});
+
+exports.openDataAtom = onRequest(async (req, res) => {
+  const incidents = await verifiedIncidents();
+  res.set('Cache-Control', `public, max-age=${OPEN_DATA_MAX_AGE}`);
+  res.type('application/atom+xml').send(toAtom(incidents, APP_URL.value(), `${APP_URL.value()}/open-data/incidents.atom`));
+});
\ No newline at end of file
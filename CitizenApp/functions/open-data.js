@@ -0,0 +1,84 @@
+// Public open-data feeds of verified incidents, as GeoJSON and Atom, for
+// partners such as local news and emergency services. Kept free of Firebase
+// like alerts.js. Incidents are redacted the same way as the app's downloads
+// (open-data.js in the app): coordinates snapped to GRID_DEGREES, about 1 km,
+// and nothing about who reported them.
+
+const GRID_DEGREES = 0.01; // keep in step with OPEN_DATA_CONFIG in App.js
+
+function coarsen(value) {
+  return Number((Math.round(value / GRID_DEGREES) * GRID_DEGREES).toFixed(6));
+}
+
+function incidentUrl(appUrl, id) {
+  return `${appUrl}/citizen.html#/incidents/${encodeURIComponent(id)}`;
+}
+
+// The fields an incident is published with
+function publicIncident(incident, appUrl) {
+  const located = typeof incident.latitude === 'number' && typeof incident.longitude === 'number';
+  return {
+    id: incident.id,
+    type: incident.type,
+    title: incident.title,
+    description: incident.description,
+    location: incident.location,
+    latitude: located ? coarsen(incident.latitude) : null,
+    longitude: located ? coarsen(incident.longitude) : null,
+    timestamp: incident.timestamp,
+    status: incident.status,
+    verified: incident.verification === 'verified',
+    confirmations: incident.confirmations || 0,
+    details: incident.details || {},
+    url: incidentUrl(appUrl, incident.id)
+  };
+}
+
+function toGeoJSON(incidents, appUrl) {
+  return {
+    type: 'FeatureCollection',
+    features: incidents.map(incident => {
+      const { latitude, longitude, ...properties } = publicIncident(incident, appUrl);
+      return {
+        type: 'Feature',
+        id: properties.id,
+        geometry: latitude === null ? null : { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+      };
+    })
+  };
+}
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+function escapeXml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+// Atom feed of `incidents`, newest first
+function toAtom(incidents, appUrl, feedUrl) {
+  const entries = incidents.map(incident => publicIncident(incident, appUrl));
+  const updated = entries[0]?.timestamp ?? new Date(0).toISOString();
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:georss="http://www.georss.org/georss">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>CitizenWatch verified incidents</title>
+  <author><name>CitizenWatch</name></author>
+  <updated>${escapeXml(updated)}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(`${appUrl}/citizen.html`)}"/>
+${entries.map(entry => `  <entry>
+    <id>${escapeXml(entry.url)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <updated>${escapeXml(entry.timestamp)}</updated>
+    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>
+    <category term="${escapeXml(entry.type)}"/>
+    <summary>${escapeXml(`${entry.description} (${entry.location}, ${entry.status})`)}</summary>${entry.latitude === null ? '' : `
+    <georss:point>${entry.latitude} ${entry.longitude}</georss:point>`}
+  </entry>
+`).join('')}</feed>
+`;
+}
+
+module.exports = { publicIncident, toGeoJSON, toAtom };
\ No newline at end of file
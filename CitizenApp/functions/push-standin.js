@@ -0,0 +1,93 @@
+// Local push stand-in: plays the part of a browser's push service so alerts
+// can be tested against the emulator suite without a real browser.
+//
+//   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run push:standin -- \
+//     --lat 6.5244 --lng 3.3792 --radius 5 --types accident,riot
+//
+// It subscribes to alerts with an endpoint pointing back at itself, then
+// decrypts and prints every push it receives. Ctrl+C removes the subscription.
+const http = require('http');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+const ece = require('http_ece');
+const admin = require('firebase-admin');
+
+const { values: options } = parseArgs({
+  options: {
+    lat: { type: 'string', default: '6.5244' },
+    lng: { type: 'string', default: '3.3792' },
+    radius: { type: 'string', default: '5' },
+    types: { type: 'string', default: 'accident,fight,riot' },
+    port: { type: 'string', default: '9300' },
+    project: { type: 'string', default: process.env.GCLOUD_PROJECT || 'your-project-id' }
+  }
+});
+
+if (!process.env.FIRESTORE_EMULATOR_HOST) {
+  console.error('Set FIRESTORE_EMULATOR_HOST; the stand-in only talks to the Firestore emulator.');
+  process.exit(1);
+}
+
+admin.initializeApp({ projectId: options.project });
+
+// The "browser" side of the subscription
+const receiverKeys = crypto.createECDH('prime256v1');
+receiverKeys.generateKeys();
+const authSecret = crypto.randomBytes(16);
+
+const endpoint = `http://127.0.0.1:${options.port}/push/${crypto.randomUUID()}`;
+const subscription = {
+  endpoint,
+  keys: {
+    p256dh: receiverKeys.getPublicKey().toString('base64url'),
+    auth: authSecret.toString('base64url')
+  }
+};
+// A random id, as notifications.js uses. The local endpoint is only sent to
+// while FUNCTIONS_EMULATOR is set, as the functions emulator does.
+const subscriptionId = crypto.randomUUID();
+const subscriptionRef = admin.firestore().collection('pushSubscriptions').doc(subscriptionId);
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    if (req.method !== 'POST' || !endpoint.endsWith(req.url)) {
+      res.writeHead(404).end();
+      return;
+    }
+
+    try {
+      const payload = ece.decrypt(Buffer.concat(chunks), {
+        version: 'aes128gcm',
+        privateKey: receiverKeys,
+        authSecret
+      });
+      console.log(new Date().toISOString(), 'push received:', JSON.parse(payload.toString('utf8')));
+      res.writeHead(201).end();
+    } catch (error) {
+      console.error('Could not decrypt push:', error.message);
+      res.writeHead(400).end();
+    }
+  });
+});
+
+server.listen(Number(options.port), async () => {
+  await subscriptionRef.set({
+    subscription,
+    latitude: Number(options.lat),
+    longitude: Number(options.lng),
+    radiusKm: Number(options.radius),
+    types: options.types.split(',').map(type => type.trim()),
+    userId: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+  console.log(`Push stand-in listening on ${endpoint}`);
+  console.log(`Subscribed to ${options.types} within ${options.radius} km of ${options.lat}, ${options.lng}`);
+});
+
+process.on('SIGINT', async () => {
+  await subscriptionRef.delete();
+  server.close();
+  process.exit(0);
+});
\ No newline at end of file
@@ -0,0 +1,97 @@
+// alerts.js: who hears about a new incident, and where alerts may be sent
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { buildPayload, isPushEndpoint, sendIncidentAlerts } = require('../alerts');
+
+const incident = {
+  id: 'incident-1',
+  type: 'fight',
+  title: 'Fight at the market',
+  location: 'Central market',
+  latitude: 6.45,
+  longitude: 3.39
+};
+
+function subscriber(id, endpoint) {
+  return {
+    id,
+    data: {
+      subscription: { endpoint, keys: { p256dh: 'key', auth: 'secret' } },
+      latitude: 6.45,
+      longitude: 3.39,
+      radiusKm: 5,
+      types: ['fight'],
+      userId: null
+    }
+  };
+}
+
+describe('push endpoints', () => {
+  it('are the browsers\' push services, over https', () => {
+    assert.equal(isPushEndpoint('https://fcm.googleapis.com/fcm/send/abc'), true);
+    assert.equal(isPushEndpoint('https://updates.push.services.mozilla.com/wpush/v2/abc'), true);
+    assert.equal(isPushEndpoint('https://wns2-par02p.notify.windows.com/w/?token=abc'), true);
+    assert.equal(isPushEndpoint('https://web.push.apple.com/abc'), true);
+
+    assert.equal(isPushEndpoint('http://fcm.googleapis.com/fcm/send/abc'), false);
+    assert.equal(isPushEndpoint('https://fcm.googleapis.com:8443/fcm/send/abc'), false);
+    assert.equal(isPushEndpoint('https://fcm.googleapis.com.evil.example/abc'), false);
+    assert.equal(isPushEndpoint('https://notify.windows.com.evil.example/abc'), false);
+    assert.equal(isPushEndpoint('https://metadata.google.internal/computeMetadata/v1/'), false);
+    assert.equal(isPushEndpoint('not a url'), false);
+    assert.equal(isPushEndpoint(undefined), false);
+  });
+
+  it('include this machine over http under the emulators only', () => {
+    assert.equal(isPushEndpoint('http://127.0.0.1:9300/push/abc'), false);
+    assert.equal(isPushEndpoint('http://127.0.0.1:9300/push/abc', { allowLocal: true }), true);
+    assert.equal(isPushEndpoint('http://10.0.0.5/push/abc', { allowLocal: true }), false);
+  });
+});
+
+describe('the push message', () => {
+  it('names its title for the app to word in the subscriber\'s language', () => {
+    assert.deepEqual(buildPayload(incident, 'fr'), {
+      incidentId: 'incident-1',
+      locale: 'fr',
+      message: 'notifications.nearby',
+      params: { type: 'fight' },
+      body: 'Fight at the market - Central market'
+    });
+  });
+});
+
+describe('sending alerts', () => {
+  it('sends each subscriber the message for their language', async () => {
+    const yoruba = subscriber('sub-1', 'https://fcm.googleapis.com/fcm/send/abc');
+    yoruba.data.locale = 'yo';
+    const sent = new Map();
+    await sendIncidentAlerts(incident, [yoruba, subscriber('sub-2', 'https://fcm.googleapis.com/fcm/send/def')], async (subscription, payload) => {
+      sent.set(subscription.endpoint, JSON.parse(payload).locale);
+    });
+
+    assert.equal(sent.get('https://fcm.googleapis.com/fcm/send/abc'), 'yo');
+    // Subscribed before subscriptions kept a language
+    assert.equal(sent.get('https://fcm.googleapis.com/fcm/send/def'), null);
+  });
+
+  it('skips and drops subscriptions that are not at a push service', async () => {
+    const sent = [];
+    const expired = await sendIncidentAlerts(incident, [
+      subscriber('sub-1', 'https://fcm.googleapis.com/fcm/send/abc'),
+      subscriber('sub-2', 'http://169.254.169.254/latest/meta-data/')
+    ], async (subscription) => {
+      sent.push(subscription.endpoint);
+    });
+
+    assert.deepEqual(sent, ['https://fcm.googleapis.com/fcm/send/abc']);
+    assert.deepEqual(expired, ['sub-2']);
+  });
+
+  it('drops subscriptions the push service says are gone', async () => {
+    const expired = await sendIncidentAlerts(incident, [subscriber('sub-1', 'https://fcm.googleapis.com/fcm/send/abc')], async () => {
+      throw Object.assign(new Error('Gone'), { statusCode: 410 });
+    });
+    assert.deepEqual(expired, ['sub-1']);
+  });
+});
\ No newline at end of file
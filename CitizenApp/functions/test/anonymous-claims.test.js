@@ -0,0 +1,67 @@
+// anonymous-claims.js: what claimAnonymousReport checks before claiming
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { describe, it } = require('node:test');
+const {
+  PROOF_DIFFICULTY,
+  MAX_REPORTS,
+  RATE_WINDOW,
+  hasProofOfWork,
+  claimRequestError,
+  senderId,
+  rateLimit
+} = require('../anonymous-claims');
+
+function proofOfWork(id, difficulty = PROOF_DIFFICULTY) {
+  for (let nonce = 0; ; nonce++) {
+    if (hasProofOfWork(id, String(nonce), difficulty)) return String(nonce);
+  }
+}
+
+describe('claim requests', () => {
+  it('take a report id with a proof of work for it', () => {
+    const id = crypto.randomUUID();
+    assert.equal(claimRequestError({ id, nonce: proofOfWork(id) }), null);
+  });
+
+  it('are refused with a bad id or proof', () => {
+    const nonce = proofOfWork('report-1');
+    assert.equal(claimRequestError(null), 'Invalid report id');
+    assert.equal(claimRequestError({ id: '../incidents/x', nonce }), 'Invalid report id');
+    assert.equal(claimRequestError({ id: 'report-1', nonce: 7 }), 'Invalid proof of work');
+    assert.equal(claimRequestError({ id: 'report-2', nonce }), 'Invalid proof of work');
+
+    // Enough zeros for an easier proof, but not this one
+    let easier = 0;
+    while (!hasProofOfWork('report-1', String(easier), PROOF_DIFFICULTY - 1) || hasProofOfWork('report-1', String(easier))) {
+      easier++;
+    }
+    assert.equal(claimRequestError({ id: 'report-1', nonce: String(easier) }), 'Invalid proof of work');
+  });
+});
+
+describe('sender rate limit', () => {
+  const now = Date.UTC(2026, 9, 19, 12);
+  const minutesAgo = minutes => now - minutes * 60 * 1000;
+
+  it(`lets a sender claim ${MAX_REPORTS} reports per window`, () => {
+    const sent = Array.from({ length: MAX_REPORTS - 1 }, (_, i) => minutesAgo(30 - i));
+    assert.deepEqual(rateLimit(sent, now), { recent: sent, retryAfter: 0 });
+  });
+
+  it('holds them back until their oldest report in the window leaves it', () => {
+    const sent = Array.from({ length: MAX_REPORTS }, (_, i) => minutesAgo(50 - i));
+    assert.equal(rateLimit(sent, now).retryAfter, RATE_WINDOW - 50 * 60 * 1000);
+  });
+
+  it('forgets reports older than the window', () => {
+    const sent = [minutesAgo(90), minutesAgo(70), minutesAgo(10)];
+    assert.deepEqual(rateLimit(sent, now), { recent: [minutesAgo(10)], retryAfter: 0 });
+  });
+
+  it('knows senders by a hash of their address', () => {
+    assert.match(senderId('203.0.113.7'), /^[0-9a-f]{64}$/);
+    assert.equal(senderId('203.0.113.7'), senderId('203.0.113.7'));
+    assert.notEqual(senderId('203.0.113.7'), senderId('203.0.113.8'));
+  });
+});
\ No newline at end of file
@@ -0,0 +1,53 @@
+// open-data.js: the public feeds publish verified incidents without
+// reporters or exact locations
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { toGeoJSON, toAtom } = require('../open-data');
+
+const APP_URL = 'https://citizenwatch.test';
+const FEED_URL = `${APP_URL}/open-data/incidents.atom`;
+
+const incident = {
+  id: 'incident-1',
+  type: 'fire',
+  title: 'Smoke & flames at the <depot>',
+  description: 'Behind the bus station',
+  location: 'Ojota',
+  latitude: 6.45432,
+  longitude: 3.38721,
+  timestamp: '2026-10-19T10:30:00.000Z',
+  status: 'active',
+  verification: 'verified',
+  confirmations: 4,
+  details: {},
+  reporter: { id: 'ada', name: 'Ada' },
+  anonymous: false
+};
+
+describe('GeoJSON feed', () => {
+  it('snaps coordinates to about 1 km and leaves out the reporter', () => {
+    const [feature] = toGeoJSON([incident], APP_URL).features;
+    assert.deepEqual(feature.geometry, { type: 'Point', coordinates: [3.39, 6.45] });
+    assert.equal(feature.properties.url, `${APP_URL}/citizen.html#/incidents/incident-1`);
+    assert.equal(JSON.stringify(feature).includes('Ada'), false);
+  });
+});
+
+describe('Atom feed', () => {
+  it('has the elements Atom requires of a feed', () => {
+    const atom = toAtom([incident], APP_URL, FEED_URL);
+    assert.match(atom, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom"/);
+    assert.match(atom, new RegExp(`<id>${FEED_URL}</id>`));
+    assert.match(atom, /<title>CitizenWatch verified incidents<\/title>/);
+    assert.match(atom, /<updated>2026-10-19T10:30:00\.000Z<\/updated>/);
+    // Feed-level, so every entry has an author without naming the reporter
+    assert.match(atom, /<\/title>\s*<author><name>CitizenWatch<\/name><\/author>/);
+    assert.equal(atom.includes('Ada'), false);
+  });
+
+  it('escapes what reporters wrote', () => {
+    const atom = toAtom([incident], APP_URL, FEED_URL);
+    assert.match(atom, /<title>Smoke &amp; flames at the &lt;depot&gt;<\/title>/);
+    assert.match(atom, /<georss:point>6\.45 3\.39<\/georss:point>/);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,231 @@
+// webhooks.js: signing, severity filtering, retries and the delivery log,
+// against a local receiver like webhook-receiver.js
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { after, before, beforeEach, describe, it } = require('node:test');
+const {
+  isAtLeast,
+  minimumSeverity,
+  deliveryId,
+  signPayload,
+  verifySignature,
+  deliverWebhook,
+  dispatchIncident
+} = require('../webhooks');
+
+const SECRET = 'test-webhook-secret';
+
+const incident = {
+  id: 'incident-1',
+  type: 'riot',
+  severity: 'critical',
+  title: 'Crowd breaking windows',
+  description: 'Shops on the high street',
+  location: 'High Street',
+  latitude: 6.45,
+  longitude: 3.39,
+  timestamp: '2026-10-19T10:30:00.000Z',
+  status: 'active',
+  details: { crowdSize: 'large' },
+  reporter: { id: 'ada', name: 'Ada' },
+  anonymous: false
+};
+
+// Answers each request with the next of `statuses` (204 once they run out)
+// and keeps what it was sent
+let receiver;
+let requests;
+let statuses;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(statuses.shift() ?? 204).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => receiver.close());
+
+beforeEach(() => {
+  requests = [];
+  statuses = [];
+});
+
+function receiverUrl() {
+  return `http://127.0.0.1:${receiver.address().port}/dispatch`;
+}
+
+// Records the backoff instead of waiting it out
+function delivery(delays = []) {
+  return { secret: SECRET, maxAttempts: 3, baseDelay: 1000, timeout: 5000, sleep: async ms => delays.push(ms) };
+}
+
+// The delivery log in memory, as webhookDeliveries in index.js keeps it in Firestore
+function memoryStore(entries = {}) {
+  const logs = new Map(Object.entries(entries));
+  return {
+    logs,
+    get: async id => logs.get(id) ?? null,
+    set: async (id, log) => {
+      logs.set(id, log);
+    }
+  };
+}
+
+describe('signatures', () => {
+  const body = JSON.stringify({ event: 'incident.escalated' });
+  const now = Date.UTC(2026, 9, 19, 12);
+  const timestamp = now / 1000;
+
+  it('are checked with the shared secret', () => {
+    const header = signPayload(body, SECRET, timestamp);
+    assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+    assert.equal(verifySignature(body, header, SECRET, now), true);
+  });
+
+  it('do not hold for another body or secret, or a mangled header', () => {
+    const header = signPayload(body, SECRET, timestamp);
+    assert.equal(verifySignature(`${body} `, header, SECRET, now), false);
+    assert.equal(verifySignature(body, header, 'other-secret', now), false);
+    assert.equal(verifySignature(body, header.replace('v1=', 'v1=0'), SECRET, now), false);
+    assert.equal(verifySignature(body, undefined, SECRET, now), false);
+  });
+
+  it('expire after five minutes, against replays', () => {
+    const header = signPayload(body, SECRET, timestamp);
+    assert.equal(verifySignature(body, header, SECRET, now + 4 * 60 * 1000), true);
+    assert.equal(verifySignature(body, header, SECRET, now + 6 * 60 * 1000), false);
+  });
+});
+
+describe('severity filtering', () => {
+  it('calls out from the minimum up', () => {
+    assert.equal(isAtLeast('critical', 'high'), true);
+    assert.equal(isAtLeast('high', 'high'), true);
+    assert.equal(isAtLeast('medium', 'high'), false);
+  });
+
+  it('never matches an unknown severity or minimum', () => {
+    assert.equal(isAtLeast('urgent', 'low'), false);
+    assert.equal(isAtLeast(undefined, 'low'), false);
+    assert.equal(isAtLeast('critical', 'hgih'), false);
+  });
+
+  it('falls back to "high" for a WEBHOOK_MIN_SEVERITY that is not a severity', () => {
+    const logged = [];
+    assert.equal(minimumSeverity('medium', message => logged.push(message)), 'medium');
+    assert.deepEqual(logged, []);
+    assert.equal(minimumSeverity('hgih', message => logged.push(message)), 'high');
+    assert.equal(minimumSeverity('', message => logged.push(message)), 'high');
+    assert.equal(logged.length, 2);
+    assert.match(logged[0], /WEBHOOK_MIN_SEVERITY "hgih"/);
+  });
+});
+
+describe('delivery', () => {
+  it('sends a signed call-out under one delivery id', async () => {
+    const body = JSON.stringify({ event: 'incident.escalated' });
+    const result = await deliverWebhook(receiverUrl(), body, { id: 'delivery-1', ...delivery() });
+
+    assert.equal(result.delivered, true);
+    assert.deepEqual(result.attempts.map(attempt => attempt.status), [204]);
+    const [{ headers, body: received }] = requests;
+    assert.equal(received, body);
+    assert.equal(headers['x-citizenwatch-event'], 'incident.escalated');
+    assert.equal(headers['x-citizenwatch-delivery'], 'delivery-1');
+    assert.equal(verifySignature(received, headers['x-citizenwatch-signature'], SECRET), true);
+  });
+
+  it('retries server errors and rate limits, doubling the wait each time', async () => {
+    statuses = [503, 429];
+    const delays = [];
+    const result = await deliverWebhook(receiverUrl(), '{}', { id: 'delivery-1', ...delivery(delays) });
+
+    assert.equal(result.delivered, true);
+    assert.deepEqual(result.attempts.map(attempt => attempt.status), [503, 429, 204]);
+    assert.deepEqual(delays, [1000, 2000]);
+    assert.deepEqual(new Set(requests.map(request => request.headers['x-citizenwatch-delivery'])), new Set(['delivery-1']));
+  });
+
+  it('gives up after the last attempt, or at once when the payload is refused', async () => {
+    statuses = [500, 502, 503, 504];
+    const failed = await deliverWebhook(receiverUrl(), '{}', { id: 'delivery-1', ...delivery() });
+    assert.equal(failed.delivered, false);
+    assert.equal(failed.attempts.length, 3);
+
+    statuses = [400];
+    const refused = await deliverWebhook(receiverUrl(), '{}', { id: 'delivery-2', ...delivery() });
+    assert.equal(refused.delivered, false);
+    assert.deepEqual(refused.attempts.map(attempt => attempt.status), [400]);
+  });
+
+  it('logs attempts that got no response', async () => {
+    const result = await deliverWebhook('http://127.0.0.1:1/dispatch', '{}', {
+      id: 'delivery-1',
+      ...delivery(),
+      maxAttempts: 2
+    });
+    assert.equal(result.delivered, false);
+    assert.deepEqual(result.attempts.map(attempt => attempt.status), [null, null]);
+    assert.ok(result.attempts.every(attempt => attempt.error));
+  });
+});
+
+describe('dispatch', () => {
+  const options = (store, overrides = {}) => ({
+    urls: [receiverUrl()],
+    minimum: 'high',
+    appUrl: 'https://citizenwatch.test',
+    store,
+    ...delivery(),
+    ...overrides
+  });
+
+  it('calls out serious incidents without naming the reporter, and logs it', async () => {
+    const store = memoryStore();
+    const [log] = await dispatchIncident(incident, options(store));
+
+    const payload = JSON.parse(requests[0].body);
+    assert.equal(payload.incident.id, 'incident-1');
+    assert.equal(payload.incident.url, 'https://citizenwatch.test/citizen.html#/incidents/incident-1');
+    assert.equal(JSON.stringify(payload).includes('Ada'), false);
+
+    const id = deliveryId('incident-1', receiverUrl());
+    assert.deepEqual(store.logs.get(id), log);
+    assert.equal(log.incidentId, 'incident-1');
+    assert.equal(log.severity, 'critical');
+    assert.equal(log.delivered, true);
+  });
+
+  it('leaves incidents below the minimum alone', async () => {
+    const store = memoryStore();
+    assert.deepEqual(await dispatchIncident({ ...incident, severity: 'medium' }, options(store)), []);
+    assert.deepEqual(await dispatchIncident({ ...incident, severity: 'bogus' }, options(store)), []);
+    assert.equal(requests.length, 0);
+    assert.equal(store.logs.size, 0);
+  });
+
+  it('does not call out twice when the trigger fires again', async () => {
+    const store = memoryStore();
+    await dispatchIncident(incident, options(store));
+    await dispatchIncident(incident, options(store));
+    assert.equal(requests.length, 1);
+  });
+
+  it('tries a failed call-out again, keeping the earlier attempts', async () => {
+    const id = deliveryId('incident-1', receiverUrl());
+    const earlier = { at: '2026-10-19T10:31:00.000Z', status: 503, error: null };
+    const store = memoryStore({ [id]: { incidentId: 'incident-1', delivered: false, attempts: [earlier] } });
+
+    await dispatchIncident(incident, options(store));
+    const log = store.logs.get(id);
+    assert.equal(log.delivered, true);
+    assert.deepEqual(log.attempts[0], earlier);
+    assert.equal(log.attempts.length, 2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,71 @@
+// Mock responder system: receives the webhooks dispatchResponders sends, so
+// call-outs can be tested against the emulator suite.
+//
+//   npm run webhook:receiver -- --secret dev-webhook-secret --fail 2
+//
+// then set RESPONDER_WEBHOOKS=http://127.0.0.1:9400/dispatch in
+// functions/.env.local and WEBHOOK_SECRET=dev-webhook-secret in
+// functions/.secret.local, and report something serious. Each call-out is
+// checked and printed. --fail answers the first N requests of each delivery
+// with 503, to watch the retries; --reject answers everything with 400.
+const http = require('http');
+const { parseArgs } = require('util');
+const { verifySignature } = require('./webhooks');
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: 'string', default: '9400' },
+    secret: { type: 'string', default: process.env.WEBHOOK_SECRET || 'dev-webhook-secret' },
+    fail: { type: 'string', default: '0' },
+    reject: { type: 'boolean', default: false }
+  }
+});
+
+const attemptsByDelivery = new Map(); // delivery id -> requests seen
+const handled = new Set(); // delivery ids taken, so retries are not handled twice
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    if (req.method !== 'POST') {
+      res.writeHead(405).end();
+      return;
+    }
+
+    const body = Buffer.concat(chunks).toString('utf8');
+    const id = req.headers['x-citizenwatch-delivery'];
+    const attempt = (attemptsByDelivery.get(id) || 0) + 1;
+    attemptsByDelivery.set(id, attempt);
+    const stamp = `${new Date().toISOString()} ${id} attempt ${attempt}:`;
+
+    if (!verifySignature(body, req.headers['x-citizenwatch-signature'], options.secret)) {
+      console.error(stamp, 'bad signature, rejected');
+      res.writeHead(401).end();
+      return;
+    }
+    if (options.reject) {
+      console.log(stamp, 'rejected (--reject)');
+      res.writeHead(400).end();
+      return;
+    }
+    if (attempt <= Number(options.fail)) {
+      console.log(stamp, 'failed on purpose (--fail)');
+      res.writeHead(503).end();
+      return;
+    }
+
+    if (handled.has(id)) {
+      console.log(stamp, 'already handled');
+    } else {
+      handled.add(id);
+      console.log(stamp, req.headers['x-citizenwatch-event'], JSON.parse(body).incident);
+    }
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(Number(options.port), () => {
+  console.log(`Mock responder listening on http://127.0.0.1:${options.port}/dispatch`);
+  console.log(`Set RESPONDER_WEBHOOKS=http://127.0.0.1:${options.port}/dispatch and WEBHOOK_SECRET=${options.secret}`);
+});
\ No newline at end of file
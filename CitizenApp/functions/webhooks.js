@@ -0,0 +1,173 @@
+// Responder dispatch: serious reports are POSTed as JSON to the responder
+// systems listed in RESPONDER_WEBHOOKS (see index.js). Kept free of Firebase
+// like alerts.js, so the mock receiver (webhook-receiver.js) and tests can use
+// it directly; the delivery log is kept in a store index.js passes in.
+//
+// Every request carries
+//   X-CitizenWatch-Event: incident.escalated
+//   X-CitizenWatch-Delivery: <id>, the same on every retry of one call-out
+//   X-CitizenWatch-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// Receivers check the signature with the shared WEBHOOK_SECRET (see
+// verifySignature), and use the delivery id to ignore retries they have
+// already handled.
+const crypto = require('crypto');
+
+// Least serious first; keep in step with the severity field in incident-schema.js
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Call out from this severity up unless WEBHOOK_MIN_SEVERITY says otherwise
+const DEFAULT_MIN_SEVERITY = 'high';
+
+const SIGNATURE_TOLERANCE = 5 * 60; // seconds a signature stays valid, against replays
+
+// Responses worth trying again; anything else below 500 means the receiver
+// will never take this payload
+const RETRYABLE_STATUSES = [408, 429];
+
+// Unknown severities are never at least anything, nor is anything at least
+// an unknown minimum
+function isAtLeast(severity, minimum) {
+  return SEVERITIES.includes(severity) && SEVERITIES.includes(minimum)
+    && SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(minimum);
+}
+
+// The WEBHOOK_MIN_SEVERITY setting, checked when the functions load. A typo
+// would otherwise silence every call-out, so it falls back to the default.
+function minimumSeverity(value, log = console.error) {
+  if (SEVERITIES.includes(value)) return value;
+  log(`WEBHOOK_MIN_SEVERITY "${value}" is not one of ${SEVERITIES.join(', ')}; calling out from "${DEFAULT_MIN_SEVERITY}" up`);
+  return DEFAULT_MIN_SEVERITY;
+}
+
+// The call-out: what and where, but nothing about who reported it.
+// Anonymous reports only have a location rounded to about 1 km.
+function buildWebhookPayload(incident, appUrl) {
+  const located = typeof incident.latitude === 'number' && typeof incident.longitude === 'number';
+  return {
+    event: 'incident.escalated',
+    incident: {
+      id: incident.id,
+      type: incident.type,
+      severity: incident.severity,
+      sos: incident.sos === true,
+      title: incident.title,
+      description: incident.description,
+      location: incident.location,
+      latitude: located ? incident.latitude : null,
+      longitude: located ? incident.longitude : null,
+      approximateLocation: incident.anonymous === true,
+      timestamp: incident.timestamp,
+      status: incident.status,
+      details: incident.details || {},
+      url: `${appUrl}/citizen.html#/incidents/${encodeURIComponent(incident.id)}`
+    }
+  };
+}
+
+// Call-outs are logged under this id, so a retried trigger can tell it has
+// already sent one
+function deliveryId(incidentId, url) {
+  return `${incidentId}-${crypto.createHash('sha256').update(url).digest('hex').slice(0, 16)}`;
+}
+
+function signPayload(body, secret, timestamp) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Whether `header` is a signature of `body` with `secret`, made within
+// SIGNATURE_TOLERANCE of `now` (ms)
+function verifySignature(body, header, secret, now = Date.now()) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE) return false;
+
+  const expected = signPayload(body, secret, timestamp).split('v1=')[1];
+  return crypto.timingSafeEqual(Buffer.from(parts.v1, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// POST `body` to `url` until it is taken or `maxAttempts` run out, waiting
+// `baseDelay` ms before the first retry and twice as long before each one
+// after. Each attempt is signed afresh. Resolves with the delivery log:
+//   { url, delivered, attempts: [{ at, status, error }] }
+// where `status` is the HTTP status, or null when there was no response.
+async function deliverWebhook(url, body, { id, secret, maxAttempts, baseDelay, timeout, sleep = wait }) {
+  const attempts = [];
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    if (attempt > 0) await sleep(baseDelay * 2 ** (attempt - 1));
+
+    const at = new Date();
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'CitizenWatch-Webhooks',
+          'X-CitizenWatch-Event': 'incident.escalated',
+          'X-CitizenWatch-Delivery': id,
+          'X-CitizenWatch-Signature': signPayload(body, secret, Math.floor(at.getTime() / 1000))
+        },
+        body,
+        signal: AbortSignal.timeout(timeout)
+      });
+      attempts.push({ at: at.toISOString(), status: response.status, error: null });
+
+      if (response.ok) return { url, delivered: true, attempts };
+      if (response.status < 500 && !RETRYABLE_STATUSES.includes(response.status)) break;
+    } catch (error) {
+      attempts.push({ at: at.toISOString(), status: null, error: error.message });
+    }
+  }
+
+  return { url, delivered: false, attempts };
+}
+
+// Call out responders at each of `urls` about `incident`, if it is at least
+// `minimum` severe. Each receiver gets one delivery per incident, logged in
+// `store` under its delivery id:
+//   store.get(id) -> Promise<log | null>, store.set(id, log) -> Promise
+// where the log is deliverWebhook's plus the incident's id and severity, with
+// the attempts of every run. A delivered one is not sent again if the trigger
+// fires twice. The rest of the options are deliverWebhook's. Resolves with
+// the logs.
+async function dispatchIncident(incident, { urls, minimum, appUrl, store, ...delivery }) {
+  if (urls.length === 0 || !isAtLeast(incident.severity, minimum)) return [];
+
+  const body = JSON.stringify(buildWebhookPayload(incident, appUrl));
+  return Promise.all(urls.map(async (url) => {
+    const id = deliveryId(incident.id, url);
+    const previous = await store.get(id);
+    if (previous?.delivered) return previous;
+
+    const result = await deliverWebhook(url, body, { id, ...delivery });
+    if (!result.delivered) {
+      console.error(`Webhook ${id} to ${url} failed after ${result.attempts.length} attempts`);
+    }
+
+    const log = {
+      incidentId: incident.id,
+      severity: incident.severity,
+      ...result,
+      attempts: [...(previous?.attempts || []), ...result.attempts]
+    };
+    await store.set(id, log);
+    return log;
+  }));
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_MIN_SEVERITY,
+  isAtLeast,
+  minimumSeverity,
+  buildWebhookPayload,
+  deliveryId,
+  signPayload,
+  verifySignature,
+  deliverWebhook,
+  dispatchIncident
+};
\ No newline at end of file
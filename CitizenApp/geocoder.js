@@ -0,0 +1,104 @@
+// Geocoders turn coordinates into readable addresses and back.
+//
+// Every geocoder implements:
+//   reverse(latitude, longitude, { zoom }) -> Promise<string>, a display address;
+//     `zoom` (Nominatim's 3-18) asks for a coarser one, e.g. 14 for the suburb
+//   search(query)                -> Promise<{ latitude, longitude, address } | null>
+
+// Fallback label when no address is known for a point
+function formatCoordinates(latitude, longitude) {
+  return `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`;
+}
+
+// OpenStreetMap Nominatim (public or self-hosted)
+class NominatimGeocoder {
+  constructor(baseUrl = GEOCODER_CONFIG.NOMINATIM_URL) {
+    this.baseUrl = baseUrl;
+  }
+
+  async request(path, params) {
+    const query = new URLSearchParams({ format: 'jsonv2', ...params });
+    const response = await fetch(`${this.baseUrl}${path}?${query}`, {
+      headers: { 'Accept-Language': navigator.language }
+    });
+
+    if (!response.ok) {
+      const error = new Error(`Geocoding request failed (${response.status})`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+
+  async reverse(latitude, longitude, { zoom } = {}) {
+    const result = await this.request('/reverse', { lat: latitude, lon: longitude, ...(zoom && { zoom }) });
+    return result.display_name || formatCoordinates(latitude, longitude);
+  }
+
+  async search(query) {
+    const [match] = await this.request('/search', { q: query, limit: 1 });
+    if (!match) return null;
+
+    return {
+      latitude: parseFloat(match.lat),
+      longitude: parseFloat(match.lon),
+      address: match.display_name
+    };
+  }
+}
+
+// Known places used by the mock geocoder
+const MOCK_PLACES = [
+  { address: 'Tafawa Balewa Square, Lagos Island', latitude: 6.4488, longitude: 3.3967 },
+  { address: 'Third Mainland Bridge, Lagos', latitude: 6.5000, longitude: 3.4017 },
+  { address: 'Allen Avenue, Ikeja', latitude: 6.6018, longitude: 3.3515 },
+  { address: 'Lekki Toll Gate, Lekki', latitude: 6.4335, longitude: 3.4637 },
+  { address: 'University of Lagos, Akoka', latitude: 6.5158, longitude: 3.3898 }
+];
+
+// Offline geocoder over a fixed list of places, for tests and demos.
+// Reverse lookups resolve to the nearest place within `maxDistanceKm`.
+class MockGeocoder {
+  constructor(places = MOCK_PLACES, maxDistanceKm = 1) {
+    this.places = places;
+    this.maxDistanceKm = maxDistanceKm;
+  }
+
+  async reverse(latitude, longitude) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    this.places.forEach(place => {
+      const distance = distanceInKm(latitude, longitude, place.latitude, place.longitude);
+      if (distance < nearestDistance) {
+        nearest = place;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearestDistance <= this.maxDistanceKm
+      ? nearest.address
+      : formatCoordinates(latitude, longitude);
+  }
+
+  async search(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return null;
+
+    const match = this.places.find(place => place.address.toLowerCase().includes(needle));
+    return match ? { ...match } : null;
+  }
+}
+
+// Build the geocoder named by GEOCODER_CONFIG.PROVIDER
+function createGeocoder(provider = GEOCODER_CONFIG.PROVIDER) {
+  switch (provider) {
+    case 'nominatim':
+      return new NominatimGeocoder();
+    case 'mock':
+      return new MockGeocoder();
+    default:
+      throw new Error(`Unknown geocoder: ${provider}`);
+  }
+}
\ No newline at end of file
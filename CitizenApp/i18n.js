@@ -0,0 +1,198 @@
+// Translations. Everything the interface says comes from a message catalogue
+// in locales/ (one file per language, see locales/en.js) through t():
+//
+//   t('feed.empty')                          -> 'No incidents to show.'
+//   t('auth.welcome', { name: 'Ada' })       -> 'Welcome, Ada'
+//   t('card.confirmations', { count: 3 })    -> '3 people see this too'
+//
+// Messages name their parameters as {name}. A message that takes a `count`
+// may be an object keyed by plural category ({ one, other, ... }, see
+// Intl.PluralRules), since languages group numbers differently.
+//
+// Markup in citizen.html names its message in data-i18n (the element's text)
+// or data-i18n-<attribute> (placeholder, aria-label, title), with any
+// parameters as JSON in data-i18n-params; translateDocument() fills these in
+// whenever the language changes. Messages a catalogue lacks fall back to
+// English; when running locally (EMULATOR_CONFIG.ENABLED) they are also
+// reported on the console, once each.
+
+const MESSAGES = {}; // locale -> { key: message }
+
+const TRANSLATED_ATTRIBUTES = ['placeholder', 'aria-label', 'title'];
+
+const RELATIVE_TIME_UNITS = [
+  ['year', 365 * 24 * 60 * 60],
+  ['month', 30 * 24 * 60 * 60],
+  ['week', 7 * 24 * 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60],
+  ['second', 1]
+];
+
+function registerMessages(locale, messages) {
+  MESSAGES[locale] = { ...MESSAGES[locale], ...messages };
+}
+
+const I18n = {
+  locale: I18N_CONFIG.DEFAULT_LOCALE,
+  pluralRules: new Intl.PluralRules(I18N_CONFIG.DEFAULT_LOCALE),
+  reported: new Set(), // missing messages already reported, as 'locale:key'
+
+  // The saved choice, else the first of the browser's languages we have
+  detectLocale() {
+    let saved = null;
+    try {
+      saved = localStorage.getItem(I18N_CONFIG.STORAGE_KEY);
+    } catch (error) {
+      // Storage blocked; go by the browser
+    }
+    return this.supportedLocale(saved) ||
+      (navigator.languages || [navigator.language]).map(tag => this.supportedLocale(tag)).find(Boolean) ||
+      I18N_CONFIG.DEFAULT_LOCALE;
+  },
+
+  // `tag` ('fr', 'fr-CA', ...) as one of I18N_CONFIG.LOCALES, or null
+  supportedLocale(tag) {
+    if (!tag) return null;
+    if (Object.hasOwn(I18N_CONFIG.LOCALES, tag)) return tag;
+    const language = tag.split('-')[0].toLowerCase();
+    return Object.hasOwn(I18N_CONFIG.LOCALES, language) ? language : null;
+  },
+
+  setLocale(locale, { save = true } = {}) {
+    this.locale = this.supportedLocale(locale) || I18N_CONFIG.DEFAULT_LOCALE;
+    this.pluralRules = new Intl.PluralRules(this.locale);
+    if (save) {
+      try {
+        localStorage.setItem(I18N_CONFIG.STORAGE_KEY, this.locale);
+      } catch (error) {
+        // Not remembered, but still switched
+      }
+    }
+
+    const root = document.documentElement;
+    root.lang = this.locale;
+    root.dir = isRtlLocale(this.locale) ? 'rtl' : 'ltr';
+    translateDocument();
+    refreshRelativeTimes();
+
+    // Views built from script re-render in the new language
+    AppState.setState({ locale: this.locale });
+  },
+
+  message(key) {
+    const message = MESSAGES[this.locale]?.[key];
+    if (message !== undefined) return message;
+
+    this.reportMissing(key);
+    return MESSAGES[I18N_CONFIG.DEFAULT_LOCALE]?.[key];
+  },
+
+  reportMissing(key) {
+    const id = `${this.locale}:${key}`;
+    if (!EMULATOR_CONFIG.ENABLED || this.reported.has(id)) return;
+    this.reported.add(id);
+    console.warn(`Missing translation for "${key}" in ${this.locale}`);
+  }
+};
+
+function isRtlLocale(locale) {
+  return I18N_CONFIG.RTL_LOCALES.includes(locale.split('-')[0]);
+}
+
+// The message `key` in the current language, with `params` filled in.
+// A message no catalogue has comes back as its key.
+function t(key, params = {}) {
+  let message = I18n.message(key);
+  if (message === undefined) return key;
+
+  if (typeof message === 'object') {
+    const count = Number(params.count) || 0;
+    message = message[count === 0 && message.zero !== undefined ? 'zero' : I18n.pluralRules.select(count)] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!Object.hasOwn(params, name)) return placeholder;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+function formatNumber(value) {
+  return new Intl.NumberFormat(I18n.locale).format(value);
+}
+
+function formatDateTime(value) {
+  return new Intl.DateTimeFormat(I18n.locale, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(value));
+}
+
+function formatDate(value) {
+  return new Intl.DateTimeFormat(I18n.locale, { dateStyle: 'medium' }).format(new Date(value));
+}
+
+// '5 minutes ago', 'yesterday', 'in 2 hours', ... in the current language
+function formatRelativeTime(value, now = Date.now()) {
+  const seconds = (new Date(value).getTime() - now) / 1000;
+  const [unit, size] = RELATIVE_TIME_UNITS.find(([, size]) => Math.abs(seconds) >= size) ||
+    RELATIVE_TIME_UNITS[RELATIVE_TIME_UNITS.length - 1];
+  return new Intl.RelativeTimeFormat(I18n.locale, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+}
+
+// A <time> that keeps saying how long ago `value` was (see refreshRelativeTimes)
+function relativeTimeHtml(value) {
+  return html`<time class="relative-time" datetime="${value}" title="${formatDateTime(value)}" data-relative>${formatRelativeTime(value)}</time>`;
+}
+
+function refreshRelativeTimes(root = document) {
+  const now = Date.now();
+  root.querySelectorAll('time[data-relative]').forEach(time => {
+    time.textContent = formatRelativeTime(time.dateTime, now);
+    time.title = formatDateTime(time.dateTime);
+  });
+}
+
+// Mark `element` as showing the message `key`, and show it
+function setMessage(element, key, params) {
+  element.dataset.i18n = key;
+  if (params) {
+    element.dataset.i18nParams = JSON.stringify(params);
+  } else {
+    delete element.dataset.i18nParams;
+  }
+  translateElement(element);
+}
+
+function translateElement(element) {
+  const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : undefined;
+  if (element.dataset.i18n) {
+    element.textContent = t(element.dataset.i18n, params);
+  }
+  TRANSLATED_ATTRIBUTES.forEach(attribute => {
+    const key = element.getAttribute(`data-i18n-${attribute}`);
+    if (key) element.setAttribute(attribute, t(key, params));
+  });
+}
+
+function translateDocument(root = document) {
+  const selector = ['[data-i18n]', ...TRANSLATED_ATTRIBUTES.map(attribute => `[data-i18n-${attribute}]`)].join(', ');
+  root.querySelectorAll(selector).forEach(translateElement);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const select = document.getElementById('locale-select');
+  if (select) {
+    Object.entries(I18N_CONFIG.LOCALES).forEach(([locale, name]) => {
+      const option = new Option(name, locale);
+      option.lang = locale;
+      select.add(option);
+    });
+    select.addEventListener('change', () => I18n.setLocale(select.value));
+  }
+
+  // Before the other scripts render, so they start out in the right language
+  I18n.setLocale(I18n.detectLocale(), { save: false });
+  if (select) select.value = I18n.locale;
+
+  setInterval(() => refreshRelativeTimes(), I18N_CONFIG.RELATIVE_TIME_REFRESH);
+});
\ No newline at end of file
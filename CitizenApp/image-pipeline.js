@@ -0,0 +1,459 @@
+// Photos are processed in the browser before they are queued for upload:
+// scaled down and recompressed to IMAGE_CONFIG limits, stripped of EXIF
+// metadata (re-encoding through a canvas keeps none of it, GPS included),
+// with any areas the reporter marked pixelated, and a thumbnail for the feed.
+// The EXIF capture time can be kept as the incident's `capturedAt`.
+
+// EXIF DateTimeOriginal (or DateTime) of a JPEG as a local
+// "YYYY-MM-DDTHH:MM:SS" string, or null
+async function readCaptureTime(file) {
+  if (file.type !== 'image/jpeg') return null;
+
+  // EXIF sits at the start of the file
+  const view = new DataView(await file.slice(0, 128 * 1024).arrayBuffer());
+  try {
+    return findExifDateTime(view);
+  } catch {
+    return null; // truncated or malformed EXIF
+  }
+}
+
+function findExifDateTime(view) {
+  if (view.getUint16(0) !== 0xFFD8) return null;
+
+  // Walk the JPEG segments up to the APP1 "Exif" one
+  let offset = 2;
+  while (offset + 10 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) return null; // image data from here on
+    if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+      return readTiffDateTime(view, offset + 10);
+    }
+    offset += 2 + view.getUint16(offset + 2);
+  }
+  return null;
+}
+
+function readTiffDateTime(view, tiff) {
+  const littleEndian = view.getUint16(tiff) === 0x4949;
+  const uint16 = (at) => view.getUint16(at, littleEndian);
+  const uint32 = (at) => view.getUint32(at, littleEndian);
+  const findEntry = (ifd, tag) => {
+    for (let i = 0, count = uint16(ifd); i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (uint16(entry) === tag) return entry;
+    }
+    return null;
+  };
+
+  const ifd0 = tiff + uint32(tiff + 4);
+  const exifPointer = findEntry(ifd0, 0x8769);
+  const entry = (exifPointer && findEntry(tiff + uint32(exifPointer + 8), 0x9003)) || findEntry(ifd0, 0x0132);
+  if (!entry) return null;
+
+  const start = tiff + uint32(entry + 8);
+  let text = '';
+  for (let i = 0; i < 19; i++) {
+    text += String.fromCharCode(view.getUint8(start + i));
+  }
+  const match = text.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}:\d{2}:\d{2})$/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}` : null;
+}
+
+// Decode an image file, turned the way the camera held it
+async function decodeImage(file) {
+  if (window.createImageBitmap) {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Older browsers cannot decode Blobs this way; try an <img>
+    }
+  }
+
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Draw `source` (an image, canvas or video frame) scaled down to fit `maxDimension`, with `redactions`
+// ({ x, y, width, height } as fractions of the image) pixelated
+function renderImage(source, maxDimension, redactions = []) {
+  const width = source.naturalWidth || source.videoWidth || source.width;
+  const height = source.naturalHeight || source.videoHeight || source.height;
+  const scale = Math.min(1, maxDimension / Math.max(width, height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const context = canvas.getContext('2d');
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(source, 0, 0, canvas.width, canvas.height);
+  redactions.forEach(area => pixelate(context, area));
+  return canvas;
+}
+
+// Blocks coarse enough that faces and plate numbers cannot be read back
+function pixelate(context, area) {
+  const { width, height } = context.canvas;
+  const x = Math.floor(area.x * width);
+  const y = Math.floor(area.y * height);
+  const w = Math.ceil(area.width * width);
+  const h = Math.ceil(area.height * height);
+  if (w < 1 || h < 1) return;
+
+  const scale = IMAGE_CONFIG.REDACTION_BLOCKS / Math.max(w, h);
+  const blocks = document.createElement('canvas');
+  blocks.width = Math.max(1, Math.round(w * scale));
+  blocks.height = Math.max(1, Math.round(h * scale));
+  blocks.getContext('2d').drawImage(context.canvas, x, y, w, h, 0, 0, blocks.width, blocks.height);
+
+  context.save();
+  context.imageSmoothingEnabled = false;
+  context.drawImage(blocks, 0, 0, blocks.width, blocks.height, x, y, w, h);
+  context.restore();
+}
+
+function canvasToFile(canvas, name, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(new File([blob], name, { type: blob.type }));
+      } else {
+        reject(new Error(`Could not encode ${name}`));
+      }
+    }, IMAGE_CONFIG.TYPE, quality);
+  });
+}
+
+// Resolve with { file, thumbnail, capturedAt } ready for upload
+async function processImage(file, redactions = []) {
+  const [source, capturedAt] = await Promise.all([decodeImage(file), readCaptureTime(file)]);
+  const image = renderImage(source, IMAGE_CONFIG.MAX_DIMENSION, redactions);
+  source.close?.();
+
+  const baseName = file.name.replace(/\.[^.]*$/, '') || 'photo';
+  return {
+    file: await canvasToFile(image, `${baseName}.jpg`, IMAGE_CONFIG.QUALITY),
+    // From the redacted image, so the thumbnail is redacted too
+    thumbnail: await canvasToFile(
+      renderImage(image, IMAGE_CONFIG.THUMBNAIL_DIMENSION),
+      `${baseName}-thumb.jpg`,
+      IMAGE_CONFIG.THUMBNAIL_QUALITY
+    ),
+    capturedAt
+  };
+}
+
+// Photos picked in the report form, with the areas to blur in each
+const ReportPhotos = {
+  items: [], // { id, file, previewUrl, redactions }
+  nextId: 1,
+
+  add(files) {
+    Array.from(files)
+      .filter(file => file.type.startsWith('image/'))
+      .forEach(file => {
+        this.items.push({ id: this.nextId++, file, previewUrl: URL.createObjectURL(file), redactions: [] });
+      });
+    this.render();
+  },
+
+  find(id) {
+    return this.items.find(item => item.id === id);
+  },
+
+  remove(id) {
+    const item = this.find(id);
+    URL.revokeObjectURL(item.previewUrl);
+    this.items = this.items.filter(other => other !== item);
+    this.render();
+  },
+
+  clear() {
+    this.items.forEach(item => URL.revokeObjectURL(item.previewUrl));
+    this.items = [];
+    this.render();
+  },
+
+  // Resolve with { attachments, capturedAt } for the report; capturedAt is
+  // the earliest capture time found, if IMAGE_CONFIG.KEEP_CAPTURE_TIME is set
+  async process() {
+    const results = await Promise.all(this.items.map(item =>
+      processImage(item.file, item.redactions).catch((error) => {
+        console.error(`Could not process ${item.file.name}:`, error);
+        return null;
+      })
+    ));
+
+    const failed = this.items.filter((item, index) => !results[index]);
+    if (failed.length > 0) {
+      const error = new ValidationError(t('photos.unreadable'), {
+        'incident-images': t('photos.unreadableNamed', { names: failed.map(item => item.file.name).join(', ') })
+      });
+      ErrorHandler.handle(error);
+      throw error;
+    }
+
+    const captureTimes = results.map(result => result.capturedAt).filter(Boolean).sort();
+    return {
+      attachments: results.map(({ file, thumbnail }) => ({ file, thumbnail })),
+      capturedAt: IMAGE_CONFIG.KEEP_CAPTURE_TIME ? captureTimes[0] ?? null : null
+    };
+  },
+
+  render() {
+    const list = document.getElementById('image-previews');
+    list.hidden = this.items.length === 0;
+    list.replaceChildren(...this.items.map(createPhotoPreview));
+  }
+};
+
+function createPhotoPreview(item) {
+  const name = item.file.name;
+  const element = htmlElement(html`
+    <li class="photo-preview" data-photo-id="${item.id}">
+      <div class="photo-preview-image">
+        <img src="${safeUrl(item.previewUrl)}" alt="">
+      </div>
+      <p class="text-sm photo-preview-name">
+        ${item.redactions.length > 0
+          ? `${name} · ${t('redaction.blurred', { count: item.redactions.length })}`
+          : name}
+      </p>
+      <div class="flex flex-wrap gap-2">
+        <button type="button" class="btn btn-outline" data-photo-action="redact" aria-label="${t('photos.redactNamed', { name })}">${t('photos.redact')}</button>
+        <button type="button" class="btn btn-ghost" data-photo-action="remove" aria-label="${t('common.removeNamed', { name })}">${t('common.remove')}</button>
+      </div>
+    </li>
+  `);
+
+  // Positioned through the CSSOM, which the Content-Security-Policy allows
+  element.querySelector('.photo-preview-image').append(...item.redactions.map(area => {
+    const mark = document.createElement('span');
+    mark.className = 'redaction-mark';
+    mark.style.left = `${area.x * 100}%`;
+    mark.style.top = `${area.y * 100}%`;
+    mark.style.width = `${area.width * 100}%`;
+    mark.style.height = `${area.height * 100}%`;
+    return mark;
+  }));
+  return element;
+}
+
+// Keyboard blurring: how far one arrow key press moves or resizes the box,
+// as a fraction of the photo, and where the box starts
+const REDACTION_KEY_STEP = 0.02;
+const REDACTION_START_BOX = { x: 0.4, y: 0.4, width: 0.2, height: 0.2 };
+
+// `area` moved or resized back inside the photo, and no smaller than a step
+function clampArea(area) {
+  const width = Math.min(1, Math.max(REDACTION_KEY_STEP, area.width));
+  const height = Math.min(1, Math.max(REDACTION_KEY_STEP, area.height));
+  return {
+    x: Math.min(1 - width, Math.max(0, area.x)),
+    y: Math.min(1 - height, Math.max(0, area.y)),
+    width,
+    height
+  };
+}
+
+// Dialog for marking the areas of a photo to blur, by dragging over them or,
+// from the keyboard, by moving a box over them
+const RedactionEditor = {
+  item: null,
+  source: null,
+  redactions: [],
+  drag: null, // { x, y } where the current drag started, as fractions
+  box: null, // the area the arrow keys move, while the photo has focus
+
+  get dialog() {
+    return document.getElementById('redaction-dialog');
+  },
+
+  get canvas() {
+    return document.getElementById('redaction-canvas');
+  },
+
+  async open(item) {
+    try {
+      this.source = await decodeImage(item.file);
+    } catch (error) {
+      showError('incident-images', t('photos.unreadableOne', { name: item.file.name }));
+      return;
+    }
+
+    this.item = item;
+    this.redactions = [...item.redactions];
+    this.drag = null;
+    this.box = null;
+    document.getElementById('redaction-status').textContent = '';
+    this.dialog.showModal();
+    this.draw();
+  },
+
+  close() {
+    this.source?.close?.();
+    this.source = null;
+    this.item = null;
+    this.dialog.close();
+  },
+
+  save() {
+    this.item.redactions = this.redactions;
+    ReportPhotos.render();
+    this.close();
+  },
+
+  // The photo as it will be uploaded, with the area being dragged outlined
+  draw(current = null) {
+    const image = renderImage(this.source, IMAGE_CONFIG.EDITOR_DIMENSION, this.redactions);
+    const canvas = this.canvas;
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+
+    if (current) {
+      context.lineWidth = 2;
+      context.strokeStyle = '#667eea';
+      context.strokeRect(current.x * canvas.width, current.y * canvas.height, current.width * canvas.width, current.height * canvas.height);
+    }
+    document.getElementById('redaction-undo').disabled = this.redactions.length === 0;
+    document.getElementById('redaction-clear').disabled = this.redactions.length === 0;
+  },
+
+  // Pointer position as fractions of the photo
+  pointAt(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const clamp = (value) => Math.min(1, Math.max(0, value));
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width),
+      y: clamp((e.clientY - rect.top) / rect.height)
+    };
+  },
+
+  areaTo(point) {
+    return {
+      x: Math.min(this.drag.x, point.x),
+      y: Math.min(this.drag.y, point.y),
+      width: Math.abs(point.x - this.drag.x),
+      height: Math.abs(point.y - this.drag.y)
+    };
+  },
+
+  startDrag(e) {
+    this.drag = this.pointAt(e);
+    this.canvas.setPointerCapture(e.pointerId);
+  },
+
+  moveDrag(e) {
+    if (this.drag) this.draw(this.areaTo(this.pointAt(e)));
+  },
+
+  endDrag(e) {
+    if (!this.drag) return;
+
+    const area = this.areaTo(this.pointAt(e));
+    this.drag = null;
+    // Ignore clicks and slips
+    if (area.width > 0.01 && area.height > 0.01) {
+      this.addRedaction(area);
+    }
+    this.draw();
+  },
+
+  addRedaction(area) {
+    this.redactions = [...this.redactions, area];
+    document.getElementById('redaction-status').textContent = t('redaction.blurred', { count: this.redactions.length });
+  },
+
+  showBox() {
+    this.box = this.box || { ...REDACTION_START_BOX };
+    this.draw(this.box);
+  },
+
+  // Arrow keys move the box, Shift and the arrow keys resize it, and Enter
+  // or Space blurs the area under it
+  onKeydown(e) {
+    const steps = {
+      ArrowLeft: [-REDACTION_KEY_STEP, 0],
+      ArrowRight: [REDACTION_KEY_STEP, 0],
+      ArrowUp: [0, -REDACTION_KEY_STEP],
+      ArrowDown: [0, REDACTION_KEY_STEP]
+    };
+
+    if (steps[e.key]) {
+      const [dx, dy] = steps[e.key];
+      this.box = clampArea(e.shiftKey
+        ? { ...this.box, width: this.box.width + dx, height: this.box.height + dy }
+        : { ...this.box, x: this.box.x + dx, y: this.box.y + dy });
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      this.addRedaction({ ...this.box });
+    } else {
+      return;
+    }
+    e.preventDefault();
+    this.draw(this.box);
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  const input = document.getElementById('incident-images');
+  if (!input) return;
+
+  // Picking more files adds to the ones already chosen. Video and audio
+  // go to ReportMedia (see media-attachments.js).
+  input.addEventListener('change', () => {
+    const files = Array.from(input.files);
+    ReportPhotos.add(files);
+    ReportMedia.add(files);
+    input.value = '';
+  });
+  document.getElementById('report-form').addEventListener('reset', () => ReportPhotos.clear());
+
+  document.getElementById('image-previews').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-photo-action]');
+    if (!button) return;
+
+    const item = ReportPhotos.find(Number(button.closest('[data-photo-id]').dataset.photoId));
+    if (button.dataset.photoAction === 'remove') {
+      ReportPhotos.remove(item.id);
+      input.focus();
+    } else {
+      RedactionEditor.open(item);
+    }
+  });
+
+  const canvas = RedactionEditor.canvas;
+  canvas.addEventListener('pointerdown', (e) => RedactionEditor.startDrag(e));
+  canvas.addEventListener('pointermove', (e) => RedactionEditor.moveDrag(e));
+  canvas.addEventListener('pointerup', (e) => RedactionEditor.endDrag(e));
+  canvas.addEventListener('pointercancel', () => {
+    RedactionEditor.drag = null;
+    RedactionEditor.draw();
+  });
+  canvas.addEventListener('focus', () => RedactionEditor.showBox());
+  canvas.addEventListener('blur', () => RedactionEditor.source && RedactionEditor.draw());
+  canvas.addEventListener('keydown', (e) => RedactionEditor.onKeydown(e));
+
+  document.getElementById('redaction-undo').addEventListener('click', () => {
+    RedactionEditor.redactions = RedactionEditor.redactions.slice(0, -1);
+    RedactionEditor.draw();
+  });
+  document.getElementById('redaction-clear').addEventListener('click', () => {
+    RedactionEditor.redactions = [];
+    RedactionEditor.draw();
+  });
+  document.getElementById('redaction-done').addEventListener('click', () => RedactionEditor.save());
+  document.getElementById('redaction-cancel').addEventListener('click', () => RedactionEditor.close());
+  RedactionEditor.dialog.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    RedactionEditor.close();
+  });
+});
\ No newline at end of file
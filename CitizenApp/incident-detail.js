@@ -0,0 +1,511 @@
+// Incident detail view, routed at #/incidents/<id> so it can be linked to:
+// the photos at full size, a map of the location, the status timeline,
+// "I see this too" confirmations and threaded comments.
+
+// The incident id in a #/incidents/<id> hash, or null for any other hash
+function parseIncidentRoute(hash) {
+  const match = hash.match(/^#\/incidents\/([^/]+)$/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+function incidentRoute(id) {
+  return `#/incidents/${encodeURIComponent(id)}`;
+}
+
+// Status timeline: the report itself, then verification and status changes
+// from the audit trail, oldest first
+function buildTimeline(incident) {
+  const entries = [{
+    at: incident.timestamp,
+    label: t('detail.reported'),
+    by: reporterLabel(incident)
+  }];
+
+  (incident.auditTrail || []).forEach(entry => {
+    if (entry.action === 'status_changed') {
+      entries.push({
+        at: entry.at,
+        label: t('detail.statusChanged', { status: t(`status.${entry.to}`) }),
+        by: entry.by.name,
+        status: entry.to
+      });
+    } else if (entry.action === 'verified') {
+      entries.push({ at: entry.at, label: t('card.verifiedTitle'), by: entry.by.name });
+    }
+  });
+
+  return entries.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+}
+
+// Comments as a tree: [{ comment, replies: [...] }], oldest first at every
+// level. Replies to comments we do not have are shown at the top level.
+function buildCommentThreads(comments) {
+  const nodes = new Map(comments.map(comment => [comment.id, { comment, replies: [] }]));
+  const threads = [];
+  nodes.forEach(node => {
+    const parent = nodes.get(node.comment.parentId);
+    (parent ? parent.replies : threads).push(node);
+  });
+  return threads;
+}
+
+const IncidentDetail = {
+  incidentId: null, // the routed incident, loaded or not
+  incident: null,
+  comments: [],
+  replyTo: null, // comment the comment form replies to
+  imageIndex: 0,
+  map: null,
+  marker: null,
+  unwatchComments: null,
+  openedInApp: false, // the route was navigated to from within the app, so closing goes back
+
+  get dialog() {
+    return document.getElementById('incident-detail');
+  },
+
+  open(id) {
+    window.location.hash = incidentRoute(id);
+  },
+
+  // Show whatever the URL hash points at. `fromApp` is true when the user
+  // got here from another view of the app rather than a link or reload.
+  route(fromApp = false) {
+    const id = parseIncidentRoute(window.location.hash);
+    if (!id) {
+      this.hide();
+      return;
+    }
+
+    this.openedInApp = this.openedInApp || fromApp;
+    if (id !== this.incidentId) {
+      this.show(id);
+    }
+  },
+
+  async show(id) {
+    this.stopWatching();
+    this.incidentId = id;
+    this.incident = null;
+    this.comments = [];
+    this.imageIndex = 0;
+    this.setReplyTo(null);
+
+    document.getElementById('detail-body').hidden = true;
+    setDetailStatus(t('detail.loading'));
+    if (!this.dialog.open) {
+      this.dialog.showModal();
+    }
+
+    let incident;
+    try {
+      incident = await IncidentService.getIncident(id);
+    } catch (error) {
+      if (this.incidentId === id) setDetailStatus(t('detail.loadFailed'));
+      return;
+    }
+    if (this.incidentId !== id) return; // moved on while it loaded
+
+    if (!incident || !isPublicIncident(incident)) {
+      setDetailStatus(t('detail.unavailable'));
+      return;
+    }
+
+    setDetailStatus('');
+    document.getElementById('detail-body').hidden = false;
+    this.render(incident);
+    this.unwatchComments = IncidentService.watchComments(id, (comments) => {
+      this.comments = comments;
+      this.renderComments();
+    });
+  },
+
+  // Closing goes back when the app opened the route, so the back button
+  // and the close button end up in the same place
+  close() {
+    if (this.openedInApp) {
+      this.openedInApp = false;
+      history.back();
+    } else {
+      history.replaceState(history.state, '', `${window.location.pathname}${window.location.search}`);
+      this.hide();
+    }
+  },
+
+  hide() {
+    this.stopWatching();
+    this.incidentId = null;
+    this.incident = null;
+    this.openedInApp = false;
+    if (this.dialog.open) {
+      this.dialog.close();
+    }
+  },
+
+  stopWatching() {
+    this.unwatchComments?.();
+    this.unwatchComments = null;
+  },
+
+  render(incident) {
+    this.incident = incident;
+    this.renderSummary();
+    this.renderGallery();
+    this.renderMedia();
+    this.renderMap();
+    this.renderConfirmations();
+    this.renderTimeline();
+  },
+
+  renderSummary() {
+    const incident = this.incident;
+
+    const type = htmlElement(typeBadgeHtml(incident.type));
+    const status = document.createElement('span');
+    status.className = `status ${incident.status}`;
+    status.textContent = t(`status.${incident.status}`);
+    const badges = [type, status];
+    if (INCIDENT_SEVERITIES.includes(incident.severity)) {
+      badges.push(htmlElement(severityBadgeHtml(incident.severity)));
+    }
+    if (incident.verification === 'verified') {
+      const verified = document.createElement('span');
+      verified.className = 'verified-badge';
+      verified.textContent = t('card.verified');
+      badges.push(verified);
+    }
+    document.getElementById('detail-badges').replaceChildren(...badges);
+
+    document.getElementById('detail-title').textContent = incident.title;
+    document.getElementById('detail-meta').textContent = [
+      formatDateTime(incident.timestamp),
+      t('detail.reportedBy', { name: reporterLabel(incident) }),
+      ...(incident.capturedAt ? [t('detail.photoTaken', { time: formatDateTime(incident.capturedAt) })] : [])
+    ].join(' · ');
+    document.getElementById('detail-description').textContent = incident.description;
+
+    const fields = describeIncidentDetails(incident);
+    const list = document.getElementById('detail-fields');
+    list.hidden = fields.length === 0;
+    list.replaceChildren(...fields.flatMap(({ label, value }) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const definition = document.createElement('dd');
+      definition.textContent = value;
+      return [term, definition];
+    }));
+    document.getElementById('detail-location').textContent = incident.location;
+
+    const notes = incident.officialNotes || [];
+    document.getElementById('detail-notes').hidden = notes.length === 0;
+    document.getElementById('detail-notes-list').replaceChildren(...notes.map(note => {
+      const item = document.createElement('p');
+      item.className = 'text-sm';
+      const by = document.createElement('strong');
+      by.textContent = `${note.by.name}: `;
+      item.append(by, note.text);
+      return item;
+    }));
+  },
+
+  renderGallery() {
+    const images = this.incident.images || [];
+    document.getElementById('detail-gallery').hidden = images.length === 0;
+    if (images.length === 0) return;
+
+    this.imageIndex = Math.min(this.imageIndex, images.length - 1);
+    const src = safeUrl(images[this.imageIndex]);
+    const image = document.getElementById('detail-image');
+    image.src = src;
+    image.alt = t('detail.photo', { index: this.imageIndex + 1, count: images.length, title: this.incident.title });
+
+    // Browsers refuse to open data: URLs (local demo photos) in a new tab
+    const original = document.getElementById('detail-image-original');
+    original.href = src;
+    original.hidden = !src || src.startsWith('data:');
+
+    const thumbnails = document.getElementById('detail-thumbnails');
+    thumbnails.hidden = images.length < 2;
+    thumbnails.replaceChildren(...images.map((imageSrc, index) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'detail-thumbnail';
+      button.dataset.index = index;
+      button.setAttribute('aria-label', t('detail.showPhoto', { index: index + 1 }));
+      button.setAttribute('aria-pressed', index === this.imageIndex);
+      const thumbnail = document.createElement('img');
+      thumbnail.src = safeUrl(this.incident.thumbnails?.[index] || imageSrc);
+      thumbnail.alt = '';
+      button.append(thumbnail);
+      return button;
+    }));
+  },
+
+  showImage(index) {
+    const count = (this.incident?.images || []).length;
+    if (count === 0) return;
+    this.imageIndex = (index + count) % count;
+    this.renderGallery();
+    document.querySelector(`#detail-thumbnails [data-index="${this.imageIndex}"]`)?.focus();
+  },
+
+  // Video and audio clips, played in place
+  renderMedia() {
+    const media = this.incident.media || [];
+    const container = document.getElementById('detail-media');
+    container.hidden = media.length === 0;
+    container.replaceChildren(...media.map((clip, index) => {
+      const player = document.createElement(clip.type === 'video' ? 'video' : 'audio');
+      player.controls = true;
+      player.preload = 'metadata';
+      player.src = safeUrl(clip.url);
+      if (clip.poster) player.poster = safeUrl(clip.poster);
+      player.setAttribute('aria-label', t(clip.type === 'video' ? 'detail.videoClip' : 'detail.audioClip', { index: index + 1 }) +
+        (clip.duration ? `, ${formatDuration(clip.duration)}` : ''));
+      return player;
+    }));
+  },
+
+  // Leaflet needs a visible container, so the map is created on first use
+  renderMap() {
+    const { latitude, longitude } = this.incident;
+    const container = document.getElementById('detail-map');
+    container.hidden = !Number.isFinite(latitude) || !Number.isFinite(longitude);
+    if (container.hidden) return;
+
+    if (!this.map) {
+      this.map = L.map(container);
+      L.tileLayer(MAP_CONFIG.TILE_URL, {
+        maxZoom: MAP_CONFIG.MAX_ZOOM,
+        attribution: MAP_CONFIG.TILE_ATTRIBUTION
+      }).addTo(this.map);
+    }
+    this.map.invalidateSize();
+    this.map.setView([latitude, longitude], DETAIL_CONFIG.MAP_ZOOM);
+    this.marker?.remove();
+    this.marker = createIncidentMarker(this.incident).addTo(this.map);
+  },
+
+  hasConfirmed() {
+    const { currentUser } = AppState;
+    return Boolean(currentUser) && (this.incident.confirmedBy || []).includes(currentUser.id);
+  },
+
+  renderConfirmations() {
+    const { currentUser } = AppState;
+    const count = this.incident.confirmations || 0;
+    const isReporter = Boolean(currentUser) && this.incident.reporter?.id === currentUser.id;
+
+    const button = document.getElementById('detail-confirm');
+    button.setAttribute('aria-pressed', this.hasConfirmed());
+    button.disabled = this.hasConfirmed() || isReporter;
+    button.textContent = t(this.hasConfirmed() ? 'detail.confirmed' : 'detail.confirm');
+    document.getElementById('detail-confirmations').textContent = t('detail.confirmations', { count });
+  },
+
+  async confirm() {
+    if (!AppState.currentUser) {
+      openAuthDialog('login', t('detail.confirmLoginRequired'));
+      return;
+    }
+    if (this.hasConfirmed()) return;
+
+    const id = this.incidentId;
+    const button = document.getElementById('detail-confirm');
+    button.disabled = true;
+    try {
+      await IncidentService.confirmIncident(id);
+      // Incidents outside the loaded feed do not update by themselves
+      if (this.incidentId === id && !AppState.incidents.some(incident => incident.id === id)) {
+        const incident = await IncidentService.getIncident(id);
+        if (incident && this.incidentId === id) this.render(incident);
+      }
+    } catch (error) {
+      // ErrorHandler has told the user
+      if (this.incident) this.renderConfirmations();
+    }
+  },
+
+  renderTimeline() {
+    document.getElementById('detail-timeline').replaceChildren(...buildTimeline(this.incident).map(entry => {
+      const item = document.createElement('li');
+      item.className = `timeline-entry${entry.status ? ` timeline-${entry.status}` : ''}`;
+      const label = document.createElement('strong');
+      label.textContent = entry.label;
+      const time = document.createElement('time');
+      time.className = 'text-sm';
+      time.dateTime = entry.at;
+      time.textContent = formatDateTime(entry.at);
+      item.append(label, ' ', time);
+      if (entry.by) {
+        item.append(` · ${entry.by}`);
+      }
+      return item;
+    }));
+  },
+
+  renderComments() {
+    const threads = buildCommentThreads(this.comments);
+    const list = document.getElementById('detail-comments');
+    list.replaceChildren(...threads.map(thread => createCommentElement(thread)));
+    document.getElementById('detail-comments-empty').hidden = threads.length > 0;
+    const heading = document.getElementById('detail-comments-heading');
+    if (this.comments.length > 0) {
+      setMessage(heading, 'detail.commentCount', { count: this.comments.length });
+    } else {
+      setMessage(heading, 'detail.comments');
+    }
+  },
+
+  setReplyTo(comment) {
+    this.replyTo = comment;
+    const replyTo = document.getElementById('comment-reply-to');
+    replyTo.hidden = !comment;
+    const label = replyTo.querySelector('span');
+    if (comment) {
+      setMessage(label, 'detail.replyingTo', { name: comment.author.name });
+    } else {
+      delete label.dataset.i18n;
+      label.textContent = '';
+    }
+  },
+
+  async submitComment(form) {
+    const textarea = document.getElementById('comment-text');
+    const text = textarea.value.trim();
+    const error = document.getElementById('comment-error');
+    error.textContent = '';
+
+    if (!AppState.currentUser) {
+      openAuthDialog('login', t('detail.commentLoginRequired'));
+      return;
+    }
+    if (!text) {
+      error.textContent = t('detail.commentRequired');
+      textarea.focus();
+      return;
+    }
+    if (text.length > DETAIL_CONFIG.COMMENT_MAX_LENGTH) {
+      error.textContent = t('detail.commentTooLong', { max: DETAIL_CONFIG.COMMENT_MAX_LENGTH });
+      textarea.focus();
+      return;
+    }
+
+    const submit = form.querySelector('[type="submit"]');
+    submit.disabled = true;
+    try {
+      await IncidentService.addComment(this.incidentId, { text, parentId: this.replyTo?.id ?? null });
+      form.reset();
+      this.setReplyTo(null);
+    } catch {
+      // ErrorHandler has told the user; keep the text for another try
+    } finally {
+      submit.disabled = false;
+    }
+  }
+};
+
+function createCommentElement({ comment, replies }) {
+  const item = document.createElement('li');
+  item.className = 'comment';
+  item.dataset.commentId = comment.id;
+
+  const header = document.createElement('p');
+  header.className = 'comment-header text-sm';
+  const author = document.createElement('strong');
+  author.textContent = comment.author.name;
+  const time = document.createElement('time');
+  time.dateTime = comment.createdAt;
+  time.textContent = formatDateTime(comment.createdAt);
+  header.append(author, ' · ', time);
+
+  const text = document.createElement('p');
+  text.className = 'comment-text';
+  text.textContent = comment.text;
+
+  const reply = document.createElement('button');
+  reply.type = 'button';
+  reply.className = 'btn btn-ghost comment-reply';
+  reply.textContent = t('detail.reply');
+
+  item.append(header, text, reply);
+  if (replies.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'comment-list';
+    list.append(...replies.map(createCommentElement));
+    item.append(list);
+  }
+  return item;
+}
+
+function setDetailStatus(message) {
+  const status = document.getElementById('detail-status');
+  status.textContent = message;
+  status.hidden = !message;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const dialog = IncidentDetail.dialog;
+  if (!dialog) return;
+
+  document.getElementById('comment-text').maxLength = DETAIL_CONFIG.COMMENT_MAX_LENGTH;
+
+  dialog.querySelector('.detail-close').addEventListener('click', () => IncidentDetail.close());
+  // Escape closes through the route too
+  dialog.addEventListener('cancel', (e) => {
+    e.preventDefault();
+    IncidentDetail.close();
+  });
+
+  document.getElementById('detail-thumbnails').addEventListener('click', (e) => {
+    const button = e.target.closest('.detail-thumbnail');
+    if (button) IncidentDetail.showImage(Number(button.dataset.index));
+  });
+  document.getElementById('detail-gallery').addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      IncidentDetail.showImage(IncidentDetail.imageIndex + (e.key === 'ArrowRight' ? 1 : -1));
+    }
+  });
+
+  document.getElementById('detail-confirm').addEventListener('click', () => IncidentDetail.confirm());
+
+  document.getElementById('detail-comments').addEventListener('click', (e) => {
+    const button = e.target.closest('.comment-reply');
+    if (!button) return;
+
+    const id = button.closest('.comment').dataset.commentId;
+    IncidentDetail.setReplyTo(IncidentDetail.comments.find(comment => comment.id === id));
+    document.getElementById('comment-text').focus();
+  });
+  document.getElementById('comment-reply-cancel').addEventListener('click', () => {
+    IncidentDetail.setReplyTo(null);
+  });
+  document.getElementById('comment-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    IncidentDetail.submitComment(e.target);
+  });
+
+  // Live updates to the open incident, to who is signed in and to the language
+  let renderedLocale = AppState.locale;
+  AppState.subscribe((state) => {
+    const localeChanged = state.locale !== renderedLocale;
+    renderedLocale = state.locale;
+    if (!IncidentDetail.incident) return;
+    const incident = state.incidents.find(candidate => candidate.id === IncidentDetail.incidentId);
+    if (incident && incident !== IncidentDetail.incident) {
+      IncidentDetail.render(incident);
+    } else if (localeChanged) {
+      IncidentDetail.render(IncidentDetail.incident);
+      IncidentDetail.renderComments();
+    } else {
+      IncidentDetail.renderConfirmations();
+    }
+  });
+
+  window.addEventListener('hashchange', (e) => {
+    const from = new URL(e.oldURL);
+    IncidentDetail.route(from.pathname === window.location.pathname && !parseIncidentRoute(from.hash));
+  });
+  IncidentDetail.route();
+});
\ No newline at end of file
@@ -0,0 +1,738 @@
+// Incident repositories: interchangeable storage backends for incident reports.
+//
+// Every repository implements the same interface:
+//   list()                    -> Promise<incident[]>, newest first
+//   listPage(after, limit)    -> Promise<incident[]>, the `limit` incidents
+//                                that come after the incident `after` (null for
+//                                the first page); fewer than `limit` means the end
+//   subscribe(onChange, onError, { limit }) -> unsubscribe function; onChange
+//                                receives the newest `limit` incidents (all of
+//                                them without a limit) whenever they change
+//   create(incidentData, attachments, { onProgress }) -> Promise<incident>;
+//                                if incidentData.id is set it is used as the
+//                                incident id, so retrying a create never
+//                                duplicates it. onProgress(index, loaded, total)
+//                                reports the upload of attachments[index].
+//   update(id, changes)       -> Promise<void>
+//   remove(id)                -> Promise<void>
+//   get(id)                   -> Promise<incident | null>
+//   confirm(id, userId)       -> Promise<void>; adds userId to confirmedBy and
+//                                counts it in confirmations, once per user
+//   subscribeComments(incidentId, onChange, onError) -> unsubscribe function;
+//                                onChange receives all comments, oldest first
+//   addComment(incidentId, comment) -> Promise<comment>
+//
+// Attachments are { file, thumbnail, duration, signal }: the File, an optional
+// thumbnail File (see image-pipeline.js and media-attachments.js), the length
+// of video and audio in seconds, and an optional AbortSignal. Aborting it with
+// ATTACHMENT_DROPPED as the reason drops the attachment from the report; any
+// other abort (a send timing out, say) fails the create instead.
+//
+// Photos end up as the incident's `images` and, index for index, `thumbnails`
+// URLs (null where there is no thumbnail); video and audio as `media`:
+// [{ url, type: 'video' | 'audio', contentType, poster, duration }] (see
+// attachmentFields).
+//
+// Comments look like { id, parentId, text, author: { id, name }, createdAt },
+// where parentId is the comment replied to (null at the top level).
+//
+// Lists are ordered newest first, ties broken by id (see compareNewestFirst),
+// so any incident can serve as a page cursor.
+//
+// Incidents that did not change between notifications keep their object
+// identity, so renderers can skip them.
+
+// Firestore collection / REST resource holding incident reports
+const INCIDENTS_COLLECTION = 'incidents';
+
+// Claims on report ids, made before the report's files are uploaded (see
+// uploadClaims in firestore.rules)
+const UPLOAD_CLAIMS_COLLECTION = 'uploadClaims';
+
+// Sample incidents used to seed the local demo backend
+const SAMPLE_INCIDENTS = [
+  {
+    id: 'sample-1',
+    type: "accident",
+    title: "Traffic Accident on Main Street",
+    description: "Two-vehicle collision, emergency services on scene",
+    location: "Main Street & 5th Avenue",
+    timestamp: "2024-02-20T10:30:00",
+    status: "active",
+  },
+  {
+    id: 'sample-2',
+    type: "fight",
+    title: "Disturbance at Central Park",
+    description: "Group altercation reported near fountain",
+    location: "Central Park",
+    timestamp: "2024-02-20T09:15:00",
+    status: "resolved",
+  },
+];
+
+// Reuse objects from `previous` for incidents whose data is unchanged
+function mergeIncidents(previous, next) {
+  const known = new Map(previous.map(incident => [incident.id, incident]));
+  return next.map(incident => {
+    const existing = known.get(incident.id);
+    return existing && JSON.stringify(existing) === JSON.stringify(incident)
+      ? existing
+      : incident;
+  });
+}
+
+// Negative when `a` comes before `b` in a newest-first list
+function compareNewestFirst(a, b) {
+  return String(b.timestamp).localeCompare(String(a.timestamp)) ||
+    String(b.id).localeCompare(String(a.id));
+}
+
+// Whether `stored` is the report `incidentData` describes, saved by an
+// earlier attempt whose acknowledgement never arrived. Reports keep their
+// timestamp across retries, and anonymous ones their proof of work.
+function isSameReport(stored, incidentData) {
+  return stored.timestamp === incidentData.timestamp &&
+    (stored.reporter?.id ?? null) === (incidentData.reporter?.id ?? null) &&
+    (stored.proof?.nonce ?? null) === (incidentData.proof?.nonce ?? null);
+}
+
+function sortNewestFirst(incidents) {
+  return incidents.slice().sort(compareNewestFirst);
+}
+
+// Abort reason of an attachment the reporter dropped, see the interface above
+const ATTACHMENT_DROPPED = new DOMException('The reporter dropped this file', 'AbortError');
+
+function isDroppedAttachment(signal) {
+  return Boolean(signal?.aborted) && signal.reason === ATTACHMENT_DROPPED;
+}
+
+function isImageFile(file) {
+  return file.type.startsWith('image/');
+}
+
+// Incident fields for attachments whose files are stored at `stored[i]`
+// ({ url, thumbnail }, or null for attachments that were dropped)
+function attachmentFields(attachments, stored) {
+  const fields = { images: [], thumbnails: [], media: [] };
+  attachments.forEach(({ file, duration }, index) => {
+    const urls = stored[index];
+    if (!urls) return;
+
+    if (isImageFile(file)) {
+      fields.images.push(urls.url);
+      fields.thumbnails.push(urls.thumbnail);
+    } else {
+      fields.media.push({
+        url: urls.url,
+        type: file.type.split('/')[0],
+        contentType: file.type,
+        poster: urls.thumbnail,
+        duration: duration ?? null
+      });
+    }
+  });
+  return fields;
+}
+
+// Ask the backend to claim an anonymous report's id for this sender
+// (claimAnonymousReport in functions/index.js). Claiming the same report
+// again is fine, so retries can.
+async function claimAnonymousReport(id, nonce) {
+  const response = await fetch(ANONYMOUS_CONFIG.CLAIM_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ id, nonce })
+  });
+  if (response.status === 429) {
+    const minutes = Math.ceil(Number(response.headers.get('Retry-After') || 0) / 60);
+    const message = t('report.identity.rateLimited', { max: ANONYMOUS_CONFIG.MAX_REPORTS, count: minutes });
+    throw new ValidationError(message, { 'report-identity': message });
+  }
+  if (!response.ok) {
+    throw await errorFromResponse(response);
+  }
+}
+
+// Cloud Firestore, with photos in Cloud Storage. firestore.rules checks the
+// user ids it is given (reporters, confirmations, comment authors) against
+// the Firebase Auth uid. They come from AppState.currentUser.id, which is that
+// uid because createIncidentRepository only pairs this repository with
+// AUTH_CONFIG.PROVIDER 'firebase' (see FirebaseAuthProvider.toUser).
+class FirestoreIncidentRepository {
+  constructor(firestore = db, fileStorage = storage) {
+    this.firestore = firestore;
+    this.collection = firestore.collection(INCIDENTS_COLLECTION);
+    this.storage = fileStorage;
+  }
+
+  // Newest first, ties broken by document id to match compareNewestFirst
+  ordered() {
+    return this.collection
+      .orderBy('timestamp', 'desc')
+      .orderBy(firebase.firestore.FieldPath.documentId(), 'desc');
+  }
+
+  async list() {
+    const snapshot = await this.ordered().get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  async listPage(after, limit) {
+    let query = this.ordered();
+    if (after) {
+      query = query.startAfter(after.timestamp, after.id);
+    }
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  }
+
+  subscribe(onChange, onError, { limit } = {}) {
+    let incidents = [];
+    const query = limit ? this.ordered().limit(limit) : this.ordered();
+    return query
+      .onSnapshot((snapshot) => {
+        incidents = incidents.slice();
+
+        // Changes are ordered, so indices apply sequentially
+        snapshot.docChanges().forEach(change => {
+          if (change.oldIndex !== -1) {
+            incidents.splice(change.oldIndex, 1);
+          }
+          if (change.newIndex !== -1) {
+            incidents.splice(change.newIndex, 0, { id: change.doc.id, ...change.doc.data() });
+          }
+        });
+
+        onChange(incidents);
+      }, onError);
+  }
+
+  // The rules only let a report be created, never overwritten, so a retry
+  // checks whether an earlier attempt already got through
+  async create({ id, ...incidentData }, attachments = [], { onProgress } = {}) {
+    // Reserve the document id so files can be stored under it
+    const incidentRef = id ? this.collection.doc(id) : this.collection.doc();
+    if (id) {
+      const stored = await this.findCreated(incidentRef, incidentData);
+      if (stored) return stored;
+    }
+    await this.claim(incidentRef.id, incidentData, attachments);
+    const uploaded = await this.uploadAttachments(incidentRef.id, attachments, onProgress);
+
+    const incident = {
+      ...incidentData,
+      ...attachmentFields(attachments, uploaded),
+      createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+    // In a transaction, in case the earlier attempt lands in the meantime
+    const stored = await this.firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(incidentRef);
+      if (doc.exists) return this.createdFrom(doc, incidentData);
+      transaction.set(incidentRef, incident);
+      return null;
+    });
+
+    return stored || { id: incidentRef.id, ...incident };
+  }
+
+  // Claim the report's id, which storage.rules wants before taking its
+  // files. Anonymous reports are claimed by the backend, which holds the
+  // sender to ANONYMOUS_CONFIG's rate limit, and firestore.rules refuses them
+  // unclaimed. A claim an earlier attempt made is kept.
+  async claim(incidentId, incidentData, attachments) {
+    if (incidentData.anonymous) {
+      await claimAnonymousReport(incidentId, incidentData.proof.nonce);
+      return;
+    }
+    if (attachments.length === 0) return;
+
+    const claimRef = this.firestore.collection(UPLOAD_CLAIMS_COLLECTION).doc(incidentId);
+    if ((await claimRef.get()).exists) return;
+    // The reporter's id is the signed-in uid; see the note above the class
+    await claimRef.set({
+      uid: incidentData.reporter.id,
+      createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // The stored report at `incidentRef` if it is `incidentData`, else null
+  async findCreated(incidentRef, incidentData) {
+    const doc = await incidentRef.get();
+    return doc.exists ? this.createdFrom(doc, incidentData) : null;
+  }
+
+  createdFrom(doc, incidentData) {
+    if (!isSameReport(doc.data(), incidentData)) {
+      throw new Error(`Incident ${doc.id} already exists`);
+    }
+    return { id: doc.id, ...doc.data() };
+  }
+
+  update(id, changes) {
+    return this.collection.doc(id).update(changes);
+  }
+
+  remove(id) {
+    return this.collection.doc(id).delete();
+  }
+
+  async get(id) {
+    const doc = await this.collection.doc(id).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  // In a transaction so a user confirming twice at once is still counted once
+  confirm(id, userId) {
+    const incidentRef = this.collection.doc(id);
+    return this.firestore.runTransaction(async (transaction) => {
+      const doc = await transaction.get(incidentRef);
+      if (!doc.exists) {
+        throw new Error(`Incident ${id} not found`);
+      }
+      if ((doc.data().confirmedBy || []).includes(userId)) return;
+
+      transaction.update(incidentRef, {
+        confirmations: firebase.firestore.FieldValue.increment(1),
+        confirmedBy: firebase.firestore.FieldValue.arrayUnion(userId)
+      });
+    });
+  }
+
+  comments(incidentId) {
+    return this.collection.doc(incidentId).collection('comments');
+  }
+
+  subscribeComments(incidentId, onChange, onError) {
+    return this.comments(incidentId)
+      .orderBy('createdAt')
+      .onSnapshot((snapshot) => {
+        onChange(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      }, onError);
+  }
+
+  async addComment(incidentId, comment) {
+    const commentRef = await this.comments(incidentId).add(comment);
+    return { id: commentRef.id, ...comment };
+  }
+
+  // Upload attachments to Cloud Storage and resolve with their download
+  // URLs ({ url, thumbnail }, null for dropped attachments). Paths depend only
+  // on the incident and the attachment, so a retried create finds the files
+  // that made it last time.
+  uploadAttachments(incidentId, attachments, onProgress) {
+    const prefix = `${INCIDENTS_COLLECTION}/${incidentId}`;
+    return Promise.all(attachments.map(async ({ file, thumbnail, signal }, index) => {
+      try {
+        const url = await this.uploadFile(`${prefix}/${index}-${file.name}`, file, {
+          signal,
+          onProgress: (loaded, total) => onProgress?.(index, loaded, total)
+        });
+        return {
+          url,
+          thumbnail: thumbnail ? await this.uploadFile(`${prefix}/${index}-thumb-${thumbnail.name}`, thumbnail, { signal }) : null
+        };
+      } catch (error) {
+        if (isDroppedAttachment(signal)) return null;
+        throw error;
+      }
+    }));
+  }
+
+  // Resumable upload (Cloud Storage sends large files in chunks): it is
+  // paused while the browser is offline and carries on from the last chunk
+  // when it is back. A file already uploaded by an earlier attempt is reused.
+  async uploadFile(path, file, { signal, onProgress } = {}) {
+    signal?.throwIfAborted();
+    const fileRef = this.storage.ref(path);
+
+    try {
+      const metadata = await fileRef.getMetadata();
+      if (metadata.size === file.size) {
+        onProgress?.(file.size, file.size);
+        return fileRef.getDownloadURL();
+      }
+    } catch (error) {
+      if (error.code !== 'storage/object-not-found') throw error;
+    }
+
+    const task = fileRef.put(file, { contentType: file.type });
+    const pause = () => task.pause();
+    const resume = () => task.resume();
+    const cancel = () => task.cancel();
+    window.addEventListener('offline', pause);
+    window.addEventListener('online', resume);
+    signal?.addEventListener('abort', cancel);
+    if (!navigator.onLine) pause();
+
+    try {
+      await new Promise((resolve, reject) => {
+        task.on('state_changed', (snapshot) => {
+          onProgress?.(snapshot.bytesTransferred, snapshot.totalBytes);
+        }, reject, resolve);
+      });
+    } finally {
+      window.removeEventListener('offline', pause);
+      window.removeEventListener('online', resume);
+      signal?.removeEventListener('abort', cancel);
+    }
+    return fileRef.getDownloadURL();
+  }
+}
+
+// REST API at API_CONFIG.BASE_URL; live updates by polling
+class RestIncidentRepository {
+  constructor(baseUrl = API_CONFIG.BASE_URL, pollInterval = DATA_CONFIG.POLL_INTERVAL) {
+    this.url = `${baseUrl}${API_CONFIG.ENDPOINTS.INCIDENTS}`;
+    this.pollInterval = pollInterval;
+    this.listeners = new Set();
+    this.incidents = [];
+    this.limit = null; // page size of the polled first page, if any
+    this.timer = null;
+  }
+
+  async request(path, options = {}) {
+    const response = await AuthService.fetch(`${this.url}${path}`, options);
+
+    if (!response.ok) {
+      throw await errorFromResponse(response);
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  async list() {
+    return this.request('');
+  }
+
+  // GET /incidents?limit=20&after=<id>, newest first
+  async listPage(after, limit) {
+    const params = new URLSearchParams({ limit });
+    if (after) {
+      params.set('after', after.id);
+    }
+    return this.request(`?${params}`);
+  }
+
+  subscribe(onChange, onError, { limit } = {}) {
+    const listener = { onChange, onError };
+    this.listeners.add(listener);
+
+    if (this.listeners.size === 1) {
+      this.limit = limit;
+      this.refresh();
+      this.timer = setInterval(() => this.refresh(), this.pollInterval);
+    } else {
+      onChange(this.incidents);
+    }
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    };
+  }
+
+  async refresh() {
+    try {
+      const incidents = this.limit ? await this.listPage(null, this.limit) : await this.list();
+      this.incidents = mergeIncidents(this.incidents, incidents);
+      this.listeners.forEach(listener => listener.onChange(this.incidents));
+    } catch (error) {
+      this.listeners.forEach(listener => listener.onError?.(error));
+    }
+  }
+
+  // The report and its files go in one request, so progress is only
+  // reported once it is done and attachments can be dropped until it starts
+  async create(incidentData, attachments = [], { onProgress } = {}) {
+    let body = JSON.stringify(incidentData);
+    let headers = { 'Content-Type': 'application/json' };
+
+    // Lets the API recognise a retried create
+    if (incidentData.id) {
+      headers['Idempotency-Key'] = incidentData.id;
+    }
+
+    // Files go up as multipart form data alongside the JSON payload.
+    // `thumbnails[n]` is the thumbnail of the nth image, if it has one;
+    // `posters[n]` and `durations[n]` go with the nth video or audio file.
+    const included = attachments.filter(attachment => !isDroppedAttachment(attachment.signal));
+    if (included.length > 0) {
+      body = new FormData();
+      body.append('incident', JSON.stringify(incidentData));
+      const images = included.filter(({ file }) => isImageFile(file));
+      const media = included.filter(({ file }) => !isImageFile(file));
+      images.forEach(({ file, thumbnail }, index) => {
+        body.append('images', file);
+        if (thumbnail) body.append(`thumbnails[${index}]`, thumbnail);
+      });
+      media.forEach(({ file, thumbnail, duration }, index) => {
+        body.append('media', file);
+        if (thumbnail) body.append(`posters[${index}]`, thumbnail);
+        if (duration) body.append(`durations[${index}]`, duration);
+      });
+      headers = incidentData.id ? { 'Idempotency-Key': incidentData.id } : {};
+    }
+
+    const incident = await this.request('', { method: 'POST', headers, body });
+    attachments.forEach(({ file }, index) => onProgress?.(index, file.size, file.size));
+    this.refresh();
+    return incident;
+  }
+
+  async update(id, changes) {
+    await this.request(`/${encodeURIComponent(id)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    this.refresh();
+  }
+
+  async remove(id) {
+    await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    this.refresh();
+  }
+
+  async get(id) {
+    try {
+      return await this.request(`/${encodeURIComponent(id)}`);
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // POST /incidents/{id}/confirmations; the API counts each user once
+  async confirm(id, userId) {
+    await this.request(`/${encodeURIComponent(id)}/confirmations`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId })
+    });
+    this.refresh();
+  }
+
+  // Comments are polled like the incident list
+  subscribeComments(incidentId, onChange, onError) {
+    let comments = [];
+    const path = `/${encodeURIComponent(incidentId)}/comments`;
+    const refresh = async () => {
+      try {
+        comments = mergeIncidents(comments, await this.request(path));
+        onChange(comments);
+      } catch (error) {
+        onError?.(error);
+      }
+    };
+
+    refresh();
+    const timer = setInterval(refresh, this.pollInterval);
+    return () => clearInterval(timer);
+  }
+
+  addComment(incidentId, comment) {
+    return this.request(`/${encodeURIComponent(incidentId)}/comments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(comment)
+    });
+  }
+}
+
+// In-memory store for demos and tests. Pass a storageKey to persist to
+// localStorage (files are kept as data URLs) and sync across tabs.
+class LocalIncidentRepository {
+  constructor({ storageKey = null, seed = SAMPLE_INCIDENTS } = {}) {
+    this.storageKey = storageKey;
+    this.listeners = new Set();
+    this.incidents = this.load() ?? sortNewestFirst(seed);
+    this.comments = this.load('comments') ?? {}; // incident id -> comments, oldest first
+    this.commentListeners = new Set();
+    this.onStorage = (e) => {
+      if (e.key === this.storageKey) {
+        this.incidents = mergeIncidents(this.incidents, this.load() ?? []);
+        this.notify();
+      } else if (e.key === `${this.storageKey}.comments`) {
+        this.comments = this.load('comments') ?? {};
+        this.notifyComments();
+      }
+    };
+  }
+
+  load(suffix) {
+    if (!this.storageKey) return null;
+    const stored = localStorage.getItem(suffix ? `${this.storageKey}.${suffix}` : this.storageKey);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  save() {
+    if (this.storageKey) {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.incidents));
+    }
+    this.notify();
+  }
+
+  saveComments() {
+    if (this.storageKey) {
+      localStorage.setItem(`${this.storageKey}.comments`, JSON.stringify(this.comments));
+    }
+    this.notifyComments();
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener());
+  }
+
+  notifyComments() {
+    this.commentListeners.forEach(listener => listener());
+  }
+
+  // Cross-tab sync is on while anyone is listening
+  watchStorage() {
+    if (this.storageKey && this.listeners.size + this.commentListeners.size === 1) {
+      window.addEventListener('storage', this.onStorage);
+    }
+  }
+
+  unwatchStorage() {
+    if (this.listeners.size + this.commentListeners.size === 0) {
+      window.removeEventListener('storage', this.onStorage);
+    }
+  }
+
+  async list() {
+    return this.incidents;
+  }
+
+  async listPage(after, limit) {
+    const start = after
+      ? this.incidents.findIndex(incident => compareNewestFirst(incident, after) > 0)
+      : 0;
+    return start === -1 ? [] : this.incidents.slice(start, start + limit);
+  }
+
+  subscribe(onChange, onError, { limit } = {}) {
+    const listener = () => onChange(limit ? this.incidents.slice(0, limit) : this.incidents);
+    this.listeners.add(listener);
+    this.watchStorage();
+    listener();
+
+    return () => {
+      this.listeners.delete(listener);
+      this.unwatchStorage();
+    };
+  }
+
+  async create(incidentData, attachments = [], { onProgress } = {}) {
+    const stored = await Promise.all(attachments.map(async ({ file, thumbnail, signal }, index) => {
+      if (isDroppedAttachment(signal)) return null;
+      signal?.throwIfAborted();
+      const urls = {
+        url: await readFileAsDataURL(file),
+        thumbnail: thumbnail ? await readFileAsDataURL(thumbnail) : null
+      };
+      onProgress?.(index, file.size, file.size);
+      return urls;
+    }));
+    const incident = {
+      ...incidentData,
+      id: incidentData.id || `local-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      ...attachmentFields(attachments, stored)
+    };
+
+    const others = this.incidents.filter(existing => existing.id !== incident.id);
+    this.incidents = sortNewestFirst([incident, ...others]);
+    this.save();
+    return incident;
+  }
+
+  async update(id, changes) {
+    if (!this.incidents.some(incident => incident.id === id)) {
+      throw new Error(`Incident ${id} not found`);
+    }
+    this.incidents = sortNewestFirst(this.incidents.map(incident =>
+      incident.id === id ? { ...incident, ...changes } : incident
+    ));
+    this.save();
+  }
+
+  async remove(id) {
+    this.incidents = this.incidents.filter(incident => incident.id !== id);
+    this.save();
+  }
+
+  async get(id) {
+    return this.incidents.find(incident => incident.id === id) ?? null;
+  }
+
+  async confirm(id, userId) {
+    const incident = await this.get(id);
+    if (!incident) {
+      throw new Error(`Incident ${id} not found`);
+    }
+    const confirmedBy = incident.confirmedBy || [];
+    if (confirmedBy.includes(userId)) return;
+
+    await this.update(id, {
+      confirmations: (incident.confirmations || 0) + 1,
+      confirmedBy: [...confirmedBy, userId]
+    });
+  }
+
+  subscribeComments(incidentId, onChange) {
+    const listener = () => onChange(this.comments[incidentId] || []);
+    this.commentListeners.add(listener);
+    this.watchStorage();
+    listener();
+
+    return () => {
+      this.commentListeners.delete(listener);
+      this.unwatchStorage();
+    };
+  }
+
+  async addComment(incidentId, comment) {
+    const saved = { ...comment, id: `comment-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}` };
+    this.comments = {
+      ...this.comments,
+      [incidentId]: [...(this.comments[incidentId] || []), saved]
+    };
+    this.saveComments();
+    return saved;
+  }
+}
+
+function readFileAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+// Build the repository named by DATA_CONFIG.PROVIDER
+function createIncidentRepository(provider = DATA_CONFIG.PROVIDER) {
+  switch (provider) {
+    case 'firestore':
+      // The security rules only know Firebase Auth users; with any other
+      // sign-in every report and comment would be refused
+      if (AUTH_CONFIG.PROVIDER !== 'firebase') {
+        throw new Error(`The 'firestore' data provider needs AUTH_CONFIG.PROVIDER 'firebase', not '${AUTH_CONFIG.PROVIDER}'`);
+      }
+      return new FirestoreIncidentRepository();
+    case 'rest':
+      return new RestIncidentRepository();
+    case 'local':
+      return new LocalIncidentRepository({ storageKey: DATA_CONFIG.LOCAL_STORAGE_KEY });
+    case 'memory':
+      return new LocalIncidentRepository();
+    default:
+      throw new Error(`Unknown incident data provider: ${provider}`);
+  }
+}
\ No newline at end of file
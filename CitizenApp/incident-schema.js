@@ -0,0 +1,186 @@
+// Incident types and report fields. The report form, the filter tabs, the
+// alert settings and the type badges are all built from INCIDENT_SCHEMA, and
+// validateIncident() checks reports against it on submit and as the user
+// types. firestore.rules repeats the same checks for the Firestore backend;
+// keep them in step when changing a field here. The file also loads in Node
+// (see the end), so a REST backend can run the same validator; there its
+// messages are the English ones in VALIDATION_MESSAGES, while the app passes
+// its translations (see report-form.js).
+//
+// Field: { name, label, type: 'text' | 'textarea' | 'number' | 'boolean' | 'select',
+//          required, minLength, maxLength, min, max, options: [{ value, label }] }
+// A type's own fields are stored under incident.details, e.g.
+//   { type: 'accident', ..., details: { vehiclesInvolved: 2, injuries: true } }
+
+const INCIDENT_SCHEMA = {
+  // Fields every report has. Severity decides whether responders are called
+  // out (see functions/webhooks.js); the SOS button sends 'critical'.
+  fields: [
+    {
+      name: 'severity',
+      label: 'Severity',
+      type: 'select',
+      required: true,
+      options: [
+        { value: 'low', label: 'Low: no one is in danger' },
+        { value: 'medium', label: 'Medium: someone could get hurt' },
+        { value: 'high', label: 'High: someone is hurt or in danger' },
+        { value: 'critical', label: 'Critical: lives are at risk' }
+      ]
+    },
+    { name: 'title', label: 'Title', type: 'text', required: true, maxLength: 120 },
+    { name: 'description', label: 'Description', type: 'textarea', required: true, maxLength: 2000 },
+    { name: 'location', label: 'Location', type: 'text', required: true, maxLength: 200 }
+  ],
+
+  // In the order they are offered. `icon` is the inside of a 24x24 stroked SVG.
+  types: {
+    accident: {
+      label: 'Accident',
+      plural: 'Accidents',
+      colour: '#FF4B4B',
+      icon: '<rect x="1" y="3" width="15" height="13"></rect><polygon points="16 8 20 8 23 11 23 16 16 16 16 8"></polygon><circle cx="5.5" cy="18.5" r="2.5"></circle><circle cx="18.5" cy="18.5" r="2.5"></circle>',
+      fields: [
+        { name: 'vehiclesInvolved', label: 'Vehicles involved', type: 'number', required: true, min: 1, max: 50 },
+        { name: 'injuries', label: 'Anyone injured?', type: 'boolean' }
+      ]
+    },
+    fight: {
+      label: 'Fight',
+      plural: 'Fights',
+      colour: '#FFB84B',
+      icon: '<polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"></polygon>',
+      fields: [
+        { name: 'injuries', label: 'Injuries?', type: 'boolean' },
+        { name: 'weapons', label: 'Weapons seen?', type: 'boolean' }
+      ]
+    },
+    riot: {
+      label: 'Riot',
+      plural: 'Riots',
+      colour: '#FF4B82',
+      icon: '<path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"></path><circle cx="9" cy="7" r="4"></circle><path d="M23 21v-2a4 4 0 0 0-3-3.87"></path><path d="M16 3.13a4 4 0 0 1 0 7.75"></path>',
+      fields: [
+        {
+          name: 'crowdSize',
+          label: 'Crowd size',
+          type: 'select',
+          required: true,
+          options: [
+            { value: 'small', label: 'Under 50 people' },
+            { value: 'medium', label: '50 to 500 people' },
+            { value: 'large', label: 'Over 500 people' }
+          ]
+        },
+        { name: 'propertyDamage', label: 'Property being damaged?', type: 'boolean' }
+      ]
+    },
+    // What the SOS button reports: no time to say more
+    emergency: {
+      label: 'Emergency',
+      plural: 'Emergencies',
+      colour: '#DC2626',
+      icon: '<path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line>',
+      fields: []
+    }
+  }
+};
+
+// Validator messages by rule; {label} is the field's label. The app's
+// catalogues have the same messages under 'validation.<rule>'.
+const VALIDATION_MESSAGES = {
+  required: '{label} is required',
+  text: '{label} must be text',
+  minLength: '{label} must be at least {min} characters',
+  maxLength: '{label} must be at most {max} characters',
+  wholeNumber: '{label} must be a whole number',
+  range: '{label} must be between {min} and {max}',
+  boolean: '{label} must be yes or no',
+  choose: '{label}: choose one of the options',
+  fieldType: '{label} has an unknown field type',
+  typeRequired: 'Incident type is required',
+  unknownType: 'Unknown incident type',
+  unknownField: 'This type of report has no {name} field'
+};
+
+// How validateIncident() words its messages, unless told otherwise:
+// in English, with the schema's labels
+const ENGLISH_VALIDATION = {
+  message: (rule, params) => VALIDATION_MESSAGES[rule].replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.hasOwn(params, name) ? String(params[name]) : placeholder),
+  label: field => field.label
+};
+
+function isEmptyValue(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+// Why `value` is not valid for `field`, or null if it is. `message(rule,
+// params)` words the reason, with the field called `label`.
+function fieldError(field, value, label = field.label, message = ENGLISH_VALIDATION.message) {
+  const error = (rule, params = {}) => message(rule, { label, ...params });
+  if (isEmptyValue(value)) {
+    return field.required ? error('required') : null;
+  }
+
+  switch (field.type) {
+    case 'text':
+    case 'textarea':
+      if (typeof value !== 'string') return error('text');
+      if (field.minLength && value.trim().length < field.minLength) {
+        return error('minLength', { min: field.minLength });
+      }
+      if (field.maxLength && value.length > field.maxLength) {
+        return error('maxLength', { max: field.maxLength });
+      }
+      return null;
+    case 'number':
+      if (!Number.isInteger(value)) return error('wholeNumber');
+      if (value < field.min || value > field.max) {
+        return error('range', { min: field.min, max: field.max });
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : error('boolean');
+    case 'select':
+      return field.options.some(option => option.value === value) ? null : error('choose');
+    default:
+      return error('fieldType');
+  }
+}
+
+// Check a report against the schema. Errors are keyed by field path:
+// 'title', 'type', 'details.vehiclesInvolved', ... `wording` can replace
+// ENGLISH_VALIDATION: { message(rule, params), label(field, type) }, where
+// `type` is null for the fields every report has.
+function validateIncident(data, wording = ENGLISH_VALIDATION) {
+  const errors = {};
+  const check = (field, value, path, typeName = null) => {
+    const message = fieldError(field, value, wording.label(field, typeName), wording.message);
+    if (message) errors[path] = message;
+  };
+
+  const type = Object.hasOwn(INCIDENT_SCHEMA.types, data.type) ? INCIDENT_SCHEMA.types[data.type] : null;
+  if (!type) {
+    errors.type = wording.message(data.type ? 'unknownType' : 'typeRequired', {});
+  }
+
+  INCIDENT_SCHEMA.fields.forEach(field => check(field, data[field.name], field.name));
+
+  if (type) {
+    const details = data.details || {};
+    type.fields.forEach(field => check(field, details[field.name], `details.${field.name}`, data.type));
+    Object.keys(details)
+      .filter(name => !type.fields.some(field => field.name === name))
+      .forEach(name => { errors[`details.${name}`] = wording.message('unknownField', { name }); });
+  }
+
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { INCIDENT_SCHEMA, VALIDATION_MESSAGES, fieldError, validateIncident };
+}
\ No newline at end of file
@@ -0,0 +1,401 @@
+// English, the default language; every message key the app uses is here.
+// Other catalogues can leave keys out and English is shown instead (see
+// i18n.js). Incident type and field names, and the 'validation.' messages,
+// repeat the ones in incident-schema.js, which the validator uses outside the
+// app.
+
+registerMessages('en', {
+  'app.name': 'CitizenWatch',
+
+  'header.language': 'Language',
+  'header.report': 'Report Incident',
+  'header.reportShort': 'Report',
+
+  'a11y.skipToContent': 'Skip to main content',
+
+  'menu.title': 'Menu',
+
+  'profile.account': 'Account',
+
+  'actions.cancel': 'Cancel',
+  'actions.close': 'Close',
+  'actions.discard': 'Discard',
+  'actions.done': 'Done',
+  'actions.retry': 'Retry',
+  'actions.tryAgain': 'Try again',
+  'actions.undo': 'Undo',
+
+  'common.yes': 'Yes',
+  'common.no': 'No',
+  'common.remove': 'Remove',
+  'common.removeNamed': 'Remove {name}',
+  'common.km': '{km} km',
+
+  'roles.citizen': 'citizen',
+  'roles.responder': 'responder',
+  'roles.moderator': 'moderator',
+  'roles.admin': 'admin',
+
+  'errors.auth': 'Please log in again to continue.',
+  'errors.network': 'Please check your internet connection.',
+  'errors.validation': 'Please check the form for errors.',
+  'errors.server': 'Something went wrong. Please try again later.',
+  'errors.unknown': 'An unexpected error occurred.',
+
+  'auth.login': 'Log in',
+  'auth.logout': 'Log out',
+  'auth.register': 'Register',
+  'auth.welcome': 'Welcome, {name}',
+  'auth.createAccount': 'Create an account',
+  'auth.haveAccount': 'Already have an account?',
+  'auth.noAccount': "Don't have an account?",
+  'auth.name': 'Name',
+  'auth.email': 'Email',
+  'auth.password': 'Password',
+  'auth.confirmPassword': 'Confirm password',
+  'auth.errors.nameRequired': 'Name is required',
+  'auth.errors.emailRequired': 'Email is required',
+  'auth.errors.emailInvalid': 'Please enter a valid email address',
+  'auth.errors.passwordRequired': 'Password is required',
+  'auth.errors.passwordLength': {
+    one: 'Password must be at least {count} character',
+    other: 'Password must be at least {count} characters'
+  },
+  'auth.errors.passwordMismatch': 'Passwords do not match',
+  'auth.errors.emailInUse': 'An account with this email already exists.',
+  'auth.errors.weakPassword': 'Please choose a stronger password.',
+  'auth.errors.credentials': 'Incorrect email or password.',
+  'auth.errors.signedOut': 'Not signed in.',
+
+  'notifications.title': 'Notifications',
+  'notifications.markAllRead': 'Mark all as read',
+  'notifications.empty': 'No notifications yet.',
+  'notifications.unread': {
+    one: 'Notifications, {count} unread',
+    other: 'Notifications, {count} unread'
+  },
+  'notifications.nearby': 'Reported nearby: {type}',
+  'notifications.new': 'New incident nearby',
+
+  'alerts.title': 'Alert settings',
+  'alerts.enabled': 'Alert me about new incidents near me',
+  'alerts.within': 'Within',
+  'alerts.types': 'Incident types',
+  'alerts.push': 'Also send push notifications when CitizenWatch is closed',
+  'alerts.save': 'Save alert settings',
+  'alerts.chooseType': 'Choose at least one type of incident.',
+  'alerts.locating': 'Getting your location...',
+  'alerts.locationRequired': 'We need your location to alert you about incidents near you.',
+  'alerts.on': 'Alerts on for incidents within {km} km.',
+  'alerts.off': 'Alerts off.',
+  'alerts.pushOff': 'Alerts saved, but push notifications are off: {reason}',
+  'alerts.pushUnsupported': 'Push notifications are not available in this browser.',
+  'alerts.pushBlocked': 'Notifications are blocked. Allow them in your browser settings to get push alerts.',
+
+  'filters.label': 'Filter incidents',
+  'filters.allTypes': 'All Incidents',
+  'filters.search': 'Search',
+  'filters.searchPlaceholder': 'Search titles and descriptions',
+  'filters.status': 'Status',
+  'filters.anyStatus': 'Any status',
+  'filters.from': 'From',
+  'filters.to': 'To',
+  'filters.distance': 'Distance',
+  'filters.anyDistance': 'Any distance',
+  'filters.withinKm': 'Within {km} km',
+  'filters.sort': 'Sort by',
+  'filters.newest': 'Newest',
+  'filters.nearest': 'Nearest',
+  'filters.mostConfirmed': 'Most confirmed',
+  'filters.clear': 'Clear filters',
+  'filters.locating': 'Getting your location...',
+  'filters.locationDenied': 'Allow location access to filter and sort by distance.',
+
+  'export.csv': 'Download CSV',
+  'export.geojson': 'Download GeoJSON',
+  'export.atom': 'Verified incidents feed',
+  'export.empty': 'No incidents to export.',
+  'export.loading': 'Loading every matching incident...',
+  'export.failed': 'We could not load the incidents to export.',
+  'export.done': {
+    one: 'Exported {count} incident.',
+    other: 'Exported {count} incidents.'
+  },
+
+  'views.label': 'Incident views',
+  'views.feed': 'Feed',
+  'views.map': 'Map',
+  'views.moderation': 'Moderation',
+  'views.stats': 'Statistics',
+
+  'feed.empty': 'No incidents to show.',
+  'feed.error': "We couldn't load more incidents.",
+
+  'status.active': 'Active',
+  'status.responding': 'Responding',
+  'status.resolved': 'Resolved',
+
+  'severity.low': 'Low',
+  'severity.medium': 'Medium',
+  'severity.high': 'High',
+  'severity.critical': 'Critical',
+
+  'incidentTypes.accident': 'Accident',
+  'incidentTypes.accident.plural': 'Accidents',
+  'incidentTypes.accident.vehiclesInvolved': 'Vehicles involved',
+  'incidentTypes.accident.injuries': 'Anyone injured?',
+  'incidentTypes.fight': 'Fight',
+  'incidentTypes.fight.plural': 'Fights',
+  'incidentTypes.fight.injuries': 'Injuries?',
+  'incidentTypes.fight.weapons': 'Weapons seen?',
+  'incidentTypes.riot': 'Riot',
+  'incidentTypes.riot.plural': 'Riots',
+  'incidentTypes.riot.crowdSize': 'Crowd size',
+  'incidentTypes.riot.crowdSize.placeholder': 'Select crowd size',
+  'incidentTypes.riot.crowdSize.small': 'Under 50 people',
+  'incidentTypes.riot.crowdSize.medium': '50 to 500 people',
+  'incidentTypes.riot.crowdSize.large': 'Over 500 people',
+  'incidentTypes.riot.propertyDamage': 'Property being damaged?',
+  'incidentTypes.emergency': 'Emergency',
+  'incidentTypes.emergency.plural': 'Emergencies',
+
+  'card.image': 'Incident image',
+  'card.videoStill': 'Video still',
+  'card.verified': 'Verified',
+  'card.verifiedTitle': 'Verified by responders',
+  'card.confirmations': {
+    one: '{count} person sees this too',
+    other: '{count} people see this too'
+  },
+  'card.viewDetails': 'View details',
+  'card.officialUpdates': 'Official updates',
+
+  'media.video': 'Video',
+  'media.audio': 'Audio',
+  'media.videoTooBig': '{name} is over the {megabytes} MB limit for video.',
+  'media.audioTooBig': '{name} is over the {megabytes} MB limit for audio.',
+  'media.videoTooLong': '{name} is longer than {duration}, the limit for video.',
+  'media.audioTooLong': '{name} is longer than {duration}, the limit for audio.',
+  'media.unreadable': 'Could not read {name}. Try an MP4, WebM, MP3 or M4A file.',
+
+  'photos.unreadable': 'Some photos could not be read.',
+  'photos.unreadableNamed': 'Could not read {names}. Try a JPEG or PNG photo, or remove it.',
+  'photos.unreadableOne': 'Could not read {name}.',
+  'photos.redact': 'Blur faces or plates',
+  'photos.redactNamed': 'Blur faces or plates in {name}',
+
+  'outbox.pending': 'Pending upload',
+  'outbox.sending': 'Sending...',
+  'outbox.failed': 'Not sent',
+  'outbox.discarded': 'Report discarded.',
+
+  'upload.progress': 'Upload of {name}',
+  'upload.cancel': 'Cancel upload of {name}',
+  'upload.canceled': 'Canceled',
+  'upload.done': 'Uploaded',
+  'upload.paused': 'Paused until you are back online',
+  'upload.progressMegabytes': '{loaded} of {total} MB',
+
+  'map.nearMe': 'Only show incidents near me',
+  'map.label': 'Map of reported incidents',
+  'map.locating': 'Finding your location...',
+  'map.locationFailed': 'Could not get your location.',
+
+  'moderation.label': 'Moderation console',
+  'moderation.show': 'Show',
+  'moderation.review': 'Needs review',
+  'moderation.flagged': 'Flagged for review',
+  'moderation.duplicates': 'Possible duplicates',
+  'moderation.all': 'All reports',
+  'moderation.verified': 'Verified',
+  'moderation.falseReports': 'False reports',
+  'moderation.merged': 'Merged',
+  'moderation.empty': 'No reports to show.',
+  'moderation.staffOnly': 'Only responders and moderators can do this.',
+  'moderation.unknownStatus': 'Unknown status: {status}',
+  'moderation.mergeItself': 'An incident cannot be merged into itself.',
+  'moderation.anonymous': 'Anonymous',
+  'moderation.pseudonymous': 'Pseudonymous',
+  'moderation.flags.burst': 'Many anonymous reports from this area',
+  'moderation.falseReport': 'False report',
+  'moderation.mergedInto': 'Merged into {id}',
+  'moderation.verify': 'Verify',
+  'moderation.markFalse': 'Mark as false report',
+  'moderation.falseReason': 'Why is this a false report? (optional)',
+  'moderation.status': 'Status',
+  'moderation.duplicateOf': 'Duplicate of',
+  'moderation.chooseIncident': 'Choose incident...',
+  'moderation.merge': 'Merge',
+  'moderation.mergeInto': 'Merge into this',
+  'moderation.match': '{percent}% match',
+  'moderation.pickedByReporter': 'picked by the reporter',
+  'moderation.note': 'Official note',
+  'moderation.notePlaceholder': 'Visible to everyone on the incident',
+  'moderation.addNote': 'Add note',
+  'moderation.auditTrail': 'Audit trail ({count})',
+  'moderation.auditEntry': '{name} ({role}) {action}',
+  'moderation.audit.verified': 'verified the report',
+  'moderation.audit.markedFalse': 'marked it as a false report',
+  'moderation.audit.markedFalseBecause': 'marked it as a false report ({reason})',
+  'moderation.audit.statusChanged': 'changed status from {from} to {to}',
+  'moderation.audit.noteAdded': 'added an official note',
+  'moderation.audit.merged': 'merged duplicate {id} into this report',
+  'moderation.audit.mergedInto': 'merged this report into {id}',
+
+  'stats.incidents': 'Incidents',
+  'stats.resolution': 'Mean time to resolution',
+  'stats.byType': 'By type',
+  'stats.byStatus': 'By status',
+  'stats.week': 'Day of week and time of day',
+  'stats.where': 'Where incidents happen',
+  'stats.heatmap': 'Heatmap of incidents',
+  'stats.hotspots': 'Hotspots',
+  'stats.hotspotsHelp': 'Areas with far more incidents in the last week than in the four weeks before.',
+  'stats.noHotspots': 'No hotspots right now.',
+  'stats.loading': 'Loading incidents...',
+  'stats.loadFailed': 'We could not load the incidents.',
+  'stats.resolved': {
+    one: 'over {count} resolved incident',
+    other: 'over {count} resolved incidents'
+  },
+  'stats.days': '{days} d {hours} h',
+  'stats.hours': '{hours} h {minutes} min',
+  'stats.minutes': '{minutes} min',
+  'stats.weekCaption': 'Incidents by day of week and hour of day',
+  'stats.cell': {
+    one: '{count} incident',
+    other: '{count} incidents'
+  },
+  'stats.hotspotRate': {
+    one: '{count} incident in the last {days} days, {ratio}× the usual rate',
+    other: '{count} incidents in the last {days} days, {ratio}× the usual rate'
+  },
+  'stats.showOnMap': 'Show on map',
+
+  'report.title': 'Report an Incident',
+  'report.type': 'Incident Type',
+  'report.selectType': 'Select type',
+  'report.media': 'Photos, video or audio',
+  'report.mediaHint': 'Photos are resized and their location data removed before upload. You can blur faces and licence plates. Video clips can be up to 2 minutes and audio up to 5 minutes.',
+  'report.useMyLocation': 'Use My Location',
+  'report.pickOnMap': 'Pick on Map',
+  'report.pickHelp': 'Click the map or drag the pin to where it happened.',
+  'report.identity.label': 'Report as',
+  'report.identity.namedAs': 'Your name ({name})',
+  'report.identity.namedSignedOut': 'Your name (log in first)',
+  'report.identity.pseudonym': 'A pseudonym:',
+  'report.identity.anonymous': 'Anonymous',
+  'report.identity.hint': 'Pseudonymous and anonymous reports are not linked to your account, and their location is rounded to the nearest kilometre or so. They are checked by moderators before being verified.',
+  'report.identity.anonymousReporter': 'anonymous',
+  'report.identity.pseudonymReporter': '{name} (pseudonym)',
+  'report.identity.rateLimited': {
+    one: 'You can send {max} anonymous reports an hour. Try again in {count} minute, or report under your name.',
+    other: 'You can send {max} anonymous reports an hour. Try again in {count} minutes, or report under your name.'
+  },
+  'report.identity.locationRequired': 'Pick the location on the map or use your location, so it can be blurred to the nearest area.',
+  'report.identity.preparing': 'Preparing your anonymous report...',
+  'report.identity.near': 'Near {latitude}, {longitude}',
+  'report.submit': 'Submit Report',
+  'report.loginRequired': 'Please log in to report an incident.',
+  'report.added': 'Thanks! Your report has been added to this incident.',
+  'report.sent': 'Incident reported successfully!',
+  'report.queued': "You're offline. Your report has been saved and will be sent automatically.",
+
+  'sos.button': 'SOS',
+  'sos.help': 'Send an SOS with your location now',
+  'sos.locating': 'Getting your location for your SOS...',
+  'sos.noLocation': "We couldn't get your location, so no SOS was sent. Say where you are in the report form.",
+  'sos.loginRequired': 'Please log in to send an SOS.',
+  'sos.sent': 'SOS sent with your location.',
+  'sos.queued': "You're offline. Your SOS has been saved and will be sent as soon as you're back online.",
+  'sos.reportTitle': 'SOS',
+  'sos.reportDescription': 'Sent with the SOS button: someone here needs help now.',
+
+  'fields.severity': 'Severity',
+  'fields.severity.placeholder': 'How serious is it?',
+  'fields.severity.low': 'Low: no one is in danger',
+  'fields.severity.medium': 'Medium: someone could get hurt',
+  'fields.severity.high': 'High: someone is hurt or in danger',
+  'fields.severity.critical': 'Critical: lives are at risk',
+  'fields.title': 'Title',
+  'fields.title.placeholder': 'Brief description of the incident',
+  'fields.description': 'Description',
+  'fields.description.placeholder': 'Detailed description of what happened',
+  'fields.location': 'Location',
+  'fields.location.placeholder': 'Where did it happen?',
+
+  'validation.required': '{label} is required',
+  'validation.text': '{label} must be text',
+  'validation.minLength': '{label} must be at least {min} characters',
+  'validation.maxLength': '{label} must be at most {max} characters',
+  'validation.wholeNumber': '{label} must be a whole number',
+  'validation.range': '{label} must be between {min} and {max}',
+  'validation.boolean': '{label} must be yes or no',
+  'validation.choose': '{label}: choose one of the options',
+  'validation.fieldType': '{label} has an unknown field type',
+  'validation.typeRequired': 'Incident type is required',
+  'validation.unknownType': 'Unknown incident type',
+  'validation.unknownField': 'This type of report has no {name} field',
+
+  'location.marker': 'Incident location',
+  'location.lookingUp': 'Looking up address...',
+  'location.reverseFailed': 'Address lookup failed; the coordinates will still be saved.',
+  'location.finding': 'Finding address...',
+  'location.found': 'Found: {address}',
+  'location.notFound': "We couldn't find that address. Try picking it on the map.",
+  'location.searchFailed': 'Address lookup failed. Try picking it on the map.',
+  'location.unavailable': "We couldn't get your location. Pick it on the map or type the address.",
+
+  'detail.loading': 'Loading incident...',
+  'detail.loadFailed': 'Could not load this incident.',
+  'detail.unavailable': 'This incident is no longer available.',
+  'detail.reported': 'Reported',
+  'detail.statusChanged': 'Status changed to {status}',
+  'detail.reportedBy': 'reported by {name}',
+  'detail.photo': 'Photo {index} of {count}: {title}',
+  'detail.showPhoto': 'Show photo {index}',
+  'detail.videoClip': 'Video clip {index}',
+  'detail.audioClip': 'Audio clip {index}',
+  'detail.photoTaken': 'photo taken {time}',
+  'detail.openFullSize': 'Open full size',
+  'detail.photos': 'Photos',
+  'detail.confirm': 'I see this too',
+  'detail.confirmed': 'You see this too',
+  'detail.confirmations': {
+    zero: 'No one else has confirmed this yet.',
+    one: 'Confirmed by {count} person.',
+    other: 'Confirmed by {count} people.'
+  },
+  'detail.timeline': 'Timeline',
+  'detail.comments': 'Comments',
+  'detail.commentCount': 'Comments ({count})',
+  'detail.noComments': 'No comments yet.',
+  'detail.addComment': 'Add a comment',
+  'detail.postComment': 'Post comment',
+  'detail.reply': 'Reply',
+  'detail.replyingTo': 'Replying to {name}',
+  'detail.confirmLoginRequired': 'Please log in to confirm this incident.',
+  'detail.commentLoginRequired': 'Please log in to comment.',
+  'detail.commentRequired': 'Write a comment first.',
+  'detail.commentTooLong': 'Comments can be up to {max} characters.',
+
+  'redaction.title': 'Blur faces and plates',
+  'redaction.help': 'Drag over each face or licence plate to blur it. Blurred areas cannot be recovered from the uploaded photo.',
+  'redaction.keyboardHelp': 'With the keyboard: arrow keys move the box, Shift and the arrow keys resize it, Enter blurs what it covers.',
+  'redaction.photo': 'Photo to blur',
+  'redaction.blurred': {
+    one: '{count} area blurred',
+    other: '{count} areas blurred'
+  },
+  'redaction.clear': 'Clear all',
+
+  'duplicates.title': 'Is this the same incident?',
+  'duplicates.help': 'These were reported nearby around the same time. If one of them is what you saw, your report and photos are added to it.',
+  'duplicates.back': 'Back to my report',
+  'duplicates.new': 'No, this is a different incident',
+  'duplicates.pick': "Yes, it's this one",
+  'duplicates.distance': '{km} km away',
+  'duplicates.apart': '{minutes} min apart',
+
+  'toast.dismiss': 'Dismiss notification'
+});
\ No newline at end of file
@@ -0,0 +1,397 @@
+// French. Keys and plural forms as in locales/en.js; French uses `one` for
+// 0 and 1.
+
+registerMessages('fr', {
+  'app.name': 'CitizenWatch',
+
+  'header.language': 'Langue',
+  'header.report': 'Signaler un incident',
+  'header.reportShort': 'Signaler',
+
+  'a11y.skipToContent': 'Aller au contenu principal',
+
+  'menu.title': 'Menu',
+
+  'profile.account': 'Compte',
+
+  'actions.cancel': 'Annuler',
+  'actions.close': 'Fermer',
+  'actions.discard': 'Supprimer',
+  'actions.done': 'Terminé',
+  'actions.retry': 'Réessayer',
+  'actions.tryAgain': 'Réessayer',
+  'actions.undo': 'Annuler',
+
+  'common.yes': 'Oui',
+  'common.no': 'Non',
+  'common.remove': 'Retirer',
+  'common.removeNamed': 'Retirer {name}',
+  'common.km': '{km} km',
+
+  'roles.citizen': 'citoyen',
+  'roles.responder': 'intervenant',
+  'roles.moderator': 'modérateur',
+  'roles.admin': 'administrateur',
+
+  'errors.auth': 'Veuillez vous reconnecter pour continuer.',
+  'errors.network': 'Veuillez vérifier votre connexion Internet.',
+  'errors.validation': 'Veuillez corriger les erreurs du formulaire.',
+  'errors.server': 'Une erreur est survenue. Veuillez réessayer plus tard.',
+  'errors.unknown': 'Une erreur inattendue est survenue.',
+
+  'auth.login': 'Se connecter',
+  'auth.logout': 'Se déconnecter',
+  'auth.register': "S'inscrire",
+  'auth.welcome': 'Bienvenue, {name}',
+  'auth.createAccount': 'Créer un compte',
+  'auth.haveAccount': 'Vous avez déjà un compte ?',
+  'auth.noAccount': "Vous n'avez pas de compte ?",
+  'auth.name': 'Nom',
+  'auth.email': 'E-mail',
+  'auth.password': 'Mot de passe',
+  'auth.confirmPassword': 'Confirmer le mot de passe',
+  'auth.errors.nameRequired': 'Le nom est obligatoire',
+  'auth.errors.emailRequired': "L'e-mail est obligatoire",
+  'auth.errors.emailInvalid': 'Veuillez saisir une adresse e-mail valide',
+  'auth.errors.passwordRequired': 'Le mot de passe est obligatoire',
+  'auth.errors.passwordLength': {
+    one: 'Le mot de passe doit contenir au moins {count} caractère',
+    other: 'Le mot de passe doit contenir au moins {count} caractères'
+  },
+  'auth.errors.passwordMismatch': 'Les mots de passe ne correspondent pas',
+  'auth.errors.emailInUse': 'Un compte existe déjà avec cette adresse e-mail.',
+  'auth.errors.weakPassword': 'Veuillez choisir un mot de passe plus sûr.',
+  'auth.errors.credentials': 'E-mail ou mot de passe incorrect.',
+  'auth.errors.signedOut': "Vous n'êtes pas connecté.",
+
+  'notifications.title': 'Notifications',
+  'notifications.markAllRead': 'Tout marquer comme lu',
+  'notifications.empty': 'Aucune notification pour le moment.',
+  'notifications.unread': {
+    one: 'Notifications, {count} non lue',
+    other: 'Notifications, {count} non lues'
+  },
+  'notifications.nearby': 'Signalé près de chez vous : {type}',
+  'notifications.new': 'Nouvel incident près de chez vous',
+
+  'alerts.title': "Paramètres d'alerte",
+  'alerts.enabled': "M'alerter des nouveaux incidents près de chez moi",
+  'alerts.within': 'Dans un rayon de',
+  'alerts.types': "Types d'incident",
+  'alerts.push': 'Envoyer aussi des notifications push quand CitizenWatch est fermé',
+  'alerts.save': 'Enregistrer les alertes',
+  'alerts.chooseType': "Choisissez au moins un type d'incident.",
+  'alerts.locating': 'Localisation en cours...',
+  'alerts.locationRequired': 'Nous avons besoin de votre position pour vous alerter des incidents proches.',
+  'alerts.on': 'Alertes activées pour les incidents à moins de {km} km.',
+  'alerts.off': 'Alertes désactivées.',
+  'alerts.pushOff': 'Alertes enregistrées, mais les notifications push sont désactivées : {reason}',
+  'alerts.pushUnsupported': 'Les notifications push ne sont pas disponibles dans ce navigateur.',
+  'alerts.pushBlocked': 'Les notifications sont bloquées. Autorisez-les dans les réglages du navigateur pour recevoir les alertes push.',
+
+  'filters.label': 'Filtrer les incidents',
+  'filters.allTypes': 'Tous les incidents',
+  'filters.search': 'Rechercher',
+  'filters.searchPlaceholder': 'Rechercher dans les titres et descriptions',
+  'filters.status': 'Statut',
+  'filters.anyStatus': 'Tous les statuts',
+  'filters.from': 'Du',
+  'filters.to': 'Au',
+  'filters.distance': 'Distance',
+  'filters.anyDistance': 'Toutes distances',
+  'filters.withinKm': 'À moins de {km} km',
+  'filters.sort': 'Trier par',
+  'filters.newest': 'Plus récents',
+  'filters.nearest': 'Plus proches',
+  'filters.mostConfirmed': 'Plus confirmés',
+  'filters.clear': 'Effacer les filtres',
+  'filters.locating': 'Localisation en cours...',
+  'filters.locationDenied': "Autorisez l'accès à votre position pour filtrer et trier par distance.",
+
+  'export.csv': 'Télécharger en CSV',
+  'export.geojson': 'Télécharger en GeoJSON',
+  'export.atom': 'Flux des incidents vérifiés',
+  'export.empty': 'Aucun incident à exporter.',
+  'export.loading': 'Chargement de tous les incidents correspondants...',
+  'export.failed': 'Impossible de charger les incidents à exporter.',
+  'export.done': {
+    one: '{count} incident exporté.',
+    other: '{count} incidents exportés.'
+  },
+
+  'views.label': 'Vues des incidents',
+  'views.feed': 'Fil',
+  'views.map': 'Carte',
+  'views.moderation': 'Modération',
+  'views.stats': 'Statistiques',
+
+  'feed.empty': 'Aucun incident à afficher.',
+  'feed.error': "Impossible de charger plus d'incidents.",
+
+  'status.active': 'En cours',
+  'status.responding': 'Intervention',
+  'status.resolved': 'Résolu',
+
+  'severity.low': 'Faible',
+  'severity.medium': 'Moyenne',
+  'severity.high': 'Élevée',
+  'severity.critical': 'Critique',
+
+  'incidentTypes.accident': 'Accident',
+  'incidentTypes.accident.plural': 'Accidents',
+  'incidentTypes.accident.vehiclesInvolved': 'Véhicules impliqués',
+  'incidentTypes.accident.injuries': 'Y a-t-il des blessés ?',
+  'incidentTypes.fight': 'Bagarre',
+  'incidentTypes.fight.plural': 'Bagarres',
+  'incidentTypes.fight.injuries': 'Des blessés ?',
+  'incidentTypes.fight.weapons': 'Des armes vues ?',
+  'incidentTypes.riot': 'Émeute',
+  'incidentTypes.riot.plural': 'Émeutes',
+  'incidentTypes.riot.crowdSize': 'Taille de la foule',
+  'incidentTypes.riot.crowdSize.placeholder': 'Choisir la taille de la foule',
+  'incidentTypes.riot.crowdSize.small': 'Moins de 50 personnes',
+  'incidentTypes.riot.crowdSize.medium': 'De 50 à 500 personnes',
+  'incidentTypes.riot.crowdSize.large': 'Plus de 500 personnes',
+  'incidentTypes.riot.propertyDamage': 'Des biens sont-ils endommagés ?',
+  'incidentTypes.emergency': 'Urgence',
+  'incidentTypes.emergency.plural': 'Urgences',
+
+  'card.image': "Photo de l'incident",
+  'card.videoStill': 'Image de la vidéo',
+  'card.verified': 'Vérifié',
+  'card.verifiedTitle': 'Vérifié par les intervenants',
+  'card.confirmations': {
+    one: '{count} personne le voit aussi',
+    other: '{count} personnes le voient aussi'
+  },
+  'card.viewDetails': 'Voir les détails',
+  'card.officialUpdates': 'Informations officielles',
+
+  'media.video': 'Vidéo',
+  'media.audio': 'Audio',
+  'media.videoTooBig': '{name} dépasse la limite de {megabytes} Mo pour les vidéos.',
+  'media.audioTooBig': "{name} dépasse la limite de {megabytes} Mo pour l'audio.",
+  'media.videoTooLong': '{name} dure plus de {duration}, la limite pour les vidéos.',
+  'media.audioTooLong': "{name} dure plus de {duration}, la limite pour l'audio.",
+  'media.unreadable': 'Impossible de lire {name}. Essayez un fichier MP4, WebM, MP3 ou M4A.',
+
+  'photos.unreadable': "Certaines photos n'ont pas pu être lues.",
+  'photos.unreadableNamed': 'Impossible de lire {names}. Essayez une photo JPEG ou PNG, ou retirez-la.',
+  'photos.unreadableOne': 'Impossible de lire {name}.',
+  'photos.redact': 'Flouter visages ou plaques',
+  'photos.redactNamed': 'Flouter visages ou plaques dans {name}',
+
+  'outbox.pending': "En attente d'envoi",
+  'outbox.sending': 'Envoi...',
+  'outbox.failed': 'Non envoyé',
+  'outbox.discarded': 'Signalement supprimé.',
+
+  'upload.progress': 'Envoi de {name}',
+  'upload.cancel': "Annuler l'envoi de {name}",
+  'upload.canceled': 'Annulé',
+  'upload.done': 'Envoyé',
+  'upload.paused': 'En pause en attendant le retour de la connexion',
+  'upload.progressMegabytes': '{loaded} sur {total} Mo',
+
+  'map.nearMe': 'Afficher seulement les incidents près de moi',
+  'map.label': 'Carte des incidents signalés',
+  'map.locating': 'Localisation en cours...',
+  'map.locationFailed': "Impossible d'obtenir votre position.",
+
+  'moderation.label': 'Console de modération',
+  'moderation.show': 'Afficher',
+  'moderation.review': 'À examiner',
+  'moderation.flagged': 'Signalés pour examen',
+  'moderation.duplicates': 'Doublons possibles',
+  'moderation.all': 'Tous les signalements',
+  'moderation.verified': 'Vérifiés',
+  'moderation.falseReports': 'Faux signalements',
+  'moderation.merged': 'Fusionnés',
+  'moderation.empty': 'Aucun signalement à afficher.',
+  'moderation.staffOnly': 'Seuls les intervenants et les modérateurs peuvent faire cela.',
+  'moderation.unknownStatus': 'Statut inconnu : {status}',
+  'moderation.mergeItself': 'Un incident ne peut pas être fusionné avec lui-même.',
+  'moderation.anonymous': 'Anonyme',
+  'moderation.pseudonymous': 'Sous pseudonyme',
+  'moderation.flags.burst': 'Nombreux signalements anonymes dans cette zone',
+  'moderation.falseReport': 'Faux signalement',
+  'moderation.mergedInto': 'Fusionné dans {id}',
+  'moderation.verify': 'Vérifier',
+  'moderation.markFalse': 'Marquer comme faux signalement',
+  'moderation.falseReason': 'Pourquoi est-ce un faux signalement ? (facultatif)',
+  'moderation.status': 'Statut',
+  'moderation.duplicateOf': 'Doublon de',
+  'moderation.chooseIncident': 'Choisir un incident...',
+  'moderation.merge': 'Fusionner',
+  'moderation.mergeInto': 'Fusionner dans celui-ci',
+  'moderation.match': 'Correspondance à {percent} %',
+  'moderation.pickedByReporter': "choisi par l'auteur du signalement",
+  'moderation.note': 'Note officielle',
+  'moderation.notePlaceholder': "Visible par tous sur l'incident",
+  'moderation.addNote': 'Ajouter la note',
+  'moderation.auditTrail': "Journal d'audit ({count})",
+  'moderation.auditEntry': '{name} ({role}) {action}',
+  'moderation.audit.verified': 'a vérifié le signalement',
+  'moderation.audit.markedFalse': "l'a marqué comme faux signalement",
+  'moderation.audit.markedFalseBecause': "l'a marqué comme faux signalement ({reason})",
+  'moderation.audit.statusChanged': 'a changé le statut de « {from} » à « {to} »',
+  'moderation.audit.noteAdded': 'a ajouté une note officielle',
+  'moderation.audit.merged': 'a fusionné le doublon {id} dans ce signalement',
+  'moderation.audit.mergedInto': 'a fusionné ce signalement dans {id}',
+
+  'stats.incidents': 'Incidents',
+  'stats.resolution': 'Délai moyen de résolution',
+  'stats.byType': 'Par type',
+  'stats.byStatus': 'Par statut',
+  'stats.week': 'Jour de la semaine et heure',
+  'stats.where': 'Où les incidents se produisent',
+  'stats.heatmap': 'Carte de chaleur des incidents',
+  'stats.hotspots': 'Points chauds',
+  'stats.hotspotsHelp': "Zones avec bien plus d'incidents la semaine dernière qu'au cours des quatre semaines précédentes.",
+  'stats.noHotspots': 'Aucun point chaud pour le moment.',
+  'stats.loading': 'Chargement des incidents...',
+  'stats.loadFailed': 'Impossible de charger les incidents.',
+  'stats.resolved': {
+    one: 'sur {count} incident résolu',
+    other: 'sur {count} incidents résolus'
+  },
+  'stats.days': '{days} j {hours} h',
+  'stats.hours': '{hours} h {minutes} min',
+  'stats.minutes': '{minutes} min',
+  'stats.weekCaption': 'Incidents par jour de la semaine et heure de la journée',
+  'stats.cell': {
+    one: '{count} incident',
+    other: '{count} incidents'
+  },
+  'stats.hotspotRate': {
+    one: '{count} incident ces {days} derniers jours, {ratio} fois le rythme habituel',
+    other: '{count} incidents ces {days} derniers jours, {ratio} fois le rythme habituel'
+  },
+  'stats.showOnMap': 'Voir sur la carte',
+
+  'report.title': 'Signaler un incident',
+  'report.type': "Type d'incident",
+  'report.selectType': 'Choisir un type',
+  'report.media': 'Photos, vidéo ou audio',
+  'report.mediaHint': "Les photos sont redimensionnées et leurs données de localisation supprimées avant l'envoi. Vous pouvez flouter les visages et les plaques. Les vidéos peuvent durer jusqu'à 2 minutes et l'audio jusqu'à 5 minutes.",
+  'report.useMyLocation': 'Utiliser ma position',
+  'report.pickOnMap': 'Choisir sur la carte',
+  'report.pickHelp': "Cliquez sur la carte ou déplacez l'épingle jusqu'au lieu de l'incident.",
+  'report.identity.label': 'Signaler en tant que',
+  'report.identity.namedAs': 'Votre nom ({name})',
+  'report.identity.namedSignedOut': "Votre nom (connectez-vous d'abord)",
+  'report.identity.pseudonym': 'Un pseudonyme :',
+  'report.identity.anonymous': 'Anonyme',
+  'report.identity.hint': "Les signalements sous pseudonyme ou anonymes ne sont pas liés à votre compte, et leur position est arrondie au kilomètre près environ. Ils sont examinés par les modérateurs avant d'être vérifiés.",
+  'report.identity.anonymousReporter': 'anonyme',
+  'report.identity.pseudonymReporter': '{name} (pseudonyme)',
+  'report.identity.rateLimited': {
+    one: 'Vous pouvez envoyer {max} signalements anonymes par heure. Réessayez dans {count} minute, ou signalez sous votre nom.',
+    other: 'Vous pouvez envoyer {max} signalements anonymes par heure. Réessayez dans {count} minutes, ou signalez sous votre nom.'
+  },
+  'report.identity.locationRequired': "Choisissez le lieu sur la carte ou utilisez votre position, pour qu'il puisse être arrondi à la zone la plus proche.",
+  'report.identity.preparing': 'Préparation de votre signalement anonyme...',
+  'report.identity.near': 'Près de {latitude}, {longitude}',
+  'report.submit': 'Envoyer le signalement',
+  'report.loginRequired': 'Veuillez vous connecter pour signaler un incident.',
+  'report.added': 'Merci ! Votre signalement a été ajouté à cet incident.',
+  'report.sent': 'Incident signalé avec succès !',
+  'report.queued': 'Vous êtes hors ligne. Votre signalement est enregistré et sera envoyé automatiquement.',
+
+  'sos.button': 'SOS',
+  'sos.help': 'Envoyer un SOS avec votre position maintenant',
+  'sos.locating': 'Localisation en cours pour votre SOS...',
+  'sos.noLocation': "Impossible d'obtenir votre position, aucun SOS n'a été envoyé. Indiquez où vous êtes dans le formulaire.",
+  'sos.loginRequired': 'Veuillez vous connecter pour envoyer un SOS.',
+  'sos.sent': 'SOS envoyé avec votre position.',
+  'sos.queued': 'Vous êtes hors ligne. Votre SOS est enregistré et sera envoyé dès le retour de la connexion.',
+  'sos.reportTitle': 'SOS',
+  'sos.reportDescription': "Envoyé avec le bouton SOS : quelqu'un ici a besoin d'aide maintenant.",
+
+  'fields.severity': 'Gravité',
+  'fields.severity.placeholder': "Quelle est la gravité ?",
+  'fields.severity.low': "Faible : personne n'est en danger",
+  'fields.severity.medium': "Moyenne : quelqu'un pourrait être blessé",
+  'fields.severity.high': "Élevée : quelqu'un est blessé ou en danger",
+  'fields.severity.critical': 'Critique : des vies sont en jeu',
+  'fields.title': 'Titre',
+  'fields.title.placeholder': "Brève description de l'incident",
+  'fields.description': 'Description',
+  'fields.description.placeholder': "Description détaillée de ce qui s'est passé",
+  'fields.location': 'Lieu',
+  'fields.location.placeholder': "Où cela s'est-il passé ?",
+  'validation.required': '{label} est obligatoire',
+  'validation.text': '{label} doit être du texte',
+  'validation.minLength': '{label} doit compter au moins {min} caractères',
+  'validation.maxLength': '{label} doit compter au plus {max} caractères',
+  'validation.wholeNumber': '{label} doit être un nombre entier',
+  'validation.range': '{label} doit être compris entre {min} et {max}',
+  'validation.boolean': '{label} doit être oui ou non',
+  'validation.choose': '{label} : choisissez une des options',
+  'validation.fieldType': '{label} a un type de champ inconnu',
+  'validation.typeRequired': "Le type d'incident est obligatoire",
+  'validation.unknownType': "Type d'incident inconnu",
+  'validation.unknownField': "Ce type de signalement n'a pas de champ {name}",
+
+  'location.marker': "Lieu de l'incident",
+  'location.lookingUp': "Recherche de l'adresse...",
+  'location.reverseFailed': "La recherche d'adresse a échoué ; les coordonnées seront quand même enregistrées.",
+  'location.finding': "Recherche de l'adresse...",
+  'location.found': 'Trouvé : {address}',
+  'location.notFound': 'Adresse introuvable. Essayez de la choisir sur la carte.',
+  'location.searchFailed': "La recherche d'adresse a échoué. Essayez de la choisir sur la carte.",
+  'location.unavailable': "Impossible d'obtenir votre position. Choisissez-la sur la carte ou saisissez l'adresse.",
+
+  'detail.reportedBy': 'signalé par {name}',
+  'detail.photoTaken': 'photo prise le {time}',
+  'detail.photo': 'Photo {index} sur {count} : {title}',
+  'detail.showPhoto': 'Afficher la photo {index}',
+  'detail.videoClip': 'Vidéo {index}',
+  'detail.audioClip': 'Enregistrement audio {index}',
+  'detail.openFullSize': 'Ouvrir en taille réelle',
+  'detail.photos': 'Photos',
+  'detail.confirm': 'Je le vois aussi',
+  'detail.confirmed': 'Vous le voyez aussi',
+  'detail.confirmations': {
+    zero: "Personne d'autre ne l'a encore confirmé.",
+    one: 'Confirmé par {count} personne.',
+    other: 'Confirmé par {count} personnes.'
+  },
+  'detail.timeline': 'Historique',
+  'detail.loading': "Chargement de l'incident...",
+  'detail.loadFailed': 'Impossible de charger cet incident.',
+  'detail.unavailable': "Cet incident n'est plus disponible.",
+  'detail.reported': 'Signalé',
+  'detail.statusChanged': 'Statut passé à « {status} »',
+  'detail.comments': 'Commentaires',
+  'detail.commentCount': 'Commentaires ({count})',
+  'detail.noComments': 'Aucun commentaire pour le moment.',
+  'detail.addComment': 'Ajouter un commentaire',
+  'detail.postComment': 'Publier',
+  'detail.reply': 'Répondre',
+  'detail.replyingTo': 'En réponse à {name}',
+  'detail.confirmLoginRequired': 'Veuillez vous connecter pour confirmer cet incident.',
+  'detail.commentLoginRequired': 'Veuillez vous connecter pour commenter.',
+  'detail.commentRequired': "Écrivez d'abord un commentaire.",
+  'detail.commentTooLong': "Les commentaires peuvent compter jusqu'à {max} caractères.",
+
+  'redaction.title': 'Flouter visages et plaques',
+  'redaction.help': 'Faites glisser sur chaque visage ou plaque pour le flouter. Les zones floutées ne peuvent pas être récupérées à partir de la photo envoyée.',
+  'redaction.keyboardHelp': "Au clavier : les flèches déplacent le cadre, Maj et les flèches le redimensionnent, Entrée floute ce qu'il recouvre.",
+  'redaction.photo': 'Photo à flouter',
+  'redaction.blurred': {
+    one: '{count} zone floutée',
+    other: '{count} zones floutées'
+  },
+  'redaction.clear': 'Tout effacer',
+
+  'duplicates.title': "S'agit-il du même incident ?",
+  'duplicates.help': "Ces incidents ont été signalés à proximité, à peu près au même moment. Si l'un d'eux correspond à ce que vous avez vu, votre signalement et vos photos y seront ajoutés.",
+  'duplicates.back': 'Revenir à mon signalement',
+  'duplicates.new': "Non, c'est un autre incident",
+  'duplicates.pick': "Oui, c'est celui-ci",
+  'duplicates.distance': 'à {km} km',
+  'duplicates.apart': "{minutes} min d'écart",
+
+  'toast.dismiss': 'Fermer la notification'
+});
\ No newline at end of file
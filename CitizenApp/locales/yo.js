@@ -0,0 +1,387 @@
+// Yoruba. Keys as in locales/en.js; Yoruba nouns do not change with number,
+// so counted messages only need `other` (and `zero` where en.js has one).
+
+registerMessages('yo', {
+  'app.name': 'CitizenWatch',
+
+  'header.language': 'Èdè',
+  'header.report': 'Fi ìṣẹ̀lẹ̀ tó',
+  'header.reportShort': 'Fi tó',
+
+  'a11y.skipToContent': 'Fò lọ sí àkóónú pàtàkì',
+
+  'menu.title': 'Àkójọ',
+
+  'profile.account': 'Àkáǹtì',
+
+  'actions.cancel': 'Fagilé',
+  'actions.close': 'Pa á dé',
+  'actions.discard': 'Pa á rẹ́',
+  'actions.done': 'Ó ti parí',
+  'actions.retry': 'Tún gbìyànjú',
+  'actions.tryAgain': 'Tún gbìyànjú',
+  'actions.undo': 'Padà sẹ́yìn',
+
+  'common.yes': 'Bẹ́ẹ̀ ni',
+  'common.no': 'Rárá',
+  'common.remove': 'Yọ ọ́ kúrò',
+  'common.removeNamed': 'Yọ {name} kúrò',
+  'common.km': 'kìlómítà {km}',
+
+  'roles.citizen': 'ará ìlú',
+  'roles.responder': 'olùdáhùn',
+  'roles.moderator': 'alábòójútó',
+  'roles.admin': 'alákòóso',
+
+  'errors.auth': 'Jọ̀wọ́ wọlé padà láti tẹ̀síwájú.',
+  'errors.network': 'Jọ̀wọ́ ṣàyẹ̀wò ìsopọ̀ ayélujára rẹ.',
+  'errors.validation': 'Jọ̀wọ́ ṣàyẹ̀wò fọ́ọ̀mù náà fún àṣìṣe.',
+  'errors.server': 'Nǹkan kan kò lọ dáadáa. Jọ̀wọ́ tún gbìyànjú nígbà míì.',
+  'errors.unknown': 'Àṣìṣe àìròtẹ́lẹ̀ kan ṣẹlẹ̀.',
+
+  'auth.login': 'Wọlé',
+  'auth.logout': 'Jáde',
+  'auth.register': 'Forúkọsílẹ̀',
+  'auth.welcome': 'Ẹ káàbọ̀, {name}',
+  'auth.createAccount': 'Ṣí àkáǹtì tuntun',
+  'auth.haveAccount': 'Ṣé o ti ní àkáǹtì?',
+  'auth.noAccount': 'Ṣé o kò ní àkáǹtì?',
+  'auth.name': 'Orúkọ',
+  'auth.email': 'Ímeèlì',
+  'auth.password': 'Ọ̀rọ̀ aṣínà',
+  'auth.confirmPassword': 'Tún ọ̀rọ̀ aṣínà tẹ̀',
+  'auth.errors.nameRequired': 'O gbọ́dọ̀ kọ orúkọ',
+  'auth.errors.emailRequired': 'O gbọ́dọ̀ kọ ímeèlì',
+  'auth.errors.emailInvalid': 'Jọ̀wọ́ kọ àdírẹ́sì ímeèlì tó tọ́',
+  'auth.errors.passwordRequired': 'O gbọ́dọ̀ kọ ọ̀rọ̀ aṣínà',
+  'auth.errors.passwordLength': {
+    other: 'Ọ̀rọ̀ aṣínà gbọ́dọ̀ ní ó kéré tán lẹ́tà {count}'
+  },
+  'auth.errors.passwordMismatch': 'Àwọn ọ̀rọ̀ aṣínà náà kò bára mu',
+  'auth.errors.emailInUse': 'Àkáǹtì kan ti wà pẹ̀lú ímeèlì yìí.',
+  'auth.errors.weakPassword': 'Jọ̀wọ́ yan ọ̀rọ̀ aṣínà tó lágbára jù.',
+  'auth.errors.credentials': 'Ímeèlì tàbí ọ̀rọ̀ aṣínà kò tọ̀nà.',
+  'auth.errors.signedOut': 'O kò tíì wọlé.',
+
+  'notifications.title': 'Ìfitónilétí',
+  'notifications.markAllRead': 'Sàmì sí gbogbo rẹ̀ pé o ti kà á',
+  'notifications.empty': 'Kò sí ìfitónilétí kankan síbẹ̀.',
+  'notifications.unread': {
+    other: 'Ìfitónilétí, {count} tí a kò tíì kà'
+  },
+  'notifications.nearby': 'Wọ́n fi tó wa nítòsí: {type}',
+  'notifications.new': 'Ìṣẹ̀lẹ̀ tuntun nítòsí',
+
+  'alerts.title': 'Ètò ìkìlọ̀',
+  'alerts.enabled': 'Kìlọ̀ fún mi nípa ìṣẹ̀lẹ̀ tuntun nítòsí mi',
+  'alerts.within': 'Láàárín',
+  'alerts.types': 'Irú ìṣẹ̀lẹ̀',
+  'alerts.push': 'Fi ìfitónilétí ránṣẹ́ sí mi bí CitizenWatch kò tilẹ̀ ṣí',
+  'alerts.save': 'Fi ètò ìkìlọ̀ pamọ́',
+  'alerts.chooseType': 'Yan irú ìṣẹ̀lẹ̀ kan ó kéré tán.',
+  'alerts.locating': 'À ń wá ibi tí o wà...',
+  'alerts.locationRequired': 'A nílò ibi tí o wà láti kìlọ̀ fún ọ nípa ìṣẹ̀lẹ̀ nítòsí rẹ.',
+  'alerts.on': 'Ìkìlọ̀ ti tan fún ìṣẹ̀lẹ̀ láàárín kìlómítà {km}.',
+  'alerts.off': 'Ìkìlọ̀ ti kú.',
+  'alerts.pushOff': 'A ti fi ìkìlọ̀ pamọ́, ṣùgbọ́n ìfitónilétí kò ní dé nígbà tí àpù bá tì: {reason}',
+  'alerts.pushUnsupported': 'Ìfitónilétí kò ṣiṣẹ́ lórí aṣàwákiri yìí.',
+  'alerts.pushBlocked': 'A ti dí ìfitónilétí. Gbà á láàyè nínú ètò aṣàwákiri rẹ láti gba ìkìlọ̀.',
+
+  'filters.label': 'Ṣẹ́ àwọn ìṣẹ̀lẹ̀',
+  'filters.allTypes': 'Gbogbo ìṣẹ̀lẹ̀',
+  'filters.search': 'Wá',
+  'filters.searchPlaceholder': 'Wá nínú àkọlé àti àlàyé',
+  'filters.status': 'Ipò',
+  'filters.anyStatus': 'Ipò èyíkéyìí',
+  'filters.from': 'Láti',
+  'filters.to': 'Dé',
+  'filters.distance': 'Ìjìnnà',
+  'filters.anyDistance': 'Ìjìnnà èyíkéyìí',
+  'filters.withinKm': 'Láàárín kìlómítà {km}',
+  'filters.sort': 'Tò ó nípa',
+  'filters.newest': 'Èyí tó dé kẹ́yìn',
+  'filters.nearest': 'Èyí tó súnmọ́ jù',
+  'filters.mostConfirmed': 'Èyí tí ọ̀pọ̀ jẹ́rìí sí',
+  'filters.clear': 'Pa àwọn àṣẹ́ rẹ́',
+  'filters.locating': 'À ń wá ibi tí o wà...',
+  'filters.locationDenied': 'Gba ààyè sí ibi tí o wà láti ṣẹ́ àti láti tò ó nípa ìjìnnà.',
+
+  'export.csv': 'Ṣe ìgbàsílẹ̀ CSV',
+  'export.geojson': 'Ṣe ìgbàsílẹ̀ GeoJSON',
+  'export.atom': 'Ìròyìn àwọn ìṣẹ̀lẹ̀ tí a ti fìdí rẹ̀ múlẹ̀',
+  'export.empty': 'Kò sí ìṣẹ̀lẹ̀ kankan láti gbé jáde.',
+  'export.loading': 'À ń gbé gbogbo ìṣẹ̀lẹ̀ tó bá a mu wá...',
+  'export.failed': 'A kò lè gbé àwọn ìṣẹ̀lẹ̀ tí a fẹ́ gbé jáde wá.',
+  'export.done': {
+    other: 'A ti gbé ìṣẹ̀lẹ̀ {count} jáde.'
+  },
+
+  'views.label': 'Ọ̀nà ìwò ìṣẹ̀lẹ̀',
+  'views.feed': 'Ìròyìn',
+  'views.map': 'Máàpù',
+  'views.moderation': 'Àbójútó',
+  'views.stats': 'Ìṣirò',
+
+  'feed.empty': 'Kò sí ìṣẹ̀lẹ̀ kankan láti fi hàn.',
+  'feed.error': 'A kò lè gbé àwọn ìṣẹ̀lẹ̀ míì wá.',
+
+  'status.active': 'Ń lọ lọ́wọ́',
+  'status.responding': 'Ìrànlọ́wọ́ ń bọ̀',
+  'status.resolved': 'Ó ti yanjú',
+
+  'severity.low': 'Kékeré',
+  'severity.medium': 'Àárín',
+  'severity.high': 'Gíga',
+  'severity.critical': 'Ewu ńlá',
+
+  'incidentTypes.accident': 'Ìjàǹbá',
+  'incidentTypes.accident.plural': 'Ìjàǹbá',
+  'incidentTypes.accident.vehiclesInvolved': 'Ọkọ̀ tó kàn',
+  'incidentTypes.accident.injuries': 'Ṣé ẹnikẹ́ni farapa?',
+  'incidentTypes.fight': 'Ìjà',
+  'incidentTypes.fight.plural': 'Ìjà',
+  'incidentTypes.fight.injuries': 'Ṣé ẹnikẹ́ni farapa?',
+  'incidentTypes.fight.weapons': 'Ṣé a rí ohun ìjà?',
+  'incidentTypes.riot': 'Rúkèrúdò',
+  'incidentTypes.riot.plural': 'Rúkèrúdò',
+  'incidentTypes.riot.crowdSize': 'Iye èrò',
+  'incidentTypes.riot.crowdSize.placeholder': 'Yan iye èrò',
+  'incidentTypes.riot.crowdSize.small': 'Kò tó ènìyàn 50',
+  'incidentTypes.riot.crowdSize.medium': 'Ènìyàn 50 sí 500',
+  'incidentTypes.riot.crowdSize.large': 'Ó ju ènìyàn 500 lọ',
+  'incidentTypes.riot.propertyDamage': 'Ṣé wọ́n ń ba dúkìá jẹ́?',
+  'incidentTypes.emergency': 'Pàjáwìrì',
+  'incidentTypes.emergency.plural': 'Pàjáwìrì',
+
+  'card.image': 'Àwòrán ìṣẹ̀lẹ̀',
+  'card.videoStill': 'Àwòrán láti inú fídíò',
+  'card.verified': 'A ti fìdí rẹ̀ múlẹ̀',
+  'card.verifiedTitle': 'Àwọn olùdáhùn ti fìdí rẹ̀ múlẹ̀',
+  'card.confirmations': {
+    other: 'Ènìyàn {count} rí i pẹ̀lú'
+  },
+  'card.viewDetails': 'Wo kúlẹ̀kúlẹ̀',
+  'card.officialUpdates': 'Ìkéde ìjọba',
+
+  'media.video': 'Fídíò',
+  'media.audio': 'Ohùn',
+  'media.videoTooBig': '{name} ju òdiwọ̀n {megabytes} MB fún fídíò lọ.',
+  'media.audioTooBig': '{name} ju òdiwọ̀n {megabytes} MB fún ohùn lọ.',
+  'media.videoTooLong': '{name} gùn ju {duration} lọ, òdiwọ̀n fún fídíò.',
+  'media.audioTooLong': '{name} gùn ju {duration} lọ, òdiwọ̀n fún ohùn.',
+  'media.unreadable': 'A kò lè ka {name}. Gbìyànjú fáìlì MP4, WebM, MP3 tàbí M4A.',
+
+  'photos.unreadable': 'A kò lè ka àwọn àwòrán kan.',
+  'photos.unreadableNamed': 'A kò lè ka {names}. Gbìyànjú àwòrán JPEG tàbí PNG, tàbí yọ ọ́ kúrò.',
+  'photos.unreadableOne': 'A kò lè ka {name}.',
+  'photos.redact': 'Bo ojú tàbí nọ́ńbà ọkọ̀',
+  'photos.redactNamed': 'Bo ojú tàbí nọ́ńbà ọkọ̀ nínú {name}',
+
+  'outbox.pending': 'Ó ń dúró de ìfiránṣẹ́',
+  'outbox.sending': 'Ó ń lọ...',
+  'outbox.failed': 'Kò lọ',
+  'outbox.discarded': 'A ti pa ìròyìn náà rẹ́.',
+
+  'upload.progress': 'Ìfiránṣẹ́ {name}',
+  'upload.cancel': 'Fagilé ìfiránṣẹ́ {name}',
+  'upload.canceled': 'A ti fagilé e',
+  'upload.done': 'Ó ti lọ',
+  'upload.paused': 'Ó dúró títí ìsopọ̀ á fi padà',
+  'upload.progressMegabytes': '{loaded} nínú {total} MB',
+
+  'map.nearMe': 'Fi ìṣẹ̀lẹ̀ tó wà nítòsí mi nìkan hàn',
+  'map.label': 'Máàpù àwọn ìṣẹ̀lẹ̀ tí a fi tó',
+  'map.locating': 'À ń wá ibi tí o wà...',
+  'map.locationFailed': 'A kò rí ibi tí o wà.',
+
+  'moderation.label': 'Ojú àbójútó',
+  'moderation.show': 'Fi hàn',
+  'moderation.review': 'Ó nílò àyẹ̀wò',
+  'moderation.flagged': 'A sàmì sí i fún àyẹ̀wò',
+  'moderation.duplicates': 'Ó lè jẹ́ àtúnsọ',
+  'moderation.all': 'Gbogbo ìròyìn',
+  'moderation.verified': 'A ti fìdí rẹ̀ múlẹ̀',
+  'moderation.falseReports': 'Ìròyìn èké',
+  'moderation.merged': 'A ti so wọ́n pọ̀',
+  'moderation.empty': 'Kò sí ìròyìn kankan láti fi hàn.',
+  'moderation.staffOnly': 'Àwọn olùdáhùn àti alábòójútó nìkan ló lè ṣe èyí.',
+  'moderation.unknownStatus': 'Ipò tí a kò mọ̀: {status}',
+  'moderation.mergeItself': 'A kò lè so ìṣẹ̀lẹ̀ kan pọ̀ mọ́ ara rẹ̀.',
+  'moderation.anonymous': 'Láìdárúkọ',
+  'moderation.pseudonymous': 'Orúkọ àdàpè',
+  'moderation.flags.burst': 'Ọ̀pọ̀ ìròyìn láìdárúkọ láti àdúgbò yìí',
+  'moderation.falseReport': 'Ìròyìn èké',
+  'moderation.mergedInto': 'A ti so ó pọ̀ mọ́ {id}',
+  'moderation.verify': 'Fìdí rẹ̀ múlẹ̀',
+  'moderation.markFalse': 'Sàmì sí i pé èké ni',
+  'moderation.falseReason': 'Kí ló dé tí ìròyìn yìí fi jẹ́ èké? (kò pọn dandan)',
+  'moderation.status': 'Ipò',
+  'moderation.duplicateOf': 'Àtúnsọ',
+  'moderation.chooseIncident': 'Yan ìṣẹ̀lẹ̀...',
+  'moderation.merge': 'So wọ́n pọ̀',
+  'moderation.mergeInto': 'So ó pọ̀ mọ́ èyí',
+  'moderation.match': 'Ìbáramu {percent}%',
+  'moderation.pickedByReporter': 'ẹni tó fi tó wa ló yàn án',
+  'moderation.note': 'Àkíyèsí ìjọba',
+  'moderation.notePlaceholder': 'Gbogbo ènìyàn ló máa rí i lórí ìṣẹ̀lẹ̀ náà',
+  'moderation.addNote': 'Fi àkíyèsí kún un',
+  'moderation.auditTrail': 'Àkọsílẹ̀ ìṣe ({count})',
+  'moderation.auditEntry': '{name} ({role}) {action}',
+  'moderation.audit.verified': 'fìdí ìròyìn náà múlẹ̀',
+  'moderation.audit.markedFalse': 'sàmì sí i pé ìròyìn èké ni',
+  'moderation.audit.markedFalseBecause': 'sàmì sí i pé ìròyìn èké ni ({reason})',
+  'moderation.audit.statusChanged': 'yí ipò padà láti {from} sí {to}',
+  'moderation.audit.noteAdded': 'fi àkíyèsí ìjọba kún un',
+  'moderation.audit.merged': 'so àtúnsọ {id} pọ̀ mọ́ ìròyìn yìí',
+  'moderation.audit.mergedInto': 'so ìròyìn yìí pọ̀ mọ́ {id}',
+
+  'stats.incidents': 'Ìṣẹ̀lẹ̀',
+  'stats.resolution': 'Àròpín àkókò ìyanjú',
+  'stats.byType': 'Nípa irú',
+  'stats.byStatus': 'Nípa ipò',
+  'stats.week': 'Ọjọ́ ọ̀sẹ̀ àti àkókò ọjọ́',
+  'stats.where': 'Ibi tí ìṣẹ̀lẹ̀ ti ń ṣẹlẹ̀',
+  'stats.heatmap': 'Máàpù ìgbóná àwọn ìṣẹ̀lẹ̀',
+  'stats.hotspots': 'Ibi tí ìṣẹ̀lẹ̀ pọ̀ sí',
+  'stats.hotspotsHelp': 'Àwọn àdúgbò tí ìṣẹ̀lẹ̀ pọ̀ níbẹ̀ ní ọ̀sẹ̀ tó kọjá ju ọ̀sẹ̀ mẹ́rin ṣáájú rẹ̀ lọ.',
+  'stats.noHotspots': 'Kò sí ibi tí ìṣẹ̀lẹ̀ pọ̀ sí báyìí.',
+  'stats.loading': 'À ń gbé àwọn ìṣẹ̀lẹ̀ wá...',
+  'stats.loadFailed': 'A kò lè gbé àwọn ìṣẹ̀lẹ̀ wá.',
+  'stats.resolved': {
+    other: 'lórí ìṣẹ̀lẹ̀ {count} tí ó ti yanjú'
+  },
+  'stats.days': 'ọjọ́ {days} wákàtí {hours}',
+  'stats.hours': 'wákàtí {hours} ìṣẹ́jú {minutes}',
+  'stats.minutes': 'ìṣẹ́jú {minutes}',
+  'stats.weekCaption': 'Ìṣẹ̀lẹ̀ nípa ọjọ́ ọ̀sẹ̀ àti wákàtí ọjọ́',
+  'stats.cell': {
+    other: 'Ìṣẹ̀lẹ̀ {count}'
+  },
+  'stats.hotspotRate': {
+    other: 'Ìṣẹ̀lẹ̀ {count} ní ọjọ́ {days} tó kọjá, ìlọ́po {ratio} iye tí a mọ̀'
+  },
+  'stats.showOnMap': 'Fi hàn lórí máàpù',
+
+  'report.title': 'Fi ìṣẹ̀lẹ̀ kan tó wa létí',
+  'report.type': 'Irú ìṣẹ̀lẹ̀',
+  'report.selectType': 'Yan irú',
+  'report.media': 'Àwòrán, fídíò tàbí ohùn',
+  'report.mediaHint': 'A máa dín àwòrán kù, a sì máa yọ ibi tí a ti yà á kúrò kí a tó fi ránṣẹ́. O lè bo ojú ènìyàn àti nọ́ńbà ọkọ̀. Fídíò lè tó ìṣẹ́jú 2, ohùn sì lè tó ìṣẹ́jú 5.',
+  'report.useMyLocation': 'Lo ibi tí mo wà',
+  'report.pickOnMap': 'Yan lórí máàpù',
+  'report.pickHelp': 'Tẹ máàpù tàbí fa àmì náà sí ibi tí ó ti ṣẹlẹ̀.',
+  'report.identity.label': 'Fi tó wa gẹ́gẹ́ bí',
+  'report.identity.namedAs': 'Orúkọ rẹ ({name})',
+  'report.identity.namedSignedOut': 'Orúkọ rẹ (wọlé ná)',
+  'report.identity.pseudonym': 'Orúkọ àdàpè:',
+  'report.identity.anonymous': 'Láìdárúkọ',
+  'report.identity.hint': 'Ìròyìn tí a fi orúkọ àdàpè tàbí láìdárúkọ fi ránṣẹ́ kò ní í ṣe pẹ̀lú àkáǹtì rẹ, a sì máa sún ibi tí ó ti ṣẹlẹ̀ sí kìlómítà kan tó súnmọ́ ọn. Àwọn alábòójútó máa yẹ̀ wọ́n wò kí a tó fìdí wọn múlẹ̀.',
+  'report.identity.anonymousReporter': 'láìdárúkọ',
+  'report.identity.pseudonymReporter': '{name} (orúkọ àdàpè)',
+  'report.identity.rateLimited': {
+    other: 'O lè fi ìròyìn láìdárúkọ {max} ránṣẹ́ ní wákàtí kan. Tún gbìyànjú lẹ́yìn ìṣẹ́jú {count}, tàbí fi orúkọ rẹ fi tó wa.'
+  },
+  'report.identity.locationRequired': 'Yan ibi náà lórí máàpù tàbí lo ibi tí o wà, kí a lè sún un sí àdúgbò tó súnmọ́ ọn.',
+  'report.identity.preparing': 'À ń pèsè ìròyìn láìdárúkọ rẹ...',
+  'report.identity.near': 'Nítòsí {latitude}, {longitude}',
+  'report.submit': 'Fi ìròyìn ránṣẹ́',
+  'report.loginRequired': 'Jọ̀wọ́ wọlé láti fi ìṣẹ̀lẹ̀ kan tó wa létí.',
+  'report.added': 'A dúpẹ́! A ti fi ìròyìn rẹ kún ìṣẹ̀lẹ̀ yìí.',
+  'report.sent': 'A ti gba ìròyìn ìṣẹ̀lẹ̀ náà!',
+  'report.queued': 'O kò sí lórí ayélujára. A ti fi ìròyìn rẹ pamọ́, a sì máa fi ránṣẹ́ fúnra rẹ̀.',
+
+  'sos.button': 'SOS',
+  'sos.help': 'Fi SOS ránṣẹ́ pẹ̀lú ibi tí o wà báyìí',
+  'sos.locating': 'À ń wá ibi tí o wà fún SOS rẹ...',
+  'sos.noLocation': 'A kò rí ibi tí o wà, nítorí náà a kò fi SOS ránṣẹ́. Sọ ibi tí o wà nínú fọ́ọ̀mù ìròyìn.',
+  'sos.loginRequired': 'Jọ̀wọ́ wọlé kí o tó fi SOS ránṣẹ́.',
+  'sos.sent': 'A ti fi SOS ránṣẹ́ pẹ̀lú ibi tí o wà.',
+  'sos.queued': 'O kò sí lórí ayélujára. A ti fi SOS rẹ pamọ́, a sì máa fi ránṣẹ́ ní kété tí o bá padà sórí ayélujára.',
+  'sos.reportTitle': 'SOS',
+  'sos.reportDescription': 'A fi bọ́tìnì SOS rán an: ẹnìkan níbí nílò ìrànlọ́wọ́ báyìí.',
+
+  'fields.severity': 'Bí ó ti le tó',
+  'fields.severity.placeholder': 'Báwo ni ó ṣe le tó?',
+  'fields.severity.low': 'Kékeré: kò sí ẹni tó wà nínú ewu',
+  'fields.severity.medium': 'Àárín: ẹnìkan lè fara pa',
+  'fields.severity.high': 'Gíga: ẹnìkan ti fara pa tàbí wà nínú ewu',
+  'fields.severity.critical': 'Ewu ńlá: ẹ̀mí wà nínú ewu',
+  'fields.title': 'Àkọlé',
+  'fields.title.placeholder': 'Àlàyé ṣókí nípa ìṣẹ̀lẹ̀ náà',
+  'fields.description': 'Àlàyé',
+  'fields.description.placeholder': 'Àlàyé kíkún nípa ohun tó ṣẹlẹ̀',
+  'fields.location': 'Ibi',
+  'fields.location.placeholder': 'Níbo ló ti ṣẹlẹ̀?',
+  'validation.required': 'O gbọ́dọ̀ kọ {label}',
+  'validation.text': '{label} gbọ́dọ̀ jẹ́ ọ̀rọ̀',
+  'validation.minLength': '{label} gbọ́dọ̀ ní ó kéré tán lẹ́tà {min}',
+  'validation.maxLength': '{label} kò gbọ́dọ̀ ju lẹ́tà {max} lọ',
+  'validation.wholeNumber': '{label} gbọ́dọ̀ jẹ́ nọ́ńbà odidi',
+  'validation.range': '{label} gbọ́dọ̀ wà láàárín {min} àti {max}',
+  'validation.boolean': '{label} gbọ́dọ̀ jẹ́ bẹ́ẹ̀ ni tàbí rárá',
+  'validation.choose': '{label}: yan ọ̀kan nínú àwọn àṣàyàn',
+  'validation.fieldType': 'A kò mọ irú {label}',
+  'validation.typeRequired': 'O gbọ́dọ̀ yan irú ìṣẹ̀lẹ̀',
+  'validation.unknownType': 'Irú ìṣẹ̀lẹ̀ tí a kò mọ̀',
+  'validation.unknownField': 'Irú ìròyìn yìí kò ní {name}',
+
+  'location.marker': 'Ibi ìṣẹ̀lẹ̀',
+  'location.lookingUp': 'À ń wá àdírẹ́sì...',
+  'location.reverseFailed': 'A kò rí àdírẹ́sì náà; a ṣì máa fi ibi náà pamọ́.',
+  'location.finding': 'À ń wá àdírẹ́sì...',
+  'location.found': 'A rí i: {address}',
+  'location.notFound': 'A kò rí àdírẹ́sì yẹn. Gbìyànjú láti yàn án lórí máàpù.',
+  'location.searchFailed': 'Wíwá àdírẹ́sì kùnà. Gbìyànjú láti yàn án lórí máàpù.',
+  'location.unavailable': 'A kò rí ibi tí o wà. Yàn án lórí máàpù tàbí kọ àdírẹ́sì náà.',
+
+  'detail.reportedBy': '{name} ló fi tó wa',
+  'detail.photoTaken': 'a ya àwòrán ní {time}',
+  'detail.photo': 'Àwòrán {index} nínú {count}: {title}',
+  'detail.showPhoto': 'Fi àwòrán {index} hàn',
+  'detail.videoClip': 'Fídíò {index}',
+  'detail.audioClip': 'Ohùn {index}',
+  'detail.openFullSize': 'Ṣí i ní títóbi rẹ̀',
+  'detail.photos': 'Àwọn àwòrán',
+  'detail.confirm': 'Èmi náà rí i',
+  'detail.confirmed': 'Ìwọ náà rí i',
+  'detail.confirmations': {
+    zero: 'Kò sí ẹlòmíì tó tíì jẹ́rìí sí i.',
+    other: 'Ènìyàn {count} ti jẹ́rìí sí i.'
+  },
+  'detail.timeline': 'Ìtàn ìṣẹ̀lẹ̀',
+  'detail.loading': 'À ń gbé ìṣẹ̀lẹ̀ náà wá...',
+  'detail.loadFailed': 'A kò lè gbé ìṣẹ̀lẹ̀ yìí wá.',
+  'detail.unavailable': 'Ìṣẹ̀lẹ̀ yìí kò sí mọ́.',
+  'detail.reported': 'A fi tó wa',
+  'detail.statusChanged': 'Ipò yí padà sí {status}',
+  'detail.comments': 'Àwọn àsọyé',
+  'detail.commentCount': 'Àwọn àsọyé ({count})',
+  'detail.noComments': 'Kò sí àsọyé kankan síbẹ̀.',
+  'detail.addComment': 'Kọ àsọyé kan',
+  'detail.postComment': 'Fi àsọyé ránṣẹ́',
+  'detail.reply': 'Fèsì',
+  'detail.replyingTo': 'Ìfèsì sí {name}',
+  'detail.confirmLoginRequired': 'Jọ̀wọ́ wọlé láti jẹ́rìí sí ìṣẹ̀lẹ̀ yìí.',
+  'detail.commentLoginRequired': 'Jọ̀wọ́ wọlé láti kọ àsọyé.',
+  'detail.commentRequired': 'Kọ àsọyé kan ná.',
+  'detail.commentTooLong': 'Àsọyé kò gbọ́dọ̀ ju lẹ́tà {max} lọ.',
+
+  'redaction.title': 'Bo ojú àti nọ́ńbà ọkọ̀',
+  'redaction.help': 'Fa ìka kọjá ojú kọ̀ọ̀kan tàbí nọ́ńbà ọkọ̀ láti bò ó. A kò lè rí ibi tí a ti bò padà nínú àwòrán tí a fi ránṣẹ́.',
+  'redaction.keyboardHelp': 'Pẹ̀lú kọ́kọ́rọ́: àwọn ọfà ń gbé àpótí náà, Shift pẹ̀lú àwọn ọfà ń yí ìwọ̀n rẹ̀ padà, Enter ń bo ohun tí ó bò mọ́lẹ̀.',
+  'redaction.photo': 'Àwòrán tí a fẹ́ bò',
+  'redaction.blurred': {
+    other: 'A ti bo ibi {count}'
+  },
+  'redaction.clear': 'Pa gbogbo rẹ̀ rẹ́',
+
+  'duplicates.title': 'Ṣé ìṣẹ̀lẹ̀ kan náà nìyí?',
+  'duplicates.help': 'Wọ́n fi àwọn wọ̀nyí tó wa nítòsí ibẹ̀ ní àkókò kan náà. Bí ọ̀kan nínú wọn bá jẹ́ ohun tí o rí, a máa fi ìròyìn àti àwòrán rẹ kún un.',
+  'duplicates.back': 'Padà sí ìròyìn mi',
+  'duplicates.new': 'Rárá, ìṣẹ̀lẹ̀ mìíràn ni',
+  'duplicates.pick': 'Bẹ́ẹ̀ ni, èyí ni',
+  'duplicates.distance': 'kìlómítà {km} síbí',
+  'duplicates.apart': 'ìṣẹ́jú {minutes} síra',
+
+  'toast.dismiss': 'Pa ìfitónilétí dé'
+});
\ No newline at end of file
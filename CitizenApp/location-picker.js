@@ -0,0 +1,162 @@
+// Report form location: pick on a map, use the device position, or type an
+// address. Coordinates go into the hidden #latitude/#longitude inputs and the
+// visible field always shows a readable address.
+const LocationPicker = {
+  geocoder: null,
+  map: null,
+  marker: null,
+  lookupId: 0, // lets late geocoder responses be ignored
+
+  getGeocoder() {
+    if (!this.geocoder) {
+      this.geocoder = createGeocoder(GEOCODER_CONFIG.PROVIDER);
+    }
+    return this.geocoder;
+  },
+
+  // Swap the geocoder at runtime (demos, tests)
+  useGeocoder(geocoder) {
+    this.geocoder = geocoder;
+  },
+
+  // Leaflet needs a visible container, so the map is created on first open
+  init() {
+    if (this.map) return;
+
+    this.map = L.map('location-picker-map').setView(MAP_CONFIG.DEFAULT_CENTER, MAP_CONFIG.DEFAULT_ZOOM);
+    L.tileLayer(MAP_CONFIG.TILE_URL, {
+      maxZoom: MAP_CONFIG.MAX_ZOOM,
+      attribution: MAP_CONFIG.TILE_ATTRIBUTION
+    }).addTo(this.map);
+
+    this.map.on('click', (e) => {
+      this.setPosition(e.latlng.lat, e.latlng.lng);
+    });
+
+    const latitude = readCoordinate('latitude');
+    const longitude = readCoordinate('longitude');
+    if (latitude !== null && longitude !== null) {
+      this.placeMarker(latitude, longitude);
+    }
+  },
+
+  toggle() {
+    const panel = document.getElementById('location-picker');
+    const button = document.getElementById('pick-location');
+    panel.hidden = !panel.hidden;
+    button.setAttribute('aria-expanded', !panel.hidden);
+
+    if (!panel.hidden) {
+      this.init();
+      this.map.invalidateSize();
+    }
+  },
+
+  placeMarker(latitude, longitude) {
+    if (!this.map) return;
+
+    if (!this.marker) {
+      this.marker = L.marker([latitude, longitude], { draggable: true, title: t('location.marker') })
+        .addTo(this.map);
+      this.marker.on('dragend', () => {
+        const { lat, lng } = this.marker.getLatLng();
+        this.setPosition(lat, lng);
+      });
+    } else {
+      this.marker.setLatLng([latitude, longitude]);
+    }
+    this.map.panTo([latitude, longitude]);
+  },
+
+  setCoordinates(latitude, longitude) {
+    document.getElementById('latitude').value = latitude ?? '';
+    document.getElementById('longitude').value = longitude ?? '';
+  },
+
+  // Use a picked point and fill the address field from it
+  async setPosition(latitude, longitude) {
+    const lookupId = ++this.lookupId;
+    const locationInput = document.getElementById('incident-location');
+
+    this.setCoordinates(latitude, longitude);
+    this.placeMarker(latitude, longitude);
+    locationInput.value = formatCoordinates(latitude, longitude);
+    setLocationStatus(t('location.lookingUp'));
+
+    try {
+      const address = await this.getGeocoder().reverse(latitude, longitude);
+      if (lookupId !== this.lookupId) return;
+      locationInput.value = address;
+      setLocationStatus('');
+    } catch (error) {
+      if (lookupId !== this.lookupId) return;
+      setLocationStatus(t('location.reverseFailed'));
+    }
+  },
+
+  // Fill the coordinates from a typed address
+  async lookupAddress(query) {
+    const lookupId = ++this.lookupId;
+    this.setCoordinates(null, null);
+
+    if (!query.trim()) {
+      setLocationStatus('');
+      return;
+    }
+
+    setLocationStatus(t('location.finding'));
+    try {
+      const match = await this.getGeocoder().search(query);
+      if (lookupId !== this.lookupId) return;
+
+      if (match) {
+        this.setCoordinates(match.latitude, match.longitude);
+        this.placeMarker(match.latitude, match.longitude);
+        setLocationStatus(t('location.found', { address: match.address }));
+      } else {
+        setLocationStatus(t('location.notFound'));
+      }
+    } catch (error) {
+      if (lookupId !== this.lookupId) return;
+      setLocationStatus(t('location.searchFailed'));
+    }
+  },
+
+  reset() {
+    this.lookupId++;
+    this.setCoordinates(null, null);
+    this.marker?.remove();
+    this.marker = null;
+    setLocationStatus('');
+  }
+};
+
+function setLocationStatus(message) {
+  document.getElementById('location-status').textContent = message;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('pick-location')?.addEventListener('click', () => {
+    LocationPicker.toggle();
+  });
+
+  // Get location button handler
+  document.getElementById('get-location')?.addEventListener('click', async () => {
+    try {
+      const location = await getCurrentLocation();
+      LocationPicker.setPosition(location.latitude, location.longitude);
+    } catch (error) {
+      showError('incident-location', t('location.unavailable'));
+    }
+  });
+
+  // Typed addresses are geocoded once the user leaves the field
+  document.getElementById('incident-location')?.addEventListener('change', (e) => {
+    LocationPicker.lookupAddress(e.target.value);
+  });
+
+  // Hidden inputs keep their value on form.reset(), so clear them here
+  document.getElementById('report-form')?.addEventListener('reset', () => {
+    LocationPicker.reset();
+  });
+});
\ No newline at end of file
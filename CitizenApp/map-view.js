@@ -0,0 +1,179 @@
+// Map tab: incident pins coloured by type, clustered, with a "near me" radius filter
+const IncidentMap = {
+  map: null,
+  clusterLayer: null,
+  radiusCircle: null,
+  markers: new Map(), // incident id -> { incident, marker }
+  viewerPosition: null,
+  nearMeOnly: false,
+  radiusKm: MAP_CONFIG.DEFAULT_RADIUS_KM,
+
+  // Leaflet needs a visible container, so the map is created on first show
+  init() {
+    if (this.map) return;
+
+    this.map = L.map('incident-map').setView(MAP_CONFIG.DEFAULT_CENTER, MAP_CONFIG.DEFAULT_ZOOM);
+    L.tileLayer(MAP_CONFIG.TILE_URL, {
+      maxZoom: MAP_CONFIG.MAX_ZOOM,
+      attribution: MAP_CONFIG.TILE_ATTRIBUTION
+    }).addTo(this.map);
+
+    this.clusterLayer = L.markerClusterGroup();
+    this.map.addLayer(this.clusterLayer);
+  },
+
+  // Called when the map tab is selected
+  show() {
+    this.init();
+    this.map.invalidateSize();
+    this.update(filterIncidents(AppState.incidents));
+  },
+
+  // Incidents that have coordinates and fall inside the radius filter
+  visibleIncidents(incidents) {
+    return incidents.filter(incident => {
+      if (!Number.isFinite(incident.latitude) || !Number.isFinite(incident.longitude)) {
+        return false;
+      }
+      if (!this.nearMeOnly || !this.viewerPosition) {
+        return true;
+      }
+      return distanceInKm(
+        this.viewerPosition.latitude, this.viewerPosition.longitude,
+        incident.latitude, incident.longitude
+      ) <= this.radiusKm;
+    });
+  },
+
+  // Sync markers with the incident list, touching only what changed
+  update(incidents) {
+    if (!this.map) return;
+
+    const visible = this.visibleIncidents(incidents);
+    const visibleIds = new Set(visible.map(incident => incident.id));
+
+    this.markers.forEach((entry, id) => {
+      if (!visibleIds.has(id)) {
+        this.clusterLayer.removeLayer(entry.marker);
+        this.markers.delete(id);
+      }
+    });
+
+    visible.forEach(incident => {
+      const entry = this.markers.get(incident.id);
+      if (entry?.incident === incident) return;
+      if (entry) this.clusterLayer.removeLayer(entry.marker);
+
+      const marker = createIncidentMarker(incident);
+      this.clusterLayer.addLayer(marker);
+      this.markers.set(incident.id, { incident, marker });
+    });
+
+    this.updateRadiusCircle();
+  },
+
+  updateRadiusCircle() {
+    if (this.radiusCircle) {
+      this.radiusCircle.remove();
+      this.radiusCircle = null;
+    }
+    if (!this.nearMeOnly || !this.viewerPosition) return;
+
+    const center = [this.viewerPosition.latitude, this.viewerPosition.longitude];
+    this.radiusCircle = L.circle(center, {
+      radius: this.radiusKm * 1000,
+      className: 'map-radius'
+    }).addTo(this.map);
+  },
+
+  // Zoom to the radius circle after the user changes the filter
+  fitToRadius() {
+    if (this.radiusCircle) {
+      this.map.fitBounds(this.radiusCircle.getBounds());
+    }
+  },
+
+  async setNearMeOnly(enabled) {
+    this.nearMeOnly = enabled;
+    if (enabled && !this.viewerPosition) {
+      setMapStatus(t('map.locating'));
+      try {
+        this.viewerPosition = await getCurrentLocation();
+        setMapStatus('');
+      } catch (error) {
+        this.nearMeOnly = false;
+        document.getElementById('map-near-me').checked = false;
+        setMapStatus(t('map.locationFailed'));
+      }
+    }
+    this.update(filterIncidents(AppState.incidents));
+    this.fitToRadius();
+  },
+
+  setRadius(radiusKm) {
+    this.radiusKm = radiusKm;
+    this.update(filterIncidents(AppState.incidents));
+    this.fitToRadius();
+  }
+};
+
+// Pin marker for one incident, coloured by type (see adoptTypeColours in report-form.js)
+function createIncidentMarker(incident) {
+  const marker = L.marker([incident.latitude, incident.longitude], {
+    title: incident.title,
+    icon: L.divIcon({
+      className: `incident-pin incident-type-${incident.type}`,
+      iconSize: [18, 18],
+      iconAnchor: [9, 9],
+      popupAnchor: [0, -9]
+    })
+  });
+
+  const popup = document.createElement('div');
+  popup.className = 'map-popup';
+  const title = document.createElement('strong');
+  title.textContent = incident.title;
+  const details = document.createElement('div');
+  details.className = 'text-sm';
+  details.textContent = `${incidentTypeLabel(incident.type)} · ${t(`status.${incident.status}`)} · ${incident.location}`;
+  popup.append(title, details);
+
+  return marker.bindPopup(popup);
+}
+
+// '5 km', kept in the current language
+function createRadiusOption(km) {
+  const option = new Option('', km);
+  setMessage(option, 'common.km', { km });
+  return option;
+}
+
+function setMapStatus(message) {
+  document.getElementById('map-status').textContent = message;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const radiusSelect = document.getElementById('map-radius');
+  MAP_CONFIG.RADIUS_OPTIONS_KM.forEach(km => radiusSelect.add(createRadiusOption(km)));
+  radiusSelect.value = MAP_CONFIG.DEFAULT_RADIUS_KM;
+
+  radiusSelect.addEventListener('change', () => {
+    IncidentMap.setRadius(Number(radiusSelect.value));
+  });
+
+  document.getElementById('map-near-me').addEventListener('change', (e) => {
+    IncidentMap.setNearMeOnly(e.target.checked);
+  });
+
+  // Follow incident updates and the type filter tabs, and rebuild the pins'
+  // popups in a new language
+  let renderedLocale = AppState.locale;
+  AppState.subscribe((state) => {
+    if (state.locale !== renderedLocale && IncidentMap.map) {
+      IncidentMap.clusterLayer.clearLayers();
+      IncidentMap.markers.clear();
+    }
+    renderedLocale = state.locale;
+    IncidentMap.update(filterIncidents(state.incidents));
+  });
+});
\ No newline at end of file
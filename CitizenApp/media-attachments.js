@@ -0,0 +1,175 @@
+// Video and audio evidence for reports. Clips are checked against the
+// MEDIA_CONFIG size and length limits when they are picked, and videos get a
+// poster frame (MEDIA_CONFIG.POSTER_TIME in) to show in the feed. Uploading
+// and its progress are handled by the outbox like photos.
+
+function mediaKind(file) {
+  if (file.type.startsWith('video/')) return 'video';
+  if (file.type.startsWith('audio/')) return 'audio';
+  return null;
+}
+
+// "1:05" for 65 seconds
+function formatDuration(seconds) {
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+function waitForMediaEvent(element, type) {
+  return new Promise((resolve, reject) => {
+    element.addEventListener(type, resolve, { once: true });
+    element.addEventListener('error', () => reject(element.error || new Error('Could not load the clip')), { once: true });
+  });
+}
+
+// Resolve with { duration, poster } for a clip. duration is null when the
+// file does not say (some recordings are only measured while playing);
+// poster is a JPEG of a video frame, null for audio.
+async function readMediaInfo(file) {
+  const kind = mediaKind(file);
+  const element = document.createElement(kind);
+  element.preload = 'metadata';
+  element.muted = true;
+  const url = URL.createObjectURL(file);
+
+  try {
+    element.src = url;
+    await waitForMediaEvent(element, 'loadedmetadata');
+    const duration = Number.isFinite(element.duration) ? element.duration : null;
+    if (kind !== 'video') return { duration, poster: null };
+
+    element.currentTime = Math.min(MEDIA_CONFIG.POSTER_TIME, (duration ?? Infinity) / 2);
+    await waitForMediaEvent(element, 'seeked');
+    const poster = await canvasToFile(
+      renderImage(element, IMAGE_CONFIG.THUMBNAIL_DIMENSION),
+      `${file.name.replace(/\.[^.]*$/, '') || 'video'}-poster.jpg`,
+      IMAGE_CONFIG.THUMBNAIL_QUALITY
+    );
+    return { duration, poster };
+  } finally {
+    element.removeAttribute('src');
+    element.load();
+    URL.revokeObjectURL(url);
+  }
+}
+
+// Why `file` cannot be attached, or null if it can
+function checkMediaLimits(file, duration) {
+  const kind = mediaKind(file);
+  const limits = MEDIA_CONFIG[kind.toUpperCase()];
+  if (file.size > limits.MAX_BYTES) {
+    return t(`media.${kind}TooBig`, { name: file.name, megabytes: limits.MAX_BYTES / (1024 * 1024) });
+  }
+  if (duration > limits.MAX_SECONDS) {
+    return t(`media.${kind}TooLong`, { name: file.name, duration: formatDuration(limits.MAX_SECONDS) });
+  }
+  return null;
+}
+
+// Clips picked in the report form
+const ReportMedia = {
+  items: [], // { id, file, kind, duration, poster, posterUrl }
+  nextId: 1,
+  loading: Promise.resolve(), // clips still being read
+
+  add(files) {
+    const clips = Array.from(files).filter(mediaKind);
+    if (clips.length === 0) return this.loading;
+
+    const added = Promise.all(clips.map(file => this.read(file))).then((problems) => {
+      this.render();
+      showError('incident-images', problems.filter(Boolean).join(' '));
+    });
+    this.loading = Promise.all([this.loading, added]);
+    return this.loading;
+  },
+
+  // Add one clip; resolves with why it was refused, if it was
+  async read(file) {
+    const tooBig = checkMediaLimits(file, null);
+    if (tooBig) return tooBig;
+
+    let info;
+    try {
+      info = await readMediaInfo(file);
+    } catch (error) {
+      console.error(`Could not read ${file.name}:`, error);
+      return t('media.unreadable', { name: file.name });
+    }
+
+    const tooLong = checkMediaLimits(file, info.duration);
+    if (tooLong) return tooLong;
+
+    this.items.push({
+      id: this.nextId++,
+      file,
+      kind: mediaKind(file),
+      duration: info.duration,
+      poster: info.poster,
+      posterUrl: info.poster ? URL.createObjectURL(info.poster) : null
+    });
+    return null;
+  },
+
+  remove(id) {
+    const item = this.items.find(candidate => candidate.id === id);
+    if (item.posterUrl) URL.revokeObjectURL(item.posterUrl);
+    this.items = this.items.filter(other => other !== item);
+    this.render();
+  },
+
+  clear() {
+    this.items.forEach(item => item.posterUrl && URL.revokeObjectURL(item.posterUrl));
+    this.items = [];
+    this.render();
+  },
+
+  // Attachments for the report (see incident-repository.js), once every
+  // picked clip has been read
+  async attachments() {
+    await this.loading;
+    return this.items.map(({ file, poster, duration }) => ({ file, thumbnail: poster, duration }));
+  },
+
+  render() {
+    const list = document.getElementById('media-previews');
+    list.hidden = this.items.length === 0;
+    list.replaceChildren(...this.items.map(createClipPreview));
+  }
+};
+
+function createClipPreview(item) {
+  const badge = [
+    t(item.kind === 'video' ? 'media.video' : 'media.audio'),
+    ...(item.duration ? [formatDuration(item.duration)] : [])
+  ].join(' · ');
+
+  return htmlElement(html`
+    <li class="photo-preview" data-clip-id="${item.id}">
+      <div class="photo-preview-image media-poster">
+        ${item.posterUrl && html`<img src="${safeUrl(item.posterUrl)}" alt="">`}
+        <span class="media-badge">${badge}</span>
+      </div>
+      <p class="text-sm photo-preview-name">${item.file.name}</p>
+      <div class="flex flex-wrap gap-2">
+        <button type="button" class="btn btn-ghost" data-clip-action="remove" aria-label="${t('common.removeNamed', { name: item.file.name })}">${t('common.remove')}</button>
+      </div>
+    </li>
+  `);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const list = document.getElementById('media-previews');
+  if (!list) return;
+
+  // Picked through the same input as photos, see image-pipeline.js
+  document.getElementById('report-form').addEventListener('reset', () => ReportMedia.clear());
+
+  list.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-clip-action="remove"]');
+    if (!button) return;
+
+    ReportMedia.remove(Number(button.closest('[data-clip-id]').dataset.clipId));
+    document.getElementById('incident-images').focus();
+  });
+});
\ No newline at end of file
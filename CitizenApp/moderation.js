@@ -0,0 +1,437 @@
+// Moderation console for responders, moderators and admins
+
+// Roles allowed to moderate and respond to incidents
+const STAFF_ROLES = ['responder', 'moderator', 'admin'];
+
+function isStaff(user) {
+  return Boolean(user) && STAFF_ROLES.includes(user.role);
+}
+
+// 'moderator', ... in the current language; unknown roles as they are
+function roleLabel(role) {
+  return [...STAFF_ROLES, 'citizen'].includes(role) ? t(`roles.${role}`) : role;
+}
+
+// Staff actions on incidents. Every action appends an entry to the
+// incident's `auditTrail`: { action, by: { id, name, role }, at, ...details }.
+class ModerationService {
+  static actor() {
+    const user = AppState.currentUser;
+    if (!isStaff(user)) {
+      throw new AuthenticationError(t('moderation.staffOnly'));
+    }
+    return { id: user.id, name: user.name, role: user.role };
+  }
+
+  static apply(incident, changes, action, details = {}) {
+    const entry = { action, by: this.actor(), at: new Date().toISOString(), ...details };
+    return IncidentService.updateIncident(incident.id, {
+      ...changes,
+      auditTrail: [...(incident.auditTrail || []), entry]
+    });
+  }
+
+  static verify(incident) {
+    return this.apply(incident, { verification: 'verified' }, 'verified');
+  }
+
+  static markFalseReport(incident, reason = '') {
+    return this.apply(incident, { verification: 'false_report' }, 'marked_false', { reason });
+  }
+
+  static setStatus(incident, status) {
+    if (!INCIDENT_STATUSES.includes(status)) {
+      const message = t('moderation.unknownStatus', { status });
+      throw new ValidationError(message, { status: message });
+    }
+    if (status === incident.status) return Promise.resolve();
+
+    return this.apply(incident, { status }, 'status_changed', { from: incident.status, to: status });
+  }
+
+  static addNote(incident, text) {
+    const note = { text, by: this.actor(), at: new Date().toISOString() };
+    return this.apply(incident, {
+      officialNotes: [...(incident.officialNotes || []), note]
+    }, 'note_added', { note: text });
+  }
+
+  // Fold `duplicate` into `primary`: photos are combined and the duplicate
+  // report counts as one more confirmation, on top of its own
+  static async merge(primary, duplicate) {
+    if (primary.id === duplicate.id) {
+      throw new ValidationError(t('moderation.mergeItself'));
+    }
+
+    await this.apply(primary, {
+      ...mergeImages(primary, duplicate),
+      media: mergeMedia(primary, duplicate),
+      confirmations: (primary.confirmations || 0) + (duplicate.confirmations || 0) + 1,
+      confirmedBy: [...new Set([...(primary.confirmedBy || []), ...(duplicate.confirmedBy || [])])],
+      mergedFrom: [...(primary.mergedFrom || []), duplicate.id]
+    }, 'merged', { duplicateId: duplicate.id });
+
+    await this.apply(duplicate, { mergedInto: primary.id }, 'merged_into', { primaryId: primary.id });
+  }
+}
+
+// Photos of both incidents without repeats, keeping each photo's thumbnail
+// at the same index (see the repository interface)
+function mergeImages(primary, duplicate) {
+  const images = [];
+  const thumbnails = [];
+  [primary, duplicate].forEach(incident => {
+    (incident.images || []).forEach((image, index) => {
+      if (images.includes(image)) return;
+      images.push(image);
+      thumbnails.push(incident.thumbnails?.[index] ?? null);
+    });
+  });
+  return { images, thumbnails };
+}
+
+// Video and audio clips of both incidents without repeats
+function mergeMedia(primary, duplicate) {
+  const media = [...(primary.media || [])];
+  (duplicate.media || []).forEach(clip => {
+    if (!media.some(other => other.url === clip.url)) media.push(clip);
+  });
+  return media;
+}
+
+// Human-readable audit trail line
+function describeAuditEntry(entry) {
+  switch (entry.action) {
+    case 'verified':
+      return t('moderation.audit.verified');
+    case 'marked_false':
+      return entry.reason
+        ? t('moderation.audit.markedFalseBecause', { reason: entry.reason })
+        : t('moderation.audit.markedFalse');
+    case 'status_changed':
+      return t('moderation.audit.statusChanged', { from: t(`status.${entry.from}`), to: t(`status.${entry.to}`) });
+    case 'note_added':
+      return t('moderation.audit.noteAdded');
+    case 'merged':
+      return t('moderation.audit.merged', { id: entry.duplicateId });
+    case 'merged_into':
+      return t('moderation.audit.mergedInto', { id: entry.primaryId });
+    default:
+      return entry.action;
+  }
+}
+
+// Why a report deserves a closer look. `flags` are set by the backend
+// (see functions/index.js); each has a message under 'moderation.flags.'.
+const MODERATION_FLAGS = ['burst'];
+
+function moderationFlags(incident) {
+  return [
+    ...(incident.anonymous ? [t(incident.reporter ? 'moderation.pseudonymous' : 'moderation.anonymous')] : []),
+    ...(incident.flags || []).map(flag => MODERATION_FLAGS.includes(flag) ? t(`moderation.flags.${flag}`) : flag)
+  ];
+}
+
+function createModerationItem(incident) {
+  return htmlElement(html`
+    <article class="card moderation-item" data-incident-id="${incident.id}">
+      <div class="flex items-center gap-2 mb-2">
+        ${typeBadgeHtml(incident.type)}
+        <span class="status ${incident.status}">${t(`status.${incident.status}`)}</span>
+        ${incident.verification === 'verified' ? html`<span class="verified-badge">${t('card.verified')}</span>` : ''}
+        ${incident.verification === 'false_report' ? html`<span class="status false-report">${t('moderation.falseReport')}</span>` : ''}
+        ${incident.mergedInto ? html`<span class="status merged">${t('moderation.mergedInto', { id: incident.mergedInto })}</span>` : ''}
+        ${moderationFlags(incident).map(flag => html`<span class="moderation-flag">${flag}</span>`)}
+      </div>
+      <h3 class="mb-2">${incident.title}</h3>
+      <p class="text-sm mb-2">${incident.description}</p>
+      <p class="text-sm mb-4">
+        ${incident.location} &middot; ${formatDateTime(incident.timestamp)}
+        &middot; ${t('detail.reportedBy', { name: reporterLabel(incident) })}
+      </p>
+
+      <div class="moderation-controls">
+        <button type="button" class="btn btn-primary" data-action="verify" ${incident.verification === 'verified' ? 'disabled' : ''}>${t('moderation.verify')}</button>
+        <button type="button" class="btn btn-ghost" data-action="false-report" ${incident.verification === 'false_report' ? 'disabled' : ''}>${t('moderation.markFalse')}</button>
+        <label class="text-sm">
+          ${t('moderation.status')}
+          <select data-action="status">
+            ${INCIDENT_STATUSES.map(status => html`
+              <option value="${status}" ${status === incident.status ? 'selected' : ''}>${t(`status.${status}`)}</option>
+            `)}
+          </select>
+        </label>
+        <label class="text-sm">
+          ${t('moderation.duplicateOf')}
+          <select data-role="merge-target">
+            <option value="">${t('moderation.chooseIncident')}</option>
+          </select>
+        </label>
+        <button type="button" class="btn btn-ghost" data-action="merge" ${incident.mergedInto ? 'disabled' : ''}>${t('moderation.merge')}</button>
+      </div>
+
+      <div class="merge-suggestions" hidden>
+        <h4 class="text-sm font-semibold">${t('moderation.duplicates')}</h4>
+        <ul></ul>
+      </div>
+
+      <div class="moderation-note">
+        <label class="text-sm" for="note-${incident.id}">${t('moderation.note')}</label>
+        <textarea id="note-${incident.id}" rows="2" maxlength="2000" placeholder="${t('moderation.notePlaceholder')}"></textarea>
+        <button type="button" class="btn btn-ghost" data-action="note">${t('moderation.addNote')}</button>
+      </div>
+
+      ${incident.officialNotes && incident.officialNotes.length > 0 ? html`
+        <div class="official-notes">
+          <h4 class="text-sm font-semibold">${t('card.officialUpdates')}</h4>
+          ${incident.officialNotes.map(note => html`
+            <p class="text-sm"><strong>${note.by.name}:</strong> ${note.text}</p>
+          `)}
+        </div>
+      ` : ''}
+
+      <details class="audit-trail">
+        <summary class="text-sm">${t('moderation.auditTrail', { count: (incident.auditTrail || []).length })}</summary>
+        <ol>
+          ${(incident.auditTrail || []).map(entry => html`
+            <li class="text-sm">
+              <time datetime="${entry.at}">${formatDateTime(entry.at)}</time>
+              &middot; ${t('moderation.auditEntry', { name: entry.by.name, role: roleLabel(entry.by.role), action: describeAuditEntry(entry) })}
+            </li>
+          `)}
+        </ol>
+      </details>
+    </article>
+  `);
+}
+
+// One "Possible duplicates" entry on a moderation item
+function createMergeSuggestion(match) {
+  const element = document.createElement('li');
+  element.className = 'merge-suggestion text-sm';
+  const text = document.createElement('span');
+  text.textContent = [
+    match.incident.title,
+    describeDuplicateMatch(match),
+    ...(match.score ? [t('moderation.match', { percent: Math.round(match.score * 100) })] : []),
+    ...(match.pickedByReporter ? [t('moderation.pickedByReporter')] : [])
+  ].join(' · ');
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'btn btn-ghost';
+  button.dataset.action = 'merge-into';
+  button.dataset.targetId = match.incident.id;
+  button.textContent = t('moderation.mergeInto');
+  element.append(text, button);
+  return element;
+}
+
+const ModerationConsole = {
+  items: new Map(), // incident id -> { incident, element }
+  filter: 'review',
+
+  isVisible() {
+    return !document.getElementById('moderation-view').hidden;
+  },
+
+  matches(incident) {
+    switch (this.filter) {
+      case 'review':
+        return !incident.verification && !incident.mergedInto;
+      case 'duplicates':
+        return !incident.verification && !incident.mergedInto && this.suggestionsFor(incident).length > 0;
+      case 'flagged':
+        return !incident.verification && !incident.mergedInto && moderationFlags(incident).length > 0;
+      case 'verified':
+        return incident.verification === 'verified';
+      case 'false_report':
+        return incident.verification === 'false_report';
+      case 'merged':
+        return Boolean(incident.mergedInto);
+      default:
+        return true;
+    }
+  },
+
+  render() {
+    if (!this.isVisible() || !isStaff(AppState.currentUser)) return;
+
+    const incidents = AppState.incidents.filter(incident => this.matches(incident));
+    const list = document.getElementById('moderation-list');
+    patchIncidentList(list, this.items, incidents, createModerationItem);
+    document.getElementById('moderation-empty').hidden = incidents.length > 0;
+
+    // Suggestions depend on the other incidents too, so are redone every time
+    incidents.forEach(incident => {
+      this.renderSuggestions(this.items.get(incident.id).element, incident);
+    });
+  },
+
+  // Incidents `incident` may duplicate (see duplicates.js), with the one its
+  // reporter picked first
+  suggestionsFor(incident) {
+    if (incident.mergedInto) return [];
+
+    const others = AppState.incidents.filter(other => !other.mergedInto && other.verification !== 'false_report');
+    const matches = findDuplicates(incident, others);
+    const picked = others.find(other => other.id === incident.duplicateOf);
+    if (!picked) return matches;
+
+    // The reporter's pick is shown even when it scores too low to suggest
+    const apart = Math.abs(Date.parse(incident.timestamp) - Date.parse(picked.timestamp));
+    const pickedMatch = matches.find(match => match.incident === picked) ||
+      { incident: picked, score: null, distanceKm: null, minutesApart: Math.round(apart / 60000) };
+    return [
+      { ...pickedMatch, pickedByReporter: true },
+      ...matches.filter(match => match.incident !== picked)
+    ];
+  },
+
+  renderSuggestions(element, incident) {
+    const suggestions = this.suggestionsFor(incident);
+    const container = element.querySelector('.merge-suggestions');
+    container.hidden = suggestions.length === 0;
+    container.querySelector('ul').replaceChildren(...suggestions.map(createMergeSuggestion));
+  },
+
+  // Only staff get the moderation tab
+  updateAccess(user) {
+    const tab = document.querySelector('.view-tab[data-view="moderation"]');
+    tab.hidden = !isStaff(user);
+    if (tab.hidden && this.isVisible()) {
+      showIncidentView('feed');
+    }
+  },
+
+  // Fill the "Duplicate of" select when it is opened, so it is never stale
+  fillMergeTargets(select, incidentId) {
+    const selected = select.value;
+    const candidates = AppState.incidents.filter(incident =>
+      incident.id !== incidentId && isPublicIncident(incident)
+    );
+
+    select.innerHTML = html`<option value="">${t('moderation.chooseIncident')}</option>${candidates.map(incident => html`
+      <option value="${incident.id}">${incident.title} (${incidentTypeLabel(incident.type)}, ${formatDate(incident.timestamp)})</option>
+    `)}`;
+    select.value = selected;
+  },
+
+  async handleAction(action, incident, item, control) {
+    switch (action) {
+      case 'verify':
+        return ModerationService.verify(incident);
+      case 'false-report': {
+        const reason = await FalseReportPrompt.ask();
+        if (reason === null) return;
+        return ModerationService.markFalseReport(incident, reason);
+      }
+      case 'status':
+        return ModerationService.setStatus(incident, item.querySelector('[data-action="status"]').value);
+      case 'merge': {
+        const targetId = item.querySelector('[data-role="merge-target"]').value;
+        const primary = AppState.incidents.find(candidate => candidate.id === targetId);
+        if (!primary) return;
+        return ModerationService.merge(primary, incident);
+      }
+      case 'merge-into': {
+        const primary = AppState.incidents.find(candidate => candidate.id === control.dataset.targetId);
+        if (!primary) return;
+        return ModerationService.merge(primary, incident);
+      }
+      case 'note': {
+        const textarea = item.querySelector('textarea');
+        const text = textarea.value.trim();
+        if (!text) return;
+        await ModerationService.addNote(incident, text);
+        textarea.value = '';
+        return;
+      }
+    }
+  }
+};
+
+// "Why is this a false report?" before a report is marked as one
+const FalseReportPrompt = {
+  resolve: null,
+
+  get dialog() {
+    return document.getElementById('false-report-dialog');
+  },
+
+  // Resolves with the reason given (empty if none), or null if the
+  // moderator cancelled
+  ask() {
+    this.finish(null);
+    document.getElementById('false-report-reason').value = '';
+    this.dialog.showModal();
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  },
+
+  finish(answer) {
+    const resolve = this.resolve;
+    this.resolve = null;
+    if (this.dialog.open) this.dialog.close();
+    resolve?.(answer);
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  const falseReportDialog = FalseReportPrompt.dialog;
+  document.getElementById('false-report-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    FalseReportPrompt.finish(document.getElementById('false-report-reason').value.trim());
+  });
+  document.getElementById('false-report-cancel').addEventListener('click', () => FalseReportPrompt.finish(null));
+  // Escape
+  falseReportDialog.addEventListener('close', () => FalseReportPrompt.finish(null));
+
+  const list = document.getElementById('moderation-list');
+
+  const onAction = async (e) => {
+    const control = e.target.closest('[data-action]');
+    const item = e.target.closest('.moderation-item');
+    if (!control || !item) return;
+    // Buttons act on click, the status select on change
+    if ((control.tagName === 'SELECT') !== (e.type === 'change')) return;
+
+    const incident = AppState.incidents.find(candidate => candidate.id === item.dataset.incidentId);
+    if (!incident) return;
+
+    try {
+      await ModerationConsole.handleAction(control.dataset.action, incident, item, control);
+    } catch (error) {
+      // IncidentService reports its own errors; report the rest here
+      if (error instanceof ValidationError || error instanceof AuthenticationError) {
+        ErrorHandler.handle(error);
+      }
+    }
+  };
+  list.addEventListener('click', onAction);
+  list.addEventListener('change', onAction);
+
+  list.addEventListener('focusin', (e) => {
+    if (e.target.matches('[data-role="merge-target"]')) {
+      ModerationConsole.fillMergeTargets(e.target, e.target.closest('.moderation-item').dataset.incidentId);
+    }
+  });
+
+  document.getElementById('moderation-filter').addEventListener('change', (e) => {
+    ModerationConsole.filter = e.target.value;
+    ModerationConsole.render();
+  });
+
+  let renderedLocale = AppState.locale;
+  AppState.subscribe((state) => {
+    // Every item is rebuilt in a new language
+    if (state.locale !== renderedLocale) {
+      renderedLocale = state.locale;
+      ModerationConsole.items.forEach(entry => entry.element.remove());
+      ModerationConsole.items.clear();
+    }
+    ModerationConsole.updateAccess(state.currentUser);
+    ModerationConsole.render();
+  });
+  ModerationConsole.updateAccess(AppState.currentUser);
+});
\ No newline at end of file
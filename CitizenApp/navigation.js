@@ -0,0 +1,252 @@
+// Keyboard and screen reader use of the header and the view tabs, following
+// the WAI-ARIA Authoring Practices: arrow keys move between the view tabs,
+// the account menu is a menu button, and on small screens a menu drawer
+// stands in for the header buttons. Focus stays inside the open menu or
+// drawer and goes back to the button that opened it. The header, drawer and
+// floating "Report" buttons ([data-report-link]) take the user to the form.
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+// Elements in `container` that can take focus, in document order
+function focusableElements(container) {
+  return [...container.querySelectorAll(`${FOCUSABLE_SELECTOR}, [role="menuitem"]`)]
+    .filter(element => !element.closest('[hidden]'));
+}
+
+// Keep Tab and Shift+Tab cycling through `container`
+function trapFocus(container, event) {
+  if (event.key !== 'Tab') return;
+
+  const elements = focusableElements(container);
+  if (elements.length === 0) return;
+  const first = elements[0];
+  const last = elements[elements.length - 1];
+  if (event.shiftKey && document.activeElement === first) {
+    event.preventDefault();
+    last.focus();
+  } else if (!event.shiftKey && document.activeElement === last) {
+    event.preventDefault();
+    first.focus();
+  }
+}
+
+// Where `key` moves to from item `index` of `count`, or null for other keys.
+// Left and right swap in right-to-left layouts.
+function rovingIndex(key, index, count, orientation) {
+  const rtl = document.documentElement.dir === 'rtl';
+  const previous = orientation === 'vertical' ? 'ArrowUp' : rtl ? 'ArrowRight' : 'ArrowLeft';
+  const next = orientation === 'vertical' ? 'ArrowDown' : rtl ? 'ArrowLeft' : 'ArrowRight';
+
+  if (key === previous) return (index - 1 + count) % count;
+  if (key === next) return (index + 1) % count;
+  if (key === 'Home') return 0;
+  if (key === 'End') return count - 1;
+  return null;
+}
+
+function prefersReducedMotion() {
+  return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+}
+
+// Scroll the report form into view and put the cursor in its first field
+function focusReportForm() {
+  document.getElementById('report-section').scrollIntoView({
+    behavior: prefersReducedMotion() ? 'auto' : 'smooth',
+    block: 'start'
+  });
+  document.getElementById('incident-type').focus({ preventScroll: true });
+}
+
+function openAlertSettings() {
+  NotificationCenter.open();
+  const settings = document.querySelector('#notification-panel .alert-settings');
+  settings.open = true;
+  settings.querySelector('summary').focus();
+}
+
+const ViewTabs = {
+  // Selecting follows focus, so arrowing onto a tab shows it
+  onKeydown(e) {
+    const tabs = [...document.querySelectorAll('.view-tab')].filter(tab => !tab.hidden);
+    const index = rovingIndex(e.key, tabs.indexOf(e.target), tabs.length, 'horizontal');
+    if (index === null) return;
+
+    e.preventDefault();
+    tabs[index].focus();
+    showIncidentView(tabs[index].dataset.view);
+  }
+};
+
+// The account menu, re-rendered with the header by updateAuthUI
+const ProfileMenu = {
+  get button() {
+    return document.getElementById('profile-button');
+  },
+
+  get menu() {
+    return document.getElementById('profile-menu');
+  },
+
+  items() {
+    return [...this.menu.querySelectorAll('[role="menuitem"]')];
+  },
+
+  isOpen() {
+    return Boolean(this.menu) && !this.menu.hidden;
+  },
+
+  open(focusLast = false) {
+    this.menu.hidden = false;
+    this.button.setAttribute('aria-expanded', 'true');
+    const items = this.items();
+    items[focusLast ? items.length - 1 : 0].focus();
+  },
+
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen()) return;
+    this.menu.hidden = true;
+    this.button.setAttribute('aria-expanded', 'false');
+    if (restoreFocus) this.button.focus();
+  },
+
+  onButtonKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.open(e.key === 'ArrowUp');
+    }
+  },
+
+  onMenuKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+      return;
+    }
+    trapFocus(this.menu, e);
+
+    const items = this.items();
+    const index = rovingIndex(e.key, items.indexOf(document.activeElement), items.length, 'vertical');
+    if (index !== null) {
+      e.preventDefault();
+      items[index].focus();
+    }
+  }
+};
+
+const MobileDrawer = {
+  get dialog() {
+    return document.getElementById('mobile-drawer');
+  },
+
+  open() {
+    // Staff-only views are offered when their tabs are
+    this.dialog.querySelectorAll('[data-drawer-view]').forEach(item => {
+      item.closest('li').hidden = document.querySelector(`.view-tab[data-view="${item.dataset.drawerView}"]`).hidden;
+    });
+    this.renderAccount();
+
+    this.dialog.showModal();
+    document.getElementById('menu-button').setAttribute('aria-expanded', 'true');
+  },
+
+  close() {
+    if (this.dialog.open) this.dialog.close();
+  },
+
+  renderAccount() {
+    const { currentUser } = AppState;
+    document.getElementById('drawer-account').innerHTML = currentUser
+      ? html`
+        <p class="text-sm">${t('auth.welcome', { name: currentUser.name })}</p>
+        <button type="button" class="btn btn-outline" data-drawer-auth="logout">${t('auth.logout')}</button>
+      `
+      : html`
+        <button type="button" class="btn btn-auth login-btn" data-drawer-auth="login">${t('auth.login')}</button>
+        <button type="button" class="btn btn-auth register-btn" data-drawer-auth="register">${t('auth.register')}</button>
+      `;
+  },
+
+  onClick(e) {
+    // A click on the backdrop lands on the dialog itself
+    if (e.target === this.dialog || e.target.closest('.drawer-close')) {
+      this.close();
+      return;
+    }
+
+    const view = e.target.closest('[data-drawer-view]')?.dataset.drawerView;
+    const auth = e.target.closest('[data-drawer-auth]')?.dataset.drawerAuth;
+    if (!view && !auth) return; // the report and alert links are handled below
+
+    this.close();
+    if (view) {
+      showIncidentView(view);
+      document.querySelector(`.view-tab[data-view="${view}"]`).focus();
+    } else if (auth === 'logout') {
+      logout().catch(() => {
+        // Already reported by AuthService
+      });
+    } else {
+      openAuthDialog(auth);
+    }
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.querySelector('.view-tabs')?.addEventListener('keydown', (e) => {
+    if (e.target.matches('.view-tab')) ViewTabs.onKeydown(e);
+  });
+
+  const authButtons = document.getElementById('auth-buttons');
+  authButtons?.addEventListener('click', (e) => {
+    if (e.target.closest('#profile-button')) {
+      if (ProfileMenu.isOpen()) {
+        ProfileMenu.close();
+      } else {
+        ProfileMenu.open();
+      }
+    } else if (e.target.closest('[role="menuitem"]')) {
+      ProfileMenu.close({ restoreFocus: false });
+    }
+  });
+  authButtons?.addEventListener('keydown', (e) => {
+    if (e.target.closest('#profile-button')) {
+      ProfileMenu.onButtonKeydown(e);
+    } else if (e.target.closest('#profile-menu')) {
+      ProfileMenu.onMenuKeydown(e);
+    }
+  });
+  document.addEventListener('click', (e) => {
+    if (ProfileMenu.isOpen() && !e.target.closest('#user-profile-dropdown')) {
+      ProfileMenu.close({ restoreFocus: false });
+    }
+  });
+
+  const drawer = MobileDrawer.dialog;
+  document.getElementById('menu-button')?.addEventListener('click', () => MobileDrawer.open());
+  drawer?.addEventListener('click', (e) => MobileDrawer.onClick(e));
+  drawer?.addEventListener('keydown', (e) => trapFocus(drawer, e));
+  drawer?.addEventListener('close', () => {
+    const button = document.getElementById('menu-button');
+    button.setAttribute('aria-expanded', 'false');
+    // Unless the drawer sent the user somewhere else
+    if (!drawer.contains(document.activeElement) && document.activeElement !== document.body) return;
+    button.focus();
+  });
+
+  document.addEventListener('click', (e) => {
+    if (e.target.closest('[data-report-link]')) {
+      MobileDrawer.close();
+      focusReportForm();
+    } else if (e.target.closest('[data-alert-settings]')) {
+      MobileDrawer.close();
+      openAlertSettings();
+    }
+  });
+});
\ No newline at end of file
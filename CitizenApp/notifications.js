@@ -0,0 +1,417 @@
+// Notification centre behind the header bell, and opt-in alerts for new
+// incidents near a chosen point. While the app is open, alerts come from the
+// incident feed; Web Push covers the rest (sent by functions/index.js to the
+// subscriptions saved here).
+//
+// Alert preferences: { enabled, push, latitude, longitude, radiusKm, types: [...] }
+// Notifications:     { id, incidentId, title, body, at, read }
+
+function matchesAlertPreferences(incident, preferences) {
+  if (!preferences.enabled || !preferences.types.includes(incident.type)) return false;
+  if (typeof incident.latitude !== 'number' || typeof incident.longitude !== 'number') return false;
+
+  return distanceInKm(
+    preferences.latitude, preferences.longitude,
+    incident.latitude, incident.longitude
+  ) <= preferences.radiusKm;
+}
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+function urlBase64ToUint8Array(base64url) {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  const raw = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+}
+
+// This browser's subscription is stored under a random id kept here, with
+// the account that made it, if any. firestore.rules only lets the holder of
+// the id change it, and only that account when there is one.
+//   { id, userId }
+function storedPushSubscription() {
+  return JSON.parse(localStorage.getItem(ALERT_CONFIG.SUBSCRIPTION_KEY) || 'null');
+}
+
+// Web Push subscription management
+class PushAlerts {
+  static isSupported() {
+    return Boolean(ALERT_CONFIG.VAPID_PUBLIC_KEY) &&
+      'serviceWorker' in navigator &&
+      'PushManager' in window &&
+      'Notification' in window;
+  }
+
+  static async getSubscription() {
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+  }
+
+  static async subscribe(preferences) {
+    if (!this.isSupported()) {
+      throw new Error(t('alerts.pushUnsupported'));
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+      throw new Error(t('alerts.pushBlocked'));
+    }
+
+    // The rules keep the account a subscription was made under, so after
+    // signing in, out or as someone else this browser starts a new one
+    const userId = AppState.currentUser?.id ?? null;
+    let stored = storedPushSubscription();
+    if (stored && stored.userId !== userId) {
+      await this.forget(stored);
+      stored = null;
+    }
+    if (!stored) {
+      stored = { id: crypto.randomUUID(), userId };
+      localStorage.setItem(ALERT_CONFIG.SUBSCRIPTION_KEY, JSON.stringify(stored));
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const subscription = await registration.pushManager.getSubscription() ||
+      await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(ALERT_CONFIG.VAPID_PUBLIC_KEY)
+      });
+
+    await db.collection(ALERT_CONFIG.SUBSCRIPTIONS_COLLECTION).doc(stored.id).set({
+      subscription: subscription.toJSON(),
+      latitude: preferences.latitude,
+      longitude: preferences.longitude,
+      radiusKm: preferences.radiusKm,
+      types: preferences.types,
+      userId: stored.userId,
+      locale: I18n.locale, // the language sw.js words the alerts in
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  // Alerts follow the app into another language
+  static async updateLocale(locale) {
+    const stored = storedPushSubscription();
+    if (!stored || stored.userId !== (AppState.currentUser?.id ?? null)) return;
+    await db.collection(ALERT_CONFIG.SUBSCRIPTIONS_COLLECTION).doc(stored.id).update({
+      locale,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+  }
+
+  static async unsubscribe() {
+    if (!this.isSupported()) return;
+
+    const stored = storedPushSubscription();
+    if (stored) await this.forget(stored);
+    const subscription = await this.getSubscription();
+    await subscription?.unsubscribe();
+  }
+
+  // Delete a stored subscription. The rules refuse when it was made under
+  // another account than the one signed in now; then the browser's push
+  // subscription is ended instead, so its endpoint expires and the
+  // push-sending function deletes the document the next time it tries it.
+  static async forget(stored) {
+    localStorage.removeItem(ALERT_CONFIG.SUBSCRIPTION_KEY);
+    try {
+      await db.collection(ALERT_CONFIG.SUBSCRIPTIONS_COLLECTION).doc(stored.id).delete();
+    } catch (error) {
+      console.error('Could not delete the old push subscription:', error);
+      const subscription = await this.getSubscription();
+      await subscription?.unsubscribe();
+    }
+  }
+}
+
+const NotificationCenter = {
+  items: [],
+  preferences: null,
+  lastCheckedAt: 0, // newest incident timestamp already checked for alerts
+
+  load() {
+    const stored = JSON.parse(localStorage.getItem(ALERT_CONFIG.STORAGE_KEY) || 'null');
+    this.items = stored?.items || [];
+    // First visit: only incidents reported from now on are news
+    this.lastCheckedAt = stored?.lastCheckedAt || Date.now();
+
+    this.preferences = {
+      enabled: false,
+      push: false,
+      latitude: MAP_CONFIG.DEFAULT_CENTER[0],
+      longitude: MAP_CONFIG.DEFAULT_CENTER[1],
+      radiusKm: MAP_CONFIG.DEFAULT_RADIUS_KM,
+      types: [...INCIDENT_TYPES],
+      ...JSON.parse(localStorage.getItem(ALERT_CONFIG.PREFERENCES_KEY) || '{}')
+    };
+  },
+
+  save() {
+    localStorage.setItem(ALERT_CONFIG.STORAGE_KEY, JSON.stringify({
+      items: this.items,
+      lastCheckedAt: this.lastCheckedAt
+    }));
+  },
+
+  savePreferences(preferences) {
+    this.preferences = preferences;
+    localStorage.setItem(ALERT_CONFIG.PREFERENCES_KEY, JSON.stringify(preferences));
+  },
+
+  // The feed and push can both report the same incident; keep one entry
+  add({ incidentId, title, body }) {
+    if (this.items.some(item => item.incidentId === incidentId)) return;
+
+    this.items.unshift({
+      id: `${incidentId}-${Date.now()}`,
+      incidentId,
+      title,
+      body,
+      at: new Date().toISOString(),
+      read: false
+    });
+    this.items = this.items.slice(0, ALERT_CONFIG.MAX_NOTIFICATIONS);
+    this.save();
+    this.render();
+  },
+
+  // Alert about incidents reported since we last looked
+  checkIncidents(incidents) {
+    const since = this.lastCheckedAt;
+    const { currentUser } = AppState;
+
+    incidents.forEach(incident => {
+      const reportedAt = Date.parse(incident.timestamp);
+      if (!(reportedAt > since)) return;
+
+      this.lastCheckedAt = Math.max(this.lastCheckedAt, reportedAt);
+      if (!isPublicIncident(incident)) return;
+      if (currentUser && incident.reporter?.id === currentUser.id) return;
+      if (!matchesAlertPreferences(incident, this.preferences)) return;
+
+      this.add({
+        incidentId: incident.id,
+        title: t('notifications.nearby', { type: incidentTypeLabel(incident.type) }),
+        body: `${incident.title} - ${incident.location}`
+      });
+    });
+
+    if (this.lastCheckedAt !== since) {
+      this.save();
+    }
+  },
+
+  unreadCount() {
+    return this.items.filter(item => !item.read).length;
+  },
+
+  markAllRead() {
+    this.items.forEach(item => { item.read = true; });
+    this.save();
+    this.render();
+  },
+
+  isOpen() {
+    return !document.getElementById('notification-panel').hidden;
+  },
+
+  open() {
+    document.getElementById('notification-panel').hidden = false;
+    document.getElementById('notification-button').setAttribute('aria-expanded', 'true');
+    this.render();
+  },
+
+  close() {
+    document.getElementById('notification-panel').hidden = true;
+    document.getElementById('notification-button').setAttribute('aria-expanded', 'false');
+  },
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+  },
+
+  openIncident(incidentId) {
+    const item = this.items.find(candidate => candidate.incidentId === incidentId);
+    if (item && !item.read) {
+      item.read = true;
+      this.save();
+      this.render();
+    }
+
+    this.close();
+    IncidentDetail.open(incidentId);
+  },
+
+  render() {
+    const unread = this.unreadCount();
+    const count = document.getElementById('notification-count');
+    count.textContent = unread > 99 ? '99+' : unread;
+    count.hidden = unread === 0;
+    document.getElementById('notification-button').setAttribute('aria-label',
+      unread ? t('notifications.unread', { count: unread }) : t('notifications.title'));
+
+    if (!this.isOpen()) return;
+
+    const list = document.getElementById('notification-list');
+    list.replaceChildren(...this.items.map(createNotificationItem));
+    document.getElementById('notification-empty').hidden = this.items.length > 0;
+    document.getElementById('notification-mark-read').disabled = unread === 0;
+  },
+
+  // Put the saved preferences into the alert settings form
+  fillSettings() {
+    const { preferences } = this;
+    document.getElementById('alert-enabled').checked = preferences.enabled;
+    document.getElementById('alert-radius').value = preferences.radiusKm;
+    document.querySelectorAll('input[name="alert-type"]').forEach(input => {
+      input.checked = preferences.types.includes(input.value);
+    });
+
+    const pushInput = document.getElementById('alert-push');
+    pushInput.checked = preferences.push;
+    pushInput.disabled = !PushAlerts.isSupported();
+  },
+
+  async saveSettings() {
+    const enabled = document.getElementById('alert-enabled').checked;
+    const preferences = {
+      ...this.preferences,
+      enabled,
+      push: enabled && document.getElementById('alert-push').checked,
+      radiusKm: Number(document.getElementById('alert-radius').value),
+      types: Array.from(document.querySelectorAll('input[name="alert-type"]:checked'), input => input.value)
+    };
+
+    if (enabled && preferences.types.length === 0) {
+      setAlertStatus(t('alerts.chooseType'));
+      return;
+    }
+
+    if (enabled) {
+      setAlertStatus(t('alerts.locating'));
+      try {
+        Object.assign(preferences, await getCurrentLocation());
+      } catch (error) {
+        setAlertStatus(t('alerts.locationRequired'));
+        return;
+      }
+    }
+
+    try {
+      if (preferences.push) {
+        await PushAlerts.subscribe(preferences);
+      } else {
+        await PushAlerts.unsubscribe();
+      }
+    } catch (error) {
+      preferences.push = false;
+      document.getElementById('alert-push').checked = false;
+      this.savePreferences(preferences);
+      setAlertStatus(t('alerts.pushOff', { reason: error.message }));
+      return;
+    }
+
+    this.savePreferences(preferences);
+    setAlertStatus(enabled ? t('alerts.on', { km: preferences.radiusKm }) : t('alerts.off'));
+  }
+};
+
+function createNotificationItem(item) {
+  const element = document.createElement('li');
+  element.innerHTML = html`
+    <button type="button" class="notification-item ${item.read ? '' : 'unread'}">
+      <span class="notification-title font-semibold text-sm"></span>
+      <span class="notification-body text-sm"></span>
+      <time class="notification-time text-sm" datetime="${item.at}">${formatDateTime(item.at)}</time>
+    </button>
+  `;
+  const button = element.querySelector('button');
+  button.dataset.incidentId = item.incidentId;
+  button.querySelector('.notification-title').textContent = item.title;
+  button.querySelector('.notification-body').textContent = item.body;
+  return element;
+}
+
+function setAlertStatus(message) {
+  document.getElementById('alert-status').textContent = message;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const button = document.getElementById('notification-button');
+  const panel = document.getElementById('notification-panel');
+  if (!button || !panel) return;
+
+  NotificationCenter.load();
+
+  const radiusSelect = document.getElementById('alert-radius');
+  MAP_CONFIG.RADIUS_OPTIONS_KM.forEach(km => radiusSelect.add(createRadiusOption(km)));
+  document.querySelector('#alert-settings-form .alert-types').append(
+    ...INCIDENT_TYPES.map(type => {
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = 'alert-type';
+      input.value = type;
+      const label = document.createElement('label');
+      label.className = 'text-sm';
+      label.append(input, ' ', createTranslated('span', `${incidentTypeKey(type)}.plural`));
+      return label;
+    })
+  );
+  NotificationCenter.fillSettings();
+  NotificationCenter.render();
+
+  button.addEventListener('click', () => NotificationCenter.toggle());
+
+  document.getElementById('notification-mark-read').addEventListener('click', () => {
+    NotificationCenter.markAllRead();
+  });
+
+  document.getElementById('notification-list').addEventListener('click', (e) => {
+    const item = e.target.closest('[data-incident-id]');
+    if (item) {
+      NotificationCenter.openIncident(item.dataset.incidentId);
+    }
+  });
+
+  document.getElementById('alert-settings-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    NotificationCenter.saveSettings();
+  });
+
+  // Close on Escape or a click elsewhere
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      NotificationCenter.close();
+      button.focus();
+    }
+  });
+  document.addEventListener('click', (e) => {
+    if (NotificationCenter.isOpen() && !panel.contains(e.target) && !button.contains(e.target)) {
+      NotificationCenter.close();
+    }
+  });
+
+  // The button's label counts unread notifications, so render() sets it
+  let renderedLocale = AppState.locale;
+  AppState.subscribe((state) => {
+    NotificationCenter.checkIncidents(state.incidents);
+    if (state.locale !== renderedLocale) {
+      renderedLocale = state.locale;
+      NotificationCenter.render();
+      if (NotificationCenter.preferences.push) {
+        PushAlerts.updateLocale(state.locale).catch(error => console.error('Push alert language not updated:', error));
+      }
+    }
+  });
+
+  // Pushes received while the app is open, and clicks on push notifications
+  navigator.serviceWorker?.addEventListener('message', (e) => {
+    if (e.data?.type === 'incident-alert') {
+      NotificationCenter.add(e.data.notification);
+    } else if (e.data?.type === 'open-incident') {
+      NotificationCenter.openIncident(e.data.incidentId);
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+// Downloads of the incidents the feed shows, with its filters applied, as CSV
+// or GeoJSON. Like the public feeds (functions/open-data.js), downloads are
+// redacted so they can be passed on: coordinates are snapped to
+// OPEN_DATA_CONFIG.GRID_DEGREES and nothing says who reported an incident.
+
+function incidentUrl(id) {
+  return new URL(`/citizen.html${incidentRoute(id)}`, window.location.origin).href;
+}
+
+// The fields an incident is exported with
+function openDataRecord(incident) {
+  const located = Number.isFinite(incident.latitude) && Number.isFinite(incident.longitude);
+  return {
+    id: incident.id,
+    type: incident.type,
+    title: incident.title,
+    description: incident.description,
+    location: incident.location,
+    latitude: located ? coarsenCoordinate(incident.latitude, OPEN_DATA_CONFIG.GRID_DEGREES) : null,
+    longitude: located ? coarsenCoordinate(incident.longitude, OPEN_DATA_CONFIG.GRID_DEGREES) : null,
+    timestamp: incident.timestamp,
+    status: incident.status,
+    verified: incident.verification === 'verified',
+    confirmations: incident.confirmations || 0,
+    details: incident.details || {},
+    url: incidentUrl(incident.id)
+  };
+}
+
+// Spreadsheets run text starting with one of =+-@ as a formula, so such text
+// is quoted with a leading apostrophe
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const CSV_COLUMNS = [
+  'id', 'type', 'title', 'description', 'details', 'location', 'latitude', 'longitude',
+  'timestamp', 'status', 'verified', 'confirmations', 'url'
+];
+
+function incidentsToCsv(incidents) {
+  const rows = incidents.map(incident => {
+    const record = {
+      ...openDataRecord(incident),
+      details: describeIncidentDetails(incident).map(({ label, value }) => `${label}: ${value}`).join('; ')
+    };
+    return CSV_COLUMNS.map(column => csvCell(record[column])).join(',');
+  });
+  // The byte order mark makes Excel read the file as UTF-8
+  return `\uFEFF${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+function incidentsToGeoJson(incidents) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: incidents.map(incident => {
+      const { latitude, longitude, ...properties } = openDataRecord(incident);
+      return {
+        type: 'Feature',
+        id: properties.id,
+        geometry: latitude === null ? null : { type: 'Point', coordinates: [longitude, latitude] },
+        properties
+      };
+    })
+  }, null, 2);
+}
+
+function downloadFile(fileName, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url));
+}
+
+// Every incident the filters match, not just the feed pages loaded so far.
+// The feed's copies are the newest, so they replace the listed ones.
+async function exportableIncidents() {
+  const byId = new Map((await IncidentService.listIncidents()).map(incident => [incident.id, incident]));
+  AppState.incidents.forEach(incident => byId.set(incident.id, incident));
+  return filterIncidents([...byId.values()]);
+}
+
+async function exportIncidents(format) {
+  setFilterStatus(t('export.loading'));
+  let incidents;
+  try {
+    incidents = await exportableIncidents();
+  } catch {
+    setFilterStatus(t('export.failed'));
+    return;
+  }
+  if (incidents.length === 0) {
+    setFilterStatus(t('export.empty'));
+    return;
+  }
+
+  const name = `citizenwatch-incidents-${new Date().toISOString().slice(0, 10)}`;
+  if (format === 'csv') {
+    downloadFile(`${name}.csv`, 'text/csv;charset=utf-8', incidentsToCsv(incidents));
+  } else {
+    downloadFile(`${name}.geojson`, 'application/geo+json', incidentsToGeoJson(incidents));
+  }
+  setFilterStatus(t('export.done', { count: incidents.length }));
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('export-csv')?.addEventListener('click', () => exportIncidents('csv'));
+  document.getElementById('export-geojson')?.addEventListener('click', () => exportIncidents('geojson'));
+});
\ No newline at end of file
@@ -0,0 +1,434 @@
+// Offline-first report submission. Every report is written to an IndexedDB
+// outbox before it is sent and only removed once the backend has it.
+// Sends that fail on the network are retried with exponential backoff.
+//
+// Outbox records:
+//   { id, incidentData,
+//     files: [{ name, type, blob, thumbnail: { name, type, blob } | null, duration, canceled }],
+//     status: 'pending' | 'failed', attempts, nextAttemptAt, lastError, createdAt }
+//
+// While a report is being sent its files show upload progress on its card,
+// each with a cancel button that sends the report without that file.
+
+let outboxDatabase = null;
+
+function openOutboxDB() {
+  if (!outboxDatabase) {
+    outboxDatabase = new Promise((resolve, reject) => {
+      const request = indexedDB.open(OUTBOX_CONFIG.DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(OUTBOX_CONFIG.STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return outboxDatabase;
+}
+
+// Run one request against the outbox store and resolve with its result
+async function outboxRequest(mode, operation) {
+  const database = await openOutboxDB();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(OUTBOX_CONFIG.STORE_NAME, mode);
+    const request = operation(transaction.objectStore(OUTBOX_CONFIG.STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
+
+// Run `operation(keepAlive)` and reject with a TimeoutError once it has gone
+// `ms` without settling or calling keepAlive(), which uploads do as they make
+// progress. Time spent offline does not count; uploads wait for the network.
+function withTimeout(operation, ms) {
+  let timer;
+  let rejectTimeout;
+  const keepAlive = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if (!navigator.onLine) {
+        keepAlive();
+        return;
+      }
+      const error = new Error('The request timed out');
+      error.name = 'TimeoutError';
+      rejectTimeout(error);
+    }, ms);
+  };
+  const timeout = new Promise((resolve, reject) => {
+    rejectTimeout = reject;
+  });
+
+  keepAlive();
+  return Promise.race([operation(keepAlive), timeout]).finally(() => clearTimeout(timer));
+}
+
+// Errors worth retrying: fetch failures, timeouts and Firebase "unavailable"
+function isNetworkError(error) {
+  return ErrorHandler.getErrorType(error) === ErrorHandler.ERROR_TYPES.NETWORK ||
+    error.name === 'TimeoutError' ||
+    error.code === 'unavailable' ||
+    error.code === 'storage/retry-limit-exceeded';
+}
+
+// Exponential backoff with jitter, capped at OUTBOX_CONFIG.MAX_DELAY
+function backoffDelay(attempts) {
+  const delay = Math.min(OUTBOX_CONFIG.BASE_DELAY * 2 ** (attempts - 1), OUTBOX_CONFIG.MAX_DELAY);
+  return delay / 2 + Math.random() * delay / 2;
+}
+
+function generateReportId() {
+  return crypto.randomUUID?.() ||
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Files are kept as plain blobs, which every browser can store in IndexedDB
+function storedFile(file) {
+  return { name: file.name, type: file.type, blob: file };
+}
+
+function restoredFile({ name, type, blob }) {
+  return new File([blob], name, { type });
+}
+
+function uploadFraction(upload) {
+  return upload.total > 0 ? upload.loaded / upload.total : 0;
+}
+
+function describeUpload(upload) {
+  if (upload.canceled) return t('upload.canceled');
+  if (upload.loaded >= upload.total) return t('upload.done');
+  if (!navigator.onLine) return t('upload.paused');
+  const megabytes = (bytes) => new Intl.NumberFormat(I18n.locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+    .format(bytes / (1024 * 1024));
+  return t('upload.progressMegabytes', { loaded: megabytes(upload.loaded), total: megabytes(upload.total) });
+}
+
+// Progress on a sending report's card is updated in place, as it comes in.
+// Re-rendered cards start from the same upload objects.
+function showUploadProgress(recordId, index, upload) {
+  const item = document.querySelector(
+    `#incident-feed [data-incident-id="${CSS.escape(recordId)}"] [data-upload-index="${index}"]`
+  );
+  if (!item) return;
+
+  item.querySelector('progress').value = uploadFraction(upload);
+  item.querySelector('.upload-state').textContent = describeUpload(upload);
+  item.querySelector('[data-outbox-action="cancel-upload"]').disabled = upload.canceled || upload.loaded >= upload.total;
+}
+
+class ReportOutbox {
+  static timer = null;
+  static flushing = null;
+  static flushAgain = false;
+  static sendingIds = new Set();
+  static uploads = new Map(); // record id -> [{ name, loaded, total, canceled, controller }] while sending
+  static previews = new Map(); // record id -> { images, media } preview object URLs
+  static views = new Map(); // record id -> { key, incident } for AppState.outbox
+
+  // Queue a report and try to send it right away. Resolves with 'sent',
+  // 'queued' (will be retried) or 'failed' (needs a manual retry).
+  // `incidentData.id` is kept when set (anonymous reports sign theirs)
+  static async submit(incidentData, attachments = []) {
+    const id = incidentData.id || generateReportId();
+    const record = {
+      id,
+      incidentData: { ...incidentData, id },
+      files: attachments.map(({ file, thumbnail, duration }) => ({
+        ...storedFile(file),
+        thumbnail: thumbnail ? storedFile(thumbnail) : null,
+        duration: duration ?? null,
+        canceled: false
+      })),
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+      createdAt: Date.now()
+    };
+
+    try {
+      await outboxRequest('readwrite', store => store.put(record));
+    } catch (error) {
+      // No IndexedDB (e.g. some private browsing modes): send directly
+      console.error('Outbox unavailable:', error);
+      await IncidentService.createIncident(record.incidentData, attachments);
+      return 'sent';
+    }
+
+    this.requestBackgroundSync();
+    await this.refresh();
+    await this.flush();
+
+    const remaining = await outboxRequest('readonly', store => store.get(id));
+    if (!remaining) return 'sent';
+    return remaining.status === 'failed' ? 'failed' : 'queued';
+  }
+
+  static all() {
+    return outboxRequest('readonly', store => store.getAll());
+  }
+
+  static async save(record) {
+    await outboxRequest('readwrite', store => store.put(record));
+  }
+
+  static async remove(id) {
+    await outboxRequest('readwrite', store => store.delete(id));
+    const previews = this.previews.get(id);
+    previews?.images.forEach(url => URL.revokeObjectURL(url));
+    previews?.media.forEach(media => media.poster && URL.revokeObjectURL(media.poster));
+    this.previews.delete(id);
+  }
+
+  // Send every due report; a flush requested mid-run triggers another pass
+  static flush() {
+    if (this.flushing) {
+      this.flushAgain = true;
+      return this.flushing;
+    }
+
+    this.flushing = (async () => {
+      do {
+        this.flushAgain = false;
+        if (!navigator.onLine) break;
+
+        const due = (await this.all()).filter(record =>
+          record.status === 'pending' && record.nextAttemptAt <= Date.now()
+        );
+        for (const record of due) {
+          await this.send(record);
+        }
+      } while (this.flushAgain);
+    })()
+      .catch(error => console.error('Outbox flush failed:', error))
+      .finally(() => {
+        this.flushing = null;
+        this.scheduleFlush();
+      });
+
+    return this.flushing;
+  }
+
+  static async send(record) {
+    // Files canceled on an earlier attempt stay out of the report
+    const files = record.files.filter(file => !file.canceled);
+    const uploads = files.map(file => ({
+      name: file.name,
+      loaded: 0,
+      total: file.blob.size,
+      canceled: false,
+      controller: new AbortController()
+    }));
+    this.sendingIds.add(record.id);
+    this.uploads.set(record.id, uploads);
+    await this.refresh();
+
+    try {
+      const attachments = files.map((file, index) => ({
+        file: restoredFile(file),
+        thumbnail: file.thumbnail ? restoredFile(file.thumbnail) : null,
+        duration: file.duration,
+        signal: uploads[index].controller.signal
+      }));
+      await withTimeout(keepAlive => IncidentService.getRepository().create(record.incidentData, attachments, {
+        onProgress: (index, loaded, total) => {
+          keepAlive();
+          Object.assign(uploads[index], { loaded, total });
+          showUploadProgress(record.id, index, uploads[index]);
+        }
+      }), OUTBOX_CONFIG.SEND_TIMEOUT);
+      await this.remove(record.id);
+    } catch (error) {
+      const attempts = record.attempts + 1;
+      const retry = isNetworkError(error) && attempts < OUTBOX_CONFIG.MAX_ATTEMPTS;
+      // Stop uploads still running (a timeout leaves them going). Unlike a
+      // cancel this is no reason to leave the files out, so the create fails
+      // rather than saving the report without them.
+      uploads.forEach(upload => upload.controller.abort(error));
+
+      await this.save({
+        ...record,
+        files: record.files.map(file => uploads[files.indexOf(file)]?.canceled ? { ...file, canceled: true } : file),
+        attempts,
+        status: retry ? 'pending' : 'failed',
+        nextAttemptAt: Date.now() + backoffDelay(attempts),
+        lastError: error.message
+      });
+      if (!retry) {
+        ErrorHandler.handle(error, { retry: () => this.retry(record.id) });
+      }
+    } finally {
+      this.sendingIds.delete(record.id);
+      this.uploads.delete(record.id);
+      await this.refresh();
+    }
+  }
+
+  // Send the report being sent without one of its files
+  static async cancelUpload(id, index) {
+    const upload = this.uploads.get(id)?.[index];
+    if (!upload || upload.canceled) return;
+
+    upload.canceled = true;
+    upload.controller.abort(ATTACHMENT_DROPPED);
+    showUploadProgress(id, index, upload);
+
+    // Remembered in case the page closes before the report is sent. In one
+    // transaction, so a report sent in the meantime is not brought back.
+    await outboxRequest('readwrite', (store) => {
+      const request = store.get(id);
+      request.onsuccess = () => {
+        const record = request.result;
+        if (!record) return;
+        const remaining = record.files.filter(file => !file.canceled);
+        store.put({
+          ...record,
+          files: record.files.map(file => file === remaining[index] ? { ...file, canceled: true } : file)
+        });
+      };
+      return request;
+    });
+  }
+
+  // Wake up when the earliest pending report is due
+  static async scheduleFlush() {
+    let pending;
+    try {
+      pending = (await this.all()).filter(record => record.status === 'pending');
+    } catch (error) {
+      return; // No outbox available
+    }
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (pending.length === 0 || !navigator.onLine) return; // the online event flushes
+
+    const nextAttemptAt = Math.min(...pending.map(record => record.nextAttemptAt));
+    this.timer = setTimeout(() => this.flush(), Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  static async retry(id) {
+    const record = await outboxRequest('readonly', store => store.get(id));
+    if (!record) return;
+
+    await this.save({ ...record, status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+    await this.refresh();
+    this.flush();
+  }
+
+  static async discard(id) {
+    const record = await outboxRequest('readonly', store => store.get(id));
+    if (!record) return;
+
+    await this.remove(id);
+    await this.refresh();
+
+    Toast.info(t('outbox.discarded'), {
+      actions: [{
+        label: t('actions.undo'),
+        onClick: async () => {
+          await this.save(record);
+          await this.refresh();
+        }
+      }]
+    });
+  }
+
+  // Let the service worker wake us when connectivity returns
+  static async requestBackgroundSync() {
+    try {
+      const registration = await navigator.serviceWorker?.ready;
+      await registration?.sync?.register('outbox-sync');
+    } catch (error) {
+      // Background Sync is optional; the online event covers the page being open
+    }
+  }
+
+  // Publish queued reports to AppState.outbox, shaped like incidents and
+  // keeping object identity for records that did not change
+  static async refresh() {
+    const records = await this.all();
+    const views = new Map();
+
+    const outbox = records
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(record => {
+        const outboxStatus = this.sendingIds.has(record.id) ? 'sending' : record.status;
+        const key = `${outboxStatus}|${record.attempts}|${record.lastError}`;
+        const existing = this.views.get(record.id);
+        const view = existing?.key === key ? existing : {
+          key,
+          incident: {
+            ...record.incidentData,
+            ...this.previewUrls(record),
+            uploads: this.uploads.get(record.id) ?? null,
+            outboxStatus,
+            outboxError: record.lastError
+          }
+        };
+        views.set(record.id, view);
+        return view.incident;
+      });
+
+    this.views = views;
+    AppState.setState({ outbox });
+  }
+
+  // Photos and video posters of a queued report, as incident fields
+  static previewUrls(record) {
+    if (!this.previews.has(record.id)) {
+      const files = record.files.filter(file => !file.canceled);
+      this.previews.set(record.id, {
+        images: files
+          .filter(file => file.type.startsWith('image/'))
+          .map(file => URL.createObjectURL((file.thumbnail || file).blob)),
+        media: files
+          .filter(file => !file.type.startsWith('image/'))
+          .map(file => ({
+            type: file.type.split('/')[0],
+            poster: file.thumbnail ? URL.createObjectURL(file.thumbnail.blob) : null,
+            duration: file.duration
+          }))
+      });
+    }
+    return this.previews.get(record.id);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (!window.indexedDB) return;
+
+  ReportOutbox.refresh().then(() => ReportOutbox.flush());
+
+  window.addEventListener('online', () => ReportOutbox.flush());
+
+  // Uploads pause while offline; say so on their progress bars
+  ['online', 'offline'].forEach(type => window.addEventListener(type, () => {
+    ReportOutbox.uploads.forEach((uploads, id) => {
+      uploads.forEach((upload, index) => showUploadProgress(id, index, upload));
+    });
+  }));
+
+  // Background Sync fired in the service worker
+  navigator.serviceWorker?.addEventListener('message', (e) => {
+    if (e.data?.type === 'flush-outbox') {
+      ReportOutbox.flush();
+    }
+  });
+
+  // Retry / discard buttons on queued report cards
+  document.getElementById('incident-feed').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-outbox-action]');
+    if (!button) return;
+
+    const id = button.closest('[data-incident-id]').dataset.incidentId;
+    if (button.dataset.outboxAction === 'cancel-upload') {
+      ReportOutbox.cancelUpload(id, Number(button.closest('[data-upload-index]').dataset.uploadIndex));
+    } else if (button.dataset.outboxAction === 'retry') {
+      ReportOutbox.retry(id);
+    } else if (button.dataset.outboxAction === 'discard') {
+      ReportOutbox.discard(id);
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,89 @@
+// Web worker that finds the proof of work for an anonymous report (see
+// solveProofOfWork in anonymous-reports.js): a nonce for which
+// SHA-256("<id>:<nonce>") starts with `difficulty` zeros in hex.
+//
+// At ANONYMOUS_CONFIG.PROOF_DIFFICULTY 5 that takes about a million hashes.
+// crypto.subtle.digest costs a promise per hash, which is several times
+// slower than hashing in plain JavaScript, so this worker does it itself and
+// the page stays responsive meanwhile.
+//
+//   postMessage({ id, difficulty }) -> message { nonce }
+
+const ROUND_CONSTANTS = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const schedule = new Uint32Array(64);
+
+function rotate(value, bits) {
+  return (value >>> bits) | (value << (32 - bits));
+}
+
+// The first 32 bits of SHA-256(bytes), which is all the check needs
+function sha256FirstWord(bytes) {
+  const length = bytes.length;
+  const message = new Uint8Array((((length + 8) >> 6) + 1) * 64);
+  message.set(bytes);
+  message[length] = 0x80;
+  const bits = length * 8;
+  for (let i = 1; i <= 4; i++) {
+    message[message.length - i] = bits >>> (8 * (i - 1));
+  }
+
+  let h0 = 0x6a09e667, h1 = 0xbb67ae85, h2 = 0x3c6ef372, h3 = 0xa54ff53a;
+  let h4 = 0x510e527f, h5 = 0x9b05688c, h6 = 0x1f83d9ab, h7 = 0x5be0cd19;
+
+  for (let offset = 0; offset < message.length; offset += 64) {
+    for (let i = 0; i < 16; i++) {
+      const at = offset + 4 * i;
+      schedule[i] = (message[at] << 24) | (message[at + 1] << 16) | (message[at + 2] << 8) | message[at + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const w15 = schedule[i - 15];
+      const w2 = schedule[i - 2];
+      schedule[i] = (rotate(w15, 7) ^ rotate(w15, 18) ^ (w15 >>> 3)) + schedule[i - 16]
+        + (rotate(w2, 17) ^ rotate(w2, 19) ^ (w2 >>> 10)) + schedule[i - 7];
+    }
+
+    let a = h0, b = h1, c = h2, d = h3, e = h4, f = h5, g = h6, h = h7;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25)) + ((e & f) ^ (~e & g))
+        + ROUND_CONSTANTS[i] + schedule[i]) | 0;
+      const t2 = ((rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    h0 = (h0 + a) | 0; h1 = (h1 + b) | 0; h2 = (h2 + c) | 0; h3 = (h3 + d) | 0;
+    h4 = (h4 + e) | 0; h5 = (h5 + f) | 0; h6 = (h6 + g) | 0; h7 = (h7 + h) | 0;
+  }
+  return h0 >>> 0;
+}
+
+// Up to 8 leading zero hex digits, which fit in the first word
+function solve(id, difficulty) {
+  const encoder = new TextEncoder();
+  const shift = 32 - 4 * difficulty;
+  for (let nonce = 0; ; nonce++) {
+    const word = sha256FirstWord(encoder.encode(`${id}:${nonce}`));
+    if (shift === 32 || word >>> shift === 0) return String(nonce);
+  }
+}
+
+self.onmessage = (event) => {
+  const { id, difficulty } = event.data;
+  self.postMessage({ nonce: solve(id, difficulty) });
+};
\ No newline at end of file
@@ -0,0 +1,278 @@
+// The report form, built from INCIDENT_SCHEMA (see incident-schema.js): the
+// type picker, each type's own fields and the field limits. Fields are
+// checked with validateIncident() on submit, and as the user types once they
+// have left a field. Also the type badges and colours used across the app.
+
+// Element id of a report form field, by its path in the report:
+// 'title' -> 'incident-title', 'details.vehiclesInvolved' -> 'report-vehicles-involved'
+function reportFieldId(path) {
+  const isDetail = path.startsWith('details.');
+  const name = path.replace(/^details\./, '').replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+  return isDetail ? `report-${name}` : `incident-${name}`;
+}
+
+// The schema's labels are English; what the form shows comes from the
+// catalogues under these keys (see locales/en.js)
+function incidentTypeKey(type) {
+  return `incidentTypes.${type}`;
+}
+
+function detailFieldKey(type, field) {
+  return `incidentTypes.${type}.${field.name}`;
+}
+
+// validateIncident() wording in the current language
+const REPORT_VALIDATION = {
+  message: (rule, params) => t(`validation.${rule}`, params),
+  label: (field, type) => t(type ? detailFieldKey(type, field) : `fields.${field.name}`)
+};
+
+function incidentTypeLabel(type) {
+  return Object.hasOwn(INCIDENT_SCHEMA.types, type) ? t(incidentTypeKey(type)) : type;
+}
+
+function typeIconHtml(type) {
+  return html`<svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">${trustedHtml(INCIDENT_SCHEMA.types[type]?.icon ?? '')}</svg>`;
+}
+
+// Coloured badge with the type's icon and name, for cards and the detail view
+function typeBadgeHtml(type) {
+  return html`<span class="type-badge incident-type-${type}">${typeIconHtml(type)}${incidentTypeLabel(type)}</span>`;
+}
+
+// Badge saying how serious an incident is; reports from before severities
+// were asked for have none
+function severityBadgeHtml(severity) {
+  if (!INCIDENT_SEVERITIES.includes(severity)) return '';
+  return html`<span class="severity-badge severity-${severity}">${t(`severity.${severity}`)}</span>`;
+}
+
+// The type's own fields an incident has, as [{ label, value }] to show
+function describeIncidentDetails(incident) {
+  const fields = INCIDENT_SCHEMA.types[incident.type]?.fields || [];
+  const details = incident.details || {};
+  return fields
+    .filter(field => !isEmptyValue(details[field.name]))
+    .map(field => {
+      const key = detailFieldKey(incident.type, field);
+      const value = details[field.name];
+      if (field.type === 'boolean') return { label: t(key), value: t(value ? 'common.yes' : 'common.no') };
+      if (field.type === 'select') {
+        return { label: t(key), value: field.options.some(option => option.value === value) ? t(`${key}.${value}`) : value };
+      }
+      return { label: t(key), value: String(value) };
+    });
+}
+
+// .incident-type-<type> sets --type-colour and --type-tint for that type's
+// badges, filter tabs and map pins
+function adoptTypeColours() {
+  const sheet = new CSSStyleSheet();
+  sheet.replaceSync(Object.entries(INCIDENT_SCHEMA.types)
+    .map(([type, { colour }]) => `.incident-type-${type} { --type-colour: ${colour}; --type-tint: ${colour}1a; }`)
+    .join('\n'));
+  document.adoptedStyleSheets = [...document.adoptedStyleSheets, sheet];
+}
+
+// Option, label or other element showing the message `key`
+function createTranslated(tagName, key) {
+  const element = tagName === 'option' ? new Option() : document.createElement(tagName);
+  setMessage(element, key);
+  return element;
+}
+
+// Input for one of `type`'s fields, in its own .input-group
+function createReportField(type, field) {
+  const path = `details.${field.name}`;
+  const id = reportFieldId(path);
+  const key = detailFieldKey(type, field);
+  const group = document.createElement('div');
+  group.className = 'input-group';
+
+  let control;
+  if (field.type === 'boolean') {
+    control = document.createElement('input');
+    control.type = 'checkbox';
+    const label = document.createElement('label');
+    label.className = 'flex items-center gap-2';
+    label.append(control, createTranslated('span', key));
+    group.append(label);
+  } else {
+    if (field.type === 'select') {
+      control = document.createElement('select');
+      control.add(createTranslated('option', `${key}.placeholder`));
+      field.options.forEach(option => {
+        const element = createTranslated('option', `${key}.${option.value}`);
+        element.value = option.value;
+        control.add(element);
+      });
+    } else if (field.type === 'textarea') {
+      control = document.createElement('textarea');
+      control.rows = 3;
+    } else {
+      control = document.createElement('input');
+      control.type = field.type === 'number' ? 'number' : 'text';
+    }
+    const label = createTranslated('label', key);
+    label.htmlFor = id;
+    group.append(label, control);
+  }
+
+  control.id = id;
+  control.dataset.field = path;
+  applyFieldLimits(control, field);
+
+  const error = document.createElement('div');
+  error.className = 'error-message';
+  error.setAttribute('aria-live', 'assertive');
+  error.setAttribute('aria-atomic', 'true');
+  group.append(error);
+  return group;
+}
+
+function applyFieldLimits(control, field) {
+  if (field.required) {
+    control.required = true;
+    control.setAttribute('aria-required', 'true');
+  }
+  if (field.maxLength) control.maxLength = field.maxLength;
+  if (field.type === 'number') {
+    control.min = field.min;
+    control.max = field.max;
+    control.step = 1;
+    control.inputMode = 'numeric';
+  }
+}
+
+// A report form value as validateIncident() expects it; null when left empty
+function readFieldValue(field, control) {
+  if (field.type === 'boolean') return control.checked;
+  const value = control.value.trim();
+  if (value === '') return null;
+  return field.type === 'number' ? Number(value) : value;
+}
+
+const ReportForm = {
+  touched: new Set(), // paths of fields the user has left, so are checked as they type
+
+  build() {
+    const typeSelect = document.getElementById('incident-type');
+    typeSelect.dataset.field = 'type';
+    INCIDENT_TYPES.forEach(type => {
+      const option = createTranslated('option', incidentTypeKey(type));
+      option.value = type;
+      typeSelect.add(option);
+    });
+
+    INCIDENT_SCHEMA.fields.forEach(field => {
+      const control = document.getElementById(reportFieldId(field.name));
+      control.dataset.field = field.name;
+      if (field.type === 'select') {
+        const placeholder = createTranslated('option', `fields.${field.name}.placeholder`);
+        placeholder.value = '';
+        control.add(placeholder);
+        field.options.forEach(option => {
+          const element = createTranslated('option', `fields.${field.name}.${option.value}`);
+          element.value = option.value;
+          control.add(element);
+        });
+      }
+      applyFieldLimits(control, field);
+    });
+  },
+
+  // Show the chosen type's own fields
+  renderTypeFields(type) {
+    const fields = INCIDENT_SCHEMA.types[type]?.fields || [];
+    fields.forEach(field => this.touched.delete(`details.${field.name}`));
+    const container = document.getElementById('incident-type-fields');
+    container.replaceChildren(...fields.map(field => createReportField(type, field)));
+    container.hidden = fields.length === 0;
+  },
+
+  // Paths of the fields on the form, in the order they appear
+  fieldPaths(type) {
+    return [
+      'type',
+      ...(INCIDENT_SCHEMA.types[type]?.fields || []).map(field => `details.${field.name}`),
+      ...INCIDENT_SCHEMA.fields.map(field => field.name)
+    ];
+  },
+
+  read() {
+    const type = document.getElementById('incident-type').value;
+    const data = { type };
+    INCIDENT_SCHEMA.fields.forEach(field => {
+      data[field.name] = readFieldValue(field, document.getElementById(reportFieldId(field.name))) ?? '';
+    });
+
+    data.details = {};
+    (INCIDENT_SCHEMA.types[type]?.fields || []).forEach(field => {
+      // Not there yet while the type is being changed
+      const control = document.getElementById(reportFieldId(`details.${field.name}`));
+      const value = control ? readFieldValue(field, control) : null;
+      if (value !== null) data.details[field.name] = value;
+    });
+    return data;
+  },
+
+  // Check the whole form and show every problem. Returns the report fields
+  // when they are valid; otherwise focuses the first problem and returns null.
+  validate() {
+    const data = this.read();
+    const { isValid, errors } = validateIncident(data, REPORT_VALIDATION);
+    const paths = this.fieldPaths(data.type);
+    paths.forEach(path => {
+      this.touched.add(path);
+      showError(reportFieldId(path), errors[path] || '');
+    });
+
+    if (isValid) return data;
+    const first = paths.find(path => errors[path]);
+    document.getElementById(reportFieldId(first))?.focus();
+    return null;
+  },
+
+  validateField(path) {
+    if (!this.touched.has(path)) return;
+    const { errors } = validateIncident(this.read(), REPORT_VALIDATION);
+    showError(reportFieldId(path), errors[path] || '');
+  },
+
+  reset() {
+    this.touched.clear();
+    this.renderTypeFields('');
+    this.fieldPaths('').forEach(path => showError(reportFieldId(path), ''));
+  }
+};
+
+adoptTypeColours();
+
+document.addEventListener('DOMContentLoaded', () => {
+  const form = document.getElementById('report-form');
+  if (!form) return;
+
+  ReportForm.build();
+
+  form.addEventListener('change', (e) => {
+    if (e.target.id === 'incident-type') {
+      ReportForm.renderTypeFields(e.target.value);
+    }
+  });
+
+  // Fields are checked once the user has been through them, then on every
+  // change, so nobody is told off for a field they have not reached yet
+  form.addEventListener('focusout', (e) => {
+    const path = e.target.dataset?.field;
+    if (!path) return;
+    ReportForm.touched.add(path);
+    ReportForm.validateField(path);
+  });
+
+  form.addEventListener('input', (e) => {
+    const path = e.target.dataset?.field;
+    if (path) ReportForm.validateField(path);
+  });
+
+  form.addEventListener('reset', () => ReportForm.reset());
+});
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Safe HTML templating. Report fields, names and URLs come from other users,
+// so they must never reach innerHTML as they are. Markup built from strings
+// goes through the html`` tag, which escapes every value it interpolates
+// unless that value was itself made by html`` (or is an array of those), so
+// templates still nest:
+//
+//   element.innerHTML = html`
+//     <h3>${incident.title}</h3>
+//     ${notes.map(note => html`<p>${note.text}</p>`)}
+//   `;
+//
+// URLs put in src and href attributes also go through safeUrl(). Together
+// with the Content-Security-Policy in citizen.html this keeps a report from
+// running script in its viewers' pages.
+
+// Markup that is safe to insert as it is
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;'
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+// null, undefined and false render as nothing, so `${cond && html`...`}` works
+function htmlValue(value) {
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(htmlValue).join('');
+  if (value === null || value === undefined || value === false) return '';
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((markup, string, index) => markup + htmlValue(values[index - 1]) + string));
+}
+
+// Only for markup written in this codebase (icons, fixed snippets), never for
+// anything read from a report or a user
+function trustedHtml(markup) {
+  return new SafeHtml(markup);
+}
+
+// The first element of some markup, for building one element from a template
+function htmlElement(markup) {
+  const template = document.createElement('template');
+  template.innerHTML = markup;
+  return template.content.firstElementChild;
+}
+
+const SAFE_URL_PROTOCOLS = ['https:', 'http:', 'blob:'];
+
+// `url` when it is safe to load as an image, clip or link: http(s) and blob:
+// URLs, relative ones, and raster data: images (local demo photos). Anything
+// else, such as javascript: or data:text/html, becomes ''.
+function safeUrl(url) {
+  if (typeof url !== 'string') return '';
+  const trimmed = url.trim();
+  if (/^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=]*$/i.test(trimmed)) return trimmed;
+
+  try {
+    return SAFE_URL_PROTOCOLS.includes(new URL(trimmed, window.location.href).protocol) ? trimmed : '';
+  } catch (error) {
+    return '';
+  }
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+// One-tap SOS, for when there is no time to fill in the report form. The
+// user's current position goes out at once as a critical 'emergency' report
+// (SOS_CONFIG in App.js), through the outbox like any other report so it is
+// sent as soon as there is a connection. Reports that serious call out
+// responders (see functions/webhooks.js); details can follow in comments.
+
+const SosReport = {
+  sending: false,
+
+  // A report as the submit handler in citizen.js builds one, but with no
+  // duplicate check: an SOS is never held up by a question
+  async build(position) {
+    const { currentUser } = AppState;
+    const report = {
+      type: SOS_CONFIG.TYPE,
+      severity: SOS_CONFIG.SEVERITY,
+      sos: true,
+      title: t('sos.reportTitle'),
+      description: t('sos.reportDescription'),
+      location: formatCoordinates(position.latitude, position.longitude),
+      details: {},
+      latitude: position.latitude,
+      longitude: position.longitude,
+      timestamp: new Date().toISOString(),
+      status: 'active',
+      reporter: currentUser
+        ? { id: currentUser.id, name: currentUser.name }
+        : null,
+      anonymous: false
+    };
+
+    // Signed-out users only get here when anonymous reports are allowed
+    return currentUser ? report : AnonymousReports.prepare(report, 'anonymous');
+  },
+
+  async send() {
+    if (this.sending) return;
+    if (!AppState.currentUser && !AUTH_CONFIG.ALLOW_ANONYMOUS_REPORTS) {
+      openAuthDialog('login', t('sos.loginRequired'));
+      return;
+    }
+
+    this.setSending(true);
+    try {
+      let position;
+      try {
+        Toast.info(t('sos.locating'));
+        position = await getCurrentLocation();
+      } catch {
+        // Responders need somewhere to go; the form lets the user say where
+        Toast.error(t('sos.noLocation'));
+        focusReportForm();
+        return;
+      }
+
+      const result = await ReportOutbox.submit(await this.build(position));
+      if (result === 'sent') {
+        Toast.success(t('sos.sent'));
+      } else if (result === 'queued') {
+        Toast.info(t('sos.queued'));
+      }
+      // 'failed' reports get an error toast with a Retry button from the outbox
+    } catch {
+      // Already reported by ErrorHandler
+    } finally {
+      this.setSending(false);
+    }
+  },
+
+  setSending(sending) {
+    this.sending = sending;
+    document.querySelectorAll('[data-sos]').forEach(button => {
+      button.disabled = sending;
+      button.setAttribute('aria-busy', sending);
+    });
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.addEventListener('click', (e) => {
+    if (e.target.closest('[data-sos]')) SosReport.send();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,375 @@
+// Statistics dashboard for staff: counts by type and status, when incidents
+// happen in the week, where (a heatmap of STATS_CONFIG.GRID_DEGREES cells),
+// mean time to resolution and hotspots. Computed here from every incident in
+// the repository, not just the loaded feed pages, over a chosen date range.
+//
+// A hotspot is a cell whose incident rate over the last HOTSPOT_WINDOW of the
+// range is more than HOTSPOT_FACTOR times its rate over the BASELINE_WINDOW
+// before that, with at least HOTSPOT_MIN_INCIDENTS recent incidents.
+
+// 'Mon' ... 'Sun' in the current language
+function weekdayLabels() {
+  const format = new Intl.DateTimeFormat(I18n.locale, { weekday: 'short', timeZone: 'UTC' });
+  // 5 January 1970 was a Monday
+  return Array.from({ length: 7 }, (_, day) => format.format(Date.UTC(1970, 0, 5 + day)));
+}
+
+function countBy(incidents, key) {
+  const counts = new Map();
+  incidents.forEach(incident => {
+    counts.set(incident[key], (counts.get(incident[key]) || 0) + 1);
+  });
+  return counts;
+}
+
+// 7 rows (Monday first) of 24 hourly counts, in the viewer's time zone
+function weekHourMatrix(incidents) {
+  const matrix = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  incidents.forEach(incident => {
+    const at = new Date(incident.timestamp);
+    if (Number.isNaN(at.getTime())) return;
+    matrix[(at.getDay() + 6) % 7][at.getHours()]++;
+  });
+  return matrix;
+}
+
+// When a resolved incident was resolved: its last change to 'resolved' in the
+// audit trail (see ModerationService), or null if it has none
+function resolvedAt(incident) {
+  if (incident.status !== 'resolved') return null;
+  const entry = (incident.auditTrail || [])
+    .filter(item => item.action === 'status_changed' && item.to === 'resolved')
+    .pop();
+  return entry ? Date.parse(entry.at) : null;
+}
+
+// { meanMs, count } over the resolved incidents; meanMs is null if none are
+function meanTimeToResolution(incidents) {
+  const durations = incidents
+    .map(incident => resolvedAt(incident) - Date.parse(incident.timestamp))
+    .filter(duration => Number.isFinite(duration) && duration >= 0);
+  return {
+    meanMs: durations.length > 0 ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : null,
+    count: durations.length
+  };
+}
+
+// "2 d 4 h", "3 h 20 min", "12 min"
+function formatElapsed(ms) {
+  const minutes = Math.round(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+  if (days > 0) return t('stats.days', { days, hours: hours % 24 });
+  if (hours > 0) return t('stats.hours', { hours, minutes: minutes % 60 });
+  return t('stats.minutes', { minutes });
+}
+
+// Incidents grouped by grid cell: Map of "lat,lng" (the cell centre) ->
+// { latitude, longitude, incidents }
+function groupByCell(incidents, grid = STATS_CONFIG.GRID_DEGREES) {
+  const cells = new Map();
+  incidents.forEach(incident => {
+    if (!Number.isFinite(incident.latitude) || !Number.isFinite(incident.longitude)) return;
+
+    const latitude = coarsenCoordinate(incident.latitude, grid);
+    const longitude = coarsenCoordinate(incident.longitude, grid);
+    const key = `${latitude},${longitude}`;
+    if (!cells.has(key)) cells.set(key, { latitude, longitude, incidents: [] });
+    cells.get(key).incidents.push(incident);
+  });
+  return cells;
+}
+
+// The location most of a cell's incidents give, to name it by
+function commonLocation(incidents) {
+  const counts = countBy(incidents, 'location');
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? '';
+}
+
+// Cells whose recent incident rate is unusually high, highest ratio first:
+// [{ latitude, longitude, location, recent, baseline, ratio }]. `until` is the
+// end of the recent window. A cell with no baseline incidents counts as having
+// had one, so a handful of reports in a quiet area is not enough on its own.
+function detectHotspots(incidents, until = Date.now()) {
+  const recentFrom = until - STATS_CONFIG.HOTSPOT_WINDOW;
+  const baselineFrom = recentFrom - STATS_CONFIG.BASELINE_WINDOW;
+  const inWindow = incidents.filter(incident => {
+    const reportedAt = Date.parse(incident.timestamp);
+    return reportedAt >= baselineFrom && reportedAt <= until;
+  });
+
+  return [...groupByCell(inWindow).values()]
+    .map(cell => {
+      const recentIncidents = cell.incidents.filter(incident => Date.parse(incident.timestamp) >= recentFrom);
+      const recent = recentIncidents.length;
+      const baseline = cell.incidents.length - recent;
+      const recentRate = recent / STATS_CONFIG.HOTSPOT_WINDOW;
+      const baselineRate = Math.max(baseline, 1) / STATS_CONFIG.BASELINE_WINDOW;
+      return {
+        latitude: cell.latitude,
+        longitude: cell.longitude,
+        location: commonLocation(recentIncidents),
+        recent,
+        baseline,
+        ratio: recentRate / baselineRate
+      };
+    })
+    .filter(cell => cell.recent >= STATS_CONFIG.HOTSPOT_MIN_INCIDENTS && cell.ratio > STATS_CONFIG.HOTSPOT_FACTOR)
+    .sort((a, b) => b.ratio - a.ratio);
+}
+
+// Everything the dashboard shows, for incidents reported from `from` to `to`
+// (YYYY-MM-DD, inclusive, either may be '')
+function computeStatistics(incidents, { from, to }) {
+  const counted = incidents.filter(isPublicIncident);
+  const inRange = applyFilters(counted, { ...DEFAULT_FILTERS, from, to }, null);
+  const until = to ? new Date(`${to}T23:59:59.999`).getTime() : Date.now();
+
+  return {
+    total: inRange.length,
+    byType: countBy(inRange, 'type'),
+    byStatus: countBy(inRange, 'status'),
+    weekHours: weekHourMatrix(inRange),
+    resolution: meanTimeToResolution(inRange),
+    cells: [...groupByCell(inRange).values()],
+    // Hotspots need the baseline before the range, so look at everything
+    hotspots: detectHotspots(counted, Math.min(until, Date.now()))
+  };
+}
+
+// Labelled bars, one per [label, count, className]
+function createStatBars(rows) {
+  const max = Math.max(1, ...rows.map(([, count]) => count));
+  return rows.map(([label, count, className = '']) => {
+    const element = htmlElement(html`
+      <li class="stat-bar ${className}">
+        <span class="text-sm stat-bar-label">${label}</span>
+        <span class="stat-bar-track"><span class="stat-bar-fill"></span></span>
+        <span class="text-sm stat-bar-count">${count}</span>
+      </li>
+    `);
+    element.querySelector('.stat-bar-fill').style.width = `${(count / max) * 100}%`;
+    return element;
+  });
+}
+
+function createWeekTable(matrix) {
+  const max = Math.max(1, ...matrix.flat());
+  const weekdays = weekdayLabels();
+  const table = htmlElement(html`
+    <table class="stats-week">
+      <caption class="sr-only">${t('stats.weekCaption')}</caption>
+      <thead>
+        <tr>
+          <th scope="col"></th>
+          ${matrix[0].map((_, hour) => html`<th scope="col" class="text-sm">${hour % 3 === 0 ? hour : ''}</th>`)}
+        </tr>
+      </thead>
+      <tbody>
+        ${matrix.map((row, day) => html`
+          <tr>
+            <th scope="row" class="text-sm">${weekdays[day]}</th>
+            ${row.map((count, hour) => html`
+              <td title="${weekdays[day]} ${String(hour).padStart(2, '0')}:00 · ${count}">
+                <span class="sr-only">${count}</span>
+              </td>
+            `)}
+          </tr>
+        `)}
+      </tbody>
+    </table>
+  `);
+  table.querySelectorAll('tbody tr').forEach((row, day) => {
+    row.querySelectorAll('td').forEach((cell, hour) => {
+      cell.style.setProperty('--intensity', matrix[day][hour] / max);
+    });
+  });
+  return table;
+}
+
+function createHotspotItem(hotspot) {
+  return htmlElement(html`
+    <li class="hotspot">
+      <div>
+        <p class="font-semibold">${hotspot.location || `${hotspot.latitude.toFixed(2)}, ${hotspot.longitude.toFixed(2)}`}</p>
+        <p class="text-sm text-muted-foreground">
+          ${t('stats.hotspotRate', {
+            count: hotspot.recent,
+            days: Math.round(STATS_CONFIG.HOTSPOT_WINDOW / 86400000),
+            ratio: Math.round(hotspot.ratio * 10) / 10
+          })}
+        </p>
+      </div>
+      <button type="button" class="btn btn-ghost" data-latitude="${hotspot.latitude}" data-longitude="${hotspot.longitude}">${t('stats.showOnMap')}</button>
+    </li>
+  `);
+}
+
+function setStatsStatus(message) {
+  document.getElementById('stats-status').textContent = message;
+}
+
+// YYYY-MM-DD in the viewer's time zone
+function localDateString(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+const StatsDashboard = {
+  incidents: [],
+  loaded: false,
+  loading: null,
+  map: null,
+  heatLayer: null,
+
+  isVisible() {
+    return !document.getElementById('stats-view').hidden;
+  },
+
+  // Only staff get the statistics tab
+  updateAccess(user) {
+    const tab = document.querySelector('.view-tab[data-view="stats"]');
+    tab.hidden = !isStaff(user);
+    if (tab.hidden && this.isVisible()) {
+      showIncidentView('feed');
+    }
+  },
+
+  // Called when the tab is selected. Everything is fetched once; after that
+  // live updates to the feed are folded in.
+  async show() {
+    this.initMap();
+    this.map.invalidateSize();
+    if (!this.loaded) await this.load();
+    this.render({ fit: true });
+  },
+
+  load() {
+    if (this.loading) return this.loading;
+
+    setStatsStatus(t('stats.loading'));
+    this.loading = IncidentService.listIncidents()
+      .then((incidents) => {
+        this.incidents = incidents;
+        this.loaded = true;
+        setStatsStatus('');
+      })
+      .catch(() => {
+        setStatsStatus(t('stats.loadFailed'));
+      })
+      .finally(() => {
+        this.loading = null;
+      });
+    return this.loading;
+  },
+
+  // Incidents the feed has newer copies of replace ours
+  mergeLoaded(incidents) {
+    const byId = new Map(this.incidents.map(incident => [incident.id, incident]));
+    incidents.forEach(incident => byId.set(incident.id, incident));
+    this.incidents = [...byId.values()];
+  },
+
+  range() {
+    return {
+      from: document.getElementById('stats-from').value,
+      to: document.getElementById('stats-to').value
+    };
+  },
+
+  initMap() {
+    if (this.map) return;
+
+    this.map = L.map('stats-map').setView(MAP_CONFIG.DEFAULT_CENTER, MAP_CONFIG.DEFAULT_ZOOM);
+    L.tileLayer(MAP_CONFIG.TILE_URL, {
+      maxZoom: MAP_CONFIG.MAX_ZOOM,
+      attribution: MAP_CONFIG.TILE_ATTRIBUTION
+    }).addTo(this.map);
+    this.heatLayer = L.layerGroup().addTo(this.map);
+  },
+
+  // `fit` zooms the map to the incidents; live updates leave it where it is
+  render({ fit = false } = {}) {
+    if (!this.isVisible() || !this.loaded) return;
+
+    const stats = computeStatistics(this.incidents, this.range());
+    document.getElementById('stats-total').textContent = stats.total;
+
+    const { meanMs, count } = stats.resolution;
+    document.getElementById('stats-resolution').textContent = meanMs === null ? '–' : formatElapsed(meanMs);
+    document.getElementById('stats-resolution-note').textContent = t('stats.resolved', { count });
+
+    document.getElementById('stats-by-type').replaceChildren(...createStatBars(
+      Object.keys(INCIDENT_SCHEMA.types).map(type => [
+        incidentTypeLabel(type), stats.byType.get(type) || 0, `incident-type-${type}`
+      ])
+    ));
+    document.getElementById('stats-by-status').replaceChildren(...createStatBars(
+      INCIDENT_STATUSES.map(status => [t(`status.${status}`), stats.byStatus.get(status) || 0])
+    ));
+    document.getElementById('stats-week').replaceChildren(createWeekTable(stats.weekHours));
+
+    this.renderHeatmap(stats.cells, stats.hotspots, fit);
+    document.getElementById('stats-hotspots').replaceChildren(...stats.hotspots.map(createHotspotItem));
+    document.getElementById('stats-no-hotspots').hidden = stats.hotspots.length > 0;
+  },
+
+  // A square per grid cell, more opaque the more incidents it had;
+  // hotspots get an outline
+  renderHeatmap(cells, hotspots, fit) {
+    this.heatLayer.clearLayers();
+    const max = Math.max(1, ...cells.map(cell => cell.incidents.length));
+    const hotspotKeys = new Set(hotspots.map(hotspot => `${hotspot.latitude},${hotspot.longitude}`));
+    const half = STATS_CONFIG.GRID_DEGREES / 2;
+
+    cells.forEach(cell => {
+      const isHotspot = hotspotKeys.has(`${cell.latitude},${cell.longitude}`);
+      L.rectangle([
+        [cell.latitude - half, cell.longitude - half],
+        [cell.latitude + half, cell.longitude + half]
+      ], {
+        stroke: isHotspot,
+        color: '#dc2626',
+        weight: 2,
+        fillColor: '#f97316',
+        fillOpacity: 0.15 + 0.6 * (cell.incidents.length / max)
+      })
+        .bindTooltip(t('stats.cell', { count: cell.incidents.length }))
+        .addTo(this.heatLayer);
+    });
+
+    if (fit && cells.length > 0) {
+      this.map.fitBounds(cells.map(cell => [cell.latitude, cell.longitude]), { padding: [24, 24], maxZoom: 15 });
+    }
+  },
+
+  showOnMap(latitude, longitude) {
+    this.map.setView([latitude, longitude], 15);
+    document.getElementById('stats-map').scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  const view = document.getElementById('stats-view');
+  if (!view) return;
+
+  const today = new Date();
+  const start = new Date(today);
+  start.setDate(start.getDate() - STATS_CONFIG.DEFAULT_RANGE_DAYS + 1);
+  document.getElementById('stats-from').value = localDateString(start);
+  document.getElementById('stats-to').value = localDateString(today);
+
+  document.getElementById('stats-range').addEventListener('change', () => StatsDashboard.render({ fit: true }));
+
+  document.getElementById('stats-hotspots').addEventListener('click', (e) => {
+    const button = e.target.closest('[data-latitude]');
+    if (button) StatsDashboard.showOnMap(Number(button.dataset.latitude), Number(button.dataset.longitude));
+  });
+
+  AppState.subscribe((state) => {
+    StatsDashboard.updateAccess(state.currentUser);
+    if (!StatsDashboard.loaded) return;
+    StatsDashboard.mergeLoaded(state.incidents);
+    StatsDashboard.render();
+  });
+  StatsDashboard.updateAccess(AppState.currentUser);
+});
\ No newline at end of file
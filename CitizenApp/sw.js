@@ -0,0 +1,189 @@
+// Service worker: keeps the app shell available offline, passes Background
+// Sync events to the page so queued reports get sent, and shows push alerts.
+
+const SHELL_CACHE = 'citizenwatch-shell-v23';
+const LIBRARY_CACHE = 'citizenwatch-libraries-v1';
+
+// Our own files. Served network-first so deploys show up straight away.
+const SHELL_ASSETS = [
+  '/citizen.html',
+  '/citizen.css',
+  '/manifest.webmanifest',
+  '/icons/icon.svg',
+  '/firebase-config.js',
+  '/safe-html.js',
+  '/incident-schema.js',
+  '/App.js',
+  '/i18n.js',
+  '/locales/en.js',
+  '/locales/fr.js',
+  '/locales/yo.js',
+  '/toast.js',
+  '/auth-providers.js',
+  '/incident-repository.js',
+  '/citizen.js',
+  '/report-form.js',
+  '/virtual-feed.js',
+  '/filters.js',
+  '/map-view.js',
+  '/incident-detail.js',
+  '/geocoder.js',
+  '/location-picker.js',
+  '/image-pipeline.js',
+  '/media-attachments.js',
+  '/anonymous-reports.js',
+  '/proof-of-work.js',
+  '/duplicates.js',
+  '/auth-ui.js',
+  '/moderation.js',
+  '/stats.js',
+  '/open-data.js',
+  '/outbox.js',
+  '/notifications.js',
+  '/navigation.js',
+  '/sos.js'
+];
+
+// The app's message catalogues, for wording push alerts (see i18n.js)
+const MESSAGES = {};
+
+function registerMessages(locale, messages) {
+  MESSAGES[locale] = { ...MESSAGES[locale], ...messages };
+}
+
+importScripts('/locales/en.js', '/locales/fr.js', '/locales/yo.js');
+
+function message(locale, key) {
+  return MESSAGES[locale]?.[key] ?? MESSAGES.en[key];
+}
+
+// The message `key` in `locale`, else English, with `params` filled in.
+// Push alerts use no plural messages.
+function translate(locale, key, params = {}) {
+  return (message(locale, key) ?? key).replace(/\{(\w+)\}/g, (placeholder, name) =>
+    Object.hasOwn(params, name) ? String(params[name]) : placeholder
+  );
+}
+
+// CDN hosts serving versioned libraries (Firebase SDK, Leaflet); safe to cache-first
+const LIBRARY_HOSTS = ['www.gstatic.com', 'unpkg.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_ASSETS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, LIBRARY_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => !current.includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true }) ||
+      (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(LIBRARY_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate' && url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, '/citizen.html'));
+  } else if (url.origin === self.location.origin && SHELL_ASSETS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  } else if (LIBRARY_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+  // Everything else (Firestore, Storage, map tiles, APIs) goes straight to the network
+});
+
+// Sending needs the page's data layer, so ask open pages to flush their outbox
+self.addEventListener('sync', (event) => {
+  if (event.tag === 'outbox-sync') {
+    event.waitUntil(
+      self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage({ type: 'flush-outbox' }));
+      })
+    );
+  }
+});
+
+// Nearby-incident alert from functions/index.js (see buildPayload in
+// functions/alerts.js): { incidentId, locale, message, params: { type }, body }.
+// Subscriptions made before they kept a language get the browser's.
+self.addEventListener('push', (event) => {
+  const data = event.data?.json() || {};
+  const locale = [data.locale, self.navigator.language?.split('-')[0]]
+    .find(tag => Object.hasOwn(MESSAGES, tag ?? '')) || 'en';
+  const type = data.params?.type ?? '';
+  const notification = {
+    incidentId: data.incidentId,
+    title: translate(locale, data.message || 'notifications.new', {
+      type: message(locale, `incidentTypes.${type}`) ?? type
+    }),
+    body: data.body
+  };
+
+  event.waitUntil(Promise.all([
+    self.registration.showNotification(notification.title, {
+      body: notification.body,
+      icon: '/icons/icon.svg',
+      tag: `incident-${notification.incidentId}`,
+      data: notification
+    }),
+    // Open pages add it to their notification centre
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+      clients.forEach(client => client.postMessage({ type: 'incident-alert', notification }));
+    })
+  ]));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const { incidentId } = event.notification.data || {};
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(clients => {
+      const client = clients.find(candidate => new URL(candidate.url).origin === self.location.origin);
+      if (client) {
+        client.postMessage({ type: 'open-incident', incidentId });
+        return client.focus();
+      }
+      return self.clients.openWindow(`/citizen.html#/incidents/${encodeURIComponent(incidentId)}`);
+    })
+  );
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+// Runs citizen.html and the app's scripts in jsdom. The Firebase SDK, Leaflet
+// and the browser APIs jsdom lacks are stubbed out, and incidents come from
+// an in-memory repository seeded with `incidents`, so tests never touch the
+// network.
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { indexedDB } = require('fake-indexeddb');
+
+const APP_DIR = path.join(__dirname, '..', '..');
+
+const page = fs.readFileSync(path.join(APP_DIR, 'citizen.html'), 'utf8');
+
+// The app's own scripts in citizen.html order, less the Firebase setup
+const SCRIPTS = [...page.matchAll(/<script src="\/([^"]+)"><\/script>/g)]
+  .map(([, src]) => src)
+  .filter(src => src !== 'firebase-config.js');
+
+// Stand-ins for what citizen.html loads from CDNs and firebase-config.js sets up
+const STUBS = `
+  var firebase = { firestore: { FieldValue: {}, Timestamp: {} } };
+  var db = {};
+  var storage = {};
+  var auth = {
+    currentUser: null,
+    onAuthStateChanged(next) { setTimeout(() => next(null)); return () => {}; }
+  };
+  var EMULATOR_CONFIG = { ENABLED: false };
+  var L = {
+    map: () => ({ setView() { return this; }, on() { return this; }, addLayer() {}, removeLayer() {}, invalidateSize() {} }),
+    tileLayer: () => ({ addTo() {} }),
+    markerClusterGroup: () => ({ clearLayers() {}, addLayers() {}, addTo() { return this; }, on() {} }),
+    layerGroup: () => ({ clearLayers() {}, addTo() { return this; } }),
+    marker: () => ({ bindPopup() { return this; }, on() { return this; }, addTo() { return this; } }),
+    circle: () => ({ addTo() { return this; } }),
+    divIcon: () => ({}),
+    latLng: (lat, lng) => ({ lat, lng })
+  };
+  HTMLDialogElement.prototype.showModal = function () { this.open = true; };
+  HTMLDialogElement.prototype.show = function () { this.open = true; };
+  HTMLDialogElement.prototype.close = function (value) {
+    if (!this.open) return;
+    this.open = false;
+    if (value !== undefined) this.returnValue = value;
+    this.dispatchEvent(new Event('close'));
+  };
+  Element.prototype.scrollIntoView = function () {};
+  window.CSSStyleSheet = class { replaceSync(text) { this.text = text; } };
+  document.adoptedStyleSheets = [];
+  window.CSS = { escape: value => String(value).replace(/["\\\\]/g, '\\\\$&') };
+  window.matchMedia = () => ({ matches: false, addEventListener() {}, removeEventListener() {} });
+  URL.createObjectURL = () => 'blob:test';
+  URL.revokeObjectURL = () => {};
+`;
+
+// Values from the page's realm as plain Node values, for deepEqual
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function wait(ms = 20) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Loads citizen.html and the app's scripts into jsdom, with `incidents` in a
+// memory repository and `user` signed in. `before` is script to run ahead of
+// the app's scripts and `after` is script to run once they have loaded, both
+// before DOMContentLoaded. Every script the harness adds is marked
+// data-harness. Resolves with the window once DOMContentLoaded has run and
+// the feed has rendered.
+async function loadApp({ incidents = [], user = null, locale = 'en', before = '', after = '' } = {}) {
+  const html = page.replace(/<script[^>]*src=[^>]*><\/script>/g, '');
+  const dom = new JSDOM(html, {
+    runScripts: 'dangerously',
+    url: 'http://localhost/citizen.html',
+    pretendToBeVisual: true
+  });
+  const { window } = dom;
+  window.indexedDB = indexedDB;
+  window.localStorage.setItem('citizenwatch.locale', locale);
+
+  const errors = [];
+  window.console.error = (...args) => errors.push(args.map(String).join(' '));
+  window.addEventListener('error', (e) => errors.push(String(e.error?.stack || e.message)));
+
+  const run = (code) => {
+    const script = window.document.createElement('script');
+    script.dataset.harness = '';
+    script.textContent = code;
+    window.document.body.appendChild(script);
+  };
+  run(STUBS + before);
+  SCRIPTS.forEach(src => run(fs.readFileSync(path.join(APP_DIR, src), 'utf8')));
+  run(`
+    DATA_CONFIG.PROVIDER = 'memory';
+    IncidentService.useRepository(new LocalIncidentRepository({ seed: ${JSON.stringify(incidents)} }));
+    ${after}
+  `);
+
+  await new Promise(resolve => {
+    if (window.document.readyState === 'loading') {
+      window.document.addEventListener('DOMContentLoaded', resolve);
+    } else {
+      resolve();
+    }
+  });
+  await wait();
+  // The outbox's first look at IndexedDB, which can outlast a short test
+  await window.eval('ReportOutbox.refresh()');
+  if (user) window.eval(`AppState.setState({ currentUser: ${JSON.stringify(user)} })`);
+  await wait(50);
+
+  window.errors = errors;
+  return window;
+}
+
+module.exports = { APP_DIR, SCRIPTS, loadApp, plain, wait };
\ No newline at end of file
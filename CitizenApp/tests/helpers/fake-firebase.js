@@ -0,0 +1,109 @@
+// Just enough of the Firestore and Storage compat SDKs for
+// FirestoreIncidentRepository, with the behaviour of the security rules that
+// matters to it: a report is created once, never overwritten.
+
+function firebaseError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+class FakeFirestore {
+  constructor() {
+    this.docs = new Map(); // path -> data
+    this.writes = []; // paths in the order they were written
+    this.loseNextAck = false; // store the next write but report it lost
+    this.nextId = 0;
+  }
+
+  collection(name) {
+    return {
+      doc: (id = `auto-${++this.nextId}`) => this.doc(`${name}/${id}`)
+    };
+  }
+
+  doc(path) {
+    const id = path.split('/').pop();
+    return {
+      id,
+      path,
+      get: async () => this.snapshot(path),
+      set: async (data) => this.write(path, data)
+    };
+  }
+
+  snapshot(path) {
+    const data = this.docs.get(path);
+    return { id: path.split('/').pop(), exists: data !== undefined, data: () => data };
+  }
+
+  // A set on a stored report is an update, which the rules refuse
+  write(path, data) {
+    if (this.docs.has(path)) throw firebaseError('permission-denied');
+    this.docs.set(path, data);
+    this.writes.push(path);
+    if (this.loseNextAck) {
+      this.loseNextAck = false;
+      throw firebaseError('unavailable');
+    }
+  }
+
+  async runTransaction(update) {
+    const sets = [];
+    const transaction = {
+      get: async (ref) => this.snapshot(ref.path),
+      set: (ref, data) => sets.push([ref.path, data])
+    };
+    const result = await update(transaction);
+    sets.forEach(([path, data]) => this.write(path, data));
+    return result;
+  }
+}
+
+// Uploads finish at once, except those to paths in `held`, which wait
+// until canceled
+class FakeStorage {
+  constructor() {
+    this.files = new Map(); // path -> File
+    this.held = new Set();
+    this.started = [];
+  }
+
+  ref(path) {
+    return {
+      getMetadata: async () => {
+        if (!this.files.has(path)) throw firebaseError('storage/object-not-found');
+        return { size: this.files.get(path).size };
+      },
+      put: (file) => this.put(path, file),
+      getDownloadURL: async () => `https://storage.test/${path}`
+    };
+  }
+
+  put(path, file) {
+    this.started.push(path);
+    let handlers = null;
+    let canceled = false;
+    const task = {
+      on: (event, next, error, complete) => {
+        handlers = { error, complete };
+        if (canceled) {
+          error(firebaseError('storage/canceled'));
+        } else if (!this.held.has(path)) {
+          this.files.set(path, file);
+          next({ bytesTransferred: file.size, totalBytes: file.size });
+          complete();
+        }
+      },
+      pause() {},
+      resume() {},
+      cancel: () => {
+        canceled = true;
+        handlers?.error(firebaseError('storage/canceled'));
+      }
+    };
+    return task;
+  }
+}
+
+module.exports = { FakeFirestore, FakeStorage };
\ No newline at end of file
@@ -0,0 +1,146 @@
+// Security rules tests: a test environment on the Firestore and Storage
+// emulators started by `npm run test:rules` (firebase emulators:exec), and
+// documents shaped the way the app writes them.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const firebase = require('firebase/compat/app');
+require('firebase/compat/firestore');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+
+const APP_DIR = path.join(__dirname, '..', '..');
+
+// A demo- project id keeps the emulators from reaching real Firebase services
+const PROJECT_ID = 'demo-citizenwatch';
+
+// anonymousReportsAllowed() in firestore.rules is off, as it ships. With
+// `allowAnonymousReports` it is switched on, under a project of its own so
+// both sets of rules can be loaded at once.
+function createTestEnvironment({ allowAnonymousReports = false } = {}) {
+  let firestoreRules = fs.readFileSync(path.join(APP_DIR, 'firestore.rules'), 'utf8');
+  if (allowAnonymousReports) {
+    firestoreRules = firestoreRules.replace(/(function anonymousReportsAllowed\(\) \{\s*return )false/, '$1true');
+    return initializeTestEnvironment({
+      projectId: `${PROJECT_ID}-anonymous`,
+      firestore: { rules: firestoreRules }
+    });
+  }
+  return initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: firestoreRules },
+    storage: { rules: fs.readFileSync(path.join(APP_DIR, 'storage.rules'), 'utf8') }
+  });
+}
+
+// Firestore as a signed-in user with the given role claim, or signed out
+function firestoreAs(testEnv, uid, role) {
+  const context = uid
+    ? testEnv.authenticatedContext(uid, role ? { role } : {})
+    : testEnv.unauthenticatedContext();
+  return context.firestore();
+}
+
+// Write `data` at `path` with the rules switched off
+function seed(testEnv, path, data) {
+  return testEnv.withSecurityRulesDisabled(context => context.firestore().doc(path).set(data));
+}
+
+// A report as the report form hands it to ReportOutbox.submit, before the
+// repository adds coordinates, files and timestamps. For the unit tests,
+// which need no emulator.
+function formReport(overrides = {}) {
+  return {
+    id: 'report-1',
+    type: 'fight',
+    severity: 'medium',
+    title: 'Fight outside the market',
+    description: 'Two men fighting near the main gate',
+    location: 'Balogun Market',
+    details: {},
+    timestamp: '2026-10-19T10:30:00.000Z',
+    status: 'active',
+    reporter: { id: 'alice', name: 'Ada' },
+    anonymous: false,
+    ...overrides
+  };
+}
+
+// A report as FirestoreIncidentRepository.create sends it
+function newReport(uid, overrides = {}) {
+  return {
+    type: 'fight',
+    severity: 'medium',
+    sos: false,
+    title: 'Fight outside the market',
+    description: 'Two men fighting near the main gate',
+    location: 'Balogun Market',
+    details: { injuries: false, weapons: false },
+    latitude: 6.4541,
+    longitude: 3.3947,
+    timestamp: new Date().toISOString(),
+    status: 'active',
+    reporter: { id: uid, name: 'Ada' },
+    anonymous: false,
+    duplicateOf: null,
+    images: [],
+    thumbnails: [],
+    media: [],
+    createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+    ...overrides
+  };
+}
+
+// A nonce whose SHA-256("<incidentId>:<nonce>") starts with `difficulty`
+// zero hex digits, as solveProofOfWork in anonymous-reports.js finds one
+function proofOfWork(incidentId, difficulty) {
+  const target = '0'.repeat(difficulty);
+  for (let nonce = 0; ; nonce++) {
+    const hash = crypto.createHash('sha256').update(`${incidentId}:${nonce}`).digest('hex');
+    if (hash.startsWith(target)) return String(nonce);
+  }
+}
+
+// An anonymous report of `incidentId`, snapped to the grid and with a proof
+function anonymousReport(incidentId, difficulty, overrides = {}) {
+  return newReport(null, {
+    reporter: null,
+    anonymous: true,
+    latitude: 6.45,
+    longitude: 3.39,
+    proof: { nonce: proofOfWork(incidentId, difficulty) },
+    ...overrides
+  });
+}
+
+// The claim claimAnonymousReport (functions/index.js) makes for `report`
+function anonymousClaim(report) {
+  return { proof: report.proof, createdAt: firebase.firestore.Timestamp.now() };
+}
+
+// A stored report, as it looks once created
+function storedReport(uid, overrides = {}) {
+  return {
+    ...newReport(uid),
+    createdAt: firebase.firestore.Timestamp.now(),
+    ...overrides
+  };
+}
+
+// The audit trail entry ModerationService.apply adds
+function auditEntry(uid, role, action, details = {}) {
+  return { action, by: { id: uid, name: 'Moderator', role }, at: new Date().toISOString(), ...details };
+}
+
+module.exports = {
+  firebase,
+  createTestEnvironment,
+  firestoreAs,
+  seed,
+  formReport,
+  newReport,
+  anonymousReport,
+  anonymousClaim,
+  storedReport,
+  auditEntry,
+  proofOfWork
+};
\ No newline at end of file
@@ -0,0 +1,533 @@
+// firestore.rules, run against the Firestore emulator (npm run test:rules)
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const {
+  firebase,
+  createTestEnvironment,
+  firestoreAs,
+  seed,
+  newReport,
+  anonymousReport,
+  anonymousClaim,
+  storedReport,
+  auditEntry
+} = require('../helpers/rules');
+
+const { FieldValue } = firebase.firestore;
+
+let testEnv;
+
+before(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+after(() => testEnv.cleanup());
+
+beforeEach(() => testEnv.clearFirestore());
+
+describe('creating a report', () => {
+  it('lets a signed-in user report under their own uid', async () => {
+    const db = firestoreAs(testEnv, 'alice');
+    await assertSucceeds(db.doc('incidents/report-1').set(newReport('alice')));
+  });
+
+  it('refuses signed-out users', async () => {
+    const db = firestoreAs(testEnv, null);
+    await assertFails(db.doc('incidents/report-1').set(newReport('alice')));
+  });
+
+  // FirestoreIncidentRepository.create looks for the first attempt instead
+  it('refuses writing the same report again', async () => {
+    const db = firestoreAs(testEnv, 'alice');
+    const report = newReport('alice');
+    await assertSucceeds(db.doc('incidents/report-1').set(report));
+    await assertFails(db.doc('incidents/report-1').set(report));
+    await assertSucceeds(db.doc('incidents/report-1').get());
+  });
+
+  it('refuses a report under someone else\'s id', async () => {
+    const db = firestoreAs(testEnv, 'alice');
+    await assertFails(db.doc('incidents/report-1').set(newReport('bob')));
+  });
+
+  // REST sign-in (AUTH_CONFIG.PROVIDER 'rest') has no Firebase session, so
+  // its user ids never match a uid; the app refuses that set-up at startup
+  it('refuses a reporter id from another sign-in provider', async () => {
+    await assertFails(firestoreAs(testEnv, null).doc('incidents/report-1').set(newReport('42')));
+    await assertFails(firestoreAs(testEnv, 'alice').doc('incidents/report-2').set(newReport('42')));
+  });
+
+  it('refuses reports that are not new and active', async () => {
+    const db = firestoreAs(testEnv, 'alice');
+    await assertFails(db.doc('incidents/report-1').set(newReport('alice', { status: 'resolved' })));
+    await assertFails(db.doc('incidents/report-2').set(newReport('alice', { verification: 'verified' })));
+    await assertFails(db.doc('incidents/report-3').set(newReport('alice', { createdAt: new Date() })));
+  });
+
+  it('checks the report the way incident-schema.js does', async () => {
+    const db = firestoreAs(testEnv, 'alice');
+    await assertFails(db.doc('incidents/report-1').set(newReport('alice', { title: ' ' })));
+    await assertFails(db.doc('incidents/report-2').set(newReport('alice', { description: 'x'.repeat(2001) })));
+    await assertFails(db.doc('incidents/report-3').set(newReport('alice', { severity: 'apocalyptic' })));
+    await assertFails(db.doc('incidents/report-4').set(newReport('alice', { details: { crowdSize: 'large' } })));
+    await assertFails(db.doc('incidents/report-5').set(newReport('alice', { latitude: 91 })));
+    await assertSucceeds(db.doc('incidents/report-6').set(newReport('alice', {
+      type: 'accident',
+      details: { vehiclesInvolved: 2, injuries: true }
+    })));
+    await assertSucceeds(db.doc('incidents/report-7').set(newReport('alice', {
+      type: 'emergency',
+      severity: 'critical',
+      sos: true,
+      details: {}
+    })));
+  });
+
+  it('refuses anonymous reports while anonymousReportsAllowed() is off', async () => {
+    const report = anonymousReport('anon-1', 5);
+    await seed(testEnv, 'uploadClaims/anon-1', anonymousClaim(report));
+    await assertFails(firestoreAs(testEnv, null).doc('incidents/anon-1').set(report));
+  });
+});
+
+describe('anonymous reports', () => {
+  let anonymousEnv;
+
+  before(async () => {
+    anonymousEnv = await createTestEnvironment({ allowAnonymousReports: true });
+  });
+
+  after(() => anonymousEnv.cleanup());
+
+  beforeEach(() => anonymousEnv.clearFirestore());
+
+  // As the backend does once the sender is within their rate limit
+  async function claimed(incidentId, overrides) {
+    const report = anonymousReport(incidentId, 5, overrides);
+    await seed(anonymousEnv, `uploadClaims/${incidentId}`, anonymousClaim(report));
+    return report;
+  }
+
+  it('are taken on the grid with a proof of work, once claimed', async () => {
+    const db = firestoreAs(anonymousEnv, null);
+    await assertSucceeds(db.doc('incidents/anon-1').set(await claimed('anon-1')));
+    await assertSucceeds(db.doc('incidents/anon-2').set(await claimed('anon-2', {
+      reporter: { name: 'Quiet Heron' }
+    })));
+  });
+
+  it('are refused off the grid, without a proof or naming an account', async () => {
+    const db = firestoreAs(anonymousEnv, null);
+    await assertFails(db.doc('incidents/anon-1').set(await claimed('anon-1', { latitude: 6.4541 })));
+    await assertFails(db.doc('incidents/anon-2').set(await claimed('anon-2', { proof: { nonce: 'x' } })));
+    const borrowed = anonymousReport('anon-2', 5);
+    await seed(anonymousEnv, 'uploadClaims/anon-3', anonymousClaim(borrowed));
+    await assertFails(db.doc('incidents/anon-3').set(borrowed));
+    await assertFails(db.doc('incidents/anon-4').set(await claimed('anon-4', {
+      reporter: { id: 'alice', name: 'Ada' }
+    })));
+  });
+
+  it('are refused unless the backend claimed them with the same proof', async () => {
+    const db = firestoreAs(anonymousEnv, null);
+    await assertFails(db.doc('incidents/anon-1').set(anonymousReport('anon-1', 5)));
+
+    await seed(anonymousEnv, 'uploadClaims/anon-2', { proof: { nonce: 'other' }, createdAt: firebase.firestore.Timestamp.now() });
+    await assertFails(db.doc('incidents/anon-2').set(anonymousReport('anon-2', 5)));
+  });
+
+  it('cannot be claimed by the app itself', async () => {
+    const report = anonymousReport('anon-1', 5);
+    await assertFails(firestoreAs(anonymousEnv, null).doc('uploadClaims/anon-1').set({
+      proof: report.proof,
+      createdAt: FieldValue.serverTimestamp()
+    }));
+    await assertFails(firestoreAs(anonymousEnv, 'alice').doc('uploadClaims/anon-1').set({
+      proof: report.proof,
+      createdAt: FieldValue.serverTimestamp()
+    }));
+  });
+});
+
+describe('upload claims', () => {
+  const claim = uid => ({ uid, createdAt: FieldValue.serverTimestamp() });
+
+  it('are made by signed-in users for themselves', async () => {
+    await assertSucceeds(firestoreAs(testEnv, 'alice').doc('uploadClaims/report-1').set(claim('alice')));
+    await assertFails(firestoreAs(testEnv, 'alice').doc('uploadClaims/report-2').set(claim('bob')));
+    await assertFails(firestoreAs(testEnv, null).doc('uploadClaims/report-3').set(claim(null)));
+    await assertFails(firestoreAs(testEnv, 'alice').doc('uploadClaims/report-4').set({
+      ...claim('alice'),
+      proof: { nonce: '1' }
+    }));
+  });
+
+  it('are only made for reports that do not exist yet, and never change', async () => {
+    await seed(testEnv, 'incidents/report-1', storedReport('alice'));
+    await assertFails(firestoreAs(testEnv, 'alice').doc('uploadClaims/report-1').set(claim('alice')));
+
+    await assertSucceeds(firestoreAs(testEnv, 'alice').doc('uploadClaims/report-2').set(claim('alice')));
+    await assertFails(firestoreAs(testEnv, 'bob').doc('uploadClaims/report-2').set(claim('bob')));
+    await assertFails(firestoreAs(testEnv, 'alice').doc('uploadClaims/report-2').set(claim('alice')));
+    await assertFails(firestoreAs(testEnv, 'alice').doc('uploadClaims/report-2').delete());
+  });
+
+  it('can be looked up, so a retried report finds its own', async () => {
+    await seed(testEnv, 'uploadClaims/report-1', { uid: 'alice', createdAt: firebase.firestore.Timestamp.now() });
+    await assertSucceeds(firestoreAs(testEnv, 'alice').doc('uploadClaims/report-1').get());
+    await assertSucceeds(firestoreAs(testEnv, 'alice').doc('uploadClaims/report-2').get());
+  });
+});
+
+describe('anonymous senders', () => {
+  it('are kept by the backend only', async () => {
+    await seed(testEnv, 'anonymousSenders/sender-1', { sent: [Date.now()] });
+    await assertFails(firestoreAs(testEnv, null).doc('anonymousSenders/sender-1').get());
+    await assertFails(firestoreAs(testEnv, 'alice').doc('anonymousSenders/sender-1').set({ sent: [] }));
+  });
+});
+
+describe('editing a report', () => {
+  beforeEach(() => seed(testEnv, 'incidents/report-1', storedReport('alice')));
+
+  it('lets the reporter correct what they wrote', async () => {
+    const db = firestoreAs(testEnv, 'alice');
+    await assertSucceeds(db.doc('incidents/report-1').update({
+      title: 'Fight at the market gate',
+      description: 'Now over'
+    }));
+  });
+
+  it('keeps the reporter to valid reports', async () => {
+    const db = firestoreAs(testEnv, 'alice');
+    await assertFails(db.doc('incidents/report-1').update({ title: '' }));
+  });
+
+  it('keeps where, when, severity and moderation out of the reporter\'s hands', async () => {
+    const db = firestoreAs(testEnv, 'alice');
+    await assertFails(db.doc('incidents/report-1').update({ severity: 'critical' }));
+    await assertFails(db.doc('incidents/report-1').update({ latitude: 6.5 }));
+    await assertFails(db.doc('incidents/report-1').update({ timestamp: new Date().toISOString() }));
+    await assertFails(db.doc('incidents/report-1').update({ status: 'resolved' }));
+    await assertFails(db.doc('incidents/report-1').update({ verification: 'verified' }));
+  });
+
+  it('refuses edits by anyone else', async () => {
+    await assertFails(firestoreAs(testEnv, 'bob').doc('incidents/report-1').update({ title: 'Mine now' }));
+    await assertFails(firestoreAs(testEnv, null).doc('incidents/report-1').update({ title: 'Mine now' }));
+  });
+
+  it('only lets admins delete', async () => {
+    await assertFails(firestoreAs(testEnv, 'alice').doc('incidents/report-1').delete());
+    await assertFails(firestoreAs(testEnv, 'mod', 'moderator').doc('incidents/report-1').delete());
+    await assertSucceeds(firestoreAs(testEnv, 'admin', 'admin').doc('incidents/report-1').delete());
+  });
+});
+
+describe('moderating a report', () => {
+  beforeEach(() => seed(testEnv, 'incidents/report-1', storedReport('alice')));
+
+  it('lets staff act when they add an audit entry of their own', async () => {
+    const db = firestoreAs(testEnv, 'mod', 'moderator');
+    await assertSucceeds(db.doc('incidents/report-1').update({
+      verification: 'verified',
+      auditTrail: [auditEntry('mod', 'moderator', 'verified')]
+    }));
+    await assertSucceeds(db.doc('incidents/report-1').update({
+      status: 'responding',
+      auditTrail: [
+        auditEntry('mod', 'moderator', 'verified'),
+        auditEntry('mod', 'moderator', 'status_changed', { from: 'active', to: 'responding' })
+      ]
+    }));
+  });
+
+  it('takes each of ModerationService\'s changes', async () => {
+    const db = firestoreAs(testEnv, 'resp', 'responder');
+    const entry = (action, details) => auditEntry('resp', 'responder', action, details);
+    const note = { text: 'Police on the way', by: { id: 'resp', name: 'Moderator', role: 'responder' }, at: new Date().toISOString() };
+    await assertSucceeds(db.doc('incidents/report-1').update({
+      verification: 'false_report',
+      auditTrail: [entry('marked_false', { reason: 'Prank' })]
+    }));
+    await assertSucceeds(db.doc('incidents/report-1').update({
+      status: 'resolved',
+      auditTrail: [entry('marked_false', { reason: 'Prank' }), entry('status_changed', { from: 'active', to: 'resolved' })]
+    }));
+    await assertSucceeds(db.doc('incidents/report-1').update({
+      officialNotes: [note],
+      auditTrail: [
+        entry('marked_false', { reason: 'Prank' }),
+        entry('status_changed', { from: 'active', to: 'resolved' }),
+        entry('note_added', { note: note.text })
+      ]
+    }));
+  });
+
+  it('takes both halves of a merge', async () => {
+    await seed(testEnv, 'incidents/report-2', storedReport('bob', {
+      images: ['https://storage.test/b.jpg'],
+      thumbnails: [null],
+      confirmedBy: ['carol'],
+      confirmations: 1
+    }));
+    const db = firestoreAs(testEnv, 'mod', 'moderator');
+    await assertSucceeds(db.doc('incidents/report-1').update({
+      images: ['https://storage.test/b.jpg'],
+      thumbnails: [null],
+      media: [],
+      confirmations: 2,
+      confirmedBy: ['carol'],
+      mergedFrom: ['report-2'],
+      auditTrail: [auditEntry('mod', 'moderator', 'merged', { duplicateId: 'report-2' })]
+    }));
+    await assertSucceeds(db.doc('incidents/report-2').update({
+      mergedInto: 'report-1',
+      auditTrail: [auditEntry('mod', 'moderator', 'merged_into', { primaryId: 'report-1' })]
+    }));
+  });
+
+  it('refuses audit entries for actions the console does not have', async () => {
+    const db = firestoreAs(testEnv, 'mod', 'moderator');
+    await assertFails(db.doc('incidents/report-1').update({
+      verification: 'verified',
+      auditTrail: [auditEntry('mod', 'moderator', 'approved')]
+    }));
+    await assertFails(db.doc('incidents/report-1').update({
+      verification: 'verified',
+      auditTrail: [auditEntry('mod', 'moderator', 'verified', { at: 0 })]
+    }));
+  });
+
+  it('only adds official notes, signed by the moderator adding them', async () => {
+    const note = (uid, text = 'Police on the way') => ({ text, by: { id: uid, name: 'Moderator', role: 'moderator' }, at: new Date().toISOString() });
+    await seed(testEnv, 'incidents/report-2', storedReport('alice', { officialNotes: [note('other-mod')] }));
+    const db = firestoreAs(testEnv, 'mod', 'moderator');
+    const addNote = officialNotes => db.doc('incidents/report-2').update({
+      officialNotes,
+      auditTrail: [auditEntry('mod', 'moderator', 'note_added')]
+    });
+    await assertFails(addNote([note('other-mod'), note('other-mod')]));
+    await assertFails(addNote([note('mod')]));
+    await assertFails(addNote([note('other-mod'), note('mod', 'x'.repeat(2001))]));
+    await assertSucceeds(addNote([note('other-mod'), note('mod')]));
+  });
+
+  it('refuses staff changes without an audit entry', async () => {
+    const db = firestoreAs(testEnv, 'mod', 'moderator');
+    await assertFails(db.doc('incidents/report-1').update({ verification: 'verified' }));
+  });
+
+  it('refuses audit entries signed as someone else or with another role', async () => {
+    const db = firestoreAs(testEnv, 'mod', 'moderator');
+    await assertFails(db.doc('incidents/report-1').update({
+      verification: 'verified',
+      auditTrail: [auditEntry('other-mod', 'moderator', 'verified')]
+    }));
+    await assertFails(db.doc('incidents/report-1').update({
+      verification: 'verified',
+      auditTrail: [auditEntry('mod', 'admin', 'verified')]
+    }));
+  });
+
+  it('refuses rewriting the audit trail', async () => {
+    await seed(testEnv, 'incidents/report-2', storedReport('alice', {
+      auditTrail: [auditEntry('mod', 'moderator', 'verified')]
+    }));
+    const db = firestoreAs(testEnv, 'mod', 'moderator');
+    await assertFails(db.doc('incidents/report-2').update({
+      verification: 'false_report',
+      auditTrail: [auditEntry('mod', 'moderator', 'marked_false')]
+    }));
+  });
+
+  it('refuses moderation by citizens', async () => {
+    const db = firestoreAs(testEnv, 'alice');
+    await assertFails(db.doc('incidents/report-1').update({
+      verification: 'verified',
+      auditTrail: [auditEntry('alice', 'citizen', 'verified')]
+    }));
+  });
+
+  it('keeps statuses and verification to known values', async () => {
+    const db = firestoreAs(testEnv, 'mod', 'moderator');
+    await assertFails(db.doc('incidents/report-1').update({
+      status: 'archived',
+      auditTrail: [auditEntry('mod', 'moderator', 'status_changed', { from: 'active', to: 'archived' })]
+    }));
+    await assertFails(db.doc('incidents/report-1').update({
+      verification: 'maybe',
+      auditTrail: [auditEntry('mod', 'moderator', 'verified')]
+    }));
+  });
+});
+
+describe('confirming a report', () => {
+  beforeEach(() => seed(testEnv, 'incidents/report-1', storedReport('alice')));
+
+  it('counts each signed-in user once', async () => {
+    const db = firestoreAs(testEnv, 'bob');
+    const confirm = () => db.doc('incidents/report-1').update({
+      confirmations: FieldValue.increment(1),
+      confirmedBy: FieldValue.arrayUnion('bob')
+    });
+    await assertSucceeds(confirm());
+    await assertFails(confirm());
+  });
+
+  it('refuses confirming for someone else or by more than one', async () => {
+    const db = firestoreAs(testEnv, 'bob');
+    await assertFails(db.doc('incidents/report-1').update({
+      confirmations: FieldValue.increment(1),
+      confirmedBy: FieldValue.arrayUnion('carol')
+    }));
+    await assertFails(db.doc('incidents/report-1').update({
+      confirmations: FieldValue.increment(2),
+      confirmedBy: FieldValue.arrayUnion('bob')
+    }));
+  });
+
+  it('refuses signed-out users', async () => {
+    const db = firestoreAs(testEnv, null);
+    await assertFails(db.doc('incidents/report-1').update({
+      confirmations: FieldValue.increment(1),
+      confirmedBy: FieldValue.arrayUnion('anyone')
+    }));
+  });
+});
+
+describe('comments', () => {
+  const comment = (uid, overrides = {}) => ({
+    parentId: null,
+    text: 'I saw this too',
+    author: { id: uid, name: 'Bob' },
+    createdAt: FieldValue.serverTimestamp(),
+    ...overrides
+  });
+
+  beforeEach(() => seed(testEnv, 'incidents/report-1', storedReport('alice')));
+
+  it('are public', async () => {
+    await seed(testEnv, 'incidents/report-1/comments/c1', comment('bob', { createdAt: new Date() }));
+    await assertSucceeds(firestoreAs(testEnv, null).doc('incidents/report-1/comments/c1').get());
+  });
+
+  it('are posted by signed-in users as themselves', async () => {
+    const comments = firestoreAs(testEnv, 'bob').collection('incidents/report-1/comments');
+    await assertSucceeds(comments.add(comment('bob')));
+    await assertSucceeds(comments.add(comment('bob', { parentId: 'c1' })));
+    await assertFails(comments.add(comment('carol')));
+    await assertFails(firestoreAs(testEnv, null).collection('incidents/report-1/comments').add(comment('bob')));
+  });
+
+  it('are kept short and to the comment fields', async () => {
+    const comments = firestoreAs(testEnv, 'bob').collection('incidents/report-1/comments');
+    await assertFails(comments.add(comment('bob', { text: '' })));
+    await assertFails(comments.add(comment('bob', { text: 'x'.repeat(1001) })));
+    await assertFails(comments.add(comment('bob', { pinned: true })));
+  });
+
+  it('are taken down by staff only', async () => {
+    await seed(testEnv, 'incidents/report-1/comments/c1', comment('bob', { createdAt: new Date() }));
+    await assertFails(firestoreAs(testEnv, 'bob').doc('incidents/report-1/comments/c1').delete());
+    await assertFails(firestoreAs(testEnv, 'bob').doc('incidents/report-1/comments/c1').update({ text: 'Edited' }));
+    await assertSucceeds(firestoreAs(testEnv, 'mod', 'moderator').doc('incidents/report-1/comments/c1').delete());
+  });
+});
+
+describe('webhook deliveries', () => {
+  beforeEach(() => seed(testEnv, 'webhookDeliveries/report-1-abc', {
+    incidentId: 'report-1',
+    url: 'https://responders.example/dispatch',
+    delivered: true,
+    attempts: []
+  }));
+
+  it('are read by staff only', async () => {
+    await assertSucceeds(firestoreAs(testEnv, 'responder', 'responder').doc('webhookDeliveries/report-1-abc').get());
+    await assertFails(firestoreAs(testEnv, 'alice').doc('webhookDeliveries/report-1-abc').get());
+    await assertFails(firestoreAs(testEnv, null).doc('webhookDeliveries/report-1-abc').get());
+  });
+
+  it('are written by the backend only', async () => {
+    const db = firestoreAs(testEnv, 'admin', 'admin');
+    await assertFails(db.doc('webhookDeliveries/report-1-abc').update({ delivered: false }));
+    await assertFails(db.doc('webhookDeliveries/report-2-abc').set({ delivered: true }));
+    await assertFails(db.doc('webhookDeliveries/report-1-abc').delete());
+  });
+});
+
+describe('push subscriptions', () => {
+  const subscription = (overrides = {}) => ({
+    subscription: { endpoint: 'https://fcm.googleapis.com/fcm/send/abc', keys: { p256dh: 'key', auth: 'secret' } },
+    latitude: 6.45,
+    longitude: 3.39,
+    radiusKm: 5,
+    types: ['fight'],
+    userId: null,
+    updatedAt: FieldValue.serverTimestamp(),
+    ...overrides
+  });
+
+  it('are never read by the app', async () => {
+    await seed(testEnv, 'pushSubscriptions/sub-1', subscription({ updatedAt: new Date() }));
+    await assertFails(firestoreAs(testEnv, null).doc('pushSubscriptions/sub-1').get());
+    await assertFails(firestoreAs(testEnv, 'admin', 'admin').doc('pushSubscriptions/sub-1').get());
+  });
+
+  it('are saved with the alert preferences', async () => {
+    await assertSucceeds(firestoreAs(testEnv, null).doc('pushSubscriptions/sub-1').set(subscription()));
+    await assertSucceeds(firestoreAs(testEnv, 'alice').doc('pushSubscriptions/sub-2').set(subscription({ userId: 'alice' })));
+  });
+
+  it('keep the language alerts are worded in', async () => {
+    const db = firestoreAs(testEnv, null);
+    await assertSucceeds(db.doc('pushSubscriptions/sub-1').set(subscription({ locale: 'fr' })));
+    await assertSucceeds(db.doc('pushSubscriptions/sub-1').update({ locale: 'yo' }));
+    await assertFails(db.doc('pushSubscriptions/sub-1').update({ locale: 42 }));
+    await assertFails(db.doc('pushSubscriptions/sub-1').update({ locale: 'x'.repeat(17) }));
+  });
+
+  it('refuses incomplete subscriptions or someone else\'s user id', async () => {
+    const { types, ...withoutTypes } = subscription();
+    await assertFails(firestoreAs(testEnv, null).doc('pushSubscriptions/sub-1').set(withoutTypes));
+    await assertFails(firestoreAs(testEnv, 'alice').doc('pushSubscriptions/sub-2').set(subscription({ userId: 'bob' })));
+  });
+
+  it('only take endpoints at the browsers\' push services', async () => {
+    const db = firestoreAs(testEnv, null);
+    const at = endpoint => subscription({ subscription: { endpoint, keys: { p256dh: 'key', auth: 'secret' } } });
+    await assertSucceeds(db.doc('pushSubscriptions/sub-1').set(at('https://updates.push.services.mozilla.com/wpush/v2/abc')));
+    await assertSucceeds(db.doc('pushSubscriptions/sub-2').set(at('https://wns2-par02p.notify.windows.com/w/?token=abc')));
+    await assertSucceeds(db.doc('pushSubscriptions/sub-3').set(at('https://web.push.apple.com/abc')));
+    await assertFails(db.doc('pushSubscriptions/sub-4').set(at('http://fcm.googleapis.com/fcm/send/abc')));
+    await assertFails(db.doc('pushSubscriptions/sub-5').set(at('https://fcm.googleapis.com.evil.example/abc')));
+    await assertFails(db.doc('pushSubscriptions/sub-6').set(at('http://127.0.0.1:9300/push/abc')));
+    await assertFails(db.doc('pushSubscriptions/sub-7').set(at('https://internal.example/admin')));
+  });
+
+  it('are changed and removed by the account that made them only', async () => {
+    await seed(testEnv, 'pushSubscriptions/sub-1', subscription({ userId: 'alice', updatedAt: new Date() }));
+    await assertFails(firestoreAs(testEnv, null).doc('pushSubscriptions/sub-1').set(subscription({ userId: 'alice' })));
+    await assertFails(firestoreAs(testEnv, 'bob').doc('pushSubscriptions/sub-1').set(subscription({ userId: 'bob' })));
+    await assertFails(firestoreAs(testEnv, 'bob').doc('pushSubscriptions/sub-1').delete());
+    await assertFails(firestoreAs(testEnv, null).doc('pushSubscriptions/sub-1').delete());
+    await assertSucceeds(firestoreAs(testEnv, 'alice').doc('pushSubscriptions/sub-1').set(subscription({ userId: 'alice', radiusKm: 10 })));
+    await assertSucceeds(firestoreAs(testEnv, 'alice').doc('pushSubscriptions/sub-1').delete());
+  });
+
+  it('keep the account they were made under', async () => {
+    await seed(testEnv, 'pushSubscriptions/sub-1', subscription({ updatedAt: new Date() }));
+    await assertFails(firestoreAs(testEnv, 'alice').doc('pushSubscriptions/sub-1').set(subscription({ userId: 'alice' })));
+    await assertSucceeds(firestoreAs(testEnv, 'alice').doc('pushSubscriptions/sub-1').set(subscription({ radiusKm: 10 })));
+
+    await seed(testEnv, 'pushSubscriptions/sub-2', subscription({ userId: 'alice', updatedAt: new Date() }));
+    await assertFails(firestoreAs(testEnv, 'alice').doc('pushSubscriptions/sub-2').set(subscription()));
+  });
+
+  it('made signed out are managed by whoever holds the id', async () => {
+    await seed(testEnv, 'pushSubscriptions/sub-1', subscription({ updatedAt: new Date() }));
+    await assertSucceeds(firestoreAs(testEnv, null).doc('pushSubscriptions/sub-1').set(subscription({ radiusKm: 10 })));
+    await assertSucceeds(firestoreAs(testEnv, null).doc('pushSubscriptions/sub-1').delete());
+  });
+});
\ No newline at end of file
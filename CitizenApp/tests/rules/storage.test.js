@@ -0,0 +1,102 @@
+// storage.rules, run against the Storage emulator (npm run test:rules)
+const { after, before, beforeEach, describe, it } = require('node:test');
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { firebase, createTestEnvironment, seed, storedReport } = require('../helpers/rules');
+
+const MB = 1024 * 1024;
+
+let testEnv;
+
+before(async () => {
+  testEnv = await createTestEnvironment();
+});
+
+after(() => testEnv.cleanup());
+
+// Alice has claimed report-1, as FirestoreIncidentRepository.claim does
+// before uploading
+beforeEach(async () => {
+  await testEnv.clearStorage();
+  await testEnv.clearFirestore();
+  await claim('report-1', { uid: 'alice' });
+});
+
+function claim(incidentId, fields) {
+  return seed(testEnv, `uploadClaims/${incidentId}`, { ...fields, createdAt: firebase.firestore.Timestamp.now() });
+}
+
+function storageAs(uid, role) {
+  const context = uid
+    ? testEnv.authenticatedContext(uid, role ? { role } : {})
+    : testEnv.unauthenticatedContext();
+  return context.storage();
+}
+
+// Upload `size` bytes of `contentType` to `path`
+function upload(storage, path, contentType, size = 1024) {
+  return storage.ref(path).put(new Uint8Array(size), { contentType });
+}
+
+describe('incident media', () => {
+  it('takes photos, video and audio named as the app names them', async () => {
+    const storage = storageAs('alice');
+    await assertSucceeds(upload(storage, 'incidents/report-1/0-photo.jpg', 'image/jpeg'));
+    await assertSucceeds(upload(storage, 'incidents/report-1/0-thumb-photo.webp', 'image/webp'));
+    await assertSucceeds(upload(storage, 'incidents/report-1/1-clip.mp4', 'video/mp4'));
+    await assertSucceeds(upload(storage, 'incidents/report-1/2-note.webm', 'audio/webm;codecs=opus'));
+  });
+
+  it('refuses files a browser would run as a page', async () => {
+    const storage = storageAs('alice');
+    await assertFails(upload(storage, 'incidents/report-1/0-photo.svg', 'image/svg+xml'));
+    await assertFails(upload(storage, 'incidents/report-1/0-page.html', 'text/html'));
+    await assertFails(upload(storage, 'incidents/report-1/0-script.js', 'application/javascript'));
+  });
+
+  it('keeps each kind of file under its size limit', async () => {
+    const storage = storageAs('alice');
+    await assertSucceeds(upload(storage, 'incidents/report-1/0-photo.jpg', 'image/jpeg', 9 * MB));
+    await assertFails(upload(storage, 'incidents/report-1/1-photo.jpg', 'image/jpeg', 10 * MB));
+    await assertFails(upload(storage, 'incidents/report-1/2-note.mp3', 'audio/mpeg', 25 * MB));
+    await assertFails(upload(storage, 'incidents/report-1/3-clip.mp4', 'video/mp4', 110 * MB));
+    await assertFails(upload(storage, 'incidents/report-1/4-empty.jpg', 'image/jpeg', 0));
+  });
+
+  it('refuses names the app does not use', async () => {
+    const storage = storageAs('alice');
+    await assertFails(upload(storage, 'incidents/report-1/photo.jpg', 'image/jpeg'));
+    await assertFails(upload(storage, 'incidents/report-1/0-', 'image/jpeg'));
+    await assertFails(upload(storage, 'other/0-photo.jpg', 'image/jpeg'));
+  });
+
+  it('only takes files for a report id the uploader claimed', async () => {
+    await assertFails(upload(storageAs('alice'), 'incidents/report-2/0-photo.jpg', 'image/jpeg'));
+    await assertFails(upload(storageAs('bob'), 'incidents/report-1/0-photo.jpg', 'image/jpeg'));
+    await assertFails(upload(storageAs(null), 'incidents/report-1/0-photo.jpg', 'image/jpeg'));
+  });
+
+  // Claimed by the backend, which checked the proof and the sender's rate limit
+  it('takes files for anonymous reports the backend claimed', async () => {
+    await claim('anon-1', { proof: { nonce: '1' } });
+    await assertSucceeds(upload(storageAs(null), 'incidents/anon-1/0-photo.jpg', 'image/jpeg'));
+  });
+
+  it('stops taking files once the report exists', async () => {
+    await seed(testEnv, 'incidents/report-1', storedReport('alice'));
+    await assertFails(upload(storageAs('alice'), 'incidents/report-1/0-photo.jpg', 'image/jpeg'));
+  });
+
+  it('never replaces a stored file', async () => {
+    const storage = storageAs('alice');
+    await assertSucceeds(upload(storage, 'incidents/report-1/0-photo.jpg', 'image/jpeg'));
+    await assertFails(upload(storage, 'incidents/report-1/0-photo.jpg', 'image/jpeg', 2048));
+  });
+
+  it('is public, and removed by admins only', async () => {
+    await assertSucceeds(upload(storageAs('alice'), 'incidents/report-1/0-photo.jpg', 'image/jpeg'));
+    await assertSucceeds(storageAs(null).ref('incidents/report-1/0-photo.jpg').getMetadata());
+    await assertFails(storageAs('alice').ref('incidents/report-1/0-photo.jpg').delete());
+    await assertFails(storageAs('mod', 'moderator').ref('incidents/report-1/0-photo.jpg').delete());
+    await assertSucceeds(storageAs('admin', 'admin').ref('incidents/report-1/0-photo.jpg').delete());
+  });
+});
\ No newline at end of file
@@ -0,0 +1,157 @@
+// Automated accessibility checks (axe-core) over the main screens, opened the
+// way a user opens them, and the keyboard path through the photo redaction
+// tool. Colour contrast needs real layout, so it is left to manual review.
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { loadApp, plain, wait } = require('../helpers/app');
+
+const AXE_SOURCE = fs.readFileSync(require.resolve('axe-core'), 'utf8');
+
+const incident = {
+  id: 'incident-1',
+  type: 'fight',
+  severity: 'medium',
+  title: 'Fight at the market',
+  description: 'Two groups near the east gate',
+  location: 'Central market',
+  details: {},
+  latitude: 6.45,
+  longitude: 3.39,
+  timestamp: new Date().toISOString(),
+  status: 'active',
+  reporter: { id: 'ada', name: 'Ada' },
+  anonymous: false,
+  images: ['https://example.com/photo.jpg']
+};
+
+async function violations(window, selector) {
+  const results = await window.axe.run(window.document.querySelector(selector), {
+    rules: { 'color-contrast': { enabled: false } }
+  });
+  return plain(results.violations).map(violation => `${violation.id}: ${violation.nodes.map(node => node.target.join(' ')).join(', ')}`);
+}
+
+describe('accessibility', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadApp({ incidents: [incident], user: { id: 'mod', name: 'Mo', role: 'moderator' } });
+    // jsdom has no layout; axe only uses these to look behind elements
+    window.document.elementFromPoint = () => null;
+    window.document.elementsFromPoint = () => [];
+    window.eval(AXE_SOURCE);
+  });
+
+  afterEach(() => window.close());
+
+  it('has no violations in the header, feed and report form', async () => {
+    for (const selector of ['header', '#incident-feed', '#report-form']) {
+      assert.deepEqual(await violations(window, selector), [], selector);
+    }
+  });
+
+  it('has no violations in the mobile menu', async () => {
+    window.eval('MobileDrawer.open()');
+    assert.deepEqual(await violations(window, '#mobile-drawer'), []);
+  });
+
+  it('has no violations in the sign-in dialog', async () => {
+    window.eval("openAuthDialog('login')");
+    assert.deepEqual(await violations(window, '#auth-dialog'), []);
+  });
+
+  it('has no violations in the incident detail', async () => {
+    await window.eval("IncidentDetail.show('incident-1')");
+    await wait();
+    assert.deepEqual(await violations(window, '#incident-detail'), []);
+  });
+
+  it('has no violations in the duplicate prompt', async () => {
+    window.eval('DuplicatePrompt').ask([{ incident, score: 0.9, distanceKm: 0.1, minutesApart: 5 }]);
+    assert.deepEqual(await violations(window, '#duplicate-dialog'), []);
+  });
+
+  it('has no violations in the false report prompt', async () => {
+    window.eval('FalseReportPrompt').ask();
+    assert.deepEqual(await violations(window, '#false-report-dialog'), []);
+  });
+
+  it('has no violations in the notification panel', async () => {
+    window.eval('NotificationCenter.open()');
+    assert.deepEqual(await violations(window, '#notification-panel'), []);
+  });
+
+  it('has no violations in the redaction dialog', async () => {
+    await openRedactionEditor(window);
+    assert.deepEqual(await violations(window, '#redaction-dialog'), []);
+  });
+});
+
+// Photos are decoded and drawn for real in browsers; here the editor gets a
+// 100 × 80 stand-in
+async function openRedactionEditor(window) {
+  window.decodeImage = async () => ({ width: 100, height: 80 });
+  window.renderImage = () => ({ width: 100, height: 80 });
+  window.HTMLCanvasElement.prototype.getContext = () => ({ drawImage() {}, strokeRect() {} });
+  const item = { file: new window.File(['x'], 'photo.jpg', { type: 'image/jpeg' }), redactions: [] };
+  await window.eval('RedactionEditor').open(item);
+  return item;
+}
+
+describe('keyboard redaction', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadApp({ user: { id: 'ada', name: 'Ada', role: 'citizen' } });
+  });
+
+  afterEach(() => window.close());
+
+  function press(key, options = {}) {
+    window.document.getElementById('redaction-canvas').dispatchEvent(
+      new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options })
+    );
+  }
+
+  it('blurs the area under the box the arrow keys move and resize', async () => {
+    const item = await openRedactionEditor(window);
+    const editor = window.eval('RedactionEditor');
+    window.document.getElementById('redaction-canvas').focus();
+
+    press('ArrowRight');
+    press('ArrowDown');
+    press('ArrowRight', { shiftKey: true });
+    press('Enter');
+
+    assert.equal(editor.redactions.length, 1);
+    const [area] = plain(editor.redactions);
+    assert.ok(Math.abs(area.x - 0.42) < 1e-9 && Math.abs(area.y - 0.42) < 1e-9);
+    assert.ok(Math.abs(area.width - 0.22) < 1e-9 && Math.abs(area.height - 0.2) < 1e-9);
+    assert.equal(window.document.getElementById('redaction-status').textContent, '1 area blurred');
+
+    window.document.getElementById('redaction-done').click();
+    assert.equal(item.redactions.length, 1);
+  });
+
+  it('keeps the box inside the photo', async () => {
+    await openRedactionEditor(window);
+    const editor = window.eval('RedactionEditor');
+    window.document.getElementById('redaction-canvas').focus();
+
+    for (let i = 0; i < 60; i++) press('ArrowLeft');
+    for (let i = 0; i < 60; i++) press('ArrowUp', { shiftKey: true });
+
+    const box = plain(editor.box);
+    assert.equal(box.x, 0);
+    assert.ok(box.height > 0 && box.height < 0.03);
+  });
+
+  it('leaves other keys alone', async () => {
+    await openRedactionEditor(window);
+    window.document.getElementById('redaction-canvas').focus();
+    const tab = new window.KeyboardEvent('keydown', { key: 'Tab', bubbles: true, cancelable: true });
+    window.document.getElementById('redaction-canvas').dispatchEvent(tab);
+    assert.equal(tab.defaultPrevented, false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,115 @@
+// Message catalogues (locales/) and the language switch (i18n.js)
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { afterEach, describe, it } = require('node:test');
+const { APP_DIR, SCRIPTS, loadApp, wait } = require('../helpers/app');
+
+const LOCALES = ['en', 'fr', 'yo'];
+
+function catalogue(locale) {
+  let messages;
+  const registerMessages = (name, catalogueMessages) => { messages = catalogueMessages; };
+  new Function('registerMessages', fs.readFileSync(path.join(APP_DIR, 'locales', `${locale}.js`), 'utf8'))(registerMessages);
+  return messages;
+}
+
+const incident = {
+  id: 'incident-1',
+  type: 'fight',
+  severity: 'medium',
+  title: 'Bagarre au marché',
+  description: 'Deux groupes près de la porte est',
+  location: 'Marché central',
+  details: {},
+  latitude: 6.45,
+  longitude: 3.39,
+  timestamp: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+  status: 'responding',
+  reporter: { id: 'ada', name: 'Ada' },
+  anonymous: false,
+  auditTrail: [
+    { action: 'status_changed', from: 'active', to: 'responding', by: { id: 'mod', name: 'Mo', role: 'moderator' }, at: new Date().toISOString() }
+  ]
+};
+
+describe('message catalogues', () => {
+  const english = catalogue('en');
+
+  it('have the same keys in every language', () => {
+    LOCALES.slice(1).forEach(locale => {
+      assert.deepEqual(Object.keys(catalogue(locale)).sort(), Object.keys(english).sort(), locale);
+    });
+  });
+
+  it('have every message the app asks for by name', () => {
+    const sources = SCRIPTS.filter(script => !script.startsWith('locales/'))
+      .map(script => fs.readFileSync(path.join(APP_DIR, script), 'utf8'));
+    const markup = fs.readFileSync(path.join(APP_DIR, 'citizen.html'), 'utf8');
+    const keys = new Set([
+      ...sources.flatMap(source => [...source.matchAll(/\bt\('([\w.]+)'/g)].map(match => match[1])),
+      ...[...markup.matchAll(/data-i18n(?:-[\w-]+)?="([\w.]+)"/g)].map(match => match[1])
+    ]);
+
+    assert.ok(keys.size > 100);
+    assert.deepEqual([...keys].filter(key => !Object.hasOwn(english, key)), []);
+  });
+});
+
+describe('language switch', () => {
+  let window;
+
+  afterEach(() => window.close());
+
+  it('shows the moderation console and incident detail in the chosen language', async () => {
+    window = await loadApp({ incidents: [incident], user: { id: 'mod', name: 'Mo', role: 'moderator' }, locale: 'fr' });
+    window.eval("showIncidentView('moderation')");
+    window.eval('ModerationConsole').filter = 'all';
+    window.eval('ModerationConsole').render();
+
+    const item = window.document.querySelector('.moderation-item');
+    assert.equal(item.querySelector('[data-action="verify"]').textContent, 'Vérifier');
+    assert.match(item.querySelector('.audit-trail li').textContent, /Mo \(modérateur\) a changé le statut de « En cours » à « Intervention »/);
+    assert.equal(item.querySelector('textarea').placeholder, "Visible par tous sur l'incident");
+
+    await window.eval("IncidentDetail.show('incident-1')");
+    await wait();
+    const timeline = window.document.getElementById('detail-timeline').textContent;
+    assert.match(timeline, /Signalé/);
+    assert.match(timeline, /Statut passé à « Intervention »/);
+  });
+
+  it('re-renders what the app built when the language changes', async () => {
+    window = await loadApp({ incidents: [incident], user: { id: 'mod', name: 'Mo', role: 'moderator' } });
+    window.eval("showIncidentView('moderation')");
+    window.eval('ModerationConsole').filter = 'all';
+    window.eval('ModerationConsole').render();
+    assert.equal(window.document.querySelector('[data-action="verify"]').textContent, 'Verify');
+
+    window.eval("I18n.setLocale('yo')");
+    assert.equal(window.document.querySelector('[data-action="verify"]').textContent, 'Fìdí rẹ̀ múlẹ̀');
+    assert.equal(window.document.querySelector('#map-radius option').textContent, `kìlómítà ${window.eval('MAP_CONFIG').RADIUS_OPTIONS_KM[0]}`);
+  });
+
+  it('lays right-to-left languages out right to left', async () => {
+    window = await loadApp();
+    window.eval(`
+      I18N_CONFIG.LOCALES.ar = 'العربية';
+      I18N_CONFIG.RTL_LOCALES.push('ar');
+      registerMessages('ar', { 'feed.empty': 'لا توجد حوادث لعرضها.' });
+      I18n.setLocale('ar');
+    `);
+    const root = window.document.documentElement;
+    assert.equal(root.dir, 'rtl');
+    assert.equal(root.lang, 'ar');
+    assert.equal(window.document.querySelector('[data-i18n="feed.empty"]').textContent, 'لا توجد حوادث لعرضها.');
+    // Messages the catalogue lacks fall back to English
+    assert.equal(window.eval("t('feed.error')"), "We couldn't load more incidents.");
+    // The left arrow moves on to the next tab
+    assert.equal(window.eval("rovingIndex('ArrowLeft', 0, 3, 'horizontal')"), 1);
+
+    window.eval("I18n.setLocale('fr')");
+    assert.equal(root.dir, 'ltr');
+    assert.equal(window.eval("rovingIndex('ArrowLeft', 0, 3, 'horizontal')"), 2);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,132 @@
+// FirestoreIncidentRepository.create against fake Firestore and Storage
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { loadApp, plain, wait } = require('../helpers/app');
+const { FakeFirestore, FakeStorage } = require('../helpers/fake-firebase');
+const { formReport } = require('../helpers/rules');
+
+describe('FirestoreIncidentRepository.create', () => {
+  let window;
+  let firestore;
+  let storage;
+  let repository;
+
+  const attachment = (name, signal) => ({
+    file: new window.File(['photo'], name, { type: 'image/jpeg' }),
+    thumbnail: null,
+    signal
+  });
+
+  beforeEach(async () => {
+    window = await loadApp();
+    window.eval(`firebase.firestore.FieldValue.serverTimestamp = () => 'server-time'`);
+    firestore = new FakeFirestore();
+    storage = new FakeStorage();
+    repository = new (window.eval('FirestoreIncidentRepository'))(firestore, storage);
+  });
+
+  afterEach(() => window.close());
+
+  it('stores the report with its photos', async () => {
+    const incident = await repository.create(formReport(), [attachment('a.jpg'), attachment('b.jpg')]);
+    assert.equal(incident.id, 'report-1');
+    assert.deepEqual(plain(firestore.docs.get('incidents/report-1').images), [
+      'https://storage.test/incidents/report-1/0-a.jpg',
+      'https://storage.test/incidents/report-1/1-b.jpg'
+    ]);
+  });
+
+  it('leaves out a photo the reporter dropped', async () => {
+    storage.held.add('incidents/report-1/0-a.jpg');
+    const controller = new window.AbortController();
+    const creating = repository.create(formReport(), [attachment('a.jpg', controller.signal), attachment('b.jpg')]);
+    await wait();
+    controller.abort(window.eval('ATTACHMENT_DROPPED'));
+
+    const incident = await creating;
+    assert.deepEqual(plain(incident.images), ['https://storage.test/incidents/report-1/1-b.jpg']);
+    assert.deepEqual(plain(firestore.docs.get('incidents/report-1').images), plain(incident.images));
+  });
+
+  // A send that times out stops its uploads, but the reporter still wants
+  // those files in the report
+  it('fails rather than leave out a photo whose upload was stopped', async () => {
+    storage.held.add('incidents/report-1/0-a.jpg');
+    const controller = new window.AbortController();
+    const creating = repository.create(formReport(), [attachment('a.jpg', controller.signal), attachment('b.jpg')]);
+    await wait();
+    controller.abort(new window.DOMException('The request timed out', 'TimeoutError'));
+
+    await assert.rejects(creating);
+    assert.equal(firestore.docs.has('incidents/report-1'), false);
+  });
+
+  // The rules refuse a second set of the same document, so a retry has to
+  // find the first attempt rather than write again
+  it('treats a report an earlier attempt stored as created', async () => {
+    firestore.loseNextAck = true;
+    await assert.rejects(repository.create(formReport(), [attachment('a.jpg')]), { code: 'unavailable' });
+
+    const incident = await repository.create(formReport(), [attachment('a.jpg')]);
+    assert.equal(incident.id, 'report-1');
+    assert.deepEqual(plain(incident.images), ['https://storage.test/incidents/report-1/0-a.jpg']);
+    assert.deepEqual(firestore.writes, ['uploadClaims/report-1', 'incidents/report-1']);
+    assert.equal(storage.started.length, 1);
+  });
+
+  it('finds an earlier attempt that lands while the retry uploads', async () => {
+    storage.held.add('incidents/report-1/0-a.jpg');
+    const controller = new window.AbortController();
+    const retry = repository.create(formReport(), [attachment('a.jpg', controller.signal), attachment('b.jpg')]);
+    await wait();
+    firestore.docs.set('incidents/report-1', { ...formReport(), id: undefined, images: [] });
+    controller.abort(window.eval('ATTACHMENT_DROPPED'));
+
+    const incident = await retry;
+    assert.deepEqual(plain(incident.images), []);
+    assert.deepEqual(firestore.writes, ['uploadClaims/report-1']);
+  });
+
+  // storage.rules only takes files for a claimed id
+  it('claims the report id before uploading its files', async () => {
+    storage.held.add('incidents/report-1/0-a.jpg');
+    const controller = new window.AbortController();
+    const creating = repository.create(formReport(), [attachment('a.jpg', controller.signal)]);
+    await wait();
+    assert.deepEqual(firestore.writes, ['uploadClaims/report-1']);
+    assert.deepEqual(plain(firestore.docs.get('uploadClaims/report-1')), { uid: 'alice', createdAt: 'server-time' });
+    controller.abort(window.eval('ATTACHMENT_DROPPED'));
+    await creating;
+
+    await repository.create(formReport({ id: 'report-2' }), []);
+    assert.equal(firestore.docs.has('uploadClaims/report-2'), false);
+  });
+
+  it('has the backend claim anonymous reports, and stops at its rate limit', async () => {
+    const requests = [];
+    let answer = new Response(null, { status: 204 });
+    window.fetch = async (url, options) => {
+      requests.push([url, JSON.parse(options.body)]);
+      return answer;
+    };
+    const anonymous = formReport({ reporter: null, anonymous: true, proof: { nonce: '42' } });
+
+    await repository.create(anonymous, []);
+    assert.deepEqual(requests, [['/api/anonymous-claims', { id: 'report-1', nonce: '42' }]]);
+    assert.equal(firestore.docs.has('incidents/report-1'), true);
+
+    answer = new Response(null, { status: 429, headers: { 'Retry-After': '600' } });
+    await assert.rejects(repository.create({ ...anonymous, id: 'report-2' }, []), (error) => {
+      assert.equal(error.name, 'ValidationError');
+      assert.match(error.message, /10 minutes/);
+      return true;
+    });
+    assert.equal(firestore.docs.has('incidents/report-2'), false);
+  });
+
+  it('refuses to take over someone else\'s report', async () => {
+    firestore.docs.set('incidents/report-1', formReport({ reporter: { id: 'bob', name: 'Bob' } }));
+    await assert.rejects(repository.create(formReport(), []), /already exists/);
+    assert.equal(storage.started.length, 0);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+// The moderation console's false report prompt (moderation.js)
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { loadApp, wait } = require('../helpers/app');
+
+const incident = {
+  id: 'incident-1',
+  type: 'fight',
+  severity: 'medium',
+  title: 'Fight at the market',
+  description: 'Two groups near the east gate',
+  location: 'Central market',
+  details: {},
+  timestamp: new Date().toISOString(),
+  status: 'active',
+  reporter: { id: 'ada', name: 'Ada' },
+  anonymous: false
+};
+
+describe('marking a false report', () => {
+  let window;
+  let marked;
+
+  beforeEach(async () => {
+    window = await loadApp({ incidents: [incident], user: { id: 'mod', name: 'Mo', role: 'moderator' } });
+    marked = [];
+    window.eval('ModerationService').markFalseReport = async (target, reason) => {
+      marked.push([target.id, reason]);
+    };
+    window.eval("showIncidentView('moderation')");
+    window.eval('ModerationConsole').filter = 'all';
+    window.eval('ModerationConsole').render();
+    window.document.querySelector('[data-action="false-report"]').click();
+  });
+
+  afterEach(() => window.close());
+
+  it('asks why in a dialog and passes the reason on', async () => {
+    const dialog = window.document.getElementById('false-report-dialog');
+    assert.equal(dialog.open, true);
+
+    window.document.getElementById('false-report-reason').value = '  Staged photo  ';
+    window.document.getElementById('false-report-form').requestSubmit();
+    await wait();
+    assert.equal(dialog.open, false);
+    assert.deepEqual(marked, [['incident-1', 'Staged photo']]);
+  });
+
+  it('leaves the report alone when the moderator cancels', async () => {
+    window.document.getElementById('false-report-cancel').click();
+    await wait();
+    assert.equal(window.document.getElementById('false-report-dialog').open, false);
+    assert.deepEqual(marked, []);
+  });
+});
\ No newline at end of file
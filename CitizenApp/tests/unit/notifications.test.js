@@ -0,0 +1,194 @@
+// Web Push subscriptions (PushAlerts in notifications.js) across sign-in,
+// sign-out and switching accounts
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { APP_DIR, loadApp, plain } = require('../helpers/app');
+
+// A browser that can push, ahead of the app's scripts. Each push
+// subscription gets a new endpoint.
+const PUSH = `
+  var pushEndpoints = 0;
+  var pushSubscription = null;
+  const pushManager = {
+    async getSubscription() { return pushSubscription; },
+    async subscribe() {
+      const endpoint = 'https://fcm.googleapis.com/fcm/send/' + ++pushEndpoints;
+      pushSubscription = {
+        endpoint,
+        toJSON: () => ({ endpoint, keys: { p256dh: 'key', auth: 'secret' } }),
+        async unsubscribe() { pushSubscription = null; return true; }
+      };
+      return pushSubscription;
+    }
+  };
+  Object.defineProperty(navigator, 'serviceWorker', {
+    value: { ready: Promise.resolve({ pushManager }), register: async () => ({}), addEventListener() {} }
+  });
+  window.PushManager = class {};
+  window.Notification = { permission: 'granted', requestPermission: async () => 'granted' };
+`;
+
+// pushSubscriptions in memory, refusing what firestore.rules refuses: a
+// subscription made signed in belongs to that account
+const SUBSCRIPTIONS = `
+  ALERT_CONFIG.VAPID_PUBLIC_KEY = 'BEl62iUYgUivxIkv69yViEuiBIa-Ib9-SkvMeAtA3LFgDzkrxZJjSgSnfckjBJuBkr3qBUYIHBQFLXYp5Nksh8U';
+  firebase.firestore.FieldValue.serverTimestamp = () => 'server-time';
+  var pushDocs = new Map();
+  function ownsPushDoc(data) {
+    return data.userId === null || data.userId === AppState.currentUser?.id;
+  }
+  db = {
+    collection: () => ({
+      doc: id => ({
+        async set(data) {
+          const existing = pushDocs.get(id);
+          if (existing && (!ownsPushDoc(existing) || existing.userId !== data.userId)) throw new Error('permission-denied');
+          if (!existing && !ownsPushDoc(data)) throw new Error('permission-denied');
+          pushDocs.set(id, data);
+        },
+        async update(changes) {
+          if (!ownsPushDoc(pushDocs.get(id))) throw new Error('permission-denied');
+          pushDocs.set(id, { ...pushDocs.get(id), ...changes });
+        },
+        async delete() {
+          if (pushDocs.has(id) && !ownsPushDoc(pushDocs.get(id))) throw new Error('permission-denied');
+          pushDocs.delete(id);
+        }
+      })
+    })
+  };
+`;
+
+const preferences = { latitude: 6.45, longitude: 3.39, radiusKm: 5, types: ['fight'] };
+
+describe('PushAlerts', () => {
+  let window;
+
+  const signIn = (user) => window.eval(`AppState.setState({ currentUser: ${JSON.stringify(user)} })`);
+  const subscribe = () => window.eval(`PushAlerts.subscribe(${JSON.stringify(preferences)})`);
+  const stored = () => JSON.parse(window.localStorage.getItem('citizenwatch.push-subscription'));
+  const docs = () => plain([...window.eval('pushDocs').entries()]);
+
+  beforeEach(async () => {
+    window = await loadApp({ before: PUSH, after: SUBSCRIPTIONS });
+  });
+
+  afterEach(() => window.close());
+
+  it('keeps updating one subscription while the account stays the same', async () => {
+    signIn({ id: 'alice', name: 'Ada', role: 'citizen' });
+    await subscribe();
+    const { id } = stored();
+    await subscribe();
+
+    assert.deepEqual(stored(), { id, userId: 'alice' });
+    assert.deepEqual(docs().map(([docId, data]) => [docId, data.userId]), [[id, 'alice']]);
+  });
+
+  it('starts a new subscription for the next account, dropping the old one', async () => {
+    signIn({ id: 'alice', name: 'Ada', role: 'citizen' });
+    await subscribe();
+    const first = stored();
+
+    signIn({ id: 'bob', name: 'Bola', role: 'citizen' });
+    await subscribe();
+
+    const second = stored();
+    assert.equal(second.userId, 'bob');
+    assert.notEqual(second.id, first.id);
+    const saved = new Map(docs());
+    assert.equal(saved.get(second.id).userId, 'bob');
+    // Alice's could not be deleted signed in as Bob, so the endpoint it
+    // pushes to was ended
+    assert.equal(saved.get(first.id).subscription.endpoint, 'https://fcm.googleapis.com/fcm/send/1');
+    assert.equal(saved.get(second.id).subscription.endpoint, 'https://fcm.googleapis.com/fcm/send/2');
+  });
+
+  it('moves a subscription made signed out to the account that signs in', async () => {
+    await subscribe();
+    const first = stored();
+    assert.equal(first.userId, null);
+
+    signIn({ id: 'alice', name: 'Ada', role: 'citizen' });
+    await subscribe();
+
+    assert.equal(stored().userId, 'alice');
+    assert.deepEqual(docs().map(([id, data]) => [id, data.userId]), [[stored().id, 'alice']]);
+  });
+
+  it('keep the language the app is in, for sw.js to word alerts in', async () => {
+    await subscribe();
+    assert.equal(new Map(docs()).get(stored().id).locale, 'en');
+
+    window.eval(`
+      NotificationCenter.preferences.push = true;
+      I18n.setLocale('fr');
+    `);
+    await new Promise(resolve => setTimeout(resolve));
+    assert.equal(new Map(docs()).get(stored().id).locale, 'fr');
+  });
+
+  it('can be turned off after signing out', async () => {
+    signIn({ id: 'alice', name: 'Ada', role: 'citizen' });
+    await subscribe();
+    signIn(null);
+
+    await window.eval('PushAlerts.unsubscribe()');
+    assert.equal(stored(), null);
+    assert.equal(window.eval('pushSubscription'), null);
+  });
+});
+
+// The service worker's push handler, run in a context of its own with the
+// locale catalogues it imports
+describe('push alerts in sw.js', () => {
+  function serviceWorker(language = 'en-GB') {
+    const handlers = {};
+    const shown = [];
+    const context = vm.createContext({
+      self: {
+        addEventListener: (type, handler) => { handlers[type] = handler; },
+        registration: { showNotification: async (title, options) => shown.push({ title, body: options.body }) },
+        clients: { matchAll: async () => [] },
+        navigator: { language }
+      },
+      importScripts: (...files) => files.forEach(file =>
+        vm.runInContext(fs.readFileSync(path.join(APP_DIR, file), 'utf8'), context)
+      )
+    });
+    vm.runInContext(fs.readFileSync(path.join(APP_DIR, 'sw.js'), 'utf8'), context);
+
+    return async (data) => {
+      let done;
+      handlers.push({ data: data && { json: () => data }, waitUntil: promise => { done = promise; } });
+      await done;
+      return shown.pop();
+    };
+  }
+
+  const alert = locale => ({
+    incidentId: 'incident-1',
+    locale,
+    message: 'notifications.nearby',
+    params: { type: 'fight' },
+    body: 'Fight at the market - Central market'
+  });
+
+  it('words the alert in the subscriber\'s language', async () => {
+    const push = serviceWorker();
+    assert.deepEqual(await push(alert('fr')), {
+      title: 'Signalé près de chez vous : Bagarre',
+      body: 'Fight at the market - Central market'
+    });
+    assert.equal((await push(alert('en'))).title, 'Reported nearby: Fight');
+  });
+
+  it('falls back to the browser\'s language, then English', async () => {
+    assert.equal((await serviceWorker('yo-NG')(alert(null))).title, 'Wọ́n fi tó wa nítòsí: Ìjà');
+    assert.equal((await serviceWorker('de-DE')(alert('xx'))).title, 'Reported nearby: Fight');
+    assert.equal((await serviceWorker('de-DE')(null)).title, 'New incident nearby');
+  });
+});
\ No newline at end of file
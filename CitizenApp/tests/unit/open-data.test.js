@@ -0,0 +1,73 @@
+// CSV and GeoJSON exports (see open-data.js): every incident the feed filters
+// match, including the ones the feed has not paged in yet
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { loadApp, wait } = require('../helpers/app');
+
+// More than one feed page (FEED_CONFIG.PAGE_SIZE is 20), alternating types,
+// newest first
+const incidents = Array.from({ length: 30 }, (_, i) => ({
+  id: `incident-${i}`,
+  type: i % 2 === 0 ? 'fight' : 'theft',
+  severity: 'medium',
+  title: `Incident ${i}`,
+  description: 'Near the main gate',
+  location: 'Balogun Market',
+  details: {},
+  latitude: 6.45,
+  longitude: 3.39,
+  timestamp: new Date(Date.UTC(2026, 9, 19, 12) - i * 60 * 1000).toISOString(),
+  status: 'active',
+  reporter: { id: 'alice', name: 'Ada' },
+  anonymous: false
+}));
+
+describe('exports', () => {
+  let window;
+  let downloads;
+
+  beforeEach(async () => {
+    window = await loadApp({ incidents });
+    // As if the feed had only paged in the first 20, and stopped there
+    window.eval(`
+      IncidentService.hasMore = false;
+      AppState.setState({ incidents: AppState.incidents.slice(0, 20) });
+    `);
+    downloads = [];
+    window.downloadFile = (fileName, type, content) => downloads.push({ fileName, content });
+  });
+
+  afterEach(() => window.close());
+
+  it('include incidents past the loaded feed pages', async () => {
+    window.document.getElementById('export-geojson').click();
+    await wait();
+
+    const [{ fileName, content }] = downloads;
+    assert.match(fileName, /\.geojson$/);
+    const ids = JSON.parse(content).features.map(feature => feature.properties.id);
+    assert.equal(ids.length, 30);
+    assert.ok(ids.includes('incident-29'));
+    assert.equal(window.document.getElementById('filter-message').textContent, 'Exported 30 incidents.');
+  });
+
+  it('apply the active filters', async () => {
+    window.eval(`AppState.setState({ filters: { ...AppState.filters, types: ['theft'] } })`);
+    window.document.getElementById('export-csv').click();
+    await wait();
+
+    const rows = downloads[0].content.trim().split(/\r?\n/).slice(1);
+    assert.equal(rows.length, 15);
+    assert.ok(rows.every(row => row.includes('theft')));
+    assert.ok(rows.some(row => row.includes('incident-29')));
+  });
+
+  it('say so when the incidents cannot be loaded', async () => {
+    window.eval(`IncidentService.listIncidents = () => Promise.reject(new Error('offline'))`);
+    window.document.getElementById('export-csv').click();
+    await wait();
+
+    assert.deepEqual(downloads, []);
+    assert.equal(window.document.getElementById('filter-message').textContent, 'We could not load the incidents to export.');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+// Sending queued reports (outbox.js) through FirestoreIncidentRepository
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { loadApp } = require('../helpers/app');
+const { FakeFirestore, FakeStorage } = require('../helpers/fake-firebase');
+const { formReport } = require('../helpers/rules');
+
+describe('ReportOutbox', () => {
+  let window;
+  let firestore;
+  let storage;
+
+  beforeEach(async () => {
+    window = await loadApp({ user: { id: 'alice', name: 'Ada', role: 'citizen' } });
+    window.eval(`
+      firebase.firestore.FieldValue.serverTimestamp = () => 'server-time';
+      OUTBOX_CONFIG.SEND_TIMEOUT = 50;
+    `);
+    firestore = new FakeFirestore();
+    storage = new FakeStorage();
+    window.eval('IncidentService').useRepository(new (window.eval('FirestoreIncidentRepository'))(firestore, storage));
+  });
+
+  afterEach(() => window.close());
+
+  it('sends a report whose acknowledgement was lost only once', async () => {
+    firestore.loseNextAck = true;
+    const outbox = window.eval('ReportOutbox');
+    assert.equal(await outbox.submit(formReport()), 'queued');
+
+    // The retry, without waiting for the backoff
+    await outbox.retry('report-1');
+    await outbox.flush();
+    assert.deepEqual(await outbox.all(), []);
+    assert.deepEqual(firestore.writes, ['incidents/report-1']);
+  });
+
+  it('keeps a timed-out report and all its files for the next attempt', async () => {
+    storage.held.add('incidents/report-1/0-a.jpg');
+    const file = new window.File(['photo'], 'a.jpg', { type: 'image/jpeg' });
+    const result = await window.eval('ReportOutbox').submit(formReport(), [{ file, thumbnail: null }]);
+
+    assert.equal(result, 'queued');
+    assert.equal(firestore.docs.has('incidents/report-1'), false);
+    const [record] = await window.eval('ReportOutbox').all();
+    assert.equal(record.files[0].canceled, false);
+    assert.equal(record.lastError, 'The request timed out');
+  });
+});
\ No newline at end of file
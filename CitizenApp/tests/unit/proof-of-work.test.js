@@ -0,0 +1,39 @@
+// The proof-of-work worker (proof-of-work.js) against Node's SHA-256
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { describe, it } = require('node:test');
+
+const WORKER = fs.readFileSync(path.join(__dirname, '..', '..', 'proof-of-work.js'), 'utf8');
+
+// Run the worker on `message` and resolve with what it posts back
+function solve(message) {
+  return new Promise((resolve) => {
+    const self = { postMessage: resolve };
+    vm.runInNewContext(WORKER, { self, TextEncoder });
+    self.onmessage({ data: message });
+  });
+}
+
+function sha256Hex(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+describe('proof-of-work worker', () => {
+  it('finds the first nonce with enough leading zeros', async () => {
+    const { nonce } = await solve({ id: 'report-1', difficulty: 3 });
+    assert.match(sha256Hex(`report-1:${nonce}`), /^000/);
+    for (let earlier = 0; earlier < Number(nonce); earlier++) {
+      assert.doesNotMatch(sha256Hex(`report-1:${earlier}`), /^000/);
+    }
+  });
+
+  // Ids longer than one SHA-256 block still hash right
+  it('hashes long ids', async () => {
+    const id = 'x'.repeat(100);
+    const { nonce } = await solve({ id, difficulty: 2 });
+    assert.match(sha256Hex(`${id}:${nonce}`), /^00/);
+  });
+});
\ No newline at end of file
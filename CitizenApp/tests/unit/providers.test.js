@@ -0,0 +1,55 @@
+// The data and auth providers selected in App.js
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { loadApp } = require('../helpers/app');
+
+describe('provider configuration', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadApp();
+  });
+
+  afterEach(() => window.close());
+
+  // firestore.rules checks reporters and commenters against the Firebase uid
+  it('ships the Firestore repository with Firebase Auth', () => {
+    assert.equal(window.eval('AUTH_CONFIG.PROVIDER'), 'firebase');
+    window.eval(`
+      DATA_CONFIG.PROVIDER = 'firestore';
+      db = { collection: () => ({}) };
+    `);
+    assert.ok(window.eval('createIncidentRepository() instanceof FirestoreIncidentRepository'));
+  });
+
+  // What the repository sends as the reporter, confirmer or comment author
+  it('gives Firebase users their uid as their id', async () => {
+    const firebaseUser = {
+      uid: 'firebase-uid-1',
+      email: 'ada@example.com',
+      displayName: 'Ada',
+      getIdTokenResult: async () => ({ claims: { role: 'moderator' } })
+    };
+    const provider = new (window.eval('FirebaseAuthProvider'))({
+      signInWithEmailAndPassword: async () => ({ user: firebaseUser })
+    });
+
+    const user = await provider.login('ada@example.com', 'secret-password');
+    assert.equal(user.id, 'firebase-uid-1');
+    assert.equal(user.role, 'moderator');
+  });
+
+  it('refuses the Firestore repository with any other sign-in', () => {
+    window.eval(`AUTH_CONFIG.PROVIDER = 'rest'`);
+    assert.throws(
+      () => window.eval(`createIncidentRepository('firestore')`),
+      /needs AUTH_CONFIG.PROVIDER 'firebase', not 'rest'/
+    );
+  });
+
+  it('lets the other repositories use REST sign-in', () => {
+    window.eval(`AUTH_CONFIG.PROVIDER = 'rest'`);
+    assert.ok(window.eval(`createIncidentRepository('memory') instanceof LocalIncidentRepository`));
+    assert.ok(window.eval(`createIncidentRepository('rest') instanceof RestIncidentRepository`));
+  });
+});
\ No newline at end of file
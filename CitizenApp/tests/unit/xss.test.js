@@ -0,0 +1,164 @@
+// Reports, names and URLs come from other users: whatever they contain must
+// show as text, never run (see safe-html.js)
+const assert = require('node:assert/strict');
+const { afterEach, beforeEach, describe, it } = require('node:test');
+const { loadApp, wait } = require('../helpers/app');
+
+// Each payload sets window.pwned if it ever runs
+const TAG = '<img src="x" onerror="window.pwned = true">';
+const SCRIPT = '<script>window.pwned = true</script><svg onload="window.pwned = true"></svg>';
+const QUOTES = '" onmouseover="window.pwned = true" x="\' onfocus=\'window.pwned = true\' autofocus \'';
+const JS_URL = 'javascript:window.pwned = true';
+const HTML_URL = 'data:text/html,<script>window.pwned = true</script>';
+
+const URL_ATTRIBUTES = ['href', 'src', 'poster', 'action', 'formaction', 'xlink:href'];
+
+const hostile = {
+  id: 'hostile-1',
+  type: 'fight',
+  severity: 'high',
+  title: `Fight ${TAG}`,
+  description: `Near the gate ${SCRIPT}`,
+  location: `Market ${QUOTES}`,
+  details: {},
+  latitude: 6.45,
+  longitude: 3.39,
+  timestamp: new Date().toISOString(),
+  status: 'active',
+  reporter: { id: 'mallory', name: `Mallory ${TAG}` },
+  anonymous: false,
+  images: [JS_URL, HTML_URL],
+  thumbnails: [JS_URL, ` ${JS_URL}`],
+  media: [{ url: JS_URL, type: 'video', contentType: 'video/mp4', poster: HTML_URL, duration: 4 }],
+  officialNotes: [{ text: `Note ${SCRIPT}`, by: { id: 'mod', name: `Mod ${QUOTES}`, role: 'moderator' }, at: new Date().toISOString() }],
+  auditTrail: [{ action: 'marked_false', reason: TAG, by: { id: 'mod', name: `Mod ${TAG}`, role: 'moderator' }, at: new Date().toISOString() }]
+};
+
+// Fail if anything under `root` could run script: a <script> the test
+// harness did not add, an event handler attribute or a script URL
+function assertInert(window, root = window.document) {
+  assert.equal(window.pwned, undefined, 'a payload ran');
+  const elements = [...root.querySelectorAll('*')];
+  for (const element of elements) {
+    assert.ok(element.tagName !== 'SCRIPT' || element.hasAttribute('data-harness'), 'a payload became a <script>');
+    for (const { name, value } of element.attributes) {
+      assert.ok(!name.startsWith('on'), `<${element.localName} ${name}="${value}"> came from a payload`);
+      if (URL_ATTRIBUTES.includes(name)) {
+        assert.doesNotMatch(value.trim(), /^(javascript|data:text\/html)/i, `<${element.localName} ${name}="${value}">`);
+      }
+    }
+  }
+  assert.equal(root.querySelector('svg[onload], img[src="x"]'), null);
+}
+
+describe('hostile reports', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadApp({
+      incidents: [hostile],
+      user: { id: 'mod', name: 'Moderator', role: 'moderator' }
+    });
+  });
+
+  afterEach(() => window.close());
+
+  it('show as text in the feed', () => {
+    const card = window.document.querySelector('#incident-feed [data-incident-id="hostile-1"]');
+    assert.ok(card.textContent.includes(hostile.title));
+    assert.ok(card.textContent.includes(hostile.location));
+    assertInert(window);
+  });
+
+  it('show as text in the incident details, with their comments', async () => {
+    await window.eval(`IncidentService.getRepository()`).addComment('hostile-1', {
+      parentId: null,
+      text: `Seen it ${SCRIPT} ${QUOTES}`,
+      author: { id: 'mallory', name: `Mallory ${TAG}` },
+      createdAt: new Date().toISOString()
+    });
+    await window.eval(`IncidentDetail.show('hostile-1')`);
+    await wait();
+
+    const dialog = window.document.getElementById('incident-detail');
+    assert.ok(dialog.textContent.includes(hostile.description));
+    assert.ok(dialog.textContent.includes('Seen it <script>'));
+    assert.equal(window.document.getElementById('detail-image').getAttribute('src'), '');
+    assertInert(window);
+  });
+
+  it('show as text in the moderation console', async () => {
+    window.eval(`showIncidentView('moderation')`);
+    await wait();
+
+    const item = window.document.querySelector('#moderation-list [data-incident-id="hostile-1"]');
+    assert.ok(item.textContent.includes(hostile.officialNotes[0].text));
+    item.querySelector('[data-role="merge-target"]').dispatchEvent(new window.FocusEvent('focusin', { bubbles: true }));
+    assertInert(window);
+  });
+
+  it('show as text on the map', () => {
+    window.eval(`L.marker = () => ({ bindPopup(popup) { window.popup = popup; return this; }, addTo() { return this; } })`);
+    window.eval(`createIncidentMarker`)(hostile);
+    assert.ok(window.popup.textContent.includes(hostile.title));
+    assertInert(window, window.popup);
+  });
+});
+
+describe('hostile files and messages', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadApp();
+  });
+
+  afterEach(() => window.close());
+
+  it('show photo and clip names as text', () => {
+    const file = { name: `photo ${QUOTES}${TAG}.jpg`, size: 1, type: 'image/jpeg' };
+    const photo = window.eval(`createPhotoPreview`)({ id: 1, file, previewUrl: JS_URL, redactions: [] });
+    const clip = window.eval(`createClipPreview`)({ id: 2, kind: 'video', file, posterUrl: HTML_URL, duration: 3 });
+    window.document.body.append(photo, clip);
+
+    assert.ok(photo.textContent.includes(file.name));
+    assert.equal(clip.querySelector('button').getAttribute('aria-label'), `Remove ${file.name}`);
+    assertInert(window);
+  });
+
+  it('show toasts as text', () => {
+    window.eval(`Toast`).show({ type: 'error', message: TAG, actions: [{ label: QUOTES, onClick() {} }] });
+    const toast = window.document.querySelector('.toast');
+    assert.ok(toast.textContent.includes(TAG));
+    assertInert(window);
+  });
+});
+
+describe('html and safeUrl', () => {
+  let window;
+
+  beforeEach(async () => {
+    window = await loadApp();
+  });
+
+  afterEach(() => window.close());
+
+  it('escapes interpolated values but not nested templates', () => {
+    const markup = String(window.eval(`(value) => html\`<p title="\${value}">\${value}\${html\`<b>ok</b>\`}</p>\``)(QUOTES + TAG));
+    assert.equal(markup.includes('<img'), false);
+    assert.equal(markup.includes('" onmouseover'), false);
+    assert.ok(markup.endsWith('<b>ok</b></p>'));
+  });
+
+  it('lets through only URLs that cannot run script', () => {
+    const safeUrl = window.eval('safeUrl');
+    assert.equal(safeUrl(JS_URL), '');
+    assert.equal(safeUrl(` ${JS_URL}`), '');
+    assert.equal(safeUrl('JaVaScRiPt:alert(1)'), '');
+    assert.equal(safeUrl(HTML_URL), '');
+    assert.equal(safeUrl('data:image/svg+xml;base64,PHN2Zz4='), '');
+    assert.equal(safeUrl({ toString: () => JS_URL }), '');
+    assert.equal(safeUrl('https://storage.test/a.jpg'), 'https://storage.test/a.jpg');
+    assert.equal(safeUrl('blob:http://localhost/abc'), 'blob:http://localhost/abc');
+    assert.equal(safeUrl('data:image/png;base64,iVBORw0KGgo='), 'data:image/png;base64,iVBORw0KGgo=');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,106 @@
+// Toast notifications, stacked in the #toast-region live region.
+//
+//   Toast.show({ type, message, duration, actions: [{ label, onClick }] })
+//   Toast.success(message, options) / info / warning / error
+//
+// type is 'success', 'info', 'warning' or 'error'. Toasts dismiss themselves
+// after `duration` ms (0 keeps them until closed); the timer pauses while the
+// toast is hovered or focused so action buttons stay reachable.
+const Toast = {
+  toasts: [], // { type, message, element, timer, remaining, startedAt }
+
+  show({ type = 'info', message, duration = TOAST_CONFIG.DURATIONS[type], actions = [] }) {
+    const region = document.getElementById('toast-region');
+    if (!region) return null;
+
+    // Repeating the same message replaces the old toast instead of stacking a copy
+    const existing = this.toasts.find(toast => toast.type === type && toast.message === message);
+    if (existing) {
+      this.dismiss(existing);
+    }
+
+    const toast = { type, message, element: createToastElement(type, message, actions), timer: null, remaining: duration };
+    this.toasts.push(toast);
+    region.appendChild(toast.element);
+
+    toast.element.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+
+      if (button.dataset.actionIndex !== undefined) {
+        actions[button.dataset.actionIndex].onClick();
+      }
+      this.dismiss(toast);
+    });
+    toast.element.addEventListener('mouseenter', () => this.pause(toast));
+    toast.element.addEventListener('mouseleave', () => this.resume(toast));
+    toast.element.addEventListener('focusin', () => this.pause(toast));
+    toast.element.addEventListener('focusout', (e) => {
+      if (!toast.element.contains(e.relatedTarget)) this.resume(toast);
+    });
+
+    while (this.toasts.length > TOAST_CONFIG.MAX_VISIBLE) {
+      this.dismiss(this.toasts[0]);
+    }
+
+    this.resume(toast);
+    return toast;
+  },
+
+  success(message, options = {}) {
+    return this.show({ ...options, type: 'success', message });
+  },
+
+  info(message, options = {}) {
+    return this.show({ ...options, type: 'info', message });
+  },
+
+  warning(message, options = {}) {
+    return this.show({ ...options, type: 'warning', message });
+  },
+
+  error(message, options = {}) {
+    return this.show({ ...options, type: 'error', message });
+  },
+
+  dismiss(toast) {
+    const index = this.toasts.indexOf(toast);
+    if (index === -1) return;
+
+    clearTimeout(toast.timer);
+    this.toasts.splice(index, 1);
+    toast.element.remove();
+  },
+
+  pause(toast) {
+    if (!toast.timer) return;
+
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining -= Date.now() - toast.startedAt;
+  },
+
+  resume(toast) {
+    if (toast.timer || !toast.remaining) return;
+
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => this.dismiss(toast), Math.max(toast.remaining, 1000));
+  }
+};
+
+function createToastElement(type, message, actions) {
+  const element = document.createElement('div');
+  element.className = `toast toast-${type}`;
+  // Errors interrupt the screen reader; everything else waits its turn
+  element.setAttribute('role', type === 'error' ? 'alert' : 'status');
+  element.innerHTML = html`
+    <p class="toast-message">${message}</p>
+    ${actions.map((action, index) => html`
+      <button type="button" class="btn btn-ghost toast-action" data-action-index="${index}">${action.label}</button>
+    `)}
+    <button type="button" class="btn btn-ghost btn-icon toast-close" aria-label="${t('toast.dismiss')}">
+      <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>
+    </button>
+  `;
+  return element;
+}
\ No newline at end of file
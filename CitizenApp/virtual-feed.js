@@ -0,0 +1,168 @@
+// Virtualised incident feed. Only the rows of cards near the viewport are in
+// the DOM; the rows above and below are stood in for by padding on the feed,
+// using measured card heights (or FEED_CONFIG.ESTIMATED_CARD_HEIGHT for cards
+// not seen yet). Scrolling near the end loads the next page.
+const VirtualFeed = {
+  container: null,
+  items: [], // filtered incidents, in display order
+  heights: new Map(), // incident id -> measured height, margins included
+  basePadding: { top: 0, bottom: 0 }, // the feed's own padding from the stylesheet
+  frame: null,
+
+  init() {
+    this.container = document.getElementById('incident-feed');
+    const style = getComputedStyle(this.container);
+    this.basePadding = {
+      top: parseFloat(style.paddingTop) || 0,
+      bottom: parseFloat(style.paddingBottom) || 0
+    };
+
+    const schedule = () => this.schedule();
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule);
+  },
+
+  setItems(incidents) {
+    if (!this.container) this.init();
+
+    // Keep what the user is looking at in place when cards are added above it
+    const anchor = this.captureAnchor();
+    this.items = incidents;
+    this.render();
+    this.restoreAnchor(anchor);
+    this.updateStatus();
+  },
+
+  schedule() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+      this.maybeLoadMore();
+    });
+  },
+
+  columns() {
+    const template = getComputedStyle(this.container).gridTemplateColumns;
+    return template && template !== 'none' ? template.split(' ').length : 1;
+  },
+
+  rowHeights(columns) {
+    const rows = [];
+    for (let i = 0; i < this.items.length; i += columns) {
+      const row = this.items.slice(i, i + columns);
+      rows.push(Math.max(...row.map(incident =>
+        this.heights.get(incident.id) ?? FEED_CONFIG.ESTIMATED_CARD_HEIGHT
+      )));
+    }
+    return rows;
+  },
+
+  render() {
+    if (!this.container || this.container.hidden) return;
+
+    const columns = this.columns();
+    const gap = parseFloat(getComputedStyle(this.container).rowGap) || 0;
+    const rows = this.rowHeights(columns);
+
+    // Visible range, relative to where the first row starts
+    const top = -this.container.getBoundingClientRect().top - this.basePadding.top - FEED_CONFIG.OVERSCAN;
+    const bottom = top + window.innerHeight + 2 * FEED_CONFIG.OVERSCAN;
+
+    let offset = 0;
+    let startRow = rows.length;
+    let endRow = rows.length;
+    let startOffset = 0;
+    for (let row = 0; row < rows.length; row++) {
+      const rowBottom = offset + rows[row];
+      if (startRow === rows.length && rowBottom >= top) {
+        startRow = row;
+        startOffset = offset;
+      }
+      if (offset > bottom) {
+        endRow = row;
+        break;
+      }
+      offset = rowBottom + gap;
+    }
+    const total = rows.reduce((sum, height) => sum + height + gap, 0);
+    const endOffset = rows.slice(0, endRow).reduce((sum, height) => sum + height + gap, 0);
+
+    const visible = this.items.slice(startRow * columns, endRow * columns);
+    patchIncidentList(this.container, renderedCards, visible, createIncidentCard);
+    this.container.style.paddingTop = `${this.basePadding.top + startOffset}px`;
+    this.container.style.paddingBottom = `${this.basePadding.bottom + Math.max(0, total - endOffset)}px`;
+
+    // Estimates are replaced by real heights; go again if that moved anything
+    if (this.measure(visible)) {
+      this.schedule();
+    }
+  },
+
+  measure(visible) {
+    let changed = false;
+    visible.forEach(incident => {
+      const element = renderedCards.get(incident.id)?.element;
+      if (!element) return;
+
+      const style = getComputedStyle(element);
+      const height = element.offsetHeight + parseFloat(style.marginTop || 0) + parseFloat(style.marginBottom || 0);
+      if (Math.abs((this.heights.get(incident.id) ?? -1) - height) > 1) {
+        this.heights.set(incident.id, height);
+        changed = true;
+      }
+    });
+    return changed;
+  },
+
+  // The first card on screen and where it is, once the feed is scrolled into
+  captureAnchor() {
+    if (this.container.getBoundingClientRect().top >= 0) return null;
+
+    for (const element of this.container.children) {
+      const rect = element.getBoundingClientRect();
+      if (rect.bottom > 0) {
+        return { id: element.dataset.incidentId, top: rect.top };
+      }
+    }
+    return null;
+  },
+
+  restoreAnchor(anchor) {
+    const element = anchor && renderedCards.get(anchor.id)?.element;
+    if (!element) return;
+
+    const shift = element.getBoundingClientRect().top - anchor.top;
+    if (Math.abs(shift) > 1) {
+      window.scrollBy(0, shift);
+    }
+  },
+
+  // Skeletons while a page loads, the empty state and the retry prompt
+  updateStatus() {
+    const { loading, hasMore, failed } = AppState.pagination;
+    this.container.setAttribute('aria-busy', loading);
+    document.getElementById('feed-loader').hidden = !loading;
+    document.getElementById('feed-error').hidden = !failed;
+    document.getElementById('feed-empty').hidden = this.items.length > 0 || loading || hasMore;
+    this.schedule(); // checks whether the next page is needed
+  },
+
+  // Infinite scroll: load the next page when the end of the feed is close.
+  // Also covers filters hiding everything loaded so far.
+  maybeLoadMore() {
+    const { loading, hasMore, failed } = AppState.pagination;
+    if (loading || !hasMore || failed || this.container.hidden) return;
+
+    if (this.container.getBoundingClientRect().bottom - window.innerHeight < FEED_CONFIG.LOAD_MORE_MARGIN) {
+      IncidentService.loadMore();
+    }
+  }
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  // VirtualFeed itself starts with the first setItems() from citizen.js
+  document.getElementById('feed-retry')?.addEventListener('click', () => {
+    IncidentService.loadMore();
+  });
+});
\ No newline at end of file